@@ -9,20 +9,48 @@
  *
  * Usage:
  *   carta1 --encode input.wav output.aea
+ *   carta1 --encode input.wav output.aea --jobs 4
+ *   carta1 --encode input.wav output.aea --preset best
  *   carta1 --decode input.aea output.wav
+ *   carta1 --compare source.wav encoded.aea [report.json]
+ *   carta1 --cut input.aea output.aea --start 1:30 --end 2:00
+ *   carta1 --concat first.aea second.aea output.aea
+ *   carta1 --split side-a.aea track.aea --cue side-a.cue
+ *   carta1 --verify input.aea [--repair repaired.aea]
+ *   carta1 --bench [input.wav ...] > bench.json
+ *   sox input.flac -t wav - | carta1 --encode - - > output.aea
+ *
+ * A path of "-" reads from stdin or writes to stdout. Progress and log
+ * messages go to stderr so they never mix with piped output.
  */
 
 import { program } from 'commander'
 import fs from 'fs'
+import os from 'os'
 import path from 'path'
 import { performance } from 'perf_hooks'
 import cliProgress from 'cli-progress'
-import wav from 'wav'
 
-import { AudioProcessor } from '../codec/io/processor.js'
-import { AeaReader } from '../codec/io/readers.js'
-import { deserializeFrame, AeaFile } from '../codec/io/serialization.js'
-import { EncoderOptions } from '../codec/core/options.js'
+import { AudioProcessor, decodeAeaPcm } from '../codec/io/processor.js'
+import { AeaReader, WavReader, readWavPcm } from '../codec/io/readers.js'
+import { AeaWriter, WavWriter } from '../codec/io/writers.js'
+import { PCM_FORMATS } from '../codec/io/pcm.js'
+import { cutAea, concatAea, splitAea } from '../codec/io/edit.js'
+import { parseCueSheet } from '../codec/io/cue.js'
+import { verifyAea, repairAea } from '../codec/io/verify.js'
+import { encodeStreamParallel } from '../codec/io/parallel.js'
+import { deserializeFrame } from '../codec/io/serialization.js'
+import { EncoderOptions, ENCODER_PRESETS } from '../codec/core/options.js'
+import { createBlockModeOverrides } from '../codec/core/overrides.js'
+import { compareAudio } from '../codec/analysis/quality.js'
+import { ChannelMixer, DOWNMIX_PRESETS } from '../codec/transforms/downmix.js'
+import { benchmarkPipeline } from '../codec/bench/pipeline.js'
+import { BENCH_SIGNALS } from '../codec/bench/signals.js'
+import {
+  RESAMPLER_PRESETS,
+  resample,
+  resampledLength,
+} from '../codec/transforms/resample.js'
 import {
   SAMPLE_RATE,
   SAMPLES_PER_FRAME,
@@ -46,6 +74,44 @@ function formatTime(seconds) {
     .padStart(2, '0')}`
 }
 
+// Path that stands for stdin as input or stdout as output
+const STDIO_PATH = '-'
+
+// Length of each synthetic signal coded by --bench
+const BENCH_SECONDS = 10
+
+/**
+ * Resolve an input path to a reader source
+ *
+ * @param {string} filePath - Input path, or "-" for stdin
+ * @returns {string|Readable} File path, or process.stdin
+ */
+function inputSource(filePath) {
+  return filePath === STDIO_PATH ? process.stdin : filePath
+}
+
+/**
+ * Open an output path for streaming writes
+ *
+ * @param {string} filePath - Output path, or "-" for stdout
+ * @returns {Promise<Object>} FileHandle, or process.stdout
+ */
+async function openOutput(filePath) {
+  return filePath === STDIO_PATH
+    ? process.stdout
+    : fs.promises.open(filePath, 'w')
+}
+
+/**
+ * Describe a duration for log messages
+ *
+ * @param {number|null} seconds - Duration in seconds, or null if unknown
+ * @returns {string} Formatted duration with a leading space, or ''
+ */
+function formatDuration(seconds) {
+  return seconds === null ? '' : ` ${formatTime(seconds)}`
+}
+
 /**
  * Validate AEA title for length and ASCII encoding
  *
@@ -133,6 +199,227 @@ function validateModes(modes) {
   return { valid: true, modes: parsedModes }
 }
 
+/**
+ * Validate the decoded WAV bit depth
+ *
+ * @param {string} bitDepth - "16", "24", "32" or "32f"
+ * @returns {Object} Validation result
+ * @returns {boolean} returns.valid - Whether the bit depth is valid
+ * @returns {number|string} [returns.bitDepth] - 16, 24, 32 or '32f'
+ * @returns {string} [returns.error] - Error message if invalid
+ */
+function validateBitDepth(bitDepth) {
+  if (!PCM_FORMATS[bitDepth]) {
+    return {
+      valid: false,
+      error: `Bit depth must be one of ${Object.keys(PCM_FORMATS).join(
+        ', '
+      )}, got "${bitDepth}"`,
+    }
+  }
+
+  return {
+    valid: true,
+    bitDepth: bitDepth === '32f' ? bitDepth : parseInt(bitDepth, 10),
+  }
+}
+
+/**
+ * Validate a channel selection such as "3,4"
+ *
+ * @param {string} channels - Comma-separated 1-based channel numbers
+ * @param {number} channelCount - Channels in the input file
+ * @returns {Object} Validation result
+ * @returns {boolean} returns.valid - Whether the selection is valid
+ * @returns {Array<number>} [returns.channels] - Zero-based channel indices
+ * @returns {string} [returns.error] - Error message if invalid
+ */
+function validateChannels(channels, channelCount) {
+  if (!/^\d+(,\d+)*$/.test(channels)) {
+    return {
+      valid: false,
+      error: `Channels must be 1-based channel numbers separated by commas, such as 3,4, got "${channels}"`,
+    }
+  }
+
+  const numbers = channels.split(',').map((part) => parseInt(part, 10))
+  const missing = numbers.find((number) => number < 1 || number > channelCount)
+  if (missing !== undefined) {
+    return {
+      valid: false,
+      error: `Channel ${missing} does not exist in ${channelCount}-channel input`,
+    }
+  }
+
+  return { valid: true, channels: numbers.map((number) => number - 1) }
+}
+
+/**
+ * Validate a downmix preset name or inline matrix
+ *
+ * An inline matrix lists the gains of each output channel, separated by
+ * commas, with output channels separated by semicolons: "0.5,0.5" mixes two
+ * channels to mono.
+ *
+ * @param {string} downmix - Preset name or inline matrix
+ * @returns {Object} Validation result
+ * @returns {boolean} returns.valid - Whether the downmix is valid
+ * @returns {string|Array<Array<number>>} [returns.downmix] - Preset name or matrix
+ * @returns {string} [returns.error] - Error message if invalid
+ */
+function validateDownmix(downmix) {
+  if (DOWNMIX_PRESETS[downmix]) {
+    return { valid: true, downmix }
+  }
+
+  const matrix = downmix
+    .split(';')
+    .map((row) => row.split(',').map((gain) => Number(gain)))
+  if (matrix.some((row) => row.some((gain) => !Number.isFinite(gain)))) {
+    return {
+      valid: false,
+      error: `Downmix must be one of ${Object.keys(DOWNMIX_PRESETS).join(
+        ', '
+      )} or gains such as "0.5,0.5", got "${downmix}"`,
+    }
+  }
+
+  return { valid: true, downmix: matrix }
+}
+
+/**
+ * Resolve the channels to encode from --channels and --downmix
+ *
+ * @param {number} inputChannels - Channels in the input file
+ * @param {Object} options - CLI options
+ * @param {string} [options.channels] - Channel selection such as "3,4"
+ * @param {string} [options.downmix] - Downmix preset or inline matrix
+ * @returns {Object} `mix` options for AudioProcessor.encodeStream() and the
+ *   `channelCount` that gets encoded
+ * @throws {Error} If the selection is invalid or does not give one or two
+ *   channels
+ */
+function resolveChannelMix(inputChannels, options) {
+  const mix = {}
+  for (const [name, validate] of [
+    ['channels', validateChannels],
+    ['downmix', validateDownmix],
+  ]) {
+    if (options[name] === undefined) continue
+    const validation = validate(options[name], inputChannels)
+    if (!validation.valid) {
+      throw new Error(validation.error)
+    }
+    mix[name] = validation[name]
+  }
+
+  const { outputChannels } = new ChannelMixer(inputChannels, mix)
+  if (outputChannels !== 1 && outputChannels !== 2) {
+    throw new Error(
+      `Unsupported channel count: ${outputChannels}; select one or two channels with --channels or --downmix`
+    )
+  }
+  return { mix, channelCount: outputChannels }
+}
+
+/**
+ * Create encoder options from the CLI options
+ *
+ * @param {Object} options - CLI options
+ * @param {string} [options.preset] - Encoder preset name
+ * @param {number} [options.bias] - Bit allocation bias
+ * @param {string} [options.modes] - Fixed block modes
+ * @param {string} [options.overrides] - Path to a block mode override file
+ * @returns {Promise<EncoderOptions>} Validated encoder options
+ * @throws {Error} If the preset, modes or overrides are invalid
+ */
+async function createEncoderOptions(options) {
+  const encoderOptions = new EncoderOptions()
+  if (options.preset !== undefined) {
+    if (!ENCODER_PRESETS[options.preset]) {
+      throw new Error(
+        `Invalid preset "${options.preset}", expected one of: ${Object.keys(
+          ENCODER_PRESETS
+        ).join(', ')}`
+      )
+    }
+    encoderOptions.setValue('preset', options.preset)
+  }
+
+  if (options.bias !== undefined) {
+    encoderOptions.setValue('allocationBias', options.bias)
+  }
+
+  if (options.modes) {
+    const validation = validateModes(options.modes)
+    if (!validation.valid) {
+      throw new Error(validation.error)
+    }
+    encoderOptions.setValue('fixedBlockModes', validation.modes)
+  }
+
+  if (options.overrides) {
+    encoderOptions.setValue(
+      'blockModeOverrides',
+      await loadBlockModeOverrides(options.overrides)
+    )
+  }
+  return encoderOptions
+}
+
+/**
+ * Read the channels of a WAV file as the encoder sees them
+ *
+ * Applies the channel selection or downmix, then resamples non-44.1 kHz
+ * audio unless resampling is disabled.
+ *
+ * @param {string} inputFile - Path to the WAV file, or "-" for stdin
+ * @param {Object} options - CLI options
+ * @param {string|boolean} options.resample - Resampler preset, or false
+ * @param {string} [options.channels] - 1-based channels to keep
+ * @param {string} [options.downmix] - Downmix preset or inline matrix
+ * @returns {Promise<Array<Float32Array>>} Samples of each channel
+ * @throws {Error} If the file or channel selection is invalid
+ */
+async function readSourceChannels(inputFile, options) {
+  const resampleQuality = validateResample(options.resample)
+  const reader = await openWavInput(inputFile, resampleQuality)
+  const { mix } = resolveChannelMix(reader.channels, options)
+
+  const { channels } = await readWavPcm(reader)
+  const mixed = new ChannelMixer(reader.channels, mix).mix(channels)
+  if (reader.sampleRate === SAMPLE_RATE || resampleQuality === false) {
+    return mixed
+  }
+  return mixed.map((channel) =>
+    resample(channel, reader.sampleRate, SAMPLE_RATE, resampleQuality)
+  )
+}
+
+/**
+ * Load block mode overrides from a JSON file
+ *
+ * The file holds an array of override entries, each targeting a frame,
+ * an inclusive frame range or a time range in seconds.
+ *
+ * @param {string} filePath - Path to the JSON file
+ * @returns {Promise<Array<Object>>} Validated override entries
+ * @throws {Error} If the file is not valid JSON or an entry is malformed
+ */
+async function loadBlockModeOverrides(filePath) {
+  const text = await fs.promises.readFile(filePath, 'utf8')
+
+  let overrides
+  try {
+    overrides = JSON.parse(text)
+  } catch (err) {
+    throw new Error(`Invalid overrides file ${filePath}: ${err.message}`)
+  }
+
+  createBlockModeOverrides(overrides)
+  return overrides
+}
+
 /**
  * Progress tracking utility for encoding/decoding operations
  *
@@ -147,7 +434,8 @@ class ProgressTracker {
   /**
    * Create a progress tracker
    *
-   * @param {number} frameCount - Total number of frames to process
+   * @param {number|null} frameCount - Total number of frames to process, or
+   *   null when the input length is unknown
    * @param {string} operation - Operation name ('Encoding' or 'Decoding')
    * @param {boolean} [quiet=false] - Suppress progress display
    */
@@ -158,14 +446,16 @@ class ProgressTracker {
     this.frameCount = 0
 
     if (!quiet) {
+      // cli-progress renders to stderr, leaving stdout free for piped output
+      const format =
+        frameCount === null
+          ? `${operation} | {value} frames | {elapsed} | RT: {speed}x`
+          : `${operation} |{bar}| {percentage}% | {value}/{total} frames | {elapsed}/{remaining} | RT: {speed}x`
       this.bar = new cliProgress.SingleBar(
-        {
-          autopadding: true,
-          format: `${operation} |{bar}| {percentage}% | {value}/{total} frames | {elapsed}/{remaining} | RT: {speed}x`,
-        },
+        { autopadding: true, format },
         cliProgress.Presets.rect
       )
-      this.bar.start(frameCount, 0)
+      this.bar.start(frameCount ?? 0, 0)
     }
   }
 
@@ -180,7 +470,8 @@ class ProgressTracker {
       const elapsed = (performance.now() - this.startTime) / 1000
       const audioProcessed = (this.frameCount * SAMPLES_PER_FRAME) / sampleRate
       const rtSpeed = elapsed > 0 ? audioProcessed / elapsed : 0
-      const progress = this.frameCount / this.totalFrames
+      const progress =
+        this.totalFrames === null ? 0 : this.frameCount / this.totalFrames
       const estimatedTotal = progress > 0 ? elapsed / progress : 0
       const remaining = Math.max(0, estimatedTotal - elapsed)
 
@@ -203,231 +494,149 @@ class ProgressTracker {
 }
 
 /**
- * WAV file reader with streaming support
+ * Open a WAV input and check that the codec can take it
  *
- * Provides async iteration over WAV file frames for memory-efficient
- * processing of large audio files. Automatically handles:
- * - Multi-channel deinterleaving
- * - Bit depth conversion to float32
- * - Frame padding for the last partial frame
- *
- * @class
+ * @param {string} inputFile - Path to the WAV file, or "-" for stdin
+ * @param {string|false} resampleQuality - Resampler preset, or false when
+ *   resampling is disabled
+ * @returns {Promise<WavReader>} Reader with metadata loaded
+ * @throws {Error} If the file is not a supported WAV file
  */
-class WavReader {
-  /**
-   * Create a WAV file reader
-   *
-   * @param {string} filePath - Path to the WAV file
-   */
-  constructor(filePath) {
-    this.filePath = filePath
-    this.channels = -1
-    this.sampleRate = -1
-    this.bitDepth = -1
-    this.totalSamples = -1
-    this.duration = -1
-  }
-
-  /**
-   * Load WAV file metadata without reading audio data
-   *
-   * Parses the WAV header to extract format information and calculates
-   * total duration based on file size.
-   *
-   * @returns {Promise<void>} Resolves when metadata is loaded
-   * @throws {Error} If file cannot be read or has invalid format
-   */
-  async loadMetadata() {
-    const stream = fs.createReadStream(this.filePath)
-    const reader = new wav.Reader()
-    stream.pipe(reader)
-
-    return new Promise((resolve, reject) => {
-      reader.on('format', (format) => {
-        this.channels = format.channels
-        this.sampleRate = format.sampleRate
-        this.bitDepth = format.bitDepth
-
-        const fileStats = fs.statSync(this.filePath)
-        const wavHeaderSize = 44
-        const dataSize = fileStats.size - wavHeaderSize
-        const bytesPerSample = this.bitDepth / 8
-
-        if (this.channels > 0 && bytesPerSample > 0) {
-          const totalChannelSamples = dataSize / bytesPerSample
-          this.totalSamples = Math.floor(totalChannelSamples / this.channels)
-          this.duration = this.totalSamples / this.sampleRate
-        }
-
-        if (this.sampleRate !== SAMPLE_RATE) {
-          console.log(
-            `Warning: Input sample rate ${this.sampleRate}Hz, expected ${SAMPLE_RATE}Hz`
-          )
-        }
+async function openWavInput(inputFile, resampleQuality) {
+  const reader = new WavReader(inputSource(inputFile))
+  await reader.loadMetadata()
 
-        stream.destroy()
-        resolve()
-      })
-      reader.on('error', reject)
-      stream.on('error', reject)
-    })
+  if (reader.sampleRate !== SAMPLE_RATE && resampleQuality === false) {
+    console.error(
+      `Warning: Input sample rate ${reader.sampleRate}Hz, expected ${SAMPLE_RATE}Hz (resampling disabled)`
+    )
   }
 
-  /**
-   * Async iterator for streaming WAV file frames
-   *
-   * @param {number} [frameSize=SAMPLES_PER_FRAME] - Samples per frame
-   * @yields {Float32Array|Array<Float32Array>} Audio frame data
-   *   - Mono: Float32Array of samples
-   *   - Stereo: [left, right] Float32Arrays
-   */
-  async *[Symbol.asyncIterator](frameSize = SAMPLES_PER_FRAME) {
-    const fileStream = fs.createReadStream(this.filePath)
-    const wavReader = new wav.Reader()
-    fileStream.pipe(wavReader)
-
-    let pcmQueue = []
-    let streamEnded = false
-    let streamError = null
-    let resolveDataPromise = null
-
-    wavReader.on('data', (chunk) => {
-      pcmQueue.push(chunk)
-      if (resolveDataPromise) {
-        resolveDataPromise()
-        resolveDataPromise = null
-      }
-    })
-
-    wavReader.on('end', () => {
-      streamEnded = true
-      if (resolveDataPromise) {
-        resolveDataPromise()
-        resolveDataPromise = null
-      }
-    })
-
-    wavReader.on('error', (err) => {
-      streamError = err
-      if (resolveDataPromise) {
-        resolveDataPromise()
-        resolveDataPromise = null
-      }
-    })
-
-    let buffer = Buffer.alloc(0)
-    const bytesPerSample = this.bitDepth / 8
-    const frameByteSize = frameSize * this.channels * bytesPerSample
-
-    while (true) {
-      if (streamError) throw streamError
+  return reader
+}
 
-      while (pcmQueue.length > 0) {
-        buffer = Buffer.concat([buffer, ...pcmQueue])
-        pcmQueue = []
-      }
+/**
+ * Validate the --resample option
+ *
+ * @param {string|boolean} quality - Preset name, or false for --no-resample
+ * @returns {string|false} Preset name, or false when resampling is disabled
+ * @throws {Error} If the preset is unknown
+ */
+function validateResample(quality) {
+  if (quality === false) return false
+  if (!RESAMPLER_PRESETS[quality]) {
+    throw new Error(
+      `Invalid resampler quality "${quality}", expected one of: ${Object.keys(
+        RESAMPLER_PRESETS
+      ).join(', ')}`
+    )
+  }
+  return quality
+}
 
-      while (buffer.length >= frameByteSize) {
-        const frameBuffer = buffer.slice(0, frameByteSize)
-        buffer = buffer.slice(frameByteSize)
-        yield this._processFrameBuffer(frameBuffer, frameSize)
-      }
+/**
+ * Validate the --jobs option
+ *
+ * @param {string} jobs - Number of encoder threads
+ * @returns {Object} Validation result
+ * @returns {boolean} returns.valid - Whether the job count is valid
+ * @returns {number} [returns.jobs] - Number of encoder threads
+ * @returns {string} [returns.error] - Error message if invalid
+ */
+function validateJobs(jobs) {
+  if (!/^\d+$/.test(jobs) || parseInt(jobs, 10) < 1) {
+    return {
+      valid: false,
+      error: `Jobs must be a positive whole number, got "${jobs}"`,
+    }
+  }
+  return { valid: true, jobs: parseInt(jobs, 10) }
+}
 
-      if (streamEnded && pcmQueue.length === 0) {
-        if (buffer.length > 0) {
-          const paddedFrame = Buffer.concat([
-            buffer,
-            Buffer.alloc(frameByteSize - buffer.length),
-          ])
-          yield this._processFrameBuffer(paddedFrame, frameSize)
-        }
-        break
-      }
+/**
+ * Validate a cut position
+ *
+ * A position is a frame index with an "f" suffix ("120f"), seconds ("90.5")
+ * or minutes and seconds ("1:30.5").
+ *
+ * @param {string} position - Position to validate
+ * @returns {Object} Validation result
+ * @returns {boolean} returns.valid - Whether the position is valid
+ * @returns {Object} [returns.position] - `{ frame }` or `{ seconds }`
+ * @returns {string} [returns.error] - Error message if invalid
+ */
+function validatePosition(position) {
+  const frame = /^(\d+)f$/.exec(position)
+  if (frame) {
+    return { valid: true, position: { frame: parseInt(frame[1], 10) } }
+  }
 
-      if (!streamEnded) {
-        await new Promise((resolve) => {
-          resolveDataPromise = resolve
-          if (pcmQueue.length > 0 || streamEnded) {
-            resolveDataPromise = null
-            resolve()
-          }
-        })
-      }
+  const time = /^(?:(\d+):)?(\d+(?:\.\d+)?)$/.exec(position)
+  if (!time || (time[1] !== undefined && parseFloat(time[2]) >= 60)) {
+    return {
+      valid: false,
+      error: `Position must be seconds, minutes:seconds or a frame such as 120f, got "${position}"`,
     }
   }
 
-  /**
-   * Process raw PCM buffer into float32 frame data
-   *
-   * @private
-   * @param {Buffer} frameBuffer - Raw PCM data
-   * @param {number} frameSize - Number of samples per channel
-   * @returns {Float32Array|Array<Float32Array>} Processed frame data
-   */
-  _processFrameBuffer(frameBuffer, frameSize) {
-    if (this.channels === 1) {
-      const frame = new Float32Array(frameSize)
-      for (let i = 0; i < frameSize; i++) {
-        frame[i] = this._sampleToFloat(frameBuffer, i * (this.bitDepth / 8))
-      }
-      return frame
-    } else {
-      const left = new Float32Array(frameSize)
-      const right = new Float32Array(frameSize)
-      for (let i = 0; i < frameSize; i++) {
-        const offset = i * this.channels * (this.bitDepth / 8)
-        left[i] = this._sampleToFloat(frameBuffer, offset)
-        right[i] = this._sampleToFloat(frameBuffer, offset + this.bitDepth / 8)
-      }
-      return [left, right]
-    }
+  const minutes = time[1] === undefined ? 0 : parseInt(time[1], 10)
+  return {
+    valid: true,
+    position: { seconds: minutes * 60 + parseFloat(time[2]) },
   }
+}
 
-  /**
-   * Convert PCM sample to normalized float32 value
-   *
-   * @private
-   * @param {Buffer} buffer - PCM data buffer
-   * @param {number} offset - Byte offset to sample
-   * @returns {number} Normalized float value [-1.0, 1.0]
-   */
-  _sampleToFloat(buffer, offset) {
-    if (this.bitDepth === 16) return buffer.readInt16LE(offset) / 32768.0
-    if (this.bitDepth === 24) {
-      let s =
-        buffer[offset] | (buffer[offset + 1] << 8) | (buffer[offset + 2] << 16)
-      if (s > 0x7fffff) s -= 0x1000000
-      return s / 8388608.0
-    }
-    if (this.bitDepth === 32) return buffer.readInt32LE(offset) / 2147483648.0
-    return 0
+/**
+ * Print a warning for each splice point of an edit
+ *
+ * @param {Array<Object>} splicePoints - Splice points from cutAea or concatAea
+ */
+function warnSplicePoints(splicePoints) {
+  for (const { frame, seconds, input } of splicePoints) {
+    console.error(
+      `Warning: ${input} starts at frame ${frame} (${seconds.toFixed(
+        3
+      )}s) after a frame that is not silent; the decoder's overlap state is discontinuous there`
+    )
   }
 }
 
 /**
  * Encode WAV file to ATRAC1 AEA format
  *
- * Performs streaming encoding with real-time progress tracking.
- * Automatically detects mono/stereo format and applies appropriate
- * compression settings.
+ * Performs streaming encoding with real-time progress tracking, writing each
+ * frame to the output file as it is encoded. Mono and stereo input is encoded
+ * as is; --channels and --downmix reduce other layouts to one or two
+ * channels.
  *
- * @param {string} inputFile - Path to input WAV file
- * @param {string} outputFile - Path to output AEA file
+ * @param {string} inputFile - Path to input WAV file, or "-" for stdin
+ * @param {string} outputFile - Path to output AEA file, or "-" for stdout
  * @param {Object} options - CLI options
  * @param {boolean} options.quiet - Suppress progress output
  * @param {string} [options.title] - Custom title for AEA file metadata
+ * @param {string} [options.overrides] - Path to a block mode overrides JSON file
+ * @param {string} [options.jobs] - Worker threads for segmented encoding
+ * @param {string|boolean} options.resample - Resampler preset for
+ *   non-44.1 kHz input, or false to encode the samples unchanged
+ * @param {string} [options.channels] - 1-based input channels to encode
+ * @param {string} [options.downmix] - Downmix preset or inline matrix
  * @returns {Promise<void>} Resolves when encoding is complete
  * @throws {Error} If input file has unsupported format
  */
 async function encodeFile(inputFile, outputFile, options) {
-  const reader = new WavReader(inputFile)
-  await reader.loadMetadata()
-
-  if (reader.channels !== 1 && reader.channels !== 2) {
-    throw new Error(`Unsupported channel count: ${reader.channels}`)
-  }
-
-  const frameCount = Math.ceil(reader.totalSamples / SAMPLES_PER_FRAME)
+  const resampleQuality = validateResample(options.resample)
+  const reader = await openWavInput(inputFile, resampleQuality)
+  const { mix, channelCount } = resolveChannelMix(reader.channels, options)
+
+  // Resampled input is counted at the codec rate
+  const resampling =
+    reader.sampleRate !== SAMPLE_RATE && resampleQuality !== false
+  const sampleCount =
+    reader.totalSamples !== null && resampling
+      ? resampledLength(reader.totalSamples, reader.sampleRate)
+      : reader.totalSamples
+  const frameCount =
+    sampleCount === null ? null : Math.ceil(sampleCount / SAMPLES_PER_FRAME)
 
   // Validate title if provided
   if (options.title) {
@@ -437,94 +646,140 @@ async function encodeFile(inputFile, outputFile, options) {
     }
   }
 
-  // Validate modes if provided
-  let fixedBlockModes = null
-  if (options.modes) {
-    const validation = validateModes(options.modes)
+  const encoderOptions = await createEncoderOptions(options)
+
+  let jobs = null
+  if (options.jobs !== undefined) {
+    const validation = validateJobs(options.jobs)
     if (!validation.valid) {
       throw new Error(validation.error)
     }
-    fixedBlockModes = validation.modes
+    jobs = validation.jobs
   }
 
   if (!options.quiet) {
-    const bitrate = Math.round((BITRATE_PER_CHANNEL * reader.channels) / 1000)
-    console.log(
+    const bitrate = Math.round((BITRATE_PER_CHANNEL * channelCount) / 1000)
+    console.error(
       `${inputFile} (WAV ${reader.sampleRate}Hz ${
         reader.channels
-      }ch ${formatTime(reader.duration)}) → ` +
-        `${outputFile} (AEA ${bitrate}kbps)`
+      }ch${formatDuration(reader.duration)}) → ` +
+        `${outputFile} (AEA ${channelCount}ch ${bitrate}kbps${
+          resampling ? `, resampled to ${SAMPLE_RATE}Hz` : ''
+        })`
     )
   }
 
   const progress = new ProgressTracker(frameCount, 'Encoding', options.quiet)
+  let phaseReport = null
 
   try {
     const onProgress = () => {
-      progress.update(reader.sampleRate)
-    }
-
-    // Create encoder options with spectrum focus if provided
-    const encoderOptions = new EncoderOptions()
-    if (options.bias !== undefined) {
-      encoderOptions.setValue('allocationBias', options.bias)
-    }
-    if (fixedBlockModes) {
-      encoderOptions.setValue('fixedBlockModes', fixedBlockModes)
+      progress.update(resampling ? SAMPLE_RATE : reader.sampleRate)
     }
 
-    const encodedFrames = AudioProcessor.encodeStream(reader, {
+    const streamOptions = {
       channelCount: reader.channels,
+      ...mix,
+      onPhaseWarning: (report) => {
+        phaseReport = report
+      },
       onProgress,
       encoderOptions,
-    })
+      sampleCount: reader.totalSamples,
+      sampleRate: reader.sampleRate,
+      resample: resampleQuality,
+    }
 
-    const title = options.title || path.basename(outputFile, '.aea')
-    const blob = await AudioProcessor.createAeaBlob(encodedFrames, {
+    // Frames go straight to the output so memory stays flat for long inputs
+    const title =
+      options.title ||
+      (outputFile === STDIO_PATH
+        ? undefined
+        : path.basename(outputFile, '.aea'))
+    const writer = new AeaWriter(await openOutput(outputFile), {
       title,
-      channelCount: reader.channels,
+      channelCount,
+      sampleCount,
     })
-
-    const buffer = await blob.arrayBuffer()
-    await fs.promises.writeFile(outputFile, new Uint8Array(buffer))
+    try {
+      if (jobs === null) {
+        await writer.writeFrames(
+          AudioProcessor.encodeStream(reader, streamOptions)
+        )
+      } else {
+        await writer.writeUnits(
+          encodeStreamParallel(reader, { ...streamOptions, jobs })
+        )
+      }
+    } finally {
+      await writer.close()
+    }
   } finally {
     progress.stop()
   }
+
+  if (phaseReport) {
+    console.error(
+      `Warning: The downmixed channels are out of phase in ${
+        phaseReport.outOfPhaseFrames
+      } of ${phaseReport.frameCount} frames (correlation ${phaseReport.correlation.toFixed(
+        2
+      )}), so the mono downmix cancels them; use --channels to encode one channel instead`
+    )
+  }
 }
 
 /**
  * Decode ATRAC1 AEA file to WAV format
  *
  * Performs streaming decoding with real-time progress tracking.
- * Reconstructs PCM audio from compressed ATRAC1 format.
+ * Reconstructs PCM audio from compressed ATRAC1 format and writes each frame
+ * to the WAV file as it is decoded.
  *
- * @param {string} inputFile - Path to input AEA file
- * @param {string} outputFile - Path to output WAV file
+ * @param {string} inputFile - Path to input AEA file, or "-" for stdin
+ * @param {string} outputFile - Path to output WAV file, or "-" for stdout
  * @param {Object} options - CLI options
  * @param {boolean} options.quiet - Suppress progress output
+ * @param {string} options.bitDepth - WAV bit depth: 16, 24, 32 or 32f
+ * @param {boolean} [options.dither] - Add TPDF dither to 16-bit output
+ * @param {boolean} [options.noiseShaping] - Noise-shape 16-bit output
  * @returns {Promise<void>} Resolves when decoding is complete
  * @throws {Error} If input file is invalid or corrupted
  */
 async function decodeFile(inputFile, outputFile, options) {
-  const reader = new AeaReader(inputFile)
+  const validation = validateBitDepth(options.bitDepth)
+  if (!validation.valid) {
+    throw new Error(validation.error)
+  }
+  const { bitDepth } = validation
+  if ((options.dither || options.noiseShaping) && bitDepth !== 16) {
+    throw new Error('--dither and --noise-shaping require --bit-depth 16')
+  }
+
+  const reader = new AeaReader(inputSource(inputFile))
   await reader.loadMetadata()
   const { metadata } = reader
 
   const outputFrames = Math.floor(metadata.frameCount / metadata.channelCount)
-  const duration = (outputFrames * SAMPLES_PER_FRAME) / SAMPLE_RATE
+  const duration =
+    (metadata.sampleCount ?? outputFrames * SAMPLES_PER_FRAME) / SAMPLE_RATE
 
   if (!options.quiet) {
     const bitrate = Math.round(
       (BITRATE_PER_CHANNEL * metadata.channelCount) / 1000
     )
-    console.log(
+    console.error(
       `${inputFile} (AEA ${bitrate}kbps ${metadata.channelCount}ch ${formatTime(
         duration
-      )}) → ` + `${outputFile} (WAV ${SAMPLE_RATE}Hz)`
+      )}) → ` +
+        `${outputFile} (WAV ${SAMPLE_RATE}Hz ${
+          bitDepth === '32f' ? '32-bit float' : `${bitDepth}-bit`
+        })`
     )
   }
 
   const progress = new ProgressTracker(outputFrames, 'Decoding', options.quiet)
+  let writer
 
   try {
     const onProgress = () => {
@@ -534,20 +789,46 @@ async function decodeFile(inputFile, outputFile, options) {
     const decodedFrames = AudioProcessor.decodeStream(reader, {
       channelCount: metadata.channelCount,
       onProgress,
+      sampleCount: metadata.sampleCount,
+      delay: metadata.delay,
     })
 
-    const pcmFrames = await AudioProcessor.collectFrames(decodedFrames)
-    const wavBlob = AudioProcessor.createWavBlob(
-      pcmFrames,
-      metadata.channelCount,
-      SAMPLE_RATE
-    )
-
-    const buffer = await wavBlob.arrayBuffer()
-    await fs.promises.writeFile(outputFile, new Uint8Array(buffer))
+    writer = new WavWriter(await openOutput(outputFile), {
+      channelCount: metadata.channelCount,
+      sampleRate: SAMPLE_RATE,
+      sampleCount: metadata.sampleCount,
+      bitDepth,
+      dither: Boolean(options.dither),
+      noiseShaping: Boolean(options.noiseShaping),
+    })
+    try {
+      await writer.writeFrames(decodedFrames)
+    } finally {
+      await writer.close()
+    }
   } finally {
     progress.stop()
   }
+
+  if (writer.clipCount > 0) {
+    console.error(
+      `Warning: ${writer.clipCount} samples clipped (peak ${(
+        20 * Math.log10(writer.peak)
+      ).toFixed(1)} dBFS); use --bit-depth 32f to keep them`
+    )
+  }
+}
+
+/**
+ * Convert a frame's quantized coefficients to plain arrays for JSON output
+ *
+ * @param {Object} frame - Deserialized frame
+ * @returns {Array<Array<number>|null>} Coefficients per BFU
+ */
+function coefficientArrays(frame) {
+  return frame.quantizedCoefficients.map((coeffs) =>
+    coeffs ? Array.from(coeffs) : null
+  )
 }
 
 /**
@@ -557,47 +838,38 @@ async function decodeFile(inputFile, outputFile, options) {
  * for inspection and analysis. Includes header info, frame structure,
  * and statistical analysis.
  *
- * @param {string} inputFile - Path to input AEA file
- * @param {string} outputFile - Path to output JSON file
+ * @param {string} inputFile - Path to input AEA file, or "-" for stdin
+ * @param {string} outputFile - Path to output JSON file, or "-" for stdout
  * @param {Object} options - CLI options
  * @param {boolean} options.quiet - Suppress progress output
  * @returns {Promise<void>} Resolves when dump is complete
  * @throws {Error} If input file is invalid or cannot be read
  */
 async function dumpFile(inputFile, outputFile, options) {
-  const stats = fs.statSync(inputFile)
-
   if (!options.quiet) {
-    console.log(`${inputFile} (AEA) → ${outputFile} (JSON)`)
+    console.error(`${inputFile} (AEA) → ${outputFile} (JSON)`)
   }
 
-  const handle = await fs.promises.open(inputFile, 'r')
-  const headerBuffer = Buffer.alloc(AEA_HEADER_SIZE)
-  await handle.read(headerBuffer, 0, AEA_HEADER_SIZE, 0)
-
-  let metadata
+  const reader = new AeaReader(inputSource(inputFile))
   try {
-    metadata = AeaFile.parseHeader(headerBuffer)
+    await reader.loadMetadata()
   } catch (err) {
     throw new Error(`Invalid AEA header: ${err.message}`)
   }
+  const { metadata, header } = reader
 
-  const frameCount = Math.floor(
-    (stats.size - AEA_HEADER_SIZE) / SOUND_UNIT_SIZE
-  )
+  // Streams have no size up front, so the progress total comes from the header
+  const frameCount =
+    inputFile === STDIO_PATH
+      ? metadata.frameCount
+      : Math.floor(
+          (fs.statSync(inputFile).size - AEA_HEADER_SIZE) / SOUND_UNIT_SIZE
+        )
 
   const dump = {
-    file: {
-      path: inputFile,
-      size: stats.size,
-      headerSize: AEA_HEADER_SIZE,
-      dataSize: stats.size - AEA_HEADER_SIZE,
-      expectedDataSize: frameCount * SOUND_UNIT_SIZE,
-      sizeDifference:
-        stats.size - AEA_HEADER_SIZE - frameCount * SOUND_UNIT_SIZE,
-    },
+    file: null,
     header: {
-      magic: Array.from(headerBuffer.slice(0, 4))
+      magic: Array.from(header.slice(0, 4))
         .map((b) => b.toString(16).padStart(2, '0'))
         .join(' '),
       title: metadata.title,
@@ -605,6 +877,8 @@ async function dumpFile(inputFile, outputFile, options) {
       channelCount: metadata.channelCount,
       framesPerChannel: metadata.frameCount / metadata.channelCount,
       duration: ((metadata.frameCount / metadata.channelCount) * 512) / 44100,
+      sampleCount: metadata.sampleCount,
+      delay: metadata.delay,
     },
     frames: [],
   }
@@ -613,10 +887,9 @@ async function dumpFile(inputFile, outputFile, options) {
 
   try {
     let offset = AEA_HEADER_SIZE
-    for (let i = 0; i < frameCount; i++) {
-      const frameBuffer = Buffer.alloc(SOUND_UNIT_SIZE)
-      await handle.read(frameBuffer, 0, SOUND_UNIT_SIZE, offset)
-
+    let i = 0
+    let lastFrame = null
+    for await (const frameBuffer of reader.units()) {
       try {
         const frame = deserializeFrame(frameBuffer)
         const frameInfo = {
@@ -634,15 +907,15 @@ async function dumpFile(inputFile, outputFile, options) {
           ),
         }
 
-        // Include full coefficient data for first few frames only
-        if (i < 3 || i === frameCount - 1) {
-          frameInfo.quantizedCoefficients = frame.quantizedCoefficients.map(
-            (coeffs) => (coeffs ? Array.from(coeffs) : null)
-          )
+        // Include full coefficient data for first few frames and the last
+        if (i < 3) {
+          frameInfo.quantizedCoefficients = coefficientArrays(frame)
         }
+        lastFrame = { frameInfo, frame }
 
         dump.frames.push(frameInfo)
       } catch (err) {
+        lastFrame = null
         dump.frames.push({
           index: i,
           offset: offset,
@@ -653,10 +926,26 @@ async function dumpFile(inputFile, outputFile, options) {
 
       progress.update(SAMPLE_RATE)
       offset += SOUND_UNIT_SIZE
+      i++
+    }
+
+    if (lastFrame) {
+      lastFrame.frameInfo.quantizedCoefficients = coefficientArrays(
+        lastFrame.frame
+      )
     }
   } finally {
     progress.stop()
-    await handle.close()
+  }
+
+  const dataSize = dump.frames.length * SOUND_UNIT_SIZE + reader.trailingBytes
+  dump.file = {
+    path: inputFile,
+    size: AEA_HEADER_SIZE + dataSize,
+    headerSize: AEA_HEADER_SIZE,
+    dataSize,
+    expectedDataSize: dump.frames.length * SOUND_UNIT_SIZE,
+    sizeDifference: reader.trailingBytes,
   }
 
   // Add summary statistics
@@ -673,7 +962,370 @@ async function dumpFile(inputFile, outputFile, options) {
   }
 
   const jsonOutput = JSON.stringify(dump, null, 2)
-  await fs.promises.writeFile(outputFile, jsonOutput)
+  if (outputFile === STDIO_PATH) {
+    process.stdout.write(jsonOutput + '\n')
+  } else {
+    await fs.promises.writeFile(outputFile, jsonOutput)
+  }
+}
+
+/**
+ * Cut part of an AEA file without re-encoding
+ *
+ * @param {string} inputFile - Path to input AEA file
+ * @param {string} outputFile - Path to output AEA file, or "-" for stdout
+ * @param {Object} options - CLI options
+ * @param {boolean} options.quiet - Suppress normal output
+ * @param {string} [options.start] - Start position; the start of the audio
+ *   by default
+ * @param {string} [options.end] - End position; the end of the audio by
+ *   default
+ * @param {string} [options.title] - Title of the output file
+ * @returns {Promise<void>} Resolves when the cut is written
+ * @throws {Error} If a position or the title is invalid
+ */
+async function cutFile(inputFile, outputFile, options) {
+  const range = {}
+  for (const key of ['start', 'end']) {
+    if (options[key] === undefined) continue
+    const validation = validatePosition(options[key])
+    if (!validation.valid) {
+      throw new Error(validation.error)
+    }
+    range[key] = validation.position
+  }
+  const validation = validateTitle(options.title)
+  if (!validation.valid) {
+    throw new Error(validation.error)
+  }
+
+  const result = await cutAea(inputFile, () => openOutput(outputFile), {
+    ...range,
+    title: options.title,
+  })
+
+  if (!options.quiet) {
+    console.error(
+      `${inputFile} (AEA) → ${outputFile} (AEA ${result.frameCount} frames${formatDuration(
+        result.sampleCount / SAMPLE_RATE
+      )})`
+    )
+  }
+  warnSplicePoints(result.splicePoints)
+}
+
+/**
+ * Concatenate AEA files without re-encoding
+ *
+ * @param {Array<string>} inputFiles - Paths to the input AEA files
+ * @param {string} outputFile - Path to output AEA file, or "-" for stdout
+ * @param {Object} options - CLI options
+ * @param {boolean} options.quiet - Suppress normal output
+ * @param {string} [options.title] - Title of the output file
+ * @returns {Promise<void>} Resolves when the output is written
+ * @throws {Error} If the channel counts differ or the title is invalid
+ */
+async function concatFiles(inputFiles, outputFile, options) {
+  const validation = validateTitle(options.title)
+  if (!validation.valid) {
+    throw new Error(validation.error)
+  }
+
+  const result = await concatAea(inputFiles, () => openOutput(outputFile), {
+    title: options.title,
+  })
+
+  if (!options.quiet) {
+    console.error(
+      `${inputFiles.join(' + ')} (AEA) → ${outputFile} (AEA ${result.frameCount} frames${formatDuration(
+        result.sampleCount / SAMPLE_RATE
+      )})`
+    )
+  }
+  warnSplicePoints(result.splicePoints)
+}
+
+/**
+ * Output path of one split track
+ *
+ * "{n}" in the template is replaced by the two-digit track number; without
+ * it, the number is inserted before the extension: "side.aea" becomes
+ * "side-01.aea".
+ *
+ * @param {string} template - Output path template
+ * @param {number} number - Track number
+ * @returns {string} Track output path
+ */
+function trackPath(template, number) {
+  const digits = String(number).padStart(2, '0')
+  if (template.includes('{n}')) return template.replaceAll('{n}', digits)
+  const extension = path.extname(template)
+  return `${template.slice(0, template.length - extension.length)}-${digits}${extension}`
+}
+
+/**
+ * Split an AEA file into tracks without re-encoding
+ *
+ * Track starts come from a cue sheet (--cue) or from a list of split points
+ * (--at); the first track starts with the audio unless the list begins at
+ * zero.
+ *
+ * @param {string} inputFile - Path to input AEA file
+ * @param {string} outputTemplate - Output path template for trackPath()
+ * @param {Object} options - CLI options
+ * @param {boolean} options.quiet - Suppress normal output
+ * @param {boolean} options.force - Overwrite existing track files
+ * @param {string} [options.cue] - Path to a cue sheet
+ * @param {string} [options.at] - Comma-separated split positions
+ * @returns {Promise<void>} Resolves when every track is written
+ * @throws {Error} If the track list is missing or invalid, or a track file
+ *   exists
+ */
+async function splitFile(inputFile, outputTemplate, options) {
+  if (Boolean(options.cue) === Boolean(options.at)) {
+    throw new Error('--split needs either --cue or --at')
+  }
+  if (outputTemplate === STDIO_PATH) {
+    throw new Error('--split writes one file per track and cannot use stdout')
+  }
+
+  let tracks
+  if (options.cue) {
+    tracks = parseCueSheet(
+      await fs.promises.readFile(options.cue, 'utf8')
+    ).tracks
+  } else {
+    const points = options.at.split(',').map((point) => {
+      const validation = validatePosition(point.trim())
+      if (!validation.valid) {
+        throw new Error(validation.error)
+      }
+      return validation.position
+    })
+    const startsAtZero = points[0].seconds === 0 || points[0].frame === 0
+    tracks = (startsAtZero ? points : [{ seconds: 0 }, ...points]).map(
+      (start, i) => ({ number: i + 1, title: null, start })
+    )
+  }
+
+  const paths = tracks.map((track, i) =>
+    trackPath(outputTemplate, track.number ?? i + 1)
+  )
+  const existing = paths.find((file) => fs.existsSync(file))
+  if (existing && !options.force) {
+    throw new Error(
+      `Output file '${existing}' already exists. Use --force to overwrite.`
+    )
+  }
+
+  const results = await splitAea(inputFile, tracks, (track, i) =>
+    openOutput(paths[i])
+  )
+
+  results.forEach((result, i) => {
+    if (!options.quiet) {
+      console.error(
+        `${inputFile} (AEA) → ${paths[i]} (AEA "${result.title}" ${result.frameCount} frames${formatDuration(
+          result.sampleCount / SAMPLE_RATE
+        )})`
+      )
+    }
+    warnSplicePoints(
+      result.splicePoints.map((splice) => ({ ...splice, input: paths[i] }))
+    )
+  })
+}
+
+/**
+ * Describe where a verification problem is
+ *
+ * @param {Object} problem - Problem from verifyAea
+ * @param {number} channelCount - Channels in the file
+ * @returns {string} Location prefix, or '' for file-level problems
+ */
+function problemLocation(problem, channelCount) {
+  if (problem.unit === undefined) return ''
+  const channel =
+    channelCount === 2 ? ` ${problem.channel === 0 ? 'left' : 'right'}` : ''
+  return `frame ${problem.frame}${channel} (sound unit ${problem.unit}): `
+}
+
+/**
+ * Verify the structure of an AEA file, optionally writing a repaired copy
+ *
+ * Lists every structural problem on stdout. With --repair, header counts,
+ * partial sound units and a missing last right channel unit are fixed in
+ * the output file.
+ *
+ * @param {string} inputFile - Path to input AEA file, or "-" for stdin
+ * @param {string} [outputFile] - Repaired AEA path, required with --repair
+ * @param {Object} options - CLI options
+ * @param {boolean} options.quiet - Suppress the summary
+ * @param {boolean} [options.repair] - Write a repaired copy
+ * @returns {Promise<boolean>} True if the file, or its repaired copy, has
+ *   no structural problems left
+ * @throws {Error} If --repair is used without a separate output file
+ */
+async function verifyFile(inputFile, outputFile, options) {
+  if (options.repair) {
+    if (!outputFile || outputFile === inputFile) {
+      throw new Error('--repair needs an output path other than the input')
+    }
+    if (inputFile === STDIO_PATH) {
+      throw new Error('--repair reads the input twice and cannot use stdin')
+    }
+  } else if (outputFile) {
+    throw new Error('--verify only writes a file with --repair')
+  }
+
+  const report = await verifyAea(inputSource(inputFile))
+  const channelCount = report.metadata?.channelCount
+  for (const problem of report.problems) {
+    console.log(
+      `${inputFile}: ${problemLocation(problem, channelCount)}${problem.message}`
+    )
+  }
+
+  let remaining = report.problems.length
+  if (options.repair) {
+    const { frameCount, fixed } = await repairAea(
+      inputFile,
+      await openOutput(outputFile)
+    )
+    remaining -= fixed.length
+    if (!options.quiet) {
+      console.error(
+        `${inputFile} (AEA) → ${outputFile} (AEA ${frameCount} frames): fixed ${fixed.length} of ${report.problems.length} problems`
+      )
+    }
+  } else if (!options.quiet) {
+    console.error(
+      report.valid
+        ? `${inputFile}: OK, ${report.unitCount} sound units`
+        : `${inputFile}: ${report.problems.length} problems`
+    )
+  }
+  return remaining === 0
+}
+
+/**
+ * Compare a source WAV file with the decoded output of an AEA file
+ *
+ * Decodes the AEA file, compensates for the codec delay and writes an
+ * objective quality report as JSON.
+ *
+ * @param {string} sourceFile - Path to the source WAV file
+ * @param {string} aeaFile - Path to the encoded AEA file
+ * @param {string} [reportFile] - Path to the JSON report, or stdout if
+ *   omitted or "-"
+ * @param {Object} options - CLI options
+ * @param {boolean} options.quiet - Suppress progress output
+ * @param {string|boolean} options.resample - Resampler preset applied to
+ *   non-44.1 kHz source audio, or false
+ * @param {string} [options.channels] - 1-based source channels to compare
+ * @param {string} [options.downmix] - Downmix preset or inline matrix
+ * @returns {Promise<void>} Resolves when the report is written
+ * @throws {Error} If the channel counts differ or no samples overlap
+ */
+async function compareFile(sourceFile, aeaFile, reportFile, options) {
+  if (!options.quiet && reportFile) {
+    console.error(
+      `${sourceFile} (WAV) ↔ ${aeaFile} (AEA) → ${reportFile} (JSON)`
+    )
+  }
+
+  // Compare the channels at the codec rate, as the encoder saw the source
+  const source = await readSourceChannels(sourceFile, options)
+
+  // Files without a stored sample count keep the codec delay in front
+  let delay
+  const decoded = await decodeAeaPcm(await fs.promises.readFile(aeaFile), {
+    onTiming: (timing) => {
+      delay = timing.delay
+    },
+  })
+  const report = {
+    source: sourceFile,
+    encoded: aeaFile,
+    ...compareAudio(source, decoded, { delay }),
+  }
+
+  const jsonOutput = JSON.stringify(report, null, 2)
+  if (reportFile && reportFile !== STDIO_PATH) {
+    await fs.promises.writeFile(reportFile, jsonOutput)
+  } else {
+    process.stdout.write(jsonOutput + '\n')
+  }
+}
+
+/**
+ * Benchmark encoding and decoding and write the results as JSON to stdout
+ *
+ * Without input files, ten seconds of each built-in synthetic signal are
+ * coded. WAV files are read whole and coded as the encoder sees them, after
+ * channel selection, downmix and resampling. The report records the
+ * environment and encoder options so runs can be compared.
+ *
+ * @param {Array<string>} inputFiles - WAV files to benchmark, may be empty
+ * @param {Object} options - CLI options
+ * @param {boolean} options.quiet - Suppress the per-source summary
+ * @returns {Promise<void>} Resolves when the report is written
+ * @throws {Error} If an input file or encoder option is invalid
+ */
+async function benchFiles(inputFiles, options) {
+  const encoderOptions = await createEncoderOptions(options)
+  const sources =
+    inputFiles.length > 0
+      ? inputFiles.map((file) => ({
+          name: file,
+          load: () => readSourceChannels(file, options),
+        }))
+      : Object.entries(BENCH_SIGNALS).map(([name, create]) => ({
+          name,
+          load: async () => [create(SAMPLE_RATE * BENCH_SECONDS)],
+        }))
+
+  const results = []
+  for (const { name, load } of sources) {
+    const channels = await load()
+    const result = {
+      name,
+      channels: channels.length,
+      seconds: channels[0].length / SAMPLE_RATE,
+      ...benchmarkPipeline(channels, encoderOptions),
+    }
+    results.push(result)
+
+    if (!options.quiet) {
+      const { encode, decode } = result
+      console.error(
+        `${name}: encode ${encode.realtime.toFixed(1)}x, decode ${decode.realtime.toFixed(1)}x realtime; ` +
+          `${encode.allocationsPerFrame.toFixed(1)} and ${decode.allocationsPerFrame.toFixed(1)} allocations per frame`
+      )
+    }
+  }
+
+  const report = {
+    version: readVersion(),
+    node: process.version,
+    platform: `${process.platform}-${process.arch}`,
+    cpu: os.cpus()[0]?.model ?? null,
+    date: new Date().toISOString(),
+    encoderOptions: encoderOptions.values,
+    results,
+  }
+  process.stdout.write(JSON.stringify(report, null, 2) + '\n')
+}
+
+/**
+ * Read the package version
+ *
+ * @returns {string} Version from package.json
+ */
+function readVersion() {
+  return JSON.parse(
+    fs.readFileSync(new URL('../package.json', import.meta.url))
+  ).version
 }
 
 /**
@@ -685,21 +1337,41 @@ async function dumpFile(inputFile, outputFile, options) {
  * @returns {Promise<void>} Resolves when operation is complete
  */
 async function main() {
-  const { version } = JSON.parse(
-    fs.readFileSync(new URL('../package.json', import.meta.url))
-  )
   program
     .name('carta1')
     .description('ATRAC1 Audio Codec')
-    .version(version)
+    .version(readVersion())
     .option('-e, --encode', 'Encode WAV to AEA')
     .option('-d, --decode', 'Decode AEA to WAV')
     .option('-j, --json', 'Dump AEA file structure to JSON')
+    .option(
+      '-c, --compare',
+      'Compare source WAV with encoded AEA and write a JSON quality report'
+    )
+    .option('--cut', 'Copy part of an AEA file without re-encoding')
+    .option('--concat', 'Join AEA files without re-encoding')
+    .option('--split', 'Split an AEA file into tracks without re-encoding')
+    .option('--verify', 'List structural problems of an AEA file')
+    .option(
+      '--bench',
+      'Benchmark coding of WAV inputs, or synthetic signals without inputs, and print JSON'
+    )
+    .option(
+      '--repair',
+      'With --verify, write a copy with header counts and partial frames fixed'
+    )
     .option('-q, --quiet', 'Suppress all output except errors')
     .option('-f, --force', 'Overwrite output file if it exists')
     .option(
       '-t, --title <title>',
-      'Custom title for AEA file metadata (encoding only)'
+      'Custom title for AEA file metadata (encoding and editing)'
+    )
+    .option(
+      '-p, --preset <name>',
+      `Encoder speed/quality preset: ${Object.keys(ENCODER_PRESETS).join(
+        ', '
+      )}`,
+      'default'
     )
     .option(
       '-b, --bias <value>',
@@ -710,17 +1382,79 @@ async function main() {
       '-m, --modes <modes>',
       'Fixed block modes [0/2],[0/2],[0/3] for low,mid,high bands (skips transient detection)'
     )
-    .argument('<input>', 'Input file path')
-    .argument('<output>', 'Output file path')
+    .option(
+      '--overrides <file>',
+      'JSON file with per-frame or time-range block mode overrides (encoding only)'
+    )
+    .option(
+      '-r, --resample <quality>',
+      `Resampler quality for non-44.1 kHz input: ${Object.keys(
+        RESAMPLER_PRESETS
+      ).join(', ')}`,
+      'high'
+    )
+    .option('--no-resample', 'Encode non-44.1 kHz input without resampling')
+    .option(
+      '--jobs <n>',
+      'Encode in segments on n worker threads; the output is the same for any n'
+    )
+    .option(
+      '--channels <list>',
+      'Input channels to encode, 1-based and comma-separated, such as 3,4'
+    )
+    .option(
+      '--downmix <matrix>',
+      `Downmix to one or two channels: ${Object.keys(DOWNMIX_PRESETS).join(
+        ', '
+      )}, or gains such as 0.5,0.5`
+    )
+    .option(
+      '--bit-depth <depth>',
+      'Decoded WAV bit depth: 16, 24, 32 or 32f for float',
+      '16'
+    )
+    .option('--dither', 'Add TPDF dither to 16-bit decoded output')
+    .option('--noise-shaping', 'Noise-shape the 16-bit requantization noise')
+    .option(
+      '--start <position>',
+      'Start of --cut: seconds, minutes:seconds or a frame such as 120f'
+    )
+    .option('--end <position>', 'End of --cut, in the same forms as --start')
+    .option('--cue <file>', 'Cue sheet with the track starts for --split')
+    .option(
+      '--at <positions>',
+      'Comma-separated split points for --split, in the same forms as --start'
+    )
+    .argument('[input]', 'Input file path, or - for stdin')
+    .argument(
+      '[output]',
+      'Output file path, or - for stdout (encoded AEA for --compare, repaired AEA for --verify --repair)'
+    )
+    .argument(
+      '[more...]',
+      'Report path for --compare (defaults to stdout); for --concat, the last path is the output'
+    )
     .parse()
 
   const options = program.opts()
-  const [inputFile, outputFile] = program.args
+  const [inputFile, outputFile, reportFile] = program.args
 
   // Validate operation mode
-  const modes = [options.encode, options.decode, options.json].filter(Boolean)
+  const modes = [
+    options.encode,
+    options.decode,
+    options.json,
+    options.compare,
+    options.cut,
+    options.concat,
+    options.split,
+    options.verify,
+    options.bench,
+  ].filter(Boolean)
   if (modes.length === 0) {
-    console.error('Error: Must specify one of --encode, --decode, or --json')
+    console.error(
+      'Error: Must specify one of --encode, --decode, --json, --compare, --cut, --concat, --split, --verify, or --bench'
+    )
     process.exit(1)
   }
   if (modes.length > 1) {
@@ -728,13 +1462,44 @@ async function main() {
     process.exit(1)
   }
 
-  if (fs.existsSync(outputFile) && !options.force) {
+  if (!inputFile && !options.bench) {
+    console.error('Error: Missing input path')
+    process.exit(1)
+  }
+  if (!outputFile && !options.verify && !options.bench) {
+    console.error('Error: Missing output path')
+    process.exit(1)
+  }
+  if (options.repair && !options.verify) {
+    console.error('Error: --repair requires --verify')
+    process.exit(1)
+  }
+
+  // --compare reads both positional files and only writes the report;
+  // --concat writes the last positional file; --split checks its own files;
+  // every positional file of --bench is an input
+  let writtenFile = outputFile
+  if (options.compare) writtenFile = reportFile
+  if (options.concat) writtenFile = program.args[program.args.length - 1]
+  if (options.split || options.bench) writtenFile = null
+  if (
+    writtenFile &&
+    writtenFile !== STDIO_PATH &&
+    fs.existsSync(writtenFile) &&
+    !options.force
+  ) {
     console.error(
-      `Error: Output file '${outputFile}' already exists. Use --force to overwrite.`
+      `Error: Output file '${writtenFile}' already exists. Use --force to overwrite.`
     )
     process.exit(1)
   }
 
+  // A downstream command that stops reading early (e.g. head) is not an error
+  process.stdout.on('error', (error) => {
+    if (error.code === 'EPIPE') process.exit(0)
+    throw error
+  })
+
   try {
     if (options.encode) {
       await encodeFile(inputFile, outputFile, options)
@@ -742,6 +1507,20 @@ async function main() {
       await decodeFile(inputFile, outputFile, options)
     } else if (options.json) {
       await dumpFile(inputFile, outputFile, options)
+    } else if (options.compare) {
+      await compareFile(inputFile, outputFile, reportFile, options)
+    } else if (options.cut) {
+      await cutFile(inputFile, outputFile, options)
+    } else if (options.concat) {
+      await concatFiles(program.args.slice(0, -1), writtenFile, options)
+    } else if (options.split) {
+      await splitFile(inputFile, outputFile, options)
+    } else if (options.verify) {
+      if (!(await verifyFile(inputFile, outputFile, options))) {
+        process.exitCode = 1
+      }
+    } else if (options.bench) {
+      await benchFiles(program.args, options)
     }
   } catch (error) {
     if (error.code === 'ENOENT') {
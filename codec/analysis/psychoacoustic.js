@@ -0,0 +1,190 @@
+/**
+ * Carta1 Audio Codec - Psychoacoustic Model
+ *
+ * Estimates per-BFU masking thresholds from the MDCT spectrum so bit
+ * allocation can minimize the noise-to-mask ratio (NMR) instead of raw
+ * quantization distortion. The model combines three classic components:
+ *
+ * - Absolute threshold of hearing (Terhardt's approximation)
+ * - Inter-band masking using the Schroeder spreading function on the Bark scale
+ * - Tonality estimation from spectral flatness (Johnston's masking offsets)
+ *
+ * Thresholds are expressed as energy per coefficient, in the same units as the
+ * squared MDCT coefficients produced by the encoder.
+ */
+
+import {
+  NUM_BFUS,
+  SAMPLE_RATE,
+  SAMPLES_PER_FRAME,
+  SPECS_PER_BFU,
+  BFU_START_LONG,
+} from '../core/constants.js'
+
+// Sound pressure level assigned to a full-scale sine
+const FULL_SCALE_SPL_DB = 96
+
+// Total MDCT coefficient energy produced by a full-scale sine
+const FULL_SCALE_SINE_ENERGY = 0.27
+
+// Tonality is 1 when spectral flatness reaches this value in dB
+const SFM_TONAL_DB = -60
+
+// Lower bound for thresholds so NMR never divides by zero
+const MIN_THRESHOLD = 1e-20
+
+/**
+ * Convert a frequency to the Bark scale (Zwicker & Terhardt)
+ * @param {number} frequency - Frequency in Hz
+ * @returns {number} Critical band rate in Bark
+ */
+export function frequencyToBark(frequency) {
+  return (
+    13 * Math.atan(0.00076 * frequency) +
+    3.5 * Math.atan((frequency / 7500) * (frequency / 7500))
+  )
+}
+
+/**
+ * Absolute threshold of hearing in dB SPL (Terhardt)
+ * @param {number} frequency - Frequency in Hz
+ * @returns {number} Threshold in dB SPL
+ */
+export function absoluteThresholdDb(frequency) {
+  const khz = Math.max(frequency, 20) / 1000
+  return (
+    3.64 * Math.pow(khz, -0.8) -
+    6.5 * Math.exp(-0.6 * (khz - 3.3) * (khz - 3.3)) +
+    0.001 * Math.pow(khz, 4)
+  )
+}
+
+/**
+ * Schroeder spreading function
+ * @param {number} deltaBark - Distance from masker to maskee in Bark
+ * @returns {number} Spreading attenuation in dB
+ */
+export function spreadingFunctionDb(deltaBark) {
+  const x = deltaBark + 0.474
+  return 15.81 + 7.5 * x - 17.5 * Math.sqrt(1 + x * x)
+}
+
+// Center frequency of every BFU. Coefficients are laid out in ascending
+// frequency order after the encoder's spectral reversal, so the long-block
+// start positions map linearly onto 0..Nyquist. Short-block BFUs cover the
+// same frequency regions and reuse these centers.
+const BFU_CENTER_FREQUENCIES = (() => {
+  const table = new Float64Array(NUM_BFUS)
+  const binWidth = SAMPLE_RATE / 2 / SAMPLES_PER_FRAME
+  for (let i = 0; i < NUM_BFUS; i++) {
+    table[i] = (BFU_START_LONG[i] + SPECS_PER_BFU[i] / 2) * binWidth
+  }
+  return table
+})()
+
+const BFU_BARKS = BFU_CENTER_FREQUENCIES.map(frequencyToBark)
+
+// Absolute threshold per BFU as energy per coefficient
+const BFU_ABSOLUTE_THRESHOLDS = (() => {
+  const table = new Float64Array(NUM_BFUS)
+  for (let i = 0; i < NUM_BFUS; i++) {
+    const db = absoluteThresholdDb(BFU_CENTER_FREQUENCIES[i])
+    table[i] =
+      (FULL_SCALE_SINE_ENERGY * Math.pow(10, (db - FULL_SCALE_SPL_DB) / 10)) /
+      SPECS_PER_BFU[i]
+  }
+  return table
+})()
+
+// Linear spreading gains indexed [maskee * NUM_BFUS + masker]
+const SPREADING_MATRIX = (() => {
+  const table = new Float64Array(NUM_BFUS * NUM_BFUS)
+  for (let maskee = 0; maskee < NUM_BFUS; maskee++) {
+    for (let masker = 0; masker < NUM_BFUS; masker++) {
+      const db = spreadingFunctionDb(BFU_BARKS[maskee] - BFU_BARKS[masker])
+      table[maskee * NUM_BFUS + masker] = Math.pow(10, db / 10)
+    }
+  }
+  return table
+})()
+
+/**
+ * Estimate tonality of a BFU from its spectral flatness measure
+ * @param {Float32Array} coefficients - BFU coefficients
+ * @param {number} length - Number of valid coefficients
+ * @returns {number} Tonality (0 = noise-like, 1 = tonal)
+ */
+export function estimateTonality(coefficients, length) {
+  if (length === 0) return 0
+
+  const EPSILON = 1e-20
+  let sumLog = 0
+  let sumLinear = 0
+
+  for (let i = 0; i < length; i++) {
+    const power = coefficients[i] * coefficients[i] + EPSILON
+    sumLog += Math.log(power)
+    sumLinear += power
+  }
+
+  const geometricMean = Math.exp(sumLog / length)
+  const arithmeticMean = sumLinear / length
+  const sfmDb = 10 * Math.log10(geometricMean / arithmeticMean)
+
+  return Math.min(sfmDb / SFM_TONAL_DB, 1)
+}
+
+/**
+ * Compute per-BFU masking thresholds for a frame
+ *
+ * @param {Array<Float32Array>} bfuData - Coefficients grouped by BFU
+ * @param {Int32Array|Array<number>} bfuSizes - Coefficient count for each BFU
+ * @param {number} bfuCount - Number of BFUs to analyze
+ * @param {Object} [workspace=null] - Energy, offset and threshold buffers of
+ *   at least `bfuCount` entries; the thresholds buffer is returned
+ * @returns {Float64Array} Masking threshold per BFU as energy per coefficient
+ */
+export function computeMaskingThresholds(
+  bfuData,
+  bfuSizes,
+  bfuCount,
+  workspace = null
+) {
+  const energies = workspace?.energies ?? new Float64Array(bfuCount)
+  const offsets = workspace?.offsets ?? new Float64Array(bfuCount)
+
+  for (let i = 0; i < bfuCount; i++) {
+    const sz = bfuSizes[i] | 0
+    const data = bfuData[i]
+    let energy = 0
+    for (let j = 0; j < sz; j++) {
+      energy += data[j] * data[j]
+    }
+    energies[i] = energy
+
+    // Johnston: tone masking noise at 14.5 + z dB, noise masking tone at 5.5 dB
+    const tonality = estimateTonality(data, sz)
+    const offsetDb = tonality * (14.5 + BFU_BARKS[i]) + (1 - tonality) * 5.5
+    offsets[i] = Math.pow(10, -offsetDb / 10)
+  }
+
+  const thresholds = workspace?.thresholds ?? new Float64Array(bfuCount)
+  for (let maskee = 0; maskee < bfuCount; maskee++) {
+    let spread = 0
+    const row = maskee * NUM_BFUS
+    for (let masker = 0; masker < bfuCount; masker++) {
+      spread +=
+        energies[masker] * offsets[masker] * SPREADING_MATRIX[row + masker]
+    }
+
+    const sz = bfuSizes[maskee] | 0
+    const masked = sz > 0 ? spread / sz : 0
+    thresholds[maskee] = Math.max(
+      masked,
+      BFU_ABSOLUTE_THRESHOLDS[maskee],
+      MIN_THRESHOLD
+    )
+  }
+
+  return thresholds
+}
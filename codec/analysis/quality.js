@@ -0,0 +1,302 @@
+/**
+ * Carta1 Audio Codec - Objective Quality Metrics
+ *
+ * Compares source PCM with decoded PCM after compensating for the codec delay.
+ * The report covers:
+ *
+ * - Signal-to-noise ratio over the whole channel
+ * - Segmental SNR, the mean of per-frame SNRs clamped to a useful range
+ * - Error energy in each QMF band (low 0-5.5kHz, mid 5.5-11kHz, high 11-22kHz)
+ * - Noise-to-mask ratio from the psychoacoustic model on long-block MDCT BFUs
+ * - The frames with the highest noise-to-mask ratio
+ *
+ * Error is measured as decoded minus source. Because QMF analysis and the MDCT
+ * are linear, the band and BFU error energies come from running the error
+ * signal through the same analysis as the source.
+ */
+
+import { pipe } from '../utils.js'
+import {
+  qmfAnalysisStage,
+  blockSelectorStage,
+  mdctStage,
+} from '../pipeline/encoder.js'
+import { groupIntoBFUs } from '../coding/quantization.js'
+import { computeMaskingThresholds } from './psychoacoustic.js'
+import { BufferPool } from '../core/buffers.js'
+import { EncoderOptions } from '../core/options.js'
+import {
+  CODEC_DELAY,
+  SAMPLE_RATE,
+  SAMPLES_PER_FRAME,
+} from '../core/constants.js'
+
+// Per-frame SNR limits for segmental SNR (ITU-T P.Sup23 convention)
+const SEGMENTAL_SNR_MIN_DB = -10
+const SEGMENTAL_SNR_MAX_DB = 35
+
+// Frames quieter than this mean-square level are excluded from segmental SNR
+const SILENCE_ENERGY = 1e-10
+
+// Lower bound for ratios converted to dB
+const MIN_RATIO = 1e-10
+
+const BAND_NAMES = ['low', 'mid', 'high']
+
+/**
+ * Convert an energy ratio to decibels
+ * @param {number} ratio - Energy ratio
+ * @returns {number} Ratio in dB, floored at -100 dB
+ */
+function toDb(ratio) {
+  return 10 * Math.log10(Math.max(ratio, MIN_RATIO))
+}
+
+/**
+ * Compute the signal-to-noise ratio of decoded samples
+ * @param {Float32Array} source - Source samples
+ * @param {Float32Array} decoded - Decoded samples aligned with the source
+ * @returns {number} SNR in dB, or Infinity when the samples match exactly
+ */
+export function computeSnr(source, decoded) {
+  let signal = 0
+  let noise = 0
+  for (let i = 0; i < source.length; i++) {
+    const error = decoded[i] - source[i]
+    signal += source[i] * source[i]
+    noise += error * error
+  }
+
+  if (noise === 0) return Infinity
+  return toDb(signal / noise)
+}
+
+/**
+ * Compute segmental SNR over fixed-size segments
+ * @param {Float32Array} source - Source samples
+ * @param {Float32Array} decoded - Decoded samples aligned with the source
+ * @param {number} [segmentSize=SAMPLES_PER_FRAME] - Samples per segment
+ * @returns {number} Mean clamped per-segment SNR in dB, or null when every
+ *   segment is silent
+ */
+export function computeSegmentalSnr(
+  source,
+  decoded,
+  segmentSize = SAMPLES_PER_FRAME
+) {
+  let total = 0
+  let count = 0
+
+  for (let start = 0; start < source.length; start += segmentSize) {
+    const end = Math.min(start + segmentSize, source.length)
+    let signal = 0
+    for (let i = start; i < end; i++) signal += source[i] * source[i]
+    if (signal / (end - start) < SILENCE_ENERGY) continue
+
+    const snr = computeSnr(
+      source.subarray(start, end),
+      decoded.subarray(start, end)
+    )
+    total += Math.min(Math.max(snr, SEGMENTAL_SNR_MIN_DB), SEGMENTAL_SNR_MAX_DB)
+    count++
+  }
+
+  return count > 0 ? total / count : null
+}
+
+/**
+ * Create an analyzer returning the QMF bands and long-block MDCT BFUs of
+ * consecutive frames
+ * @returns {Function} Frame analyzer
+ */
+function createSpectrumAnalyzer() {
+  const context = {
+    bufferPool: new BufferPool(),
+    options: new EncoderOptions({ fixedBlockModes: [0, 0, 0] }),
+    reuseOutput: true,
+  }
+  const qmf = qmfAnalysisStage(context)
+  const transform = pipe(context, blockSelectorStage, mdctStage)
+
+  return (frame) => {
+    const { bands } = qmf(frame)
+    const bandEnergies = bands.map((band) =>
+      band.reduce((sum, value) => sum + value * value, 0)
+    )
+    const { coefficients, blockModes } = transform({ bands })
+    return { bandEnergies, ...groupIntoBFUs(coefficients, blockModes) }
+  }
+}
+
+/**
+ * Compare one source channel with its delay-compensated decoded channel
+ * @param {Float32Array} source - Source samples
+ * @param {Float32Array} decoded - Decoded samples aligned with the source
+ * @returns {Object} Channel metrics with per-frame details
+ */
+function compareChannel(source, decoded) {
+  const analyzeSource = createSpectrumAnalyzer()
+  const analyzeError = createSpectrumAnalyzer()
+  const sourceFrame = new Float32Array(SAMPLES_PER_FRAME)
+  const errorFrame = new Float32Array(SAMPLES_PER_FRAME)
+
+  const bandSignal = [0, 0, 0]
+  const bandError = [0, 0, 0]
+  const frames = []
+
+  for (let start = 0; start < source.length; start += SAMPLES_PER_FRAME) {
+    const end = Math.min(start + SAMPLES_PER_FRAME, source.length)
+    sourceFrame.fill(0)
+    errorFrame.fill(0)
+    for (let i = start; i < end; i++) {
+      sourceFrame[i - start] = source[i]
+      errorFrame[i - start] = decoded[i] - source[i]
+    }
+
+    const signal = analyzeSource(sourceFrame)
+    const error = analyzeError(errorFrame)
+
+    for (let band = 0; band < 3; band++) {
+      bandSignal[band] += signal.bandEnergies[band]
+      bandError[band] += error.bandEnergies[band]
+    }
+
+    const thresholds = computeMaskingThresholds(
+      signal.bfuData,
+      signal.bfuSizes,
+      signal.bfuCount
+    )
+    let ratioSum = 0
+    let ratioMax = 0
+    for (let bfu = 0; bfu < signal.bfuCount; bfu++) {
+      const data = error.bfuData[bfu]
+      let noise = 0
+      for (let j = 0; j < data.length; j++) noise += data[j] * data[j]
+      const ratio = noise / (thresholds[bfu] * signal.bfuSizes[bfu])
+      ratioSum += ratio
+      ratioMax = Math.max(ratioMax, ratio)
+    }
+
+    const index = start / SAMPLES_PER_FRAME
+    frames.push({
+      frame: index,
+      time: start / SAMPLE_RATE,
+      snr: computeSnr(
+        source.subarray(start, end),
+        decoded.subarray(start, end)
+      ),
+      nmr: toDb(ratioSum / signal.bfuCount),
+      maxNmr: toDb(ratioMax),
+    })
+  }
+
+  const bands = {}
+  BAND_NAMES.forEach((name, band) => {
+    bands[name] = {
+      errorEnergy: bandError[band],
+      snr:
+        bandError[band] === 0
+          ? Infinity
+          : toDb(bandSignal[band] / bandError[band]),
+    }
+  })
+
+  return {
+    snr: computeSnr(source, decoded),
+    segmentalSnr: computeSegmentalSnr(source, decoded),
+    bands,
+    nmr: {
+      mean:
+        frames.reduce((sum, frame) => sum + frame.nmr, 0) /
+        Math.max(frames.length, 1),
+      max: frames.reduce(
+        (max, frame) => Math.max(max, frame.maxNmr),
+        -Infinity
+      ),
+    },
+    frames,
+  }
+}
+
+/**
+ * Compare source PCM with decoded PCM
+ *
+ * Pass the `delay` that decodeAeaPcm() reports through `onTiming`: files
+ * that store their sample count decode aligned with the source, while other
+ * files keep the codec delay in front. Without a `delay` it is guessed from
+ * the channel lengths, taking decoded channels no longer than the source as
+ * aligned. That guess fails for untrimmed files whose source is a whole
+ * number of frames long, so use it only when the timing is unknown.
+ *
+ * @param {Float32Array[]} source - Planar source channels
+ * @param {Float32Array[]} decoded - Planar decoded channels, as returned by
+ *   decodeAeaPcm()
+ * @param {Object} [options={}] - Comparison options
+ * @param {number} [options.delay] - Leading decoded samples to skip; guessed
+ *   as 0 or CODEC_DELAY from the channel lengths when omitted
+ * @param {number} [options.worstFrameCount=10] - Length of the worst-frames list
+ * @returns {Object} Quality report with overall and per-channel metrics
+ * @throws {Error} If channel counts differ or no samples overlap
+ */
+export function compareAudio(source, decoded, options = {}) {
+  const { worstFrameCount = 10 } = options
+
+  if (source.length !== decoded.length) {
+    throw new Error(
+      `Channel count mismatch: source has ${source.length}, decoded has ${decoded.length}`
+    )
+  }
+
+  const aligned = decoded.every(
+    (channel, i) => channel.length <= source[i].length
+  )
+  const delay = options.delay ?? (aligned ? 0 : CODEC_DELAY)
+
+  const sampleCount = Math.min(
+    ...source.map((channel, i) =>
+      Math.min(channel.length, decoded[i].length - delay)
+    )
+  )
+  if (!(sampleCount > 0)) {
+    throw new Error(
+      'No overlapping samples to compare after delay compensation'
+    )
+  }
+
+  const channels = source.map((channel, i) =>
+    compareChannel(
+      channel.subarray(0, sampleCount),
+      decoded[i].subarray(delay, delay + sampleCount)
+    )
+  )
+
+  const worstFrames = channels
+    .flatMap((channel, index) =>
+      channel.frames.map((frame) => ({ channel: index, ...frame }))
+    )
+    .sort((a, b) => b.nmr - a.nmr)
+    .slice(0, worstFrameCount)
+
+  const mean = (values) =>
+    values.every((value) => value !== null)
+      ? values.reduce((sum, value) => sum + value, 0) / values.length
+      : null
+
+  return {
+    sampleCount,
+    delay,
+    snr: mean(channels.map((channel) => channel.snr)),
+    segmentalSnr: mean(channels.map((channel) => channel.segmentalSnr)),
+    nmr: {
+      mean: mean(channels.map((channel) => channel.nmr.mean)),
+      max: Math.max(...channels.map((channel) => channel.nmr.max)),
+    },
+    channels: channels.map(({ snr, segmentalSnr, bands, nmr }) => ({
+      snr,
+      segmentalSnr,
+      bands,
+      nmr,
+    })),
+    worstFrames,
+  }
+}
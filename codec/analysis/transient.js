@@ -12,21 +12,25 @@ import { FFT } from '../transforms/fft.js'
  * Perform FFT on time-domain samples and return magnitude spectrum
  * @param {Float32Array} samples - Time-domain samples
  * @param {number} fftSize - FFT size (must be power of 2)
+ * @param {Object} [fftBuffers=null] - Real and imaginary work buffers keyed
+ *   by FFT size
+ * @param {Float32Array} [magnitude] - Destination spectrum
  * @returns {Float32Array} Magnitude spectrum (positive frequencies only)
  */
-export function performFFT(samples, fftSize) {
-  const real = new Float32Array(fftSize)
-  const imag = new Float32Array(fftSize)
-
-  // Copy samples with zero-padding if necessary
-  const copyLen = Math.min(samples.length, fftSize)
-  real.set(samples.subarray(0, copyLen))
-
-  // Perform FFT
-  FFT.fft(real, imag)
+export function performFFT(
+  samples,
+  fftSize,
+  fftBuffers = null,
+  magnitude = new Float32Array(fftSize / 2)
+) {
+  const buffers = fftBuffers?.[fftSize]
+  const real = buffers?.real ?? new Float32Array(fftSize)
+  const imag = buffers?.imag ?? new Float32Array(fftSize)
+
+  // Real-input FFT, zero-padding short input
+  FFT.plan(fftSize).realTransform(samples, real, imag)
 
   // Calculate magnitude spectrum for positive frequencies
-  const magnitude = new Float32Array(fftSize / 2)
   for (let i = 0; i < fftSize / 2; i++) {
     magnitude[i] = Math.sqrt(real[i] * real[i] + imag[i] * imag[i])
   }
@@ -42,25 +46,19 @@ export function performFFT(samples, fftSize) {
  * @returns {boolean} True if transient detected
  */
 export function detectTransient(currentCoeffs, prevCoeffs, threshold) {
-  // Can't detect transients without previous frame
-  if (!prevCoeffs) return false
-
-  // Calculate all spectral features
-  const features = calculateSpectralFeatures(currentCoeffs, prevCoeffs)
-
-  // Combine features using perceptually-motivated weighting
-  const transientScore = calculateTransientScore(features)
-
-  return transientScore > threshold
+  return computeTransientScore(currentCoeffs, prevCoeffs) > threshold
 }
 
 /**
- * Calculate all spectral features for transient detection
+ * Compute the transient score between two frames
  * @param {Float32Array} currentCoeffs - Current frame coefficients
  * @param {Float32Array} prevCoeffs - Previous frame coefficients
- * @returns {Object} Computed spectral features
+ * @returns {number} Transient score (0 without a previous frame)
  */
-function calculateSpectralFeatures(currentCoeffs, prevCoeffs) {
+export function computeTransientScore(currentCoeffs, prevCoeffs) {
+  // Can't detect transients without previous frame
+  if (!prevCoeffs) return 0
+
   // Calculate spectral flux (positive differences only)
   const spectralFlux = calculateSpectralFlux(currentCoeffs, prevCoeffs)
 
@@ -77,12 +75,72 @@ function calculateSpectralFeatures(currentCoeffs, prevCoeffs) {
   // Calculate energy change in dB
   const energyChange = calculateEnergyChange(currentCoeffs, prevCoeffs)
 
-  return {
+  // Combine features using perceptually-motivated weighting
+  return calculateTransientScore(
     spectralFlux,
     flatnessChange,
     hfChange,
-    energyChange,
+    energyChange
+  )
+}
+
+/**
+ * Compute the energy of consecutive fixed-size segments
+ * @param {Float32Array} samples - Time-domain samples
+ * @param {number} segmentSize - Samples per segment
+ * @param {Float32Array} [output] - Destination envelope
+ * @param {number} [offset=0] - First destination segment
+ * @returns {Float32Array} Energy envelope
+ */
+export function computeEnergyEnvelope(
+  samples,
+  segmentSize,
+  output = new Float32Array(Math.floor(samples.length / segmentSize)),
+  offset = 0
+) {
+  const segmentCount = Math.floor(samples.length / segmentSize)
+  for (let segment = 0; segment < segmentCount; segment++) {
+    let energy = 0
+    const start = segment * segmentSize
+    for (let i = start; i < start + segmentSize; i++) {
+      energy += samples[i] * samples[i]
+    }
+    output[offset + segment] = energy
   }
+  return output
+}
+
+/**
+ * Locate the strongest attack in an energy envelope
+ *
+ * Each candidate segment is compared against the mean energy of all segments
+ * preceding it, so the attack is placed where energy rises the most relative
+ * to what came before.
+ *
+ * @param {Float32Array} envelope - Segment energies in chronological order
+ * @param {number} [start=1] - First candidate segment
+ * @param {number} [end=envelope.length] - End of candidate range (exclusive)
+ * @returns {{segment: number, ratio: number}} Attack segment and energy ratio
+ */
+export function localizeAttack(envelope, start = 1, end = envelope.length) {
+  const EPSILON = 1e-10
+  let preceding = 0
+  for (let i = 0; i < start; i++) {
+    preceding += envelope[i]
+  }
+
+  let segment = -1
+  let ratio = 0
+  for (let i = Math.max(start, 1); i < end; i++) {
+    if (i > start) preceding += envelope[i - 1]
+    const candidate = envelope[i] / (preceding / i + EPSILON)
+    if (candidate > ratio) {
+      ratio = candidate
+      segment = i
+    }
+  }
+
+  return { segment, ratio }
 }
 
 /**
@@ -191,12 +249,18 @@ function calculateEnergyChange(currentCoeffs, prevCoeffs) {
 /**
  * Calculate unified transient score from spectral features
  * Uses perceptually-motivated combination instead of magic numbers
- * @param {Object} features - Spectral features
+ * @param {number} spectralFlux - Normalized spectral flux
+ * @param {number} flatnessChange - Change in spectral flatness
+ * @param {number} hfChange - Change in high-frequency energy ratio
+ * @param {number} energyChange - Energy increase in dB
  * @returns {number} Transient score
  */
-function calculateTransientScore(features) {
-  const { spectralFlux, flatnessChange, hfChange, energyChange } = features
-
+function calculateTransientScore(
+  spectralFlux,
+  flatnessChange,
+  hfChange,
+  energyChange
+) {
   // Spectral flux is the primary indicator - it directly measures
   // sudden onset of new frequency components
   const fluxContribution = spectralFlux
@@ -0,0 +1,90 @@
+/**
+ * Carta1 Audio Codec - Allocation Counting
+ *
+ * Counts the typed arrays created while a function runs, by standing in for
+ * the typed array constructors and for the prototype methods that return new
+ * arrays or views. Plain objects and arrays are not counted.
+ */
+
+const TYPED_ARRAYS = [
+  'Int8Array',
+  'Uint8Array',
+  'Uint8ClampedArray',
+  'Int16Array',
+  'Uint16Array',
+  'Int32Array',
+  'Uint32Array',
+  'Float32Array',
+  'Float64Array',
+]
+
+const ALLOCATING_METHODS = ['slice', 'subarray', 'map', 'filter']
+
+const TypedArrayPrototype = Object.getPrototypeOf(Float32Array.prototype)
+
+/**
+ * Run a function and count the typed arrays it allocates
+ *
+ * Synchronous work is counted until `fn` returns or throws. If it returns a
+ * promise, counting goes on until the promise settles and the result is a
+ * promise too; anything else running meanwhile is counted as well. The
+ * original constructors and methods are restored when counting ends.
+ *
+ * @param {Function} fn - Function to run
+ * @returns {{result: *, count: number}|Promise<{result: *, count: number}>}
+ *   Return value of `fn` and the number of typed arrays and views it created
+ */
+export function countAllocations(fn) {
+  let count = 0
+  const constructors = {}
+  const methods = {}
+
+  for (const name of TYPED_ARRAYS) {
+    constructors[name] = globalThis[name]
+    globalThis[name] = new Proxy(constructors[name], {
+      construct(target, args, newTarget) {
+        count++
+        return Reflect.construct(
+          target,
+          args,
+          newTarget === globalThis[name] ? target : newTarget
+        )
+      },
+    })
+  }
+  for (const name of ALLOCATING_METHODS) {
+    const method = TypedArrayPrototype[name]
+    methods[name] = method
+    TypedArrayPrototype[name] = function (...args) {
+      count++
+      return method.apply(this, args)
+    }
+  }
+
+  const restore = () => {
+    Object.assign(globalThis, constructors)
+    Object.assign(TypedArrayPrototype, methods)
+  }
+
+  let result
+  try {
+    result = fn()
+  } catch (error) {
+    restore()
+    throw error
+  }
+  if (typeof result?.then !== 'function') {
+    restore()
+    return { result, count }
+  }
+  return Promise.resolve(result).then(
+    (value) => {
+      restore()
+      return { result: value, count }
+    },
+    (error) => {
+      restore()
+      throw error
+    }
+  )
+}
@@ -0,0 +1,196 @@
+/**
+ * Carta1 Audio Codec - Pipeline Benchmark
+ *
+ * Measures the throughput, per-stage time split and steady-state allocations
+ * of encoding and decoding. Encoding runs the encoder stages followed by
+ * frame serialization, decoding runs frame deserialization followed by the
+ * decoder stages, as when a file is encoded or decoded.
+ */
+
+import { encode, encoderStages } from '../pipeline/encoder.js'
+import { decoderStages } from '../pipeline/decoder.js'
+import { serializeFrame, createFrameDeserializer } from '../io/serialization.js'
+import { BufferPool } from '../core/buffers.js'
+import { EncoderOptions } from '../core/options.js'
+import { SAMPLES_PER_FRAME, SAMPLE_RATE } from '../core/constants.js'
+import { pipe } from '../utils.js'
+import { countAllocations } from './allocations.js'
+
+// Frames run before measuring, so buffers exist and the JIT has settled
+const WARM_UP_FRAMES = 32
+
+/**
+ * Wrap a stage so the time spent in it is added to a total
+ * @param {Function} stage - Stage factory taking the pipeline context
+ * @param {Float64Array} totals - Milliseconds per stage
+ * @param {number} index - Index of the stage in `totals`
+ * @returns {Function} Timed stage factory
+ */
+function timedStage(stage, totals, index) {
+  return (context) => {
+    const fn = stage(context)
+    return (input) => {
+      const start = performance.now()
+      const output = fn(input)
+      totals[index] += performance.now() - start
+      return output
+    }
+  }
+}
+
+/**
+ * Wrap a stage so the typed arrays it allocates are added to a total
+ * @param {Function} stage - Stage factory taking the pipeline context
+ * @param {Float64Array} totals - Allocations per stage
+ * @param {number} index - Index of the stage in `totals`
+ * @returns {Function} Counting stage factory
+ */
+function countedStage(stage, totals, index) {
+  return (context) => {
+    const fn = stage(context)
+    return (input) => {
+      const { result, count } = countAllocations(() => fn(input))
+      totals[index] += count
+      return result
+    }
+  }
+}
+
+/**
+ * Run frames of every channel through fresh pipelines
+ *
+ * Each channel gets three warmed-up pipelines: one timed as a whole, one
+ * timed per stage and one with allocations counted per stage, since both
+ * kinds of instrumentation slow down the run.
+ *
+ * @param {Array<Array>} steps - `[name, stage]` pairs in pipeline order
+ * @param {Function} createContext - Returns a fresh pipeline context
+ * @param {Array<Array>} channelInputs - Pipeline inputs of each channel
+ * @returns {Object} Totals, realtime multiple and per-stage split
+ */
+function measure(steps, createContext, channelInputs) {
+  const stageTimes = new Float64Array(steps.length)
+  const stageAllocations = new Float64Array(steps.length)
+  let elapsed = 0
+  let frames = 0
+
+  for (const inputs of channelInputs) {
+    const prepare = (wrap) => {
+      const run = pipe(
+        createContext(),
+        ...steps.map(([, stage], index) => wrap(stage, index))
+      )
+      for (let i = 0; i < WARM_UP_FRAMES; i++) {
+        run(inputs[i % inputs.length])
+      }
+      return () => {
+        for (let i = 0; i < inputs.length; i++) run(inputs[i])
+      }
+    }
+
+    // Instrumented runs add to channel totals that exclude the warm-up
+    const instrumented = (wrapStage, totals) => {
+      const channelTotals = new Float64Array(steps.length)
+      const run = prepare((stage, index) =>
+        wrapStage(stage, channelTotals, index)
+      )
+      channelTotals.fill(0)
+      run()
+      for (let index = 0; index < steps.length; index++) {
+        totals[index] += channelTotals[index]
+      }
+    }
+
+    const plain = prepare((stage) => stage)
+    const start = performance.now()
+    plain()
+    elapsed += performance.now() - start
+
+    instrumented(timedStage, stageTimes)
+    instrumented(countedStage, stageAllocations)
+    frames += inputs.length
+  }
+
+  const stagedTime = stageTimes.reduce((sum, time) => sum + time, 0)
+  const stages = {}
+  steps.forEach(([name], index) => {
+    stages[name] = {
+      milliseconds: stageTimes[index],
+      share: stagedTime > 0 ? stageTimes[index] / stagedTime : 0,
+      allocationsPerFrame: stageAllocations[index] / frames,
+    }
+  })
+
+  // Channels are coded one after another, so realtime is measured on the
+  // length of one channel
+  const seconds =
+    (frames / channelInputs.length) * (SAMPLES_PER_FRAME / SAMPLE_RATE)
+  return {
+    frames,
+    milliseconds: elapsed,
+    framesPerSecond: (frames * 1000) / elapsed,
+    realtime: (seconds * 1000) / elapsed,
+    allocationsPerFrame:
+      stageAllocations.reduce((sum, count) => sum + count, 0) / frames,
+    stages,
+  }
+}
+
+/**
+ * Benchmark encoding and decoding of a signal
+ *
+ * Each channel is cut into frames, dropping a partial last frame, and coded
+ * with its own encoder and decoder. The decoders run on sound units encoded
+ * ahead of the measurement.
+ *
+ * @param {Array<Float32Array>} channels - PCM samples of each channel at
+ *   44.1 kHz
+ * @param {EncoderOptions} [options=new EncoderOptions()] - Encoder options
+ * @returns {{encode: Object, decode: Object}} Results of each direction: the
+ *   frame count, elapsed milliseconds, frames per second, realtime multiple,
+ *   typed arrays allocated per frame and the same split by stage
+ * @throws {Error} If a channel is shorter than one frame
+ */
+export function benchmarkPipeline(channels, options = new EncoderOptions()) {
+  const channelFrames = channels.map((samples) => {
+    const frameCount = Math.floor(samples.length / SAMPLES_PER_FRAME)
+    if (frameCount === 0) {
+      throw new Error('benchmarkPipeline: at least one frame is required')
+    }
+    return Array.from({ length: frameCount }, (_, i) =>
+      samples.subarray(i * SAMPLES_PER_FRAME, (i + 1) * SAMPLES_PER_FRAME)
+    )
+  })
+
+  const channelUnits = channelFrames.map((frames) => {
+    const encoder = encode(options)
+    return frames.map((frame) => serializeFrame(encoder(frame)))
+  })
+
+  const encodeSteps = [
+    ...encoderStages(options),
+    ['serializeFrame', () => serializeFrame],
+  ]
+  const decodeSteps = [
+    ['deserializeFrame', createFrameDeserializer],
+    ...decoderStages(),
+  ]
+
+  return {
+    encode: measure(
+      encodeSteps,
+      () => ({
+        options,
+        bufferPool: new BufferPool(),
+        observer: null,
+        reuseOutput: true,
+      }),
+      channelFrames
+    ),
+    decode: measure(
+      decodeSteps,
+      () => ({ bufferPool: new BufferPool(), reuseOutput: true }),
+      channelUnits
+    ),
+  }
+}
@@ -0,0 +1,76 @@
+/**
+ * Carta1 Audio Codec - Synthetic Signals
+ *
+ * Deterministic test signals shared by the test suite and the benchmark, and
+ * the set of signals the benchmark runs when no files are given.
+ */
+
+import { SAMPLE_RATE } from '../core/constants.js'
+
+export const TEST_SIGNALS = {
+  silence: (length = 512) => new Float32Array(length),
+  dc: (value = 1.0, length = 512) => new Float32Array(length).fill(value),
+  sine: (freq, sampleRate = 44100, length = 512) => {
+    const arr = new Float32Array(length)
+    for (let i = 0; i < length; i++) {
+      arr[i] = Math.sin((2 * Math.PI * freq * i) / sampleRate)
+    }
+    return arr
+  },
+  impulse: (position = 0, length = 512) => {
+    const arr = new Float32Array(length)
+    arr[position] = 1.0
+    return arr
+  },
+  whiteNoise: (seed = 1, length = 512) => {
+    const arr = new Float32Array(length)
+    let x = seed
+    for (let i = 0; i < length; i++) {
+      x = Math.sin(x) * 10000
+      arr[i] = x - Math.floor(x)
+    }
+    return arr
+  },
+  chirp: (startFreq, endFreq, length = 512, sampleRate = 44100) => {
+    const arr = new Float32Array(length)
+    for (let i = 0; i < length; i++) {
+      const t = i / sampleRate
+      const phase =
+        2 *
+        Math.PI *
+        (startFreq * t +
+          ((endFreq - startFreq) * t * t) / ((2 * length) / sampleRate))
+      arr[i] = Math.sin(phase)
+    }
+    return arr
+  },
+  step: (position = 256, length = 512) => {
+    const arr = new Float32Array(length)
+    for (let i = position; i < length; i++) {
+      arr[i] = 1.0
+    }
+    return arr
+  },
+}
+
+/**
+ * Signals benchmarked by default, each built at a given length in samples.
+ * They cover silence, tonal, swept and noise-like content, plus clicks that
+ * switch the encoder to short blocks.
+ */
+export const BENCH_SIGNALS = {
+  silence: (length) => TEST_SIGNALS.silence(length),
+  sine: (length) => TEST_SIGNALS.sine(1000, SAMPLE_RATE, length),
+  chirp: (length) => TEST_SIGNALS.chirp(20, 20000, length, SAMPLE_RATE),
+  whiteNoise: (length) =>
+    TEST_SIGNALS.whiteNoise(1, length).map((v) => v - 0.5),
+  clicks: (length) => {
+    const samples = TEST_SIGNALS.whiteNoise(2, length).map(
+      (v) => (v - 0.5) * 0.05
+    )
+    for (let i = SAMPLE_RATE / 8; i < length; i += SAMPLE_RATE / 4) {
+      samples.fill(0.9, i, Math.min(i + 32, length))
+    }
+    return samples
+  },
+}
@@ -102,16 +102,27 @@ class Carta1Worker {
    * @param {Uint8Array} aea.header - AEA file header
    * @param {Array} aea.aeaData - Encoded frame data
    * @param {Object} [aea.info] - Optional metadata
+   * @param {Object} [options={}] - WAV output options
+   * @param {number|string} [options.bitDepth=16] - 16, 24, 32 or '32f'
+   * @param {boolean} [options.dither=false] - TPDF dither for 16-bit output
+   * @param {boolean} [options.noiseShaping=false] - Noise shaping for 16-bit
+   *   output
    * @returns {Promise<Object>} Decoding result
    * @returns {Blob} returns.wavBlob - Decoded WAV audio blob
    * @returns {Object} returns.info - Audio metadata (channels, sample rate)
+   * @returns {number} returns.clipCount - Samples clipped by integer output
    */
-  async decode(aea) {
+  async decode(aea, options = {}) {
     const jobId = this.nextJobId++
     return new Promise((resolve, reject) => {
       this.jobs.set(jobId, { resolve, reject })
       try {
-        this.worker.postMessage({ jobId, type: 'decode', aea })
+        this.worker.postMessage({
+          jobId,
+          type: 'decode',
+          aea,
+          options: { ...options },
+        })
       } catch (error) {
         this.jobs.delete(jobId)
         reject(error)
@@ -34,7 +34,7 @@ self.onmessage = async (e) => {
         result = await encodeAtrac(pcmData, options, title)
         break
       case 'decode':
-        result = await decodeAtrac(aea)
+        result = await decodeAtrac(aea, options)
         break
       case 'parseAea':
         result = await AudioProcessor.parseAeaBlob(blob)
@@ -69,9 +69,12 @@ async function encodeAtrac(pcmData, options, title) {
     // Create encoder options from provided settings
     const encoderOptions = new EncoderOptions(options)
 
+    const sampleCount = Math.max(...pcmData.map((channel) => channel.length))
+
     const encodedFrames = AudioProcessor.encodeStream(audioFrames, {
       channelCount,
       encoderOptions,
+      sampleCount,
     })
 
     const frameArray = await AudioProcessor.collectFrames(encodedFrames)
@@ -79,6 +82,7 @@ async function encodeAtrac(pcmData, options, title) {
     const aeaBlob = await AudioProcessor.createAeaBlob(frameArray, {
       title,
       channelCount,
+      sampleCount,
     })
 
     // Return the blob
@@ -106,9 +110,14 @@ function getEncoderOptionsMetadata() {
  * @param {Uint8Array} aea.header - AEA file header
  * @param {Array} aea.aeaData - Serialized frame data
  * @param {Object} [aea.info] - Optional metadata
- * @returns {Promise<Object>} WAV blob and decoding info
+ * @param {Object} [options={}] - WAV output options
+ * @param {number|string} [options.bitDepth=16] - 16, 24, 32 or '32f'
+ * @param {boolean} [options.dither=false] - TPDF dither for 16-bit output
+ * @param {boolean} [options.noiseShaping=false] - Noise shaping for 16-bit
+ *   output
+ * @returns {Promise<Object>} WAV blob, decoding info and clipped sample count
  */
-async function decodeAtrac(aea) {
+async function decodeAtrac(aea, options = {}) {
   const { header, aeaData, info } = aea
 
   // Use provided info, or fall back to header parsing, or defaults
@@ -125,16 +134,27 @@ async function decodeAtrac(aea) {
   const encodedFrameStream = AudioProcessor.deserializedFrameStream(aeaData)
   const decodedFrames = AudioProcessor.decodeStream(encodedFrameStream, {
     channelCount: decodingInfo.channelCount,
+    sampleCount: decodingInfo.sampleCount ?? null,
+    delay: decodingInfo.delay,
   })
 
   const pcmFrames = await AudioProcessor.collectFrames(decodedFrames)
 
   // Create WAV blob directly
+  let clipCount = 0
   const wavBlob = AudioProcessor.createWavBlob(
     pcmFrames,
     decodingInfo.channelCount,
-    decodingInfo.sampleRate
+    decodingInfo.sampleRate,
+    {
+      bitDepth: options.bitDepth,
+      dither: options.dither,
+      noiseShaping: options.noiseShaping,
+      onClipping: (report) => {
+        clipCount = report.clipCount
+      },
+    }
   )
 
-  return { wavBlob, info: decodingInfo }
+  return { wavBlob, info: decodingInfo, clipCount }
 }
@@ -15,6 +15,7 @@
  * - RDO search over valid BFU counts to select the optimal number of bands.
  * - Greedy bit allocation for a fixed BFU count using a max-heap.
  * - Exponential distortion modeling based on scale factors.
+ * - Optional noise-to-mask ratio modeling driven by psychoacoustic thresholds.
  * - Support for variable word lengths per BFU.
  *
  * The algorithm ensures that the codec dynamically adapts the encoded bandwidth
@@ -27,12 +28,14 @@ import {
   FRAME_OVERHEAD_BITS,
   BITS_PER_BFU_METADATA,
   MAX_WORD_LENGTH_INDEX,
-  WORD_LENGTH_BITS,
-  INV_POWER_OF_TWO,
   SCALE_FACTORS,
   BFU_AMOUNTS,
+  WORD_LENGTH_BITS,
   WORD_LENGTH_DELTA_BITS,
   DISTORTION_DELTA_FACTORS,
+  DISTORTION_LEVEL_FACTORS,
+  QUANTIZATION_NOISE_FACTORS,
+  QUANTIZATION_NOISE_DELTA_FACTORS,
 } from '../core/constants.js'
 
 const biasedScaleFactorCache = new Map()
@@ -65,33 +68,71 @@ function buildBiasedScaleFactorTable(bias) {
  * This function searches through the valid BFU counts to find the one that
  * minimizes the total perceptual distortion.
  *
+ * When masking thresholds are provided, distortion is measured as the
+ * noise-to-mask ratio of each BFU instead of the scale-factor weighted
+ * truncation error, and the allocation bias is not applied.
+ *
+ * With a workspace every buffer comes from it and the returned allocation is
+ * its `bestWordLengths`, zero past the selected BFU count.
+ *
+ * An encoder preset narrows the search to its `bfuAmounts` and refines the
+ * greedy distribution of each candidate for up to `refinementIterations`
+ * exchanges before the candidates are compared.
+ *
  * @param {Array<Float32Array>} bfuData
  * @param {Int32Array} bfuSizes
  * @param {number} maxBfuCount
  * @param {number} allocationBias
+ * @param {Float64Array|null} [maskingThresholds=null] Per-BFU masking energy per coefficient
+ * @param {Object|null} [workspace=null] Work buffers of at least maxBfuCount entries
+ * @param {Object|null} [preset=null] Entry of ENCODER_PRESETS; every BFU
+ *   count without refinement when null
  * @returns {{bfuCount:number, allocation:Int32Array, scaleFactorIndices:Int32Array}}
  */
-export function allocateBits(bfuData, bfuSizes, maxBfuCount, allocationBias) {
-  const allScaleFactorIndices = new Int32Array(maxBfuCount)
-  const zeroBitDistortions = new Float32Array(maxBfuCount)
-  const biasedScaleFactors = buildBiasedScaleFactorTable(allocationBias)
-
+export function allocateBits(
+  bfuData,
+  bfuSizes,
+  maxBfuCount,
+  allocationBias,
+  maskingThresholds = null,
+  workspace = null,
+  preset = null
+) {
+  const allScaleFactorIndices = workspace
+    ? workspace.scaleFactorIndices.fill(0)
+    : new Int32Array(maxBfuCount)
   for (let i = 0; i < maxBfuCount; i++) {
     const sz = bfuSizes[i] | 0
     if (sz === 0) continue
-
-    const sfi = findScaleFactor(bfuData[i], sz)
-    allScaleFactorIndices[i] = sfi
-    if (sfi > 0) {
-      const effectiveScaleFactor = biasedScaleFactors[sfi]
-      zeroBitDistortions[i] = effectiveScaleFactor * 2.0 * sz
-    }
+    allScaleFactorIndices[i] = findScaleFactor(bfuData[i], sz)
   }
 
+  const model = maskingThresholds
+    ? buildMaskingModel(
+        bfuData,
+        bfuSizes,
+        maxBfuCount,
+        allScaleFactorIndices,
+        maskingThresholds,
+        workspace
+      )
+    : buildScaleFactorModel(
+        bfuSizes,
+        maxBfuCount,
+        allScaleFactorIndices,
+        allocationBias,
+        workspace
+      )
+
+  const bfuAmounts = preset?.bfuAmounts ?? BFU_AMOUNTS
+  const refinementIterations = preset?.refinementIterations ?? 0
+
   let bestResult = null
   let minTotalDistortion = Infinity
+  const bestWordLengths = workspace?.bestWordLengths
 
-  for (const candidateBfuCount of BFU_AMOUNTS) {
+  for (let i = 0; i < bfuAmounts.length; i++) {
+    const candidateBfuCount = bfuAmounts[i]
     if (candidateBfuCount > maxBfuCount) continue
 
     const availableBits =
@@ -101,31 +142,49 @@ export function allocateBits(bfuData, bfuSizes, maxBfuCount, allocationBias) {
 
     if (availableBits < 0) continue
 
-    const rdoResult = distributeBitsRDO(
+    const wordLengths = distributeBitsRDO(
       candidateBfuCount,
       bfuSizes,
       availableBits,
-      biasedScaleFactors,
-      allScaleFactorIndices
+      model,
+      allScaleFactorIndices,
+      workspace
     )
 
+    if (refinementIterations > 0) {
+      refineAllocation(
+        candidateBfuCount,
+        bfuSizes,
+        availableBits,
+        wordLengths,
+        allScaleFactorIndices,
+        model,
+        refinementIterations,
+        workspace
+      )
+    }
+
     const totalDistortion = calculateTotalDistortion(
       candidateBfuCount,
       maxBfuCount,
       bfuSizes,
-      rdoResult.wordLengths,
-      rdoResult.scaleFactorIndices,
-      biasedScaleFactors,
-      zeroBitDistortions
+      wordLengths,
+      allScaleFactorIndices,
+      model
     )
 
     if (totalDistortion < minTotalDistortion) {
       minTotalDistortion = totalDistortion
-      bestResult = {
-        bfuCount: candidateBfuCount,
-        allocation: rdoResult.wordLengths,
-        scaleFactorIndices: rdoResult.scaleFactorIndices,
+      // Reused word lengths are overwritten by the next candidate
+      let allocation = wordLengths
+      if (bestWordLengths) {
+        bestWordLengths.set(allocation)
+        allocation = bestWordLengths
       }
+      bestResult ??= workspace ? workspace.result : {}
+      bestResult.bfuCount = candidateBfuCount
+      bestResult.allocation = allocation
+      bestResult.scaleFactorIndices = allScaleFactorIndices
     }
   }
 
@@ -141,6 +200,118 @@ export function allocateBits(bfuData, bfuSizes, maxBfuCount, allocationBias) {
   return bestResult
 }
 
+/**
+ * Returns the workspace distortion model with its arrays zeroed, or a new
+ * model without a workspace. The builders fill in the factor tables.
+ *
+ * @param {Object|null} workspace
+ * @param {number} maxBfuCount
+ * @returns {Object}
+ */
+function createModel(workspace, maxBfuCount) {
+  if (workspace) {
+    const { model } = workspace
+    model.weights.fill(0)
+    model.firstStepDeltas.fill(0)
+    model.zeroBitDistortions.fill(0)
+    return model
+  }
+  return {
+    weights: new Float64Array(maxBfuCount),
+    firstStepDeltas: new Float64Array(maxBfuCount),
+    zeroBitDistortions: new Float32Array(maxBfuCount),
+  }
+}
+
+/**
+ * Builds the scale-factor distortion model. Distortion of a BFU is its biased
+ * scale factor multiplied by a word-length dependent truncation factor.
+ *
+ * @param {Int32Array} bfuSizes
+ * @param {number} maxBfuCount
+ * @param {Int32Array} allScaleFactorIndices
+ * @param {number} allocationBias
+ * @param {Object|null} workspace
+ * @returns {Object} Distortion model consumed by the RDO search
+ */
+function buildScaleFactorModel(
+  bfuSizes,
+  maxBfuCount,
+  allScaleFactorIndices,
+  allocationBias,
+  workspace
+) {
+  const biasedScaleFactors = buildBiasedScaleFactorTable(allocationBias)
+  const model = createModel(workspace, maxBfuCount)
+  const { weights, firstStepDeltas, zeroBitDistortions } = model
+
+  for (let i = 0; i < maxBfuCount; i++) {
+    const sfi = allScaleFactorIndices[i]
+    if (sfi > 0) {
+      const effectiveScaleFactor = biasedScaleFactors[sfi]
+      weights[i] = effectiveScaleFactor
+      firstStepDeltas[i] = effectiveScaleFactor * DISTORTION_DELTA_FACTORS[0]
+      zeroBitDistortions[i] = effectiveScaleFactor * 2.0 * (bfuSizes[i] | 0)
+    }
+  }
+
+  model.levelFactors = DISTORTION_LEVEL_FACTORS
+  model.deltaFactors = DISTORTION_DELTA_FACTORS
+  return model
+}
+
+/**
+ * Builds the noise-to-mask distortion model. Distortion of a BFU is its
+ * quantization noise energy divided by its masking threshold, summed over
+ * coefficients. Uncoded BFUs contribute their full energy as noise.
+ *
+ * @param {Array<Float32Array>} bfuData
+ * @param {Int32Array} bfuSizes
+ * @param {number} maxBfuCount
+ * @param {Int32Array} allScaleFactorIndices
+ * @param {Float64Array} maskingThresholds
+ * @param {Object|null} workspace
+ * @returns {Object} Distortion model consumed by the RDO search
+ */
+function buildMaskingModel(
+  bfuData,
+  bfuSizes,
+  maxBfuCount,
+  allScaleFactorIndices,
+  maskingThresholds,
+  workspace
+) {
+  const model = createModel(workspace, maxBfuCount)
+  const { weights, firstStepDeltas, zeroBitDistortions } = model
+
+  for (let i = 0; i < maxBfuCount; i++) {
+    const sfi = allScaleFactorIndices[i]
+    if (sfi === 0) continue
+
+    const sz = bfuSizes[i] | 0
+    const data = bfuData[i]
+    let energy = 0
+    for (let j = 0; j < sz; j++) {
+      energy += data[j] * data[j]
+    }
+
+    const mask = maskingThresholds[i]
+    const scaleFactor = SCALE_FACTORS[sfi]
+    weights[i] = (scaleFactor * scaleFactor) / mask
+    zeroBitDistortions[i] = energy / mask
+
+    // Sparse BFUs can be noisier at the coarsest word length than when
+    // dropped; keep them last in the queue rather than excluding them
+    const delta =
+      energy / mask / sz - weights[i] * QUANTIZATION_NOISE_FACTORS[1]
+    firstStepDeltas[i] = Math.max(delta, Number.MIN_VALUE)
+  }
+
+  model.levelFactors = QUANTIZATION_NOISE_FACTORS
+  model.deltaFactors = QUANTIZATION_NOISE_DELTA_FACTORS
+  return model
+}
+
 /**
  * Calculates the total distortion for a given allocation.
  * This includes quantization distortion for coded bands and truncation
@@ -150,8 +321,7 @@ export function allocateBits(bfuData, bfuSizes, maxBfuCount, allocationBias) {
  * @param {Int32Array} bfuSizes
  * @param {Int32Array} wordLengths
  * @param {Int32Array} scaleFactorIndices
- * @param {number} biasedScaleFactors
- * @param {Float32Array} zeroBitDistortions
+ * @param {Object} model
  * @returns {number}
  */
 function calculateTotalDistortion(
@@ -160,15 +330,14 @@ function calculateTotalDistortion(
   bfuSizes,
   wordLengths,
   scaleFactorIndices,
-  biasedScaleFactors,
-  zeroBitDistortions
+  model
 ) {
+  const { weights, levelFactors, zeroBitDistortions } = model
   let totalDistortion = 0.0
 
   for (let i = 0; i < activeBfuCount; i++) {
     const wl = wordLengths[i] | 0
-    const bits = WORD_LENGTH_BITS[wl] | 0
-    if (bits === 0) {
+    if (wl === 0) {
       totalDistortion += zeroBitDistortions[i]
       continue
     }
@@ -176,10 +345,7 @@ function calculateTotalDistortion(
     const sfi = scaleFactorIndices[i]
     if (sfi === 0) continue
 
-    const effectiveScaleFactor = biasedScaleFactors[sfi]
-    const distortionFactor = INV_POWER_OF_TWO[bits]
-
-    totalDistortion += effectiveScaleFactor * distortionFactor * bfuSizes[i]
+    totalDistortion += weights[i] * levelFactors[wl] * bfuSizes[i]
   }
 
   for (let i = activeBfuCount; i < maxBfuCount; i++) {
@@ -196,21 +362,27 @@ function calculateTotalDistortion(
  * @param {number} activeBfuCount
  * @param {Int32Array} bfuSizes
  * @param {number} remainingBits
- * @param {Float64Array} biasedScaleFactors
+ * @param {Object} model
  * @param {Int32Array} allScaleFactorIndices
- * @returns {{wordLengths: Int32Array, scaleFactorIndices: Int32Array}}
+ * @param {Object|null} workspace
+ * @returns {Int32Array} Word length index of each BFU
  */
 function distributeBitsRDO(
   activeBfuCount,
   bfuSizes,
   remainingBits,
-  biasedScaleFactors,
-  allScaleFactorIndices
+  model,
+  allScaleFactorIndices,
+  workspace
 ) {
-  const wordLengths = new Int32Array(activeBfuCount)
-
-  const heapIndices = new Int32Array(activeBfuCount)
-  const heapPriorities = new Float32Array(activeBfuCount)
+  const { weights, firstStepDeltas, deltaFactors } = model
+  const wordLengths = workspace
+    ? workspace.wordLengths.fill(0)
+    : new Int32Array(activeBfuCount)
+
+  const heapIndices = workspace?.heapIndices ?? new Int32Array(activeBfuCount)
+  const heapPriorities =
+    workspace?.heapPriorities ?? new Float32Array(activeBfuCount)
   let heapSize = 0
 
   for (let bfuIndex = 0; bfuIndex < activeBfuCount; bfuIndex++) {
@@ -223,16 +395,13 @@ function distributeBitsRDO(
     const deltaBits = WORD_LENGTH_DELTA_BITS[0]
     if (deltaBits <= 0) continue
 
-    const distortionDelta =
-      biasedScaleFactors[sfi] * DISTORTION_DELTA_FACTORS[0]
-
     heapIndices[heapSize] = bfuIndex
-    heapPriorities[heapSize] = distortionDelta / deltaBits
+    heapPriorities[heapSize] = firstStepDeltas[bfuIndex] / deltaBits
     heapSize++
   }
 
   if (heapSize === 0) {
-    return { wordLengths, scaleFactorIndices: allScaleFactorIndices }
+    return wordLengths
   }
 
   // Heapify
@@ -263,9 +432,7 @@ function distributeBitsRDO(
 
     const deltaBitsNext = WORD_LENGTH_DELTA_BITS[nxt]
     if (nxt < MAX_WORD_LENGTH_INDEX && deltaBitsNext > 0) {
-      const sfi = allScaleFactorIndices[bfu]
-      const distortionDelta =
-        biasedScaleFactors[sfi] * DISTORTION_DELTA_FACTORS[nxt]
+      const distortionDelta = weights[bfu] * deltaFactors[nxt]
       heapPriorities[0] = distortionDelta / deltaBitsNext
       siftDown(heapIndices, heapPriorities, 0, heapSize)
     } else {
@@ -277,7 +444,112 @@ function distributeBitsRDO(
     }
   }
 
-  return { wordLengths, scaleFactorIndices: allScaleFactorIndices }
+  return wordLengths
+}
+
+/**
+ * Improves a greedy allocation by exchanging word length steps between BFUs.
+ *
+ * The greedy search spends bits in order of distortion reduction per bit,
+ * which can strand bits when the next step of the best BFU no longer fits,
+ * and the first step of a BFU costs more bits than the following ones. Each
+ * iteration applies the single move that lowers the total distortion the
+ * most: one BFU gains a step, paid for by spare bits or by another BFU
+ * losing a step. Stops early when no move helps.
+ *
+ * @param {number} activeBfuCount
+ * @param {Int32Array} bfuSizes
+ * @param {number} availableBits
+ * @param {Int32Array} wordLengths Updated in place
+ * @param {Int32Array} scaleFactorIndices
+ * @param {Object} model
+ * @param {number} iterations Maximum number of moves
+ * @param {Object|null} workspace
+ */
+function refineAllocation(
+  activeBfuCount,
+  bfuSizes,
+  availableBits,
+  wordLengths,
+  scaleFactorIndices,
+  model,
+  iterations,
+  workspace
+) {
+  const { weights, levelFactors, zeroBitDistortions } = model
+  const lowerLosses = workspace?.lowerLosses ?? new Float64Array(activeBfuCount)
+  const lowerBits = workspace?.lowerBits ?? new Int32Array(activeBfuCount)
+
+  // Same per-BFU distortion as calculateTotalDistortion
+  const distortionAt = (bfu, wl) =>
+    wl === 0
+      ? zeroBitDistortions[bfu]
+      : weights[bfu] * levelFactors[wl] * bfuSizes[bfu]
+
+  let spareBits = availableBits
+  for (let i = 0; i < activeBfuCount; i++) {
+    spareBits -= WORD_LENGTH_BITS[wordLengths[i]] * bfuSizes[i]
+  }
+
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    // Distortion added and bits freed by lowering each BFU one step
+    for (let i = 0; i < activeBfuCount; i++) {
+      const wl = wordLengths[i]
+      if (wl === 0) {
+        lowerBits[i] = 0
+        continue
+      }
+      lowerLosses[i] = distortionAt(i, wl - 1) - distortionAt(i, wl)
+      lowerBits[i] = WORD_LENGTH_DELTA_BITS[wl - 1] * bfuSizes[i]
+    }
+
+    let bestGain = 0
+    let bestRaise = -1
+    let bestLower = -1
+
+    for (let raise = 0; raise < activeBfuCount; raise++) {
+      const wl = wordLengths[raise]
+      if (wl >= MAX_WORD_LENGTH_INDEX || scaleFactorIndices[raise] === 0) {
+        continue
+      }
+
+      const cost = WORD_LENGTH_DELTA_BITS[wl] * bfuSizes[raise]
+      const gain = distortionAt(raise, wl) - distortionAt(raise, wl + 1)
+      if (gain <= bestGain) continue
+
+      if (cost <= spareBits) {
+        bestGain = gain
+        bestRaise = raise
+        bestLower = -1
+      }
+
+      for (let lower = 0; lower < activeBfuCount; lower++) {
+        if (
+          lower === raise ||
+          lowerBits[lower] === 0 ||
+          cost > spareBits + lowerBits[lower]
+        ) {
+          continue
+        }
+        const netGain = gain - lowerLosses[lower]
+        if (netGain > bestGain) {
+          bestGain = netGain
+          bestRaise = raise
+          bestLower = lower
+        }
+      }
+    }
+
+    if (bestRaise < 0) break
+
+    spareBits -=
+      WORD_LENGTH_DELTA_BITS[wordLengths[bestRaise]] * bfuSizes[bestRaise]
+    wordLengths[bestRaise]++
+    if (bestLower >= 0) {
+      spareBits += lowerBits[bestLower]
+      wordLengths[bestLower]--
+    }
+  }
 }
 
 /**
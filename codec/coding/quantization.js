@@ -29,11 +29,16 @@ import {
  * @param {Float32Array} coefficients
  * @param {number} scaleFactorIndex
  * @param {number} bitsPerSample
+ * @param {Int32Array} [out]
  * @returns {Int32Array} out
  */
-export function quantize(coefficients, scaleFactorIndex, bitsPerSample) {
+export function quantize(
+  coefficients,
+  scaleFactorIndex,
+  bitsPerSample,
+  out = new Int32Array(coefficients.length)
+) {
   const length = coefficients.length
-  const out = new Int32Array(length)
   if (bitsPerSample === 0 || scaleFactorIndex === 0) {
     out.fill(0, 0, length)
     return out
@@ -60,21 +65,30 @@ export function quantize(coefficients, scaleFactorIndex, bitsPerSample) {
  * @param {Int32Array} quantized
  * @param {number} scaleFactorIndex
  * @param {number} bitsPerSample
- * @returns {Float32Array}
+ * @param {Float32Array} [output]
+ * @param {number} [offset=0] First destination index
+ * @returns {Float32Array} output
  */
-export function dequantize(quantized, scaleFactorIndex, bitsPerSample) {
+export function dequantize(
+  quantized,
+  scaleFactorIndex,
+  bitsPerSample,
+  output = new Float32Array(quantized.length),
+  offset = 0
+) {
+  const length = quantized.length
   if (bitsPerSample === 0 || scaleFactorIndex === 0) {
-    return new Float32Array(quantized.length)
+    output.fill(0, offset, offset + length)
+    return output
   }
 
   const scaleFactor = SCALE_FACTORS[scaleFactorIndex]
   const quantRange = (1 << (bitsPerSample - QUANTIZATION_SIGN_BIT_SHIFT)) - 1
 
-  const deq = new Float32Array(quantized.length)
-  for (let i = 0; i < quantized.length; i++) {
-    deq[i] = (quantized[i] * scaleFactor) / quantRange
+  for (let i = 0; i < length; i++) {
+    output[offset + i] = (quantized[i] * scaleFactor) / quantRange
   }
-  return deq
+  return output
 }
 
 /**
@@ -99,13 +113,19 @@ export function dequantize(quantized, scaleFactorIndex, bitsPerSample) {
  * - Long blocks (mode 0): Higher frequency resolution, fewer temporal segments
  * - Short blocks (mode 1): Lower frequency resolution, more temporal segments
  *
+ * Passing a previous result as `output` refills its BFU arrays in place.
+ *
  * @param {Float32Array} coefficients
  * @param {Array<number>} blockModes
+ * @param {Object} [output] - Result of an earlier call to reuse
  * @returns {{bfuData: Array<Float32Array>, bfuSizes: Array<number>, bfuCount: number}}
  */
-export function groupIntoBFUs(coefficients, blockModes) {
-  const bfuData = []
-  const bfuSizes = []
+export function groupIntoBFUs(
+  coefficients,
+  blockModes,
+  output = { bfuData: [], bfuSizes: [], bfuCount: 0 }
+) {
+  const { bfuData, bfuSizes } = output
 
   let coeffIndex = 0
   let bfuIndex = 0
@@ -121,29 +141,31 @@ export function groupIntoBFUs(coefficients, blockModes) {
       const size = SPECS_PER_BFU[bfuIndex]
       const startPos = startPositions[bfuIndex] - bandStart
       const endPos = startPos + size
-      const bfu = new Float32Array(size)
+      const bfu = (bfuData[bfuIndex] ??= new Float32Array(size))
 
       if (startPos >= 0 && endPos <= bandSize) {
-        bfu.set(coefficients.subarray(bandStart + startPos, bandStart + endPos))
+        for (let i = 0; i < size; i++) {
+          bfu[i] = coefficients[bandStart + startPos + i]
+        }
       } else {
         bfu.fill(0)
         if (startPos < bandSize && endPos > 0) {
           const srcStart = Math.max(0, startPos)
           const srcEnd = Math.min(bandSize, endPos)
-          bfu.set(
-            coefficients.subarray(bandStart + srcStart, bandStart + srcEnd),
-            Math.max(0, -startPos)
-          )
+          const dstStart = Math.max(0, -startPos)
+          for (let i = srcStart; i < srcEnd; i++) {
+            bfu[dstStart + i - srcStart] = coefficients[bandStart + i]
+          }
         }
       }
 
-      bfuData.push(bfu)
-      bfuSizes.push(size)
+      bfuSizes[bfuIndex] = size
       bfuIndex++
     }
 
     coeffIndex += bandSize
   }
 
-  return { bfuData, bfuSizes, bfuCount: bfuIndex }
+  output.bfuCount = bfuIndex
+  return output
 }
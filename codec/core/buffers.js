@@ -1,8 +1,19 @@
 /**
  * Carta1 Audio Codec - Buffer Management
+ *
+ * Holds the state and scratch space of one encoder or decoder, so a warm
+ * pipeline processes frames without allocating. Stage outputs live here too
+ * and are overwritten by the next frame.
  */
 
-import { QMF_DELAY, QMF_HIGH_BAND_DELAY } from './constants.js'
+import {
+  NUM_BFUS,
+  SPECS_PER_BFU,
+  QMF_DELAY,
+  QMF_HIGH_BAND_DELAY,
+  MDCT_TAIL_WINDOW_SIZE,
+  TRANSIENT_SEGMENT_SIZE,
+} from './constants.js'
 
 export class BufferPool {
   constructor() {
@@ -27,6 +38,17 @@ export class BufferPool {
       },
     }
 
+    // QMF outputs: analysis bands keyed by band length, synthesis output
+    // keyed by output length
+    this.qmfBands = {
+      128: { lowBand: new Float32Array(128), highBand: new Float32Array(128) },
+      256: { lowBand: new Float32Array(256), highBand: new Float32Array(256) },
+    }
+    this.qmfOutputs = {
+      256: new Float32Array(256),
+      512: new Float32Array(512),
+    }
+
     // QMF delay lines
     this.qmfDelays = {
       lowBand: new Float32Array(QMF_DELAY),
@@ -34,12 +56,49 @@ export class BufferPool {
       highBand: new Float32Array(QMF_HIGH_BAND_DELAY),
     }
 
-    // Transient detector
+    // Transient detector: magnitude spectra of the previous frame, and of
+    // the current frame while it is scored
     this.transientDetection = [
       new Float32Array(64),
       new Float32Array(64),
       new Float32Array(128),
     ]
+    this.transientSpectra = [
+      new Float32Array(64),
+      new Float32Array(64),
+      new Float32Array(128),
+    ]
+
+    // FFT work buffers
+    this.fftBuffers = {
+      128: { real: new Float32Array(128), imag: new Float32Array(128) },
+      256: { real: new Float32Array(256), imag: new Float32Array(256) },
+    }
+
+    // Look-ahead transient state: the buffered QMF frame, the score of the
+    // frame it precedes and energy envelopes spanning previous, current and
+    // next frames
+    this.lookAheadBands = [
+      new Float32Array(128),
+      new Float32Array(128),
+      new Float32Array(256),
+    ]
+    this.lookAheadNextBands = [
+      new Float32Array(128),
+      new Float32Array(128),
+      new Float32Array(256),
+    ]
+    this.transientScores = new Float32Array(3)
+    this.transientEnvelopes = [
+      new Float32Array((128 / TRANSIENT_SEGMENT_SIZE) * 3),
+      new Float32Array((128 / TRANSIENT_SEGMENT_SIZE) * 3),
+      new Float32Array((256 / TRANSIENT_SEGMENT_SIZE) * 3),
+    ]
+
+    // Block-mode hysteresis: whether each band is in short blocks and how
+    // many more frames it must stay there
+    this.shortBlockActive = new Uint8Array(3)
+    this.blockHoldRemaining = new Int32Array(3)
 
     // MDCT/IMDCT work buffers
     this.mdctBuffers = {
@@ -57,6 +116,21 @@ export class BufferPool {
       },
     }
 
+    // MDCT/IMDCT outputs keyed by length
+    this.mdctSpectra = {
+      32: new Float32Array(32),
+      128: new Float32Array(128),
+      256: new Float32Array(256),
+    }
+    this.imdctOutputs = {
+      64: new Float32Array(64),
+      256: new Float32Array(256),
+      512: new Float32Array(512),
+    }
+
+    // MDCT coefficients of the frame
+    this.coefficients = new Float32Array(512)
+
     // MDCT overlap buffers (encoder)
     this.mdctOverlap = [
       new Float32Array(32),
@@ -71,11 +145,59 @@ export class BufferPool {
       new Float32Array(512),
     ]
 
+    // IMDCT overlap-add work buffers (decoder)
+    this.overlapAddBuffers = {
+      previous: new Float32Array(MDCT_TAIL_WINDOW_SIZE),
+      current: new Float32Array(MDCT_TAIL_WINDOW_SIZE),
+      output: new Float32Array(MDCT_TAIL_WINDOW_SIZE * 2),
+    }
+
     // Spectrum reversal buffers
     this.reversalBuffers = {
       32: new Float32Array(32),
       128: new Float32Array(128),
       256: new Float32Array(256),
     }
+
+    // Coefficients grouped into BFUs
+    this.bfus = {
+      bfuData: Array.from(SPECS_PER_BFU, (size) => new Float32Array(size)),
+      bfuSizes: Array.from(SPECS_PER_BFU),
+      bfuCount: 0,
+    }
+
+    // Psychoacoustic model work buffers
+    this.masking = {
+      energies: new Float64Array(NUM_BFUS),
+      offsets: new Float64Array(NUM_BFUS),
+      thresholds: new Float64Array(NUM_BFUS),
+    }
+
+    // Bit allocation work buffers, with the word lengths of the best BFU
+    // count found so far
+    this.bitAllocation = {
+      scaleFactorIndices: new Int32Array(NUM_BFUS),
+      model: {
+        weights: new Float64Array(NUM_BFUS),
+        firstStepDeltas: new Float64Array(NUM_BFUS),
+        zeroBitDistortions: new Float32Array(NUM_BFUS),
+        levelFactors: null,
+        deltaFactors: null,
+      },
+      wordLengths: new Int32Array(NUM_BFUS),
+      heapIndices: new Int32Array(NUM_BFUS),
+      heapPriorities: new Float32Array(NUM_BFUS),
+      bestWordLengths: new Int32Array(NUM_BFUS),
+      lowerLosses: new Float64Array(NUM_BFUS),
+      lowerBits: new Int32Array(NUM_BFUS),
+      result: { bfuCount: 0, allocation: null, scaleFactorIndices: null },
+    }
+
+    // Quantized frame (encoder)
+    this.quantized = {
+      scaleFactorIndices: new Int32Array(NUM_BFUS),
+      wordLengthIndices: new Int32Array(NUM_BFUS),
+      coefficients: Array.from(SPECS_PER_BFU, (size) => new Int32Array(size)),
+    }
   }
 }
@@ -15,6 +15,11 @@ export const AEA_TITLE_SIZE = 256
 export const AEA_FRAME_COUNT_OFFSET = 260
 export const AEA_CHANNEL_COUNT_OFFSET = 264
 
+// Carta1 timing extension in the AEA header padding: magic, then the source
+// sample count per channel and the codec delay as little-endian uint32 values
+export const AEA_TIMING_OFFSET = 2032
+export const AEA_TIMING_MAGIC = new Uint8Array([0x43, 0x31, 0x54, 0x4d])
+
 // Frame structure
 export const SOUND_UNIT_SIZE = 212
 export const FRAME_BITS = SOUND_UNIT_SIZE * 8
@@ -70,6 +75,10 @@ export const QMF_TAPS = 48
 export const QMF_DELAY = 46
 export const QMF_HIGH_BAND_DELAY = 39
 
+// Samples between encoder input and decoder output, from QMF analysis, MDCT
+// overlap and QMF synthesis
+export const CODEC_DELAY = 266
+
 // QMF prototype filter coefficients
 export const QMF_COEFFS = new Float32Array([
   -0.00001461907, -0.00009205479, -0.000056157569, 0.00030117269, 0.0002422519,
@@ -111,6 +120,10 @@ export const FFT_SIZE_LOW = 128
 export const FFT_SIZE_MID = 128
 export const FFT_SIZE_HIGH = 256
 
+// Look-ahead attack localization
+export const TRANSIENT_SEGMENT_SIZE = 16
+export const ATTACK_ENERGY_RATIO = 4
+
 // MDCT/IMDCT transform configuration
 export const MDCT_BAND_CONFIGS = [
   { size: 128, windowStart: 48 }, // Low band (0-5.5kHz)
@@ -124,10 +137,7 @@ export const MDCT_TAIL_WINDOW_SIZE = 16
 
 // WAV format
 export const WAV_HEADER_SIZE = 44
-export const WAV_BYTES_PER_SAMPLE = 2
 export const WAV_BITS_PER_SAMPLE = 16
-export const WAV_PCM_MAX_POSITIVE = 0x7fff
-export const WAV_PCM_MAX_NEGATIVE = 0x8000
 export const WAV_DATA_OFFSET = 36
 
 // Frame serialization
@@ -177,3 +187,30 @@ export const DISTORTION_DELTA_FACTORS = (() => {
   }
   return table
 })()
+
+export const DISTORTION_LEVEL_FACTORS = (() => {
+  const table = new Float64Array(MAX_WORD_LENGTH_INDEX + 1)
+  for (let i = 0; i <= MAX_WORD_LENGTH_INDEX; i++) {
+    table[i] = INV_POWER_OF_TWO[WORD_LENGTH_BITS[i]]
+  }
+  return table
+})()
+
+// Uniform quantizer noise energy per coefficient, relative to the squared
+// scale factor. Index 0 is unused because zero-bit noise is the BFU energy.
+export const QUANTIZATION_NOISE_FACTORS = (() => {
+  const table = new Float64Array(MAX_WORD_LENGTH_INDEX + 1)
+  for (let i = 1; i <= MAX_WORD_LENGTH_INDEX; i++) {
+    const quantRange = (1 << (WORD_LENGTH_BITS[i] - 1)) - 1
+    table[i] = 1 / (12 * quantRange * quantRange)
+  }
+  return table
+})()
+
+export const QUANTIZATION_NOISE_DELTA_FACTORS = (() => {
+  const table = new Float64Array(MAX_WORD_LENGTH_INDEX)
+  for (let i = 1; i < MAX_WORD_LENGTH_INDEX; i++) {
+    table[i] = QUANTIZATION_NOISE_FACTORS[i] - QUANTIZATION_NOISE_FACTORS[i + 1]
+  }
+  return table
+})()
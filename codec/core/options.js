@@ -5,6 +5,35 @@
  * including parameter validation and metadata for UI controls.
  */
 
+import { BFU_AMOUNTS, BFU_BAND_BOUNDARIES } from './constants.js'
+
+/**
+ * Encoder speed and quality presets
+ *
+ * `bfuAmounts` lists the BFU counts the bit allocation compares,
+ * `refinementIterations` caps the word length exchanges that improve each
+ * greedy allocation, and `analyzedBands` is the number of QMF bands, from
+ * low to high, scored by transient detection; the other bands skip their FFT
+ * and stay in long blocks unless overridden.
+ */
+const ENCODER_PRESETS = {
+  fast: {
+    bfuAmounts: BFU_BAND_BOUNDARIES,
+    refinementIterations: 0,
+    analyzedBands: 2,
+  },
+  default: {
+    bfuAmounts: BFU_AMOUNTS,
+    refinementIterations: 0,
+    analyzedBands: 3,
+  },
+  best: {
+    bfuAmounts: BFU_AMOUNTS,
+    refinementIterations: 8,
+    analyzedBands: 3,
+  },
+}
+
 /**
  * Configuration options for the ATRAC1 encoder
  */
@@ -18,8 +47,18 @@ class EncoderOptions {
       transientThresholdLow: 1.0,
       transientThresholdMid: 1.5,
       transientThresholdHigh: 2.0,
+      releaseThresholdLow: 1.0,
+      releaseThresholdMid: 1.5,
+      releaseThresholdHigh: 2.0,
+      holdFramesLow: 0,
+      holdFramesMid: 0,
+      holdFramesHigh: 0,
+      preset: 'default',
       allocationBias: 1.0,
+      allocationModel: 'scaleFactor',
+      lookAhead: false,
       fixedBlockModes: null,
+      blockModeOverrides: null,
     }
 
     this.metadata = {
@@ -43,10 +82,66 @@ class EncoderOptions {
         default: this.values.transientThresholdHigh,
         name: 'High Band Transient Threshold',
         description:
-          'Controls the transient detection threshold for the high frequency band (11-22kHz). Lower values make detection more sensitive, triggering short blocks more easily. Higher values require stronger transients.',
+          'Controls the transient detection threshold for the high frequency band (11-22kHz). Lower values make detection more sensitive, triggering short blocks more easily. Higher values require stronger transients. Ignored by the "fast" preset, which keeps the high band in long blocks.',
         range: [0.01, 4],
         step: 0.01,
       },
+      releaseThresholdLow: {
+        default: this.values.releaseThresholdLow,
+        name: 'Low Band Release Threshold',
+        description:
+          'Transient score below which the low frequency band (0-5.5kHz) returns from short to long blocks. Values below the transient threshold add hysteresis so borderline material does not toggle between block sizes every frame. Values above the transient threshold have no effect.',
+        range: [0.01, 2],
+        step: 0.01,
+      },
+      releaseThresholdMid: {
+        default: this.values.releaseThresholdMid,
+        name: 'Mid Band Release Threshold',
+        description:
+          'Transient score below which the mid frequency band (5.5-11kHz) returns from short to long blocks. Values below the transient threshold add hysteresis so borderline material does not toggle between block sizes every frame. Values above the transient threshold have no effect.',
+        range: [0.01, 3],
+        step: 0.01,
+      },
+      releaseThresholdHigh: {
+        default: this.values.releaseThresholdHigh,
+        name: 'High Band Release Threshold',
+        description:
+          'Transient score below which the high frequency band (11-22kHz) returns from short to long blocks. Values below the transient threshold add hysteresis so borderline material does not toggle between block sizes every frame. Values above the transient threshold have no effect.',
+        range: [0.01, 4],
+        step: 0.01,
+      },
+      holdFramesLow: {
+        default: this.values.holdFramesLow,
+        name: 'Low Band Hold Frames',
+        description:
+          'Minimum number of frames the low frequency band (0-5.5kHz) stays in short blocks after its last transient before returning to long blocks. 0 releases as soon as the score drops below the release threshold.',
+        range: [0, 16],
+        step: 1,
+      },
+      holdFramesMid: {
+        default: this.values.holdFramesMid,
+        name: 'Mid Band Hold Frames',
+        description:
+          'Minimum number of frames the mid frequency band (5.5-11kHz) stays in short blocks after its last transient before returning to long blocks. 0 releases as soon as the score drops below the release threshold.',
+        range: [0, 16],
+        step: 1,
+      },
+      holdFramesHigh: {
+        default: this.values.holdFramesHigh,
+        name: 'High Band Hold Frames',
+        description:
+          'Minimum number of frames the high frequency band (11-22kHz) stays in short blocks after its last transient before returning to long blocks. 0 releases as soon as the score drops below the release threshold.',
+        range: [0, 16],
+        step: 1,
+      },
+      preset: {
+        default: this.values.preset,
+        name: 'Encoder preset',
+        description:
+          'Trades encoding speed for quality. "fast" compares only the BFU counts that end at a band boundary during bit allocation and skips transient detection in the high band, which stays in long blocks. "default" reproduces earlier encoder output. "best" refines each bit allocation by moving word length steps between BFUs while that lowers the distortion.',
+        type: 'enum',
+        values: Object.keys(ENCODER_PRESETS),
+      },
       allocationBias: {
         default: this.values.allocationBias,
         name: 'Bit allocation bias',
@@ -55,6 +150,21 @@ class EncoderOptions {
         range: [0.0, 5.0],
         step: 0.01,
       },
+      allocationModel: {
+        default: this.values.allocationModel,
+        name: 'Bit allocation model',
+        description:
+          'Selects the distortion measure minimized during bit allocation. "scaleFactor" weights truncation error by scale factor and reproduces earlier encoder output. "psychoacoustic" minimizes the noise-to-mask ratio using masking thresholds, the absolute threshold of hearing and tonality estimation; the allocation bias is ignored.',
+        type: 'enum',
+        values: ['scaleFactor', 'psychoacoustic'],
+      },
+      lookAhead: {
+        default: this.values.lookAhead,
+        name: 'Look-ahead transient detection',
+        description:
+          'Buffers one extra frame so attacks late in a frame switch that frame to short blocks before pre-echo occurs. Adds 512 samples of encoder latency, which the stream APIs compensate automatically.',
+        type: 'boolean',
+      },
       fixedBlockModes: {
         default: this.values.fixedBlockModes,
         name: 'Fixed block modes',
@@ -62,6 +172,13 @@ class EncoderOptions {
           'Override transient detection and use fixed block modes. Format: [low, mid, high] where low/mid can be 0 or 2, high can be 0 or 3. When set, transient detection is skipped.',
         type: 'array',
       },
+      blockModeOverrides: {
+        default: this.values.blockModeOverrides,
+        name: 'Block mode overrides',
+        description:
+          'Force block modes on specific frames while transient detection decides everywhere else. Each entry targets { frame }, { frames: [first, last] } or { start, end } in seconds, with modes [low, mid, high] where null keeps the detected mode. Overrides take precedence over fixed block modes.',
+        type: 'array',
+      },
     }
 
     // Apply user-provided options
@@ -86,7 +203,7 @@ class EncoderOptions {
    * Set a single option value with validation
    * @param {string} key - Option key
    * @param {*} value - Option value
-   * @throws {Error} If key is unknown or value is out of range
+   * @throws {Error} If key is unknown or value is out of range or not allowed
    */
   setValue(key, value) {
     if (!(key in this.metadata)) {
@@ -95,14 +212,29 @@ class EncoderOptions {
 
     const meta = this.metadata[key]
 
-    // Skip range validation for array types
-    if (meta.type !== 'array') {
+    // Booleans and enums check their type or allowed values; arrays skip
+    // range validation
+    if (meta.type === 'boolean') {
+      if (typeof value !== 'boolean') {
+        throw new Error(`Value for ${key} must be a boolean, got ${value}`)
+      }
+    } else if (meta.type === 'enum') {
+      if (!meta.values.includes(value)) {
+        throw new Error(
+          `Value for ${key} must be one of ${meta.values.join(', ')}, got ${value}`
+        )
+      }
+    } else if (meta.type !== 'array') {
       const [min, max] = meta.range
       if (value < min || value > max) {
         throw new Error(
           `Value for ${key} must be between ${min} and ${max}, got ${value}`
         )
       }
+      // Options stepping by whole numbers count frames or similar units
+      if (Number.isInteger(meta.step) && !Number.isInteger(value)) {
+        throw new Error(`Value for ${key} must be an integer, got ${value}`)
+      }
     }
 
     this.values[key] = value
@@ -133,14 +265,62 @@ class EncoderOptions {
     return this.values.transientThresholdHigh
   }
 
+  get releaseThresholdLow() {
+    return this.values.releaseThresholdLow
+  }
+
+  get releaseThresholdMid() {
+    return this.values.releaseThresholdMid
+  }
+
+  get releaseThresholdHigh() {
+    return this.values.releaseThresholdHigh
+  }
+
+  get holdFramesLow() {
+    return this.values.holdFramesLow
+  }
+
+  get holdFramesMid() {
+    return this.values.holdFramesMid
+  }
+
+  get holdFramesHigh() {
+    return this.values.holdFramesHigh
+  }
+
+  get preset() {
+    return this.values.preset
+  }
+
+  /**
+   * Settings of the selected preset
+   * @returns {Object} Entry of ENCODER_PRESETS
+   */
+  get presetSettings() {
+    return ENCODER_PRESETS[this.values.preset]
+  }
+
   get allocationBias() {
     return this.values.allocationBias
   }
 
+  get allocationModel() {
+    return this.values.allocationModel
+  }
+
+  get lookAhead() {
+    return this.values.lookAhead
+  }
+
   get fixedBlockModes() {
     return this.values.fixedBlockModes
   }
 
+  get blockModeOverrides() {
+    return this.values.blockModeOverrides
+  }
+
   getMetadata(key) {
     return this.metadata[key]
   }
@@ -163,4 +343,4 @@ class EncoderOptions {
   }
 }
 
-export { EncoderOptions }
+export { EncoderOptions, ENCODER_PRESETS }
@@ -0,0 +1,135 @@
+/**
+ * Carta1 Audio Codec - Block Mode Overrides
+ *
+ * Resolves per-frame block mode overrides into a frame lookup. Each override
+ * entry targets a single frame, an inclusive frame range or a time range in
+ * seconds, and forces the block mode of any band whose entry is not null:
+ *
+ *   { frame: 12, modes: [2, 2, 3] }
+ *   { frames: [40, 44], modes: [2, null, null] }
+ *   { start: 1.25, end: 1.4, modes: [null, null, 3] }
+ *
+ * Bands left null, and frames without an override, keep the block mode chosen
+ * by transient detection. When entries overlap, later entries win per band.
+ */
+
+import { SAMPLE_RATE, SAMPLES_PER_FRAME } from './constants.js'
+
+// Allowed block modes for the low, mid and high bands
+const VALID_BAND_MODES = [
+  [0, 2],
+  [0, 2],
+  [0, 3],
+]
+
+/**
+ * Resolve the inclusive frame range targeted by an override entry
+ * @param {Object} entry - Override entry
+ * @param {number} index - Entry position, for error messages
+ * @returns {Array<number>} First and last frame index
+ * @throws {Error} If the entry has no valid target
+ */
+function resolveFrameRange(entry, index) {
+  if (entry.frame !== undefined) {
+    if (!Number.isInteger(entry.frame) || entry.frame < 0) {
+      throw new Error(
+        `Block mode override ${index}: frame must be a non-negative integer, got ${entry.frame}`
+      )
+    }
+    return [entry.frame, entry.frame]
+  }
+
+  if (entry.frames !== undefined) {
+    const [first, last] = Array.isArray(entry.frames) ? entry.frames : []
+    if (
+      !Number.isInteger(first) ||
+      !Number.isInteger(last) ||
+      first < 0 ||
+      last < first
+    ) {
+      throw new Error(
+        `Block mode override ${index}: frames must be [first, last] with 0 <= first <= last`
+      )
+    }
+    return [first, last]
+  }
+
+  if (entry.start !== undefined || entry.end !== undefined) {
+    const { start, end } = entry
+    if (
+      typeof start !== 'number' ||
+      typeof end !== 'number' ||
+      !(start >= 0) ||
+      !(end > start)
+    ) {
+      throw new Error(
+        `Block mode override ${index}: start and end must be seconds with 0 <= start < end`
+      )
+    }
+    // Every frame overlapping [start, end) is covered
+    const first = Math.floor((start * SAMPLE_RATE) / SAMPLES_PER_FRAME)
+    const last = Math.ceil((end * SAMPLE_RATE) / SAMPLES_PER_FRAME) - 1
+    return [first, Math.max(first, last)]
+  }
+
+  throw new Error(
+    `Block mode override ${index}: expected frame, frames or start and end`
+  )
+}
+
+/**
+ * Validate the per-band modes of an override entry
+ * @param {Array<number|null>} modes - Modes for low, mid and high bands
+ * @param {number} index - Entry position, for error messages
+ * @throws {Error} If a mode is not valid for its band
+ */
+function validateModes(modes, index) {
+  if (!Array.isArray(modes) || modes.length !== 3) {
+    throw new Error(
+      `Block mode override ${index}: modes must be [low, mid, high]`
+    )
+  }
+
+  modes.forEach((mode, band) => {
+    if (mode !== null && !VALID_BAND_MODES[band].includes(mode)) {
+      throw new Error(
+        `Block mode override ${index}: mode for band ${band} must be ${VALID_BAND_MODES[band].join(' or ')} or null, got ${mode}`
+      )
+    }
+  })
+}
+
+/**
+ * Create a frame lookup from block mode override entries
+ *
+ * @param {Array<Object>} overrides - Override entries
+ * @returns {function(number): (Array<number|null>|null)} Returns the forced
+ *   modes for a frame index, or null when the frame has no override
+ * @throws {Error} If an entry is malformed
+ */
+export function createBlockModeOverrides(overrides) {
+  if (!Array.isArray(overrides)) {
+    throw new Error('Block mode overrides must be an array')
+  }
+
+  const ranges = overrides.map((entry, index) => {
+    if (!entry || typeof entry !== 'object') {
+      throw new Error(`Block mode override ${index}: expected an object`)
+    }
+    validateModes(entry.modes, index)
+    const [first, last] = resolveFrameRange(entry, index)
+    return { first, last, modes: entry.modes }
+  })
+
+  return (frameIndex) => {
+    let result = null
+    for (const { first, last, modes } of ranges) {
+      if (frameIndex < first || frameIndex > last) continue
+      result ??= [null, null, null]
+      modes.forEach((mode, band) => {
+        if (mode !== null) result[band] = mode
+      })
+    }
+    return result
+  }
+}
@@ -7,15 +7,22 @@ import { decode } from './pipeline/decoder.js'
 import {
   serializeFrame,
   deserializeFrame,
+  createFrameDeserializer,
   AeaFile,
 } from './io/serialization.js'
 import { quantize, dequantize } from './coding/quantization.js'
 import { qmfAnalysisStage, mdctStage } from './pipeline/encoder.js'
-import { pipe } from './utils.js'
+import { pipe, observedPipe } from './utils.js'
 import { BufferPool } from './core/buffers.js'
-import { EncoderOptions } from './core/options.js'
+import { EncoderOptions, ENCODER_PRESETS } from './core/options.js'
 import { AudioProcessor, decodeAeaPcm, encodeAeaPcm } from './io/processor.js'
+import { AeaWriter, WavWriter } from './io/writers.js'
+import { PCM_FORMATS, PcmQuantizer } from './io/pcm.js'
+import { parseCueSheet } from './io/cue.js'
 import { FFT } from './transforms/fft.js'
+import { Resampler, resample, resampledLength } from './transforms/resample.js'
+import { ChannelMixer, DOWNMIX_PRESETS } from './transforms/downmix.js'
+import { compareAudio } from './analysis/quality.js'
 import {
   WORD_LENGTH_BITS,
   SPECS_PER_BFU,
@@ -25,21 +32,35 @@ import {
 
 export {
   pipe,
+  observedPipe,
   encode,
   decode,
   qmfAnalysisStage,
   mdctStage,
   serializeFrame,
   deserializeFrame,
+  createFrameDeserializer,
   quantize,
   dequantize,
   AeaFile,
   BufferPool,
   EncoderOptions,
+  ENCODER_PRESETS,
   AudioProcessor,
   decodeAeaPcm,
   encodeAeaPcm,
+  AeaWriter,
+  WavWriter,
+  PCM_FORMATS,
+  PcmQuantizer,
+  parseCueSheet,
+  compareAudio,
   FFT,
+  Resampler,
+  resample,
+  resampledLength,
+  ChannelMixer,
+  DOWNMIX_PRESETS,
   WORD_LENGTH_BITS,
   SPECS_PER_BFU,
   SCALE_FACTORS,
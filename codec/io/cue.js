@@ -0,0 +1,118 @@
+/**
+ * Carta1 Audio Codec - Cue Sheets
+ *
+ * Parses the track layout of a cue sheet describing one audio file:
+ *
+ *   TITLE "Side A"
+ *   FILE "side-a.aea" WAVE
+ *     TRACK 01 AUDIO
+ *       TITLE "Opening"
+ *       INDEX 01 00:00:00
+ *     TRACK 02 AUDIO
+ *       TITLE "Second song"
+ *       INDEX 01 03:25:40
+ *
+ * Times are minutes, seconds and CD frames of 1/75 second. A track starts at
+ * its INDEX 01; pregaps (INDEX 00) belong to the end of the previous track.
+ * Commands other than TITLE, PERFORMER, TRACK and INDEX are ignored.
+ */
+
+// CD frames per second in cue sheet times
+const CUE_FRAMES_PER_SECOND = 75
+
+/**
+ * Split a cue sheet line into its command and arguments
+ * @param {string} line - Trimmed line
+ * @returns {Array<string>} Command followed by arguments, with quotes removed
+ */
+function tokenize(line) {
+  const tokens = []
+  const pattern = /"([^"]*)"|(\S+)/g
+  let match
+  while ((match = pattern.exec(line)) !== null) {
+    tokens.push(match[1] ?? match[2])
+  }
+  return tokens
+}
+
+/**
+ * Parse a cue sheet time
+ * @param {string} time - Time as mm:ss:ff
+ * @param {number} lineNumber - Line number, for error messages
+ * @returns {number} Time in seconds
+ * @throws {Error} If the time is malformed
+ */
+function parseCueTime(time, lineNumber) {
+  const match = /^(\d+):(\d{2}):(\d{2})$/.exec(time ?? '')
+  if (!match || Number(match[2]) >= 60 || Number(match[3]) >= 75) {
+    throw new Error(
+      `Cue sheet line ${lineNumber}: expected a time as mm:ss:ff, got "${time}"`
+    )
+  }
+  const [minutes, seconds, frames] = match.slice(1).map(Number)
+  return minutes * 60 + seconds + frames / CUE_FRAMES_PER_SECOND
+}
+
+/**
+ * Parse a cue sheet
+ * @param {string} text - Cue sheet contents
+ * @returns {Object} Sheet `title` and `performer` (null when absent) and
+ *   `tracks`, each with `number`, `title`, `performer` and `start` as
+ *   `{ seconds }`
+ * @throws {Error} If a track has no INDEX 01, tracks are out of order, or
+ *   the sheet has no tracks
+ */
+export function parseCueSheet(text) {
+  const sheet = { title: null, performer: null, tracks: [] }
+  let track = null
+
+  text
+    .replace(/^\uFEFF/, '')
+    .split(/\r?\n/)
+    .forEach((rawLine, index) => {
+      const lineNumber = index + 1
+      const [command, ...args] = tokenize(rawLine.trim())
+      switch (command?.toUpperCase()) {
+        case 'TITLE':
+        case 'PERFORMER': {
+          const key = command.toLowerCase()
+          if (track) track[key] = args[0] ?? ''
+          else sheet[key] = args[0] ?? ''
+          break
+        }
+        case 'TRACK': {
+          const number = parseInt(args[0], 10)
+          if (!Number.isInteger(number)) {
+            throw new Error(
+              `Cue sheet line ${lineNumber}: expected a track number, got "${args[0]}"`
+            )
+          }
+          track = { number, title: null, performer: null, start: null }
+          sheet.tracks.push(track)
+          break
+        }
+        case 'INDEX':
+          if (track && parseInt(args[0], 10) === 1) {
+            track.start = { seconds: parseCueTime(args[1], lineNumber) }
+          }
+          break
+      }
+    })
+
+  if (sheet.tracks.length === 0) {
+    throw new Error('Cue sheet has no tracks')
+  }
+  sheet.tracks.forEach((track, i) => {
+    if (!track.start) {
+      throw new Error(`Cue sheet track ${track.number} has no INDEX 01`)
+    }
+    const previous = sheet.tracks[i - 1]
+    if (previous && track.start.seconds <= previous.start.seconds) {
+      throw new Error(
+        `Cue sheet track ${track.number} does not start after track ${previous.number}`
+      )
+    }
+  })
+
+  return sheet
+}
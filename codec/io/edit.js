@@ -0,0 +1,327 @@
+/**
+ * Carta1 Audio Codec - Lossless AEA Editing
+ *
+ * Cuts and concatenates AEA files by copying whole sound units, so the audio
+ * is never decoded and re-encoded. Edits are frame-aligned; the timing
+ * extension of the output header records where the wanted audio starts and
+ * ends inside those frames, so decoders that read it stay sample-accurate.
+ *
+ * A cut keeps DECODER_WARM_UP_FRAMES frames before its start and marks them
+ * as delay, which lets the decoder rebuild the overlap state the first kept
+ * frame expects. Concatenation cannot do that: the first frame of each
+ * appended file was encoded to follow silence, so a splice after a frame
+ * that is not silent adds that frame's overlap tail to the next file. Such
+ * splice points are reported.
+ *
+ * Splitting cuts a file into tracks on the frame boundaries nearest to the
+ * track starts, without warm-up frames, so the tracks join back into the
+ * original frames. Each track decoded on its own starts like a splice.
+ */
+
+import { AeaReader, DECODER_WARM_UP_FRAMES } from './readers.js'
+import { AeaWriter } from './writers.js'
+import { deserializeFrame } from './serialization.js'
+import { SAMPLE_RATE, SAMPLES_PER_FRAME } from '../core/constants.js'
+
+/**
+ * Open an AEA input and read its header
+ * @param {string} input - Path to the AEA file
+ * @returns {Promise<AeaReader>} Reader with loaded metadata
+ */
+async function openReader(input) {
+  const reader = new AeaReader(input)
+  await reader.loadMetadata()
+  return reader
+}
+
+/**
+ * Create the output writer, opening the output first if needed
+ * @param {Object|Function} output - Output target, or a function returning
+ *   one or a promise of one
+ * @param {Object} options - AeaWriter options
+ * @returns {Promise<AeaWriter>} Writer
+ */
+async function createWriter(output, options) {
+  const target = typeof output === 'function' ? await output() : output
+  return new AeaWriter(target, options)
+}
+
+/**
+ * Decoded samples of a file that hold source audio
+ * @param {AeaReader} reader - Reader with loaded metadata
+ * @returns {{start: number, end: number}} First and end decoded sample
+ */
+function audioRange(reader) {
+  const { sampleCount, delay } = reader.metadata
+  const length = reader.framesPerChannel * SAMPLES_PER_FRAME
+  if (sampleCount === null) return { start: 0, end: length }
+  return { start: delay, end: Math.min(length, delay + sampleCount) }
+}
+
+/**
+ * Check whether a frame's sound units decode to silence
+ * @param {Uint8Array[]} units - One sound unit per channel
+ * @returns {boolean} True if every quantized coefficient is zero
+ */
+function isSilentFrame(units) {
+  return units.every((unit) =>
+    deserializeFrame(unit).quantizedCoefficients.every(
+      (coefficients) => !coefficients || coefficients.every((q) => q === 0)
+    )
+  )
+}
+
+/**
+ * Copy a frame range from a reader to a writer
+ * @param {AeaReader} reader - Source reader
+ * @param {AeaWriter} writer - Destination writer
+ * @param {number} start - First frame
+ * @param {number} end - Frame to stop before
+ * @returns {Promise<Uint8Array[]>} Sound units of the last copied frame
+ */
+async function copyFrames(reader, writer, start, end) {
+  const { channelCount } = reader.metadata
+  let lastFrame = []
+  for await (const unit of reader.units({ start, end })) {
+    if (lastFrame.length === channelCount) lastFrame = []
+    lastFrame.push(unit)
+    await writer.writeUnit(unit)
+  }
+  return lastFrame
+}
+
+/**
+ * Copy part of an AEA file without re-encoding
+ *
+ * `start` and `end` take a frame index, `{ frame }` or `{ seconds }`, as for
+ * AeaReader.seek(). Times are sample-accurate for decoders that honour the
+ * timing extension; the copied frames extend to the frame boundaries around
+ * them.
+ *
+ * @param {string} input - Path to the AEA file
+ * @param {Object|Function} output - FileHandle, Node writable or
+ *   WritableStream, or a function that opens one once the input is checked
+ * @param {Object} [options={}] - Cut options
+ * @param {number|Object} [options.start=0] - Start of the cut
+ * @param {number|Object|null} [options.end=null] - End of the cut; the end
+ *   of the audio when null
+ * @param {string} [options.title] - Output title; the input's by default
+ * @param {number} [options.warmUpFrames=DECODER_WARM_UP_FRAMES] - Frames
+ *   kept before the start to settle the decoder
+ * @returns {Promise<Object>} `frameCount` frames per channel written,
+ *   `sampleCount` and `delay` stored in the header, and `splicePoints`
+ * @throws {RangeError} If the range is outside the audio or empty
+ */
+export async function cutAea(input, output, options = {}) {
+  const {
+    start = 0,
+    end = null,
+    title,
+    warmUpFrames = DECODER_WARM_UP_FRAMES,
+  } = options
+  const reader = await openReader(input)
+  const audio = audioRange(reader)
+
+  await reader.seek(start)
+  const from = Math.max(audio.start, reader.position)
+  let to = audio.end
+  if (end !== null) {
+    await reader.seek(end)
+    to = Math.min(audio.end, reader.position)
+  }
+  if (to <= from) {
+    throw new RangeError('Cut end must be after its start and inside the audio')
+  }
+
+  const firstFrame = Math.max(
+    0,
+    Math.floor(from / SAMPLES_PER_FRAME) - warmUpFrames
+  )
+  const endFrame = Math.ceil(to / SAMPLES_PER_FRAME)
+  const delay = from - firstFrame * SAMPLES_PER_FRAME
+  const sampleCount = to - from
+
+  // Without warm-up the decoder misses the state of the frame before the cut
+  const splicePoints = []
+  if (firstFrame > 0 && firstFrame === Math.floor(from / SAMPLES_PER_FRAME)) {
+    const previous = []
+    for await (const unit of reader.units({
+      start: firstFrame - 1,
+      end: firstFrame,
+    })) {
+      previous.push(unit)
+    }
+    if (!isSilentFrame(previous)) {
+      splicePoints.push({ frame: 0, seconds: 0, input })
+    }
+  }
+
+  const writer = await createWriter(output, {
+    title: title ?? reader.metadata.title,
+    channelCount: reader.metadata.channelCount,
+    sampleCount,
+    delay,
+  })
+  try {
+    await copyFrames(reader, writer, firstFrame, endFrame)
+  } finally {
+    await writer.close()
+  }
+
+  return {
+    frameCount: writer.frameCount / reader.metadata.channelCount,
+    sampleCount,
+    delay,
+    splicePoints,
+  }
+}
+
+/**
+ * Join AEA files with the same channel count without re-encoding
+ *
+ * The output keeps the first file's delay and the last file's end of audio;
+ * padding after the audio of earlier files and the delay of later ones stay
+ * in the output as short gaps. Splice points where the preceding frame is
+ * not silent are returned, with their time in the output.
+ *
+ * @param {string[]} inputs - Paths to the AEA files, in order
+ * @param {Object|Function} output - FileHandle, Node writable or
+ *   WritableStream, or a function that opens one once the inputs are checked
+ * @param {Object} [options={}] - Concatenation options
+ * @param {string} [options.title] - Output title; the first input's by
+ *   default
+ * @returns {Promise<Object>} `frameCount` frames per channel written,
+ *   `sampleCount` and `delay` stored in the header, and `splicePoints`
+ * @throws {Error} If no inputs are given or the channel counts differ
+ */
+export async function concatAea(inputs, output, options = {}) {
+  if (inputs.length === 0) {
+    throw new Error('Nothing to concatenate')
+  }
+
+  const readers = []
+  for (const input of inputs) {
+    readers.push(await openReader(input))
+  }
+  const { channelCount } = readers[0].metadata
+  readers.forEach((reader, i) => {
+    if (reader.metadata.channelCount !== channelCount) {
+      throw new Error(
+        `Cannot concatenate ${reader.metadata.channelCount}-channel ${inputs[i]} with ${channelCount}-channel ${inputs[0]}`
+      )
+    }
+  })
+
+  const delay = audioRange(readers[0]).start
+  const lastReader = readers[readers.length - 1]
+  const totalFrames = readers.reduce(
+    (sum, reader) => sum + reader.framesPerChannel,
+    0
+  )
+  const end =
+    (totalFrames - lastReader.framesPerChannel) * SAMPLES_PER_FRAME +
+    audioRange(lastReader).end
+  const sampleCount = Math.max(0, end - delay)
+
+  const writer = await createWriter(output, {
+    title: options.title ?? readers[0].metadata.title,
+    channelCount,
+    sampleCount,
+    delay,
+  })
+
+  const splicePoints = []
+  let frame = 0
+  try {
+    let lastFrame = null
+    for (const [i, reader] of readers.entries()) {
+      if (lastFrame && !isSilentFrame(lastFrame)) {
+        splicePoints.push({
+          frame,
+          seconds: (frame * SAMPLES_PER_FRAME - delay) / SAMPLE_RATE,
+          input: inputs[i],
+        })
+      }
+      lastFrame = await copyFrames(reader, writer, 0, reader.framesPerChannel)
+      frame += reader.framesPerChannel
+    }
+  } finally {
+    await writer.close()
+  }
+
+  return { frameCount: frame, sampleCount, delay, splicePoints }
+}
+
+/**
+ * Split an AEA file into tracks without re-encoding
+ *
+ * Each track starts on the frame boundary nearest to its `start` (a frame
+ * index, `{ frame }` or `{ seconds }`) and ends where the next track starts;
+ * the last track ends with the audio. Titles are written to the track
+ * headers, with "Track N" for tracks without one. Cue sheet tracks from
+ * parseCueSheet() can be passed directly.
+ *
+ * @param {string} input - Path to the AEA file
+ * @param {Array<Object>} tracks - Tracks in order, each with `start` and an
+ *   optional `title` and `number`
+ * @param {Function} output - Called with each track and its index; returns
+ *   a FileHandle, Node writable or WritableStream, or a promise of one
+ * @returns {Promise<Array<Object>>} Per track: `title`, `startFrame`, and
+ *   the result of cutAea(), with splice points at the track's start in the
+ *   source
+ * @throws {Error} If tracks do not start in order on distinct frames
+ * @throws {RangeError} If a track starts outside the audio
+ */
+export async function splitAea(input, tracks, output) {
+  const reader = await openReader(input)
+  const { sampleCount, delay } = reader.metadata
+  const offset = sampleCount === null ? 0 : delay
+
+  const frames = []
+  tracks.forEach(({ start }, i) => {
+    const { frame = start, seconds } = typeof start === 'number' ? {} : start
+    let index = frame
+    if (seconds !== undefined) {
+      // A start at or before the first source sample keeps the whole delay
+      const position = Math.round(seconds * SAMPLE_RATE)
+      index =
+        position <= 0 ? 0 : Math.round((position + offset) / SAMPLES_PER_FRAME)
+    }
+    if (
+      !Number.isInteger(index) ||
+      index < 0 ||
+      index >= reader.framesPerChannel
+    ) {
+      throw new RangeError(
+        `Track ${i + 1} starts outside the file (frames 0 to ${reader.framesPerChannel - 1})`
+      )
+    }
+    if (i > 0 && index <= frames[i - 1]) {
+      throw new Error(
+        `Track ${i + 1} starts at frame ${index}, not after track ${i} at frame ${frames[i - 1]}`
+      )
+    }
+    frames.push(index)
+  })
+
+  const results = []
+  for (const [i, track] of tracks.entries()) {
+    const title = track.title || `Track ${track.number ?? i + 1}`
+    const result = await cutAea(input, () => output(track, i), {
+      start: frames[i],
+      end: i + 1 < tracks.length ? frames[i + 1] : null,
+      title,
+      warmUpFrames: 0,
+    })
+    // Report splices where the track starts in the source
+    const seconds =
+      Math.max(0, frames[i] * SAMPLES_PER_FRAME - offset) / SAMPLE_RATE
+    result.splicePoints = result.splicePoints.map((splice) => ({
+      ...splice,
+      frame: frames[i],
+      seconds,
+    }))
+    results.push({ title, startFrame: frames[i], ...result })
+  }
+  return results
+}
@@ -0,0 +1,15 @@
+/**
+ * Carta1 Audio Codec - Encoder Worker Thread
+ *
+ * Runs segment tasks for encodeStreamParallel(): each message is a task for
+ * encodeSegment() and is answered with its result. Errors
+ * are left uncaught so they reach the pool as the worker's error event.
+ */
+
+import { parentPort } from 'worker_threads'
+import { encodeSegment } from './parallel.js'
+
+parentPort.on('message', (task) => {
+  const result = encodeSegment(task)
+  parentPort.postMessage(result, [result.units.buffer])
+})
@@ -0,0 +1,386 @@
+/**
+ * Carta1 Audio Codec - Parallel Encoding
+ *
+ * Encodes on a pool of worker threads. The input is cut into segments of
+ * SEGMENT_FRAMES output frames, and each channel of each segment is a task
+ * with its own encoder. A task first encodes the frames before its segment
+ * and drops their output, so the QMF delay lines, MDCT overlap and transient
+ * detector reach the segment in the state a single encoder would have
+ * there. Block mode hysteresis can reach back further than any warm-up, as
+ * a band may stay in short blocks for as long as its score stays above the
+ * release threshold. Each task therefore reports its hysteresis state early
+ * in the warm-up and at the frame where the next segment reports its own.
+ * Segments are checked in order, and one that started from a different
+ * state than the previous segment hands over is encoded again from that
+ * state, so the output is identical to AudioProcessor.encodeStream().
+ *
+ * Segment boundaries do not depend on the number of workers, so the output
+ * is the same for every job count.
+ */
+
+import { Worker } from 'worker_threads'
+import { AudioProcessor, encodedFrameCount } from './processor.js'
+import { serializeFrame } from './serialization.js'
+import { encode } from '../pipeline/encoder.js'
+import { EncoderOptions } from '../core/options.js'
+import { BufferPool } from '../core/buffers.js'
+import { createBlockModeOverrides } from '../core/overrides.js'
+import { SAMPLES_PER_FRAME, SOUND_UNIT_SIZE } from '../core/constants.js'
+
+// Output frames per segment, about three seconds
+export const SEGMENT_FRAMES = 256
+
+// Frames encoded before a segment to settle the encoder state, on top of
+// the longest block mode hold time. The hysteresis state is handed over
+// at the last of them, once the transient scores have settled.
+const SEGMENT_WARM_UP_FRAMES = 4
+
+const WORKER_URL = new URL('./encodeWorker.js', import.meta.url)
+
+/**
+ * Read the block mode hysteresis state of an encoder
+ * @param {BufferPool} bufferPool - Encoder buffers
+ * @returns {Array<number>} Short block flags, then remaining hold frames
+ */
+function readBlockState(bufferPool) {
+  return [...bufferPool.shortBlockActive, ...bufferPool.blockHoldRemaining]
+}
+
+/**
+ * Encode one channel of a segment
+ *
+ * Input frames past the end of `samples` are silent, which flushes the
+ * encoder like the end of AudioProcessor.encodeStream(). The hysteresis
+ * state is read just before the encoder decides the block modes of
+ * `stateFrame` and `handoffFrame`, and `blockState` replaces it at
+ * `stateFrame`.
+ *
+ * @param {Object} task - Segment task
+ * @param {Float32Array} task.samples - Input frames from `inputStart`
+ * @param {number} task.inputStart - First input frame, the warm-up start
+ * @param {number} task.outputStart - First frame to keep
+ * @param {number} task.outputEnd - Frame to stop before
+ * @param {number} task.stateFrame - Frame whose hysteresis state is
+ *   compared with the previous segment's handoff
+ * @param {number} task.handoffFrame - The next segment's `stateFrame`
+ * @param {Array<number>} [task.blockState] - Hysteresis state to resume from
+ *   at `stateFrame`
+ * @param {Object} task.options - EncoderOptions values, with block mode
+ *   overrides counted from `inputStart`
+ * @returns {Object} Segment result
+ * @returns {Uint8Array} returns.units - Serialized sound units of the kept
+ *   frames
+ * @returns {Array<number>} returns.startState - Hysteresis state at
+ *   `stateFrame`
+ * @returns {Array<number>|null} returns.handoffState - Hysteresis state at
+ *   `handoffFrame`, or null if the segment ends before it
+ */
+export function encodeSegment(task) {
+  const { samples, inputStart, outputStart, outputEnd, options } = task
+  const { stateFrame, handoffFrame, blockState } = task
+  const bufferPool = new BufferPool()
+  const encoder = encode(new EncoderOptions(options), bufferPool, null, {
+    reuseOutput: true,
+  })
+  const latencyFrames = Math.ceil(encoder.latency / SAMPLES_PER_FRAME)
+  const inputFrames = samples.length / SAMPLES_PER_FRAME
+  const units = new Uint8Array((outputEnd - outputStart) * SOUND_UNIT_SIZE)
+  let startState = null
+  let handoffState = null
+
+  for (let i = 0; inputStart + i < outputEnd + latencyFrames; i++) {
+    const input =
+      i < inputFrames
+        ? samples.subarray(i * SAMPLES_PER_FRAME, (i + 1) * SAMPLES_PER_FRAME)
+        : new Float32Array(SAMPLES_PER_FRAME)
+    const frame = inputStart + i - latencyFrames
+    if (frame === stateFrame) {
+      if (blockState) {
+        bufferPool.shortBlockActive.set(blockState.slice(0, 3))
+        bufferPool.blockHoldRemaining.set(blockState.slice(3))
+      }
+      startState = readBlockState(bufferPool)
+    }
+    if (frame === handoffFrame) {
+      handoffState = readBlockState(bufferPool)
+    }
+    const result = encoder(input)
+    if (frame >= outputStart) {
+      units.set(serializeFrame(result), (frame - outputStart) * SOUND_UNIT_SIZE)
+    }
+  }
+  return { units, startState, handoffState }
+}
+
+/**
+ * Check whether two hysteresis states are equal
+ * @param {Array<number>} a - First state
+ * @param {Array<number>} b - Second state
+ * @returns {boolean} True if every value matches
+ */
+function sameBlockState(a, b) {
+  return a.every((value, i) => value === b[i])
+}
+
+/**
+ * Resolve the block mode overrides of a segment's frames
+ * @param {Function|null} getOverride - Override lookup of the whole stream
+ * @param {number} start - First input frame of the segment
+ * @param {number} end - Frame to stop before
+ * @returns {Array<Object>|null} Overrides counted from `start`, or null
+ */
+function segmentOverrides(getOverride, start, end) {
+  if (!getOverride) return null
+  const overrides = []
+  for (let frame = start; frame < end; frame++) {
+    const modes = getOverride(frame)
+    if (modes) overrides.push({ frame: frame - start, modes })
+  }
+  return overrides.length > 0 ? overrides : null
+}
+
+/**
+ * Fixed-size pool of encoder workers running segment tasks in order of
+ * submission
+ * @private
+ */
+class WorkerPool {
+  /**
+   * @param {number} size - Number of worker threads
+   */
+  constructor(size) {
+    this.workers = []
+    this.idle = []
+    this.queue = []
+    this.running = new Map()
+    this.error = null
+
+    for (let i = 0; i < size; i++) {
+      const worker = new Worker(WORKER_URL)
+      worker.on('message', (result) => this._finish(worker, result))
+      worker.on('error', (error) => this._fail(worker, error))
+      this.workers.push(worker)
+      this.idle.push(worker)
+    }
+  }
+
+  /**
+   * Queue a segment task
+   * @param {Object} task - Task for encodeSegment(); its samples are copied
+   *   to the worker so the task can run again
+   * @returns {Promise<Object>} Segment result
+   */
+  run(task) {
+    return new Promise((resolve, reject) => {
+      if (this.error) {
+        reject(this.error)
+        return
+      }
+      this.queue.push({ task, resolve, reject })
+      this._dispatch()
+    })
+  }
+
+  /**
+   * Hand queued tasks to idle workers
+   */
+  _dispatch() {
+    while (this.idle.length > 0 && this.queue.length > 0) {
+      const worker = this.idle.pop()
+      const job = this.queue.shift()
+      this.running.set(worker, job)
+      worker.postMessage(job.task)
+    }
+  }
+
+  /**
+   * @param {Worker} worker - Worker that finished a task
+   * @param {Object} result - Task result
+   */
+  _finish(worker, result) {
+    this.running.get(worker).resolve(result)
+    this.running.delete(worker)
+    this.idle.push(worker)
+    this._dispatch()
+  }
+
+  /**
+   * Reject the failed task and everything still queued
+   * @param {Worker} worker - Worker that threw
+   * @param {Error} error - Error thrown by the task
+   */
+  _fail(worker, error) {
+    this.error = error
+    this.running.get(worker)?.reject(error)
+    this.running.delete(worker)
+    for (const job of this.queue.splice(0)) {
+      job.reject(error)
+    }
+  }
+
+  /**
+   * Stop all workers
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await Promise.all(this.workers.map((worker) => worker.terminate()))
+  }
+}
+
+/**
+ * Encode a stream of audio frames on several threads
+ *
+ * Takes the same input and options as AudioProcessor.encodeStream(), and
+ * yields serialized sound units in file order (left then right for
+ * stereo), ready for AeaWriter.writeUnits(). Up to two segments per job are
+ * buffered ahead of the output.
+ *
+ * @param {AsyncIterable<Float32Array>|AsyncIterable<Float32Array[]>} audioFrames - Audio frame stream
+ * @param {Object} [options={}] - Encoding options, as for
+ *   AudioProcessor.encodeStream()
+ * @param {number} [options.jobs=1] - Worker threads; with 1 the segments are
+ *   encoded on the calling thread
+ * @returns {AsyncGenerator<Uint8Array>} Stream of sound units
+ * @throws {Error} If the channels to encode are not mono or stereo, or
+ *   `jobs` is not a positive integer
+ */
+export async function* encodeStreamParallel(audioFrames, options = {}) {
+  const {
+    jobs = 1,
+    onProgress,
+    encoderOptions = new EncoderOptions(),
+  } = options
+  if (!Number.isInteger(jobs) || jobs < 1) {
+    throw new Error(`Jobs must be a positive integer, got ${jobs}`)
+  }
+  const { frames, channelCount, sampleCount } =
+    AudioProcessor.prepareEncodeStream(audioFrames, options)
+  if (channelCount !== 1 && channelCount !== 2) {
+    throw new Error(`Unsupported channel count: ${channelCount}`)
+  }
+
+  const { values } = encoderOptions
+  const getOverride = values.blockModeOverrides
+    ? createBlockModeOverrides(values.blockModeOverrides)
+    : null
+  const warmUpFrames =
+    SEGMENT_WARM_UP_FRAMES +
+    Math.max(values.holdFramesLow, values.holdFramesMid, values.holdFramesHigh)
+  // Look-ahead delays the encoder output by one frame
+  const latencyFrames = values.lookAhead ? 1 : 0
+
+  // Input frames per channel from `bufferStart`, each padded to full length
+  const buffered = Array.from({ length: channelCount }, () => [])
+  let bufferStart = 0
+  let inputFrames = 0
+
+  const pool = jobs > 1 ? new WorkerPool(jobs) : null
+  const runTask = (task) =>
+    pool ? pool.run(task) : Promise.resolve(encodeSegment(task))
+
+  // Start the tasks of one segment and drop input no later segment needs
+  const startSegment = (segment, totalFrames) => {
+    const outputStart = segment * SEGMENT_FRAMES
+    const outputEnd = Math.min(outputStart + SEGMENT_FRAMES, totalFrames)
+    const inputStart = Math.max(0, outputStart - warmUpFrames)
+    const inputEnd = Math.min(inputFrames, outputEnd + latencyFrames)
+    const overrides = segmentOverrides(getOverride, inputStart, outputEnd)
+    const nextStart = Math.max(0, outputEnd - warmUpFrames)
+
+    const tasks = buffered.map((channelFrames) => {
+      const samples = new Float32Array(
+        Math.max(0, inputEnd - inputStart) * SAMPLES_PER_FRAME
+      )
+      for (let frame = inputStart; frame < inputEnd; frame++) {
+        samples.set(
+          channelFrames[frame - bufferStart],
+          (frame - inputStart) * SAMPLES_PER_FRAME
+        )
+      }
+      return {
+        samples,
+        inputStart,
+        outputStart,
+        outputEnd,
+        stateFrame: inputStart + SEGMENT_WARM_UP_FRAMES - 1,
+        handoffFrame: nextStart + SEGMENT_WARM_UP_FRAMES - 1,
+        options: { ...values, blockModeOverrides: overrides },
+      }
+    })
+
+    for (const channelFrames of buffered) {
+      channelFrames.splice(0, nextStart - bufferStart)
+    }
+    bufferStart = nextStart
+
+    // Failures surface when the segment is awaited in order
+    const results = Promise.all(tasks.map(runTask))
+    results.catch(() => {})
+    return { tasks, results }
+  }
+
+  // Hysteresis state of each channel handed over by the previous segment
+  let handoff = null
+
+  // Wait for a segment and encode it again from the handed over state
+  // wherever its warm-up reached a different one
+  const finishSegment = async ({ tasks, results }) => {
+    const segmentResults = await Promise.all(
+      (await results).map((result, channel) =>
+        handoff && !sameBlockState(result.startState, handoff[channel])
+          ? runTask({ ...tasks[channel], blockState: handoff[channel] })
+          : result
+      )
+    )
+    handoff = segmentResults.map((result) => result.handoffState)
+    return segmentResults.map((result) => result.units)
+  }
+
+  function* interleave(channelUnits) {
+    const frameCount = channelUnits[0].length / SOUND_UNIT_SIZE
+    for (let i = 0; i < frameCount; i++) {
+      for (const units of channelUnits) {
+        yield units.subarray(i * SOUND_UNIT_SIZE, (i + 1) * SOUND_UNIT_SIZE)
+      }
+    }
+  }
+
+  const pending = []
+  let nextSegment = 0
+  try {
+    for await (const frame of frames) {
+      const channelFrames = channelCount === 1 ? [frame] : frame
+      channelFrames.forEach((samples, channel) => {
+        const padded = new Float32Array(SAMPLES_PER_FRAME)
+        padded.set(samples)
+        buffered[channel].push(padded)
+      })
+      if (onProgress) {
+        onProgress(inputFrames)
+      }
+      inputFrames++
+
+      // A segment can start once the input covers its look-ahead
+      const segmentEnd = (nextSegment + 1) * SEGMENT_FRAMES
+      if (inputFrames >= segmentEnd + latencyFrames) {
+        pending.push(startSegment(nextSegment++, segmentEnd))
+      }
+      while (pending.length >= 2 * jobs) {
+        yield* interleave(await finishSegment(pending.shift()))
+      }
+    }
+
+    // The last segments include the silent frames that flush the encoder
+    const totalFrames = encodedFrameCount(inputFrames, sampleCount)
+    while (nextSegment * SEGMENT_FRAMES < totalFrames) {
+      pending.push(startSegment(nextSegment++, totalFrames))
+    }
+    while (pending.length > 0) {
+      yield* interleave(await finishSegment(pending.shift()))
+    }
+  } finally {
+    // Settle unfinished tasks before stopping their workers
+    await Promise.allSettled(pending.map(({ results }) => results))
+    await pool?.close()
+  }
+}
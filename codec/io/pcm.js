@@ -0,0 +1,192 @@
+/**
+ * Carta1 Audio Codec - PCM Output Formats
+ *
+ * Converts normalized float samples to the sample formats of WAV output:
+ * 16, 24 or 32-bit integer PCM, or 32-bit IEEE float. Integer formats round
+ * to the nearest step and count the samples that had to be clipped.
+ *
+ * 16-bit output can add TPDF (triangular probability density) dither, which
+ * turns requantization distortion into a constant noise floor. Noise shaping
+ * feeds the requantization error back through a filter so that floor moves
+ * away from the frequencies where hearing is most sensitive.
+ */
+
+import { WAVE_FORMAT_IEEE_FLOAT, WAVE_FORMAT_PCM } from './riff.js'
+
+/**
+ * Output sample formats by bit depth
+ */
+export const PCM_FORMATS = {
+  16: { bitsPerSample: 16, formatTag: WAVE_FORMAT_PCM },
+  24: { bitsPerSample: 24, formatTag: WAVE_FORMAT_PCM },
+  32: { bitsPerSample: 32, formatTag: WAVE_FORMAT_PCM },
+  '32f': { bitsPerSample: 32, formatTag: WAVE_FORMAT_IEEE_FLOAT },
+}
+
+// Error feedback filter of Lipshitz, Vanderkooy and Wannamaker's minimally
+// audible noise shaper for 44.1 kHz
+const NOISE_SHAPING_COEFFICIENTS = [2.033, -2.165, 1.959, -1.59, 0.6149]
+
+// Largest fed-back error in steps, so clipped samples cannot destabilize the
+// noise shaping loop
+const MAX_SHAPED_ERROR = 2
+
+// Fixed xorshift seed so dithered output is reproducible
+const DITHER_SEED = 0x2545f491
+
+/**
+ * Quantizes float samples to one PCM output format
+ *
+ * Dither and noise shaping state is kept per channel, so one quantizer
+ * converts a whole stream frame by frame.
+ *
+ * @example
+ * const quantizer = new PcmQuantizer(2, { bitDepth: 16, dither: true })
+ * const bytes = quantizer.interleave([left, right])
+ */
+export class PcmQuantizer {
+  /**
+   * Create a quantizer
+   * @param {number} channelCount - Number of channels
+   * @param {Object} [options={}] - Output format options
+   * @param {number|string} [options.bitDepth=16] - 16, 24, 32 or '32f'
+   * @param {boolean} [options.dither=false] - Add TPDF dither (16-bit only)
+   * @param {boolean} [options.noiseShaping=false] - Shape the requantization
+   *   noise (16-bit only)
+   * @throws {Error} If the bit depth is unsupported or dither is requested
+   *   for another bit depth
+   */
+  constructor(channelCount, options = {}) {
+    const { bitDepth = 16, dither = false, noiseShaping = false } = options
+    const format = PCM_FORMATS[bitDepth]
+    if (!format) {
+      throw new Error(
+        `Unsupported bit depth ${bitDepth}, expected ${Object.keys(PCM_FORMATS).join(', ')}`
+      )
+    }
+    if ((dither || noiseShaping) && String(bitDepth) !== '16') {
+      throw new Error(
+        'Dither and noise shaping are only available for 16-bit output'
+      )
+    }
+
+    this.bitDepth = bitDepth
+    this.bitsPerSample = format.bitsPerSample
+    this.formatTag = format.formatTag
+    this.bytesPerSample = format.bitsPerSample / 8
+    this.isFloat = format.formatTag === WAVE_FORMAT_IEEE_FLOAT
+    this.channelCount = channelCount
+    this.dither = dither
+    this.noiseShaping = noiseShaping
+
+    this.scale = 2 ** (format.bitsPerSample - 1)
+    this.max = this.scale - 1
+    this.min = -this.scale
+    this.errors = Array.from(
+      { length: channelCount },
+      () => new Float64Array(NOISE_SHAPING_COEFFICIENTS.length)
+    )
+    this.random = DITHER_SEED
+    this.clipCount = 0
+    this.peak = 0
+  }
+
+  /**
+   * Quantize one sample
+   * @param {number} sample - Normalized sample
+   * @param {number} [channel=0] - Channel index for noise shaping state
+   * @returns {number} Integer sample, or the sample itself for float output
+   */
+  quantize(sample, channel = 0) {
+    const magnitude = Math.abs(sample)
+    if (magnitude > this.peak) this.peak = magnitude
+    if (this.isFloat) return sample
+
+    let target = sample * this.scale
+    const errors = this.errors[channel]
+    if (this.noiseShaping) {
+      for (let k = 0; k < errors.length; k++) {
+        target -= NOISE_SHAPING_COEFFICIENTS[k] * errors[k]
+      }
+    }
+
+    let value = Math.round(
+      this.dither ? target + this._nextUniform() + this._nextUniform() : target
+    )
+    if (value > this.max || value < this.min) {
+      value = value > this.max ? this.max : this.min
+      this.clipCount++
+    }
+
+    if (this.noiseShaping) {
+      const error = Math.max(
+        -MAX_SHAPED_ERROR,
+        Math.min(MAX_SHAPED_ERROR, value - target)
+      )
+      errors.copyWithin(1, 0, errors.length - 1)
+      errors[0] = error
+    }
+
+    return value
+  }
+
+  /**
+   * Quantize one frame and interleave its channels as little-endian bytes
+   *
+   * Channels shorter than the longest one are padded with silence.
+   *
+   * @param {Float32Array[]} channels - One frame per channel
+   * @returns {Uint8Array} Interleaved sample bytes
+   */
+  interleave(channels) {
+    const frameLength = Math.max(...channels.map((channel) => channel.length))
+    const bytes = new Uint8Array(
+      frameLength * channels.length * this.bytesPerSample
+    )
+    const view = new DataView(bytes.buffer)
+
+    let offset = 0
+    for (let i = 0; i < frameLength; i++) {
+      channels.forEach((channel, index) => {
+        const value = this.quantize(i < channel.length ? channel[i] : 0, index)
+        this._writeSample(view, offset, value)
+        offset += this.bytesPerSample
+      })
+    }
+    return bytes
+  }
+
+  /**
+   * Write one quantized sample
+   * @param {DataView} view - Output view
+   * @param {number} offset - Byte offset
+   * @param {number} value - Quantized sample
+   * @private
+   */
+  _writeSample(view, offset, value) {
+    if (this.isFloat) {
+      view.setFloat32(offset, value, true)
+    } else if (this.bitsPerSample === 16) {
+      view.setInt16(offset, value, true)
+    } else if (this.bitsPerSample === 24) {
+      view.setUint8(offset, value & 0xff)
+      view.setInt16(offset + 1, value >> 8, true)
+    } else {
+      view.setInt32(offset, value, true)
+    }
+  }
+
+  /**
+   * Next uniform random value in [-0.5, 0.5) steps from a xorshift32 generator
+   * @returns {number} Random value
+   * @private
+   */
+  _nextUniform() {
+    let x = this.random
+    x ^= x << 13
+    x ^= x >>> 17
+    x ^= x << 5
+    this.random = x >>> 0
+    return this.random / 0x100000000 - 0.5
+  }
+}
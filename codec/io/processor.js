@@ -9,6 +9,8 @@
  * - Stream-based processing for large audio files
  * - Automatic delay compensation for codec processing
  * - Support for mono and stereo audio
+ * - Sample rate conversion of non-44.1 kHz input before encoding
+ * - Channel selection and downmixing of multichannel input
  * - Progress tracking callbacks
  * - AEA file format creation and parsing
  * - WAV file generation from decoded audio
@@ -17,19 +19,25 @@
 import { encode } from '../pipeline/encoder.js'
 import { decode } from '../pipeline/decoder.js'
 import { EncoderOptions } from '../core/options.js'
+import { ChannelMixer } from '../transforms/downmix.js'
+import { PCM_FORMATS, PcmQuantizer } from './pcm.js'
+import { Resampler, resample, resampledLength } from '../transforms/resample.js'
 import {
   SAMPLES_PER_FRAME,
   SAMPLE_RATE,
+  CODEC_DELAY,
   AEA_HEADER_SIZE,
   SOUND_UNIT_SIZE,
   WAV_HEADER_SIZE,
-  WAV_BYTES_PER_SAMPLE,
   WAV_BITS_PER_SAMPLE,
-  WAV_PCM_MAX_POSITIVE,
-  WAV_PCM_MAX_NEGATIVE,
   WAV_DATA_OFFSET,
 } from '../core/constants.js'
-import { serializeFrame, deserializeFrame, AeaFile } from './serialization.js'
+import {
+  serializeFrame,
+  createFrameDeserializer,
+  AeaFile,
+} from './serialization.js'
+import { snapshot } from '../utils.js'
 
 /**
  * Audio processing utility class providing high-level encoding and decoding operations
@@ -50,88 +58,195 @@ export class AudioProcessor {
    * Decode a complete AEA byte image into planar PCM buffers.
    *
    * @param {Uint8Array|ArrayBuffer|Blob} input Complete AEA image.
-   * @returns {Promise<Float32Array[]>} Decoded normalized PCM channels.
+   * @param {Object} [options] Output sample format options.
+   * @returns {Promise<Array<Float32Array|Int16Array|Int32Array>>} Decoded PCM
+   *   channels.
    */
-  static decodeAeaPcm(input) {
-    return decodeAeaPcm(input)
+  static decodeAeaPcm(input, options = {}) {
+    return decodeAeaPcm(input, options)
   }
 
   /**
    * Encodes a stream of audio frames to ATRAC1 format
-   * @param {AsyncIterable<Float32Array>|AsyncIterable<[Float32Array, Float32Array]>} audioFrames - Audio frame stream
+   * @param {AsyncIterable<Float32Array>|AsyncIterable<Float32Array[]>} audioFrames - Audio frame stream
    * @param {Object} [options={}] - Encoding options
-   * @param {number} [options.channelCount=1] - Number of audio channels (1 or 2)
+   * @param {number} [options.channelCount=1] - Number of channels in each
+   *   input frame; more than two requires `channels` or `downmix`
+   * @param {number[]} [options.channels] - Zero-based input channels to
+   *   encode, in output order
+   * @param {string|number[][]} [options.downmix] - Downmix preset from
+   *   DOWNMIX_PRESETS or matrix applied to the selected channels
+   * @param {Function} [options.onPhaseWarning] - Called after a two-to-one
+   *   downmix with the phase report when any frame was out of phase
    * @param {Function} [options.onProgress] - Progress callback function
    * @param {EncoderOptions} [options.encoderOptions] - Encoder configuration options
-   * @returns {AsyncGenerator<Object>} Stream of encoded frame data
-   * @throws {Error} If unsupported channel count is provided
+   * @param {number|null} [options.sampleCount=null] - Source samples per
+   *   channel; when set, silent frames are appended until the last source
+   *   sample has cleared the codec delay
+   * @param {number} [options.sampleRate=SAMPLE_RATE] - Input sample rate
+   * @param {string|false} [options.resample='high'] - Resampler quality preset
+   *   used when the input rate is not 44.1 kHz, or false to encode the input
+   *   samples unchanged
+   * @returns {AsyncGenerator<Object>} Stream of encoded frame data; each
+   *   frame is reused by a later one, so serialize or copy it before asking
+   *   for the next, or gather the stream with collectFrames()
+   * @throws {Error} If the channels to encode are not mono or stereo
    */
   static async *encodeStream(audioFrames, options = {}) {
-    const { channelCount = 1, onProgress, encoderOptions } = options
+    const { onProgress, encoderOptions } = options
+    const { frames, channelCount, sampleCount } =
+      AudioProcessor.prepareEncodeStream(audioFrames, options)
 
     if (channelCount === 1) {
       yield* AudioProcessor._encodeMonoStream(
-        audioFrames,
+        frames,
         onProgress,
-        encoderOptions
+        encoderOptions,
+        sampleCount
       )
     } else if (channelCount === 2) {
       yield* AudioProcessor._encodeStereoStream(
-        audioFrames,
+        frames,
         onProgress,
-        encoderOptions
+        encoderOptions,
+        sampleCount
       )
     } else {
       throw new Error(`Unsupported channel count: ${channelCount}`)
     }
   }
 
+  /**
+   * Apply the channel mix and resampling of encodeStream() to an input
+   * stream, so other encoders see the same frames
+   * @param {AsyncIterable<Float32Array>|AsyncIterable<Float32Array[]>} audioFrames - Audio frame stream
+   * @param {Object} [options={}] - Encoding options, as for encodeStream()
+   * @returns {Object} Encoder input `frames`, its `channelCount`, and
+   *   `sampleCount` at the codec rate (null if unknown)
+   */
+  static prepareEncodeStream(audioFrames, options = {}) {
+    const {
+      channels,
+      downmix,
+      onPhaseWarning,
+      sampleRate = SAMPLE_RATE,
+      resample = 'high',
+    } = options
+    let { channelCount = 1, sampleCount = null } = options
+
+    if (channels !== undefined || downmix !== undefined) {
+      const mixer = new ChannelMixer(channelCount, { channels, downmix })
+      audioFrames = AudioProcessor.mixStream(audioFrames, mixer, onPhaseWarning)
+      channelCount = mixer.outputChannels
+    }
+
+    if (sampleRate !== SAMPLE_RATE && resample !== false) {
+      audioFrames = AudioProcessor.resampleStream(audioFrames, {
+        channelCount,
+        sampleRate,
+        quality: resample,
+      })
+      if (sampleCount !== null) {
+        sampleCount = resampledLength(sampleCount, sampleRate)
+      }
+    }
+
+    return { frames: audioFrames, channelCount, sampleCount }
+  }
+
   /**
    * Internal method for encoding mono audio streams
+   *
+   * Encoder latency is compensated here: leading frames that only carry the
+   * encoder delay are dropped and an equal number of silent frames flush the
+   * remaining input, so output frames stay aligned with input frames.
+   *
    * @param {AsyncIterable<Float32Array>} audioFrames - Mono audio frame stream
    * @param {Function} onProgress - Progress callback function
    * @param {EncoderOptions} encoderOptions - Encoder configuration
+   * @param {number|null} sampleCount - Source samples, or null if unknown
    * @returns {AsyncGenerator<Object>} Stream of encoded frame data
    * @private
    */
-  static async *_encodeMonoStream(audioFrames, onProgress, encoderOptions) {
+  static async *_encodeMonoStream(
+    audioFrames,
+    onProgress,
+    encoderOptions,
+    sampleCount
+  ) {
     const options = encoderOptions || new EncoderOptions()
-    const encoder = encode(options)
+    const encoder = encode(options, undefined, null, { reuseOutput: true })
+    const latencyFrames = Math.ceil(encoder.latency / SAMPLES_PER_FRAME)
     let frameIndex = 0
     for await (const frame of audioFrames) {
       const result = encoder(frame)
-      yield result
+      if (frameIndex >= latencyFrames) {
+        yield result
+      }
 
       if (onProgress) {
-        onProgress(frameIndex++)
+        onProgress(frameIndex)
       }
+      frameIndex++
+    }
+
+    // Flush the encoder latency, plus the codec delay when the length is known
+    const flushFrames =
+      encodedFrameCount(frameIndex, sampleCount) -
+      Math.max(0, frameIndex - latencyFrames)
+    const silence = new Float32Array(SAMPLES_PER_FRAME)
+    for (let i = 0; i < flushFrames; i++) {
+      yield encoder(silence)
     }
   }
 
   /**
    * Internal method for encoding stereo audio streams
+   *
+   * Applies the same latency compensation as the mono path to both channels.
+   *
    * @param {AsyncIterable<[Float32Array, Float32Array]>} audioFrames - Stereo audio frame stream
    * @param {Function} onProgress - Progress callback function
    * @param {EncoderOptions} encoderOptions - Encoder configuration
+   * @param {number|null} sampleCount - Source samples, or null if unknown
    * @returns {AsyncGenerator<Object>} Stream of encoded frame data (left then right)
    * @private
    */
-  static async *_encodeStereoStream(audioFrames, onProgress, encoderOptions) {
+  static async *_encodeStereoStream(
+    audioFrames,
+    onProgress,
+    encoderOptions,
+    sampleCount
+  ) {
     const options = encoderOptions || new EncoderOptions()
-    const leftEncoder = encode(options)
-    const rightEncoder = encode(options)
+    const leftEncoder = encode(options, undefined, null, { reuseOutput: true })
+    const rightEncoder = encode(options, undefined, null, { reuseOutput: true })
+    const latencyFrames = Math.ceil(leftEncoder.latency / SAMPLES_PER_FRAME)
     let frameIndex = 0
 
     for await (const [leftFrame, rightFrame] of audioFrames) {
       const leftResult = leftEncoder(leftFrame)
       const rightResult = rightEncoder(rightFrame)
 
-      yield leftResult
-      yield rightResult
+      if (frameIndex >= latencyFrames) {
+        yield leftResult
+        yield rightResult
+      }
 
       if (onProgress) {
-        onProgress(frameIndex++)
+        onProgress(frameIndex)
       }
+      frameIndex++
+    }
+
+    // Flush the encoder latency, plus the codec delay when the length is known
+    const flushFrames =
+      encodedFrameCount(frameIndex, sampleCount) -
+      Math.max(0, frameIndex - latencyFrames)
+    const silence = new Float32Array(SAMPLES_PER_FRAME)
+    for (let i = 0; i < flushFrames; i++) {
+      yield leftEncoder(silence)
+      yield rightEncoder(silence)
     }
   }
 
@@ -141,19 +256,115 @@ export class AudioProcessor {
    * @param {Object} [options={}] - Decoding options
    * @param {number} [options.channelCount=1] - Number of audio channels (1 or 2)
    * @param {Function} [options.onProgress] - Progress callback function
-   * @returns {AsyncGenerator<Float32Array>|AsyncGenerator<[Float32Array, Float32Array]>} Stream of decoded PCM frames
+   * @param {number|null} [options.sampleCount=null] - Source samples per
+   *   channel from the AEA header; when set, output is trimmed to exactly this
+   *   many samples after skipping `delay`
+   * @param {number} [options.delay=0] - Leading decoded samples to skip when
+   *   `sampleCount` is set
+   * @returns {AsyncGenerator<Float32Array>|AsyncGenerator<[Float32Array, Float32Array]>} Stream of decoded PCM frames;
+   *   their buffers are reused by later frames, so copy what you keep before
+   *   asking for the next, or gather the stream with collectFrames()
    * @throws {Error} If unsupported channel count is provided
    */
   static async *decodeStream(encodedFrames, options = {}) {
-    const { channelCount = 1, onProgress } = options
+    const { channelCount = 1, onProgress, sampleCount = null } = options
+    const delay = options.delay ?? 0
 
+    let decodedFrames
     if (channelCount === 1) {
-      yield* AudioProcessor._decodeMonoStream(encodedFrames, onProgress)
+      decodedFrames = AudioProcessor._decodeMonoStream(
+        encodedFrames,
+        onProgress
+      )
     } else if (channelCount === 2) {
-      yield* AudioProcessor._decodeStereoStream(encodedFrames, onProgress)
+      decodedFrames = AudioProcessor._decodeStereoStream(
+        encodedFrames,
+        onProgress
+      )
     } else {
       throw new Error(`Unsupported channel count: ${channelCount}`)
     }
+
+    if (sampleCount === null) {
+      yield* decodedFrames
+    } else {
+      yield* AudioProcessor._trimDecodedStream(
+        decodedFrames,
+        channelCount,
+        sampleCount,
+        delay
+      )
+    }
+  }
+
+  /**
+   * Internal method that aligns decoded frames with the source
+   *
+   * Skips the leading codec delay and stops after the source sample count,
+   * regrouping the remaining samples into full frames in reused buffers.
+   * Only the last frame can be shorter.
+   *
+   * @param {AsyncIterable<Float32Array>|AsyncIterable<[Float32Array, Float32Array]>} decodedFrames - Decoded PCM frames
+   * @param {number} channelCount - Number of audio channels (1 or 2)
+   * @param {number} sampleCount - Source samples per channel
+   * @param {number} delay - Leading samples to skip
+   * @returns {AsyncGenerator<Float32Array>|AsyncGenerator<[Float32Array, Float32Array]>} Trimmed PCM frames
+   * @private
+   */
+  static async *_trimDecodedStream(
+    decodedFrames,
+    channelCount,
+    sampleCount,
+    delay
+  ) {
+    const pending = Array.from(
+      { length: channelCount },
+      () => new Float32Array(SAMPLES_PER_FRAME)
+    )
+    let pendingLength = 0
+    let skipped = 0
+    let remaining = sampleCount
+
+    const pendingFrame = channelCount === 1 ? pending[0] : pending
+
+    for await (const frame of decodedFrames) {
+      if (remaining === 0) break
+
+      const channels = channelCount === 1 ? [frame] : frame
+      const frameLength = channels[0].length
+      let position = Math.min(delay - skipped, frameLength)
+      skipped += position
+
+      while (position < frameLength && remaining > 0) {
+        const count = Math.min(
+          frameLength - position,
+          SAMPLES_PER_FRAME - pendingLength,
+          remaining
+        )
+        // Copied sample by sample, as subarray() views would allocate
+        channels.forEach((channel, i) => {
+          for (let j = 0; j < count; j++) {
+            pending[i][pendingLength + j] = channel[position + j]
+          }
+        })
+        pendingLength += count
+        position += count
+        remaining -= count
+
+        if (pendingLength === SAMPLES_PER_FRAME) {
+          pendingLength = 0
+          yield pendingFrame
+        }
+      }
+    }
+
+    // The source or a file cut short ends with a partial frame
+    if (pendingLength > 0) {
+      const channels = pending.map((channel) =>
+        channel.subarray(0, pendingLength)
+      )
+      yield channelCount === 1 ? channels[0] : channels
+    }
   }
 
   /**
@@ -164,7 +375,7 @@ export class AudioProcessor {
    * @private
    */
   static async *_decodeMonoStream(encodedFrames, onProgress) {
-    const decoder = decode()
+    const decoder = decode(undefined, null, { reuseOutput: true })
     let frameIndex = 0
 
     // Create raw PCM frame stream
@@ -191,25 +402,22 @@ export class AudioProcessor {
    * @private
    */
   static async *_decodeStereoStream(encodedFrames, onProgress) {
-    const leftDecoder = decode()
-    const rightDecoder = decode()
+    const leftDecoder = decode(undefined, null, { reuseOutput: true })
+    const rightDecoder = decode(undefined, null, { reuseOutput: true })
+    const pair = [null, null]
     let frameIndex = 0
 
+    // Each left frame is decoded as it arrives, since the frame stream may
+    // reuse the frame object for the right channel
     const rawPcmFrames = async function* () {
-      let leftFrame = null
       let isLeftChannel = true
 
       for await (const frame of encodedFrames) {
         if (isLeftChannel) {
-          leftFrame = frame
+          pair[0] = leftDecoder(frame)
         } else {
-          const rightFrame = frame
-
-          // Decode and yield the pair
-          const leftResult = leftDecoder(leftFrame)
-          const rightResult = rightDecoder(rightFrame)
-
-          yield [leftResult, rightResult]
+          pair[1] = rightDecoder(frame)
+          yield pair
 
           if (onProgress) {
             onProgress(frameIndex++)
@@ -219,12 +427,9 @@ export class AudioProcessor {
         isLeftChannel = !isLeftChannel
       }
 
-      if (!isLeftChannel && leftFrame) {
-        const rightFrame = AudioProcessor._createDummyFrame()
-        const leftResult = leftDecoder(leftFrame)
-        const rightResult = rightDecoder(rightFrame)
-
-        yield [leftResult, rightResult]
+      if (!isLeftChannel) {
+        pair[1] = rightDecoder(AudioProcessor._createDummyFrame())
+        yield pair
 
         if (onProgress) {
           onProgress(frameIndex++)
@@ -278,15 +483,101 @@ export class AudioProcessor {
     }
   }
 
+  /**
+   * Selects and downmixes the channels of a frame stream
+   *
+   * @param {AsyncIterable<Float32Array>|AsyncIterable<Float32Array[]>} audioFrames - Audio frame stream
+   * @param {ChannelMixer} mixer - Mixer for the stream's channel layout
+   * @param {Function} [onPhaseWarning] - Called with the mixer's phase report
+   *   at the end of the stream when any frame was out of phase
+   * @returns {AsyncGenerator<Float32Array|[Float32Array, Float32Array]>} Mixed frames
+   */
+  static async *mixStream(audioFrames, mixer, onPhaseWarning) {
+    for await (const frame of audioFrames) {
+      const mixed = mixer.mix(frame instanceof Float32Array ? [frame] : frame)
+      yield mixed.length === 1 ? mixed[0] : mixed
+    }
+
+    if (onPhaseWarning && mixer.outOfPhaseFrames > 0) {
+      onPhaseWarning(mixer.phaseReport())
+    }
+  }
+
+  /**
+   * Converts a frame stream to 44.1 kHz frames
+   *
+   * Input frames may have any length; output frames hold SAMPLES_PER_FRAME
+   * samples, and the last one is zero-padded.
+   *
+   * @param {AsyncIterable<Float32Array>|AsyncIterable<[Float32Array, Float32Array]>} audioFrames - Audio frame stream
+   * @param {Object} options - Resampling options
+   * @param {number} [options.channelCount=1] - Number of audio channels
+   * @param {number} options.sampleRate - Input sample rate
+   * @param {string} [options.quality='high'] - Resampler quality preset
+   * @returns {AsyncGenerator<Float32Array|[Float32Array, Float32Array]>} Resampled frames
+   */
+  static async *resampleStream(audioFrames, options) {
+    const { channelCount = 1, sampleRate, quality = 'high' } = options
+    const resamplers = Array.from(
+      { length: channelCount },
+      () => new Resampler(sampleRate, SAMPLE_RATE, quality)
+    )
+    let pending = resamplers.map(() => new Float32Array(0))
+
+    // Append resampled blocks and split off every complete frame
+    const takeFrames = function* (blocks, final) {
+      pending = pending.map((buffer, channel) => {
+        const joined = new Float32Array(buffer.length + blocks[channel].length)
+        joined.set(buffer)
+        joined.set(blocks[channel], buffer.length)
+        return joined
+      })
+
+      let offset = 0
+      const length = pending[0].length
+      while (
+        length - offset >= SAMPLES_PER_FRAME ||
+        (final && offset < length)
+      ) {
+        const frames = pending.map((buffer) => {
+          const frame = new Float32Array(SAMPLES_PER_FRAME)
+          frame.set(buffer.subarray(offset, offset + SAMPLES_PER_FRAME))
+          return frame
+        })
+        yield channelCount === 1 ? frames[0] : frames
+        offset += SAMPLES_PER_FRAME
+      }
+      pending = pending.map((buffer) => buffer.slice(offset))
+    }
+
+    for await (const frame of audioFrames) {
+      const channels = channelCount === 1 ? [frame] : frame
+      yield* takeFrames(
+        resamplers.map((resampler, channel) =>
+          resampler.process(channels[channel])
+        ),
+        false
+      )
+    }
+    yield* takeFrames(
+      resamplers.map((resampler) => resampler.flush()),
+      true
+    )
+  }
+
   /**
    * Collects all frames from a stream into an array
+   *
+   * Each frame is copied as it arrives, so streams that reuse their frame
+   * buffers, such as encodeStream() and decodeStream(), can be collected.
+   *
    * @param {AsyncIterable} frameStream - Stream of frames to collect
    * @returns {Promise<Array>} Array of all frames from the stream
    */
   static async collectFrames(frameStream) {
     const frames = []
     for await (const frame of frameStream) {
-      frames.push(frame)
+      frames.push(snapshot(frame))
     }
     return frames
   }
@@ -312,17 +603,28 @@ export class AudioProcessor {
    * @param {Object} [options={}] - AEA file options
    * @param {string} [options.title='encoded by atrac1.js'] - File title
    * @param {number} [options.channelCount=1] - Number of audio channels
+   * @param {number|null} [options.sampleCount=null] - Source samples per
+   *   channel, stored in the header for sample-accurate decoding
    * @returns {Promise<Blob>} AEA file blob
    */
   static async createAeaBlob(encodedFrames, options = {}) {
-    const { title = 'encoded by atrac1.js', channelCount = 1 } = options
+    const {
+      title = 'encoded by atrac1.js',
+      channelCount = 1,
+      sampleCount = null,
+    } = options
 
     const frames = []
     for await (const frame of encodedFrames) {
       frames.push(serializeFrame(frame))
     }
 
-    const header = AeaFile.createHeader(title, frames.length, channelCount)
+    const header = AeaFile.createHeader(
+      title,
+      frames.length,
+      channelCount,
+      sampleCount
+    )
     const totalSize =
       header.length + frames.reduce((sum, frame) => sum + frame.length, 0)
 
@@ -343,107 +645,44 @@ export class AudioProcessor {
    * @param {Float32Array[]|Float32Array|[Float32Array, Float32Array][]} pcmFrames - PCM audio frames
    * @param {number} [channelCount=1] - Number of audio channels
    * @param {number} [sampleRate=SAMPLE_RATE] - Audio sample rate
+   * @param {Object} [options={}] - Output format options
+   * @param {number|string} [options.bitDepth=16] - 16, 24, 32 or '32f'
+   * @param {boolean} [options.dither=false] - Add TPDF dither (16-bit only)
+   * @param {boolean} [options.noiseShaping=false] - Shape the requantization
+   *   noise (16-bit only)
+   * @param {Function} [options.onClipping] - Called with `clipCount` and
+   *   `peak` when any sample had to be clipped
    * @returns {Blob} WAV file blob
    * @throws {Error} If unsupported channel count is provided
    */
-  static createWavBlob(pcmFrames, channelCount = 1, sampleRate = SAMPLE_RATE) {
+  static createWavBlob(
+    pcmFrames,
+    channelCount = 1,
+    sampleRate = SAMPLE_RATE,
+    options = {}
+  ) {
     const frames = Array.isArray(pcmFrames) ? pcmFrames : [pcmFrames]
-
-    if (channelCount === 1) {
-      return AudioProcessor._createMonoWavBlob(frames, sampleRate)
-    } else if (channelCount === 2) {
-      return AudioProcessor._createStereoWavBlob(frames, sampleRate)
-    } else {
+    if (channelCount !== 1 && channelCount !== 2) {
       throw new Error(`Unsupported channel count: ${channelCount}`)
     }
-  }
-
-  /**
-   * Creates a mono WAV file blob from PCM frames
-   * @param {Float32Array[]} frames - Array of mono PCM frames
-   * @param {number} sampleRate - Audio sample rate
-   * @returns {Blob} Mono WAV file blob
-   * @private
-   */
-  static _createMonoWavBlob(frames, sampleRate) {
-    const totalSamples = frames.reduce((sum, frame) => sum + frame.length, 0)
-    const buffer = new ArrayBuffer(
-      WAV_HEADER_SIZE + totalSamples * WAV_BYTES_PER_SAMPLE
-    )
-    const view = new DataView(buffer)
-
-    // WAV header
-    AudioProcessor._writeWavHeader(view, totalSamples, 1, sampleRate)
-
-    // PCM data using DataView for consistency
-    let offset = WAV_HEADER_SIZE
-    for (const frame of frames) {
-      for (let i = 0; i < frame.length; i++) {
-        const sample = Math.max(-1, Math.min(1, frame[i]))
-        view.setInt16(
-          offset,
-          sample < 0
-            ? sample * WAV_PCM_MAX_NEGATIVE
-            : sample * WAV_PCM_MAX_POSITIVE,
-          true
-        )
-        offset += WAV_BYTES_PER_SAMPLE
-      }
-    }
-
-    return new Blob([buffer], { type: 'audio/wav' })
-  }
 
-  /**
-   * Creates a stereo WAV file blob from PCM frame pairs
-   * @param {[Float32Array, Float32Array][]} framePairs - Array of stereo PCM frame pairs
-   * @param {number} sampleRate - Audio sample rate
-   * @returns {Blob} Stereo WAV file blob
-   * @private
-   */
-  static _createStereoWavBlob(framePairs, sampleRate) {
-    const totalSamples = framePairs.reduce(
-      (sum, [left, right]) => sum + Math.max(left.length, right.length),
-      0
+    const quantizer = new PcmQuantizer(channelCount, options)
+    const data = frames.map((frame) =>
+      quantizer.interleave(channelCount === 1 ? [frame] : frame)
     )
-
-    const buffer = new ArrayBuffer(
-      WAV_HEADER_SIZE + totalSamples * WAV_BYTES_PER_SAMPLE * 2
+    const dataSize = data.reduce((sum, bytes) => sum + bytes.length, 0)
+
+    const header = new Uint8Array(WAV_HEADER_SIZE)
+    AudioProcessor._writeWavHeader(
+      new DataView(header.buffer),
+      dataSize / (channelCount * quantizer.bytesPerSample),
+      channelCount,
+      sampleRate,
+      quantizer
     )
-    const view = new DataView(buffer)
-
-    // WAV header
-    AudioProcessor._writeWavHeader(view, totalSamples, 2, sampleRate)
-
-    // Interleaved PCM data using DataView for consistency
-    let offset = WAV_HEADER_SIZE
-    for (const [leftFrame, rightFrame] of framePairs) {
-      const frameLength = Math.max(leftFrame.length, rightFrame.length)
-      for (let i = 0; i < frameLength; i++) {
-        const leftSample = i < leftFrame.length ? leftFrame[i] : 0
-        const rightSample = i < rightFrame.length ? rightFrame[i] : 0
-        const leftClipped = Math.max(-1, Math.min(1, leftSample))
-        const rightClipped = Math.max(-1, Math.min(1, rightSample))
-        view.setInt16(
-          offset,
-          leftClipped < 0
-            ? leftClipped * WAV_PCM_MAX_NEGATIVE
-            : leftClipped * WAV_PCM_MAX_POSITIVE,
-          true
-        )
-        offset += WAV_BYTES_PER_SAMPLE
-        view.setInt16(
-          offset,
-          rightClipped < 0
-            ? rightClipped * WAV_PCM_MAX_NEGATIVE
-            : rightClipped * WAV_PCM_MAX_POSITIVE,
-          true
-        )
-        offset += WAV_BYTES_PER_SAMPLE
-      }
-    }
+    reportClipping(quantizer, options.onClipping)
 
-    return new Blob([buffer], { type: 'audio/wav' })
+    return new Blob([header, ...data], { type: 'audio/wav' })
   }
 
   /**
@@ -452,11 +691,20 @@ export class AudioProcessor {
    * @param {number} totalSamples - Total number of samples
    * @param {number} channelCount - Number of audio channels
    * @param {number} sampleRate - Audio sample rate
+   * @param {Object} [format] - Sample format with `formatTag` and
+   *   `bitsPerSample`; 16-bit PCM by default
    * @private
    */
-  static _writeWavHeader(view, totalSamples, channelCount, sampleRate) {
-    const byteRate = sampleRate * channelCount * WAV_BYTES_PER_SAMPLE
-    const blockAlign = channelCount * WAV_BYTES_PER_SAMPLE
+  static _writeWavHeader(
+    view,
+    totalSamples,
+    channelCount,
+    sampleRate,
+    format = PCM_FORMATS[WAV_BITS_PER_SAMPLE]
+  ) {
+    const bytesPerSample = format.bitsPerSample / 8
+    const byteRate = sampleRate * channelCount * bytesPerSample
+    const blockAlign = channelCount * bytesPerSample
     const dataSize = totalSamples * blockAlign
     const fileSize = WAV_DATA_OFFSET + dataSize
 
@@ -482,7 +730,7 @@ export class AudioProcessor {
     pos += 4
     view.setUint32(pos, 16, true) // chunk size
     pos += 4
-    view.setUint16(pos, 1, true) // PCM format
+    view.setUint16(pos, format.formatTag, true) // PCM or IEEE float
     pos += 2
     view.setUint16(pos, channelCount, true)
     pos += 2
@@ -492,7 +740,7 @@ export class AudioProcessor {
     pos += 4
     view.setUint16(pos, blockAlign, true)
     pos += 2
-    view.setUint16(pos, WAV_BITS_PER_SAMPLE, true) // bits per sample
+    view.setUint16(pos, format.bitsPerSample, true) // bits per sample
     pos += 2
 
     // data chunk
@@ -527,11 +775,13 @@ export class AudioProcessor {
   /**
    * Creates a stream of deserialized frames from binary frame data
    * @param {Uint8Array[]} frameData - Array of binary frame data
-   * @returns {Generator<Object>} Stream of deserialized frame objects
+   * @returns {Generator<Object>} Stream of deserialized frame objects; one
+   *   frame object is reused for every sound unit
    */
   static *deserializedFrameStream(frameData) {
+    const deserialize = createFrameDeserializer()
     for (const frame of frameData) {
-      yield deserializeFrame(frame)
+      yield deserialize(frame)
     }
   }
 
@@ -582,16 +832,31 @@ export class AudioProcessor {
  * Encode complete planar PCM buffers into an AEA byte image.
  *
  * Encoding options are accepted directly alongside the optional AEA `title`.
- * The final partial PCM frame is zero-padded.
+ * Input at another sample rate is resampled to 44.1 kHz first. The final
+ * partial PCM frame is zero-padded, and the source length is stored in the
+ * header so decodeAeaPcm() can return exactly the encoded samples.
  *
  * @param {Float32Array[]} channels One or two normalized PCM channels.
  * @param {Object} [options] Encoder and AEA metadata options.
  * @param {string} [options.title] AEA title.
+ * @param {number} [options.sampleRate=SAMPLE_RATE] Input sample rate.
+ * @param {string|false} [options.resample='high'] Resampler quality preset
+ *   for non-44.1 kHz input, or false to encode the samples unchanged.
  * @param {number} [options.transientThresholdLow] Low-band threshold.
  * @param {number} [options.transientThresholdMid] Mid-band threshold.
  * @param {number} [options.transientThresholdHigh] High-band threshold.
+ * @param {number} [options.releaseThresholdLow] Low-band release threshold.
+ * @param {number} [options.releaseThresholdMid] Mid-band release threshold.
+ * @param {number} [options.releaseThresholdHigh] High-band release threshold.
+ * @param {number} [options.holdFramesLow] Low-band short-block hold frames.
+ * @param {number} [options.holdFramesMid] Mid-band short-block hold frames.
+ * @param {number} [options.holdFramesHigh] High-band short-block hold frames.
+ * @param {string} [options.preset] `fast`, `default`, or `best`.
  * @param {number} [options.allocationBias] Bit-allocation bias.
+ * @param {string} [options.allocationModel] `scaleFactor` or `psychoacoustic`.
+ * @param {boolean} [options.lookAhead] Look-ahead transient detection.
  * @param {number[]} [options.fixedBlockModes] Fixed low, mid, and high modes.
+ * @param {Object[]} [options.blockModeOverrides] Per-frame block mode overrides.
  * @returns {Promise<Uint8Array>} Complete AEA byte image.
  */
 export async function encodeAeaPcm(channels, options = {}) {
@@ -603,15 +868,31 @@ export async function encodeAeaPcm(channels, options = {}) {
     throw new TypeError('ATRAC1 encoding requires one or two Float32 channels')
   }
 
-  const { title = 'encoded by carta1', ...encoderValues } = options
+  const {
+    title = 'encoded by carta1',
+    sampleRate = SAMPLE_RATE,
+    resample: resampleQuality = 'high',
+    ...encoderValues
+  } = options
+  const encoderOptions = new EncoderOptions(encoderValues)
+
+  if (sampleRate !== SAMPLE_RATE && resampleQuality !== false) {
+    channels = channels.map((channel) =>
+      resample(channel, sampleRate, SAMPLE_RATE, resampleQuality)
+    )
+  }
+
+  const sampleCount = Math.max(...channels.map((channel) => channel.length))
   const frames = AudioProcessor.frameBufferToFrames(channels)
   const encodedFrames = AudioProcessor.encodeStream(frames, {
     channelCount: channels.length,
-    encoderOptions: new EncoderOptions(encoderValues),
+    encoderOptions,
+    sampleCount,
   })
   const blob = await AudioProcessor.createAeaBlob(encodedFrames, {
     title,
     channelCount: channels.length,
+    sampleCount,
   })
   return new Uint8Array(await blob.arrayBuffer())
 }
@@ -619,13 +900,30 @@ export async function encodeAeaPcm(channels, options = {}) {
 /**
  * Decode a complete AEA byte image into planar normalized PCM buffers.
  *
- * AEA does not retain the exact source sample count, so returned channels
- * include any zero padding from the final encoded frame.
+ * Files written by Carta1 store the source sample count and codec delay, and
+ * decode to channels aligned with the source and of the same length. Other
+ * AEA files carry no sample count, so their channels start with the codec
+ * delay and include the zero padding of the final encoded frame.
+ *
+ * Without `bitDepth` the channels hold normalized floats. With `bitDepth`
+ * they hold the samples of that WAV format: Int16Array for 16-bit,
+ * Int32Array for 24 and 32-bit, and Float32Array for '32f'.
  *
  * @param {Uint8Array|ArrayBuffer|Blob} input Complete AEA image.
- * @returns {Promise<Float32Array[]>} Decoded normalized PCM channels.
+ * @param {Object} [options] Output sample format options.
+ * @param {number|string} [options.bitDepth] 16, 24, 32 or '32f'.
+ * @param {boolean} [options.dither=false] TPDF dither for 16-bit output.
+ * @param {boolean} [options.noiseShaping=false] Noise shaping for 16-bit
+ *   output.
+ * @param {Function} [options.onClipping] Called with `clipCount` and `peak`
+ *   when integer output had to clip samples.
+ * @param {Function} [options.onTiming] Called with `trimmed`, whether the
+ *   file's sample count was applied, and `delay`, the codec delay samples
+ *   still at the start of the channels: 0 when trimmed, else CODEC_DELAY.
+ * @returns {Promise<Array<Float32Array|Int16Array|Int32Array>>} Decoded PCM
+ *   channels.
  */
-export async function decodeAeaPcm(input) {
+export async function decodeAeaPcm(input, options = {}) {
   let blob
   if (input instanceof Blob) {
     blob = input
@@ -640,17 +938,49 @@ export async function decodeAeaPcm(input) {
   const decodedFrames = await AudioProcessor.collectFrames(
     AudioProcessor.decodeStream(frames, {
       channelCount: info.channelCount,
+      sampleCount: info.sampleCount,
+      delay: info.delay,
     })
   )
+  if (options.onTiming) {
+    const trimmed = info.sampleCount !== null
+    options.onTiming({ trimmed, delay: trimmed ? 0 : CODEC_DELAY })
+  }
 
-  if (info.channelCount === 1) {
-    return [joinChannelFrames(decodedFrames)]
+  const channels =
+    info.channelCount === 1
+      ? [joinChannelFrames(decodedFrames)]
+      : [
+          joinChannelFrames(decodedFrames.map(([left]) => left)),
+          joinChannelFrames(decodedFrames.map(([, right]) => right)),
+        ]
+  if (options.bitDepth === undefined) {
+    return channels
   }
 
-  return [
-    joinChannelFrames(decodedFrames.map(([left]) => left)),
-    joinChannelFrames(decodedFrames.map(([, right]) => right)),
-  ]
+  const quantizer = new PcmQuantizer(channels.length, options)
+  const SampleArray = quantizer.isFloat
+    ? Float32Array
+    : quantizer.bitsPerSample === 16
+      ? Int16Array
+      : Int32Array
+  const quantized = channels.map((channel, index) =>
+    SampleArray.from(channel, (sample) => quantizer.quantize(sample, index))
+  )
+  reportClipping(quantizer, options.onClipping)
+  return quantized
+}
+
+/**
+ * Report clipped samples of a quantizer.
+ *
+ * @param {PcmQuantizer} quantizer Quantizer that converted the output.
+ * @param {Function} [onClipping] Callback for `{ clipCount, peak }`.
+ */
+function reportClipping(quantizer, onClipping) {
+  if (onClipping && quantizer.clipCount > 0) {
+    onClipping({ clipCount: quantizer.clipCount, peak: quantizer.peak })
+  }
 }
 
 /**
@@ -669,3 +999,21 @@ function joinChannelFrames(frames) {
   }
   return channel
 }
+
+/**
+ * Number of encoded frames needed so the decoder reproduces every source
+ * sample despite the codec delay.
+ *
+ * @param {number} inputFrames Encoded input frames.
+ * @param {number|null} sampleCount Source samples, or null if unknown.
+ * @returns {number} Frames to emit.
+ */
+export function encodedFrameCount(inputFrames, sampleCount) {
+  if (sampleCount === null || inputFrames === 0) {
+    return inputFrames
+  }
+  return Math.max(
+    inputFrames,
+    Math.ceil((sampleCount + CODEC_DELAY) / SAMPLES_PER_FRAME)
+  )
+}
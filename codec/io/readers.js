@@ -1,56 +1,681 @@
 /**
  * Carta1 Audio Codec - File Readers
  *
- * This module provides file reading utilities for AEA format files,
- * supporting both metadata parsing and streaming frame iteration.
+ * This module provides file reading utilities for AEA and WAV format files,
+ * supporting both metadata parsing and streaming frame iteration. Input can
+ * be a file path or a readable stream such as process.stdin; streams are read
+ * once, front to back, so they need not be seekable. AEA files can also be
+ * read from an arbitrary frame or timestamp.
  */
 
 import fs from 'fs'
-import { AeaFile, deserializeFrame } from './serialization.js'
-import { AEA_HEADER_SIZE, SOUND_UNIT_SIZE } from '../core/constants.js'
+import { AeaFile, createFrameDeserializer } from './serialization.js'
+import { AudioProcessor } from './processor.js'
+import {
+  readWavHeader,
+  readTrailingChunks,
+  WAVE_FORMAT_PCM,
+  WAVE_FORMAT_IEEE_FLOAT,
+  WAVE_FORMAT_EXTENSIBLE,
+} from './riff.js'
+import {
+  AEA_HEADER_SIZE,
+  SOUND_UNIT_SIZE,
+  SAMPLES_PER_FRAME,
+  SAMPLE_RATE,
+} from '../core/constants.js'
+
+// Bytes requested from a file per read
+const FILE_READ_SIZE = 65536
+
+// Frames decoded before a seek point to refill the decoder's IMDCT overlap
+// and QMF synthesis history; their state spans less than one frame, so one
+// frame reproduces a decode from the start exactly
+export const DECODER_WARM_UP_FRAMES = 1
+
+// Sample decoders returning normalized floats, keyed by sample format tag
+// and bits per sample. 8-bit PCM is unsigned; wider PCM is signed.
+const SAMPLE_READERS = {
+  [`${WAVE_FORMAT_PCM}:8`]: (buffer, offset) => (buffer[offset] - 128) / 128,
+  [`${WAVE_FORMAT_PCM}:16`]: (buffer, offset) =>
+    buffer.readInt16LE(offset) / 32768,
+  [`${WAVE_FORMAT_PCM}:24`]: (buffer, offset) =>
+    buffer.readIntLE(offset, 3) / 8388608,
+  [`${WAVE_FORMAT_PCM}:32`]: (buffer, offset) =>
+    buffer.readInt32LE(offset) / 2147483648,
+  [`${WAVE_FORMAT_IEEE_FLOAT}:32`]: (buffer, offset) =>
+    buffer.readFloatLE(offset),
+  [`${WAVE_FORMAT_IEEE_FLOAT}:64`]: (buffer, offset) =>
+    buffer.readDoubleLE(offset),
+}
+
+const SUPPORTED_SAMPLE_FORMATS =
+  '8, 16, 24 or 32-bit integer PCM, or 32 or 64-bit IEEE float'
+
+/**
+ * Describe a WAV sample format for error messages
+ * @param {Object} format - Parsed fmt chunk
+ * @returns {string} Description of the format
+ */
+function describeSampleFormat(format) {
+  const hex = (tag) => `0x${tag.toString(16).padStart(4, '0')}`
+  if (format.formatTag === WAVE_FORMAT_EXTENSIBLE) {
+    return format.sampleFormat === null
+      ? `extensible subformat ${format.subFormat}`
+      : `extensible ${hex(format.sampleFormat)}, ${format.bitsPerSample}-bit`
+  }
+  return `format tag ${hex(format.formatTag)}, ${format.bitsPerSample}-bit`
+}
+
+/**
+ * Buffered sequential reader over a file or a readable stream
+ */
+class ByteSource {
+  /**
+   * Open a byte source
+   * @param {string|AsyncIterable<Buffer>} source - File path or stream
+   * @returns {Promise<ByteSource>} Byte source at position 0
+   */
+  static async open(source) {
+    if (typeof source === 'string') {
+      return new ByteSource(await fs.promises.open(source, 'r'), null)
+    }
+    return new ByteSource(null, source[Symbol.asyncIterator]())
+  }
+
+  /**
+   * @param {Object|null} handle - FileHandle for file input
+   * @param {AsyncIterator<Buffer>|null} chunks - Chunk iterator for streams
+   */
+  constructor(handle, chunks) {
+    this.handle = handle
+    this.chunks = chunks
+    this.seekable = handle !== null
+    this.position = 0
+    this.pending = Buffer.alloc(0)
+    this.filePosition = 0
+    this.ended = false
+  }
+
+  /**
+   * Fetch the next piece of input
+   * @returns {Promise<Buffer|null>} Input bytes, or null at the end
+   * @private
+   */
+  async _next() {
+    if (this.ended) return null
+
+    let chunk
+    if (this.handle) {
+      chunk = Buffer.alloc(FILE_READ_SIZE)
+      const { bytesRead } = await this.handle.read(
+        chunk,
+        0,
+        FILE_READ_SIZE,
+        this.filePosition
+      )
+      chunk = chunk.subarray(0, bytesRead)
+      this.filePosition += bytesRead
+    } else {
+      const { value, done } = await this.chunks.next()
+      chunk = done
+        ? Buffer.alloc(0)
+        : Buffer.from(value.buffer, value.byteOffset, value.byteLength)
+    }
+
+    if (chunk.length === 0) {
+      this.ended = true
+      return null
+    }
+    return chunk
+  }
+
+  /**
+   * Read up to `length` bytes
+   * @param {number} length - Number of bytes
+   * @returns {Promise<Buffer>} Bytes read, shorter only at the end of input
+   */
+  async read(length) {
+    if (this.pending.length < length) {
+      const pieces = [this.pending]
+      let total = this.pending.length
+      while (total < length) {
+        const chunk = await this._next()
+        if (!chunk) break
+        pieces.push(chunk)
+        total += chunk.length
+      }
+      this.pending = Buffer.concat(pieces, total)
+    }
+
+    const bytes = this.pending.subarray(0, length)
+    this.pending = this.pending.subarray(bytes.length)
+    this.position += bytes.length
+    return bytes
+  }
+
+  /**
+   * Skip `length` bytes
+   * @param {number} length - Number of bytes
+   * @returns {Promise<void>}
+   */
+  async skip(length) {
+    if (this.seekable) {
+      this.seek(this.position + length)
+      return
+    }
+    for (let left = length; left > 0 && !this.ended;) {
+      left -= (await this.read(Math.min(left, FILE_READ_SIZE))).length
+    }
+  }
+
+  /**
+   * Move to an absolute position (files only)
+   * @param {number} position - Byte offset
+   */
+  seek(position) {
+    if (!this.seekable) {
+      throw new Error('Cannot seek a stream input')
+    }
+    this.position = position
+    this.filePosition = position
+    this.pending = Buffer.alloc(0)
+    this.ended = false
+  }
+
+  /**
+   * Total input size in bytes (files only)
+   * @returns {Promise<number>} File size
+   */
+  async size() {
+    return (await this.handle.stat()).size
+  }
+
+  /**
+   * Close the underlying file
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.handle) await this.handle.close()
+  }
+}
 
 /**
  * AEA file reader with async iteration support for streaming frame processing
+ *
+ * Frame indices count frames per channel: frame `n` of a stereo file is the
+ * pair of sound units `2n` (left) and `2n + 1` (right). File input supports
+ * seek() and range iteration; stream input is read front to back.
+ *
+ * @example
+ * const reader = new AeaReader('input.aea')
+ * await reader.seek({ seconds: 30 })
+ * for await (const pcm of reader.decode()) play(pcm)
  */
 export class AeaReader {
   /**
    * Create a new AEA file reader
-   * @param {string} filePath - Path to the AEA file
+   * @param {string|AsyncIterable<Buffer>} source - Path to the AEA file, or a
+   *   readable stream positioned at the start of the AEA data
    */
-  constructor(filePath) {
-    this.filePath = filePath
+  constructor(source) {
+    this.filePath = typeof source === 'string' ? source : null
+    this.stream = typeof source === 'string' ? null : source
     this.metadata = null
+    this.header = null
+    this.trailingBytes = 0
+
+    // Frames per channel: from the file size for files, else from the header
+    this.framesPerChannel = 0
+
+    // Decoded sample where decode() starts, and the frame that contains it
+    this.position = 0
+    this.frameIndex = 0
+
+    // Stream input keeps one source from the header to the last frame
+    this._streamSource = null
+  }
+
+  /**
+   * Read the header from a byte source
+   * @param {ByteSource} source - Source positioned at the start of the file
+   * @returns {Promise<void>}
+   * @throws {Error} If the input ends before a complete header
+   * @private
+   */
+  async _readHeader(source) {
+    const buffer = await source.read(AEA_HEADER_SIZE)
+    if (buffer.length < AEA_HEADER_SIZE) {
+      throw new Error(
+        `AEA input ended after ${buffer.length} bytes, before the end of the ${AEA_HEADER_SIZE}-byte header`
+      )
+    }
+    this.header = buffer
+    this.metadata = AeaFile.parseHeader(buffer)
+    this.framesPerChannel = Math.floor(
+      this.metadata.frameCount / this.metadata.channelCount
+    )
   }
 
   /**
    * Load and parse AEA file metadata from header
    * @returns {Promise<void>}
+   * @throws {Error} If the input ends before a complete header
    */
   async loadMetadata() {
-    const handle = await fs.promises.open(this.filePath, 'r')
-    const buffer = Buffer.alloc(AEA_HEADER_SIZE)
-    await handle.read(buffer, 0, AEA_HEADER_SIZE, 0)
-    await handle.close()
-    this.metadata = AeaFile.parseHeader(buffer)
+    if (this.stream) {
+      if (this._streamSource) return
+      this._streamSource = await ByteSource.open(this.stream)
+      await this._readHeader(this._streamSource)
+      return
+    }
+
+    const source = await ByteSource.open(this.filePath)
+    try {
+      await this._readHeader(source)
+      // The header count is 0 in files streamed to a pipe, so trust the size
+      const frameBytes = SOUND_UNIT_SIZE * this.metadata.channelCount
+      this.framesPerChannel = Math.floor(
+        ((await source.size()) - AEA_HEADER_SIZE) / frameBytes
+      )
+    } finally {
+      await source.close()
+    }
   }
 
   /**
-   * Async iterator for streaming frame data
+   * Move the read position to a frame or a timestamp
+   *
+   * A frame target starts iteration and decoding at that frame. A time
+   * target is sample-accurate for decode(): it is measured on the source
+   * timeline when the header records the codec delay, and on the decoded
+   * timeline otherwise. Iteration starts at the frame containing it.
+   *
+   * @param {number|Object} target - Frame index, `{ frame }` or `{ seconds }`
+   * @returns {Promise<number>} Frame index of the new position
+   * @throws {Error} If the input is a stream
+   * @throws {RangeError} If the target is outside the file
+   */
+  async seek(target) {
+    if (this.stream) {
+      throw new Error('Cannot seek a stream input')
+    }
+    if (!this.metadata) await this.loadMetadata()
+
+    const { frame = target, seconds } = typeof target === 'number' ? {} : target
+    let position
+    if (seconds !== undefined) {
+      const delay = this.metadata.sampleCount === null ? 0 : this.metadata.delay
+      position = Math.round(seconds * SAMPLE_RATE) + delay
+    } else {
+      position = frame * SAMPLES_PER_FRAME
+    }
+
+    const end = this.framesPerChannel * SAMPLES_PER_FRAME
+    if (!Number.isInteger(position) || position < 0 || position > end) {
+      throw new RangeError(
+        seconds !== undefined
+          ? `Seek time ${seconds}s is outside the file (0 to ${(end / SAMPLE_RATE).toFixed(3)}s)`
+          : `Seek frame ${frame} is outside the file (0 to ${this.framesPerChannel})`
+      )
+    }
+
+    this.position = position
+    this.frameIndex = Math.floor(position / SAMPLES_PER_FRAME)
+    return this.frameIndex
+  }
+
+  /**
+   * Async iterator over raw sound units
+   *
+   * Iterates frames `start` to `end` (exclusive), yielding every channel's
+   * sound unit of a frame in file order. A trailing partial sound unit is
+   * skipped and its length recorded in `trailingBytes`. Stream input can only
+   * be iterated once, from the start.
+   *
+   * @param {Object} [range={}] - Frame range
+   * @param {number} [range.start=this.frameIndex] - First frame
+   * @param {number} [range.end=Infinity] - Frame to stop before
+   * @yields {Buffer} Serialized sound unit of SOUND_UNIT_SIZE bytes
+   */
+  async *units(range = {}) {
+    const { start = this.frameIndex, end = Infinity } = range
+
+    let source
+    if (this.stream) {
+      await this.loadMetadata()
+      if (start !== 0) {
+        throw new Error('Cannot seek a stream input')
+      }
+      source = this._streamSource
+    } else {
+      if (!this.metadata) await this.loadMetadata()
+      source = await ByteSource.open(this.filePath)
+      source.seek(
+        AEA_HEADER_SIZE + start * this.metadata.channelCount * SOUND_UNIT_SIZE
+      )
+    }
+
+    try {
+      const unitCount = (end - start) * this.metadata.channelCount
+      for (let i = 0; i < unitCount; i++) {
+        const unit = await source.read(SOUND_UNIT_SIZE)
+        if (unit.length < SOUND_UNIT_SIZE) {
+          this.trailingBytes = unit.length
+          return
+        }
+        yield unit
+      }
+    } finally {
+      await source.close()
+    }
+  }
+
+  /**
+   * Async iterator over deserialized frames of a frame range
+   *
+   * One frame object is reused for every sound unit, so copy a frame before
+   * asking for the next one if you keep it.
+   *
+   * @param {Object} [range={}] - Frame range, as for units()
+   * @yields {Object} Deserialized frame data
+   */
+  async *frames(range = {}) {
+    const deserialize = createFrameDeserializer()
+    for await (const unit of this.units(range)) {
+      yield deserialize(unit)
+    }
+  }
+
+  /**
+   * Async iterator for streaming frame data from the current position
    * @yields {Object} Deserialized frame data
    */
   async *[Symbol.asyncIterator]() {
-    const stream = fs.createReadStream(this.filePath, {
-      start: AEA_HEADER_SIZE,
+    yield* this.frames()
+  }
+
+  /**
+   * Decode PCM from the current position to the end of the audio
+   *
+   * Decoding starts `warmUpFrames` frames before the position so the
+   * decoder's overlap and filter state match a decode from the start. Files
+   * that record their sample count are trimmed to the source samples.
+   *
+   * @param {Object} [options={}] - Decoding options
+   * @param {number} [options.warmUpFrames=DECODER_WARM_UP_FRAMES] - Frames
+   *   decoded and discarded before the position
+   * @param {Function} [options.onProgress] - Progress callback function
+   * @yields {Float32Array|[Float32Array, Float32Array]} Decoded PCM frames
+   */
+  async *decode(options = {}) {
+    const { warmUpFrames = DECODER_WARM_UP_FRAMES, onProgress } = options
+    if (!this.metadata) await this.loadMetadata()
+
+    const { channelCount, sampleCount, delay } = this.metadata
+    const timed = sampleCount !== null
+    const start = Math.max(this.position, timed ? delay : 0)
+    const end = timed
+      ? delay + sampleCount
+      : this.framesPerChannel * SAMPLES_PER_FRAME
+    const firstFrame = this.stream
+      ? 0
+      : Math.max(0, Math.floor(start / SAMPLES_PER_FRAME) - warmUpFrames)
+
+    yield* AudioProcessor.decodeStream(this.frames({ start: firstFrame }), {
+      channelCount,
+      onProgress,
+      sampleCount: Math.max(0, end - start),
+      delay: start - firstFrame * SAMPLES_PER_FRAME,
     })
-    let buffer = Buffer.alloc(0)
-
-    for await (const chunk of stream) {
-      buffer = Buffer.concat([buffer, chunk])
-      while (buffer.length >= SOUND_UNIT_SIZE) {
-        const frameData = buffer.slice(0, SOUND_UNIT_SIZE)
-        buffer = buffer.slice(SOUND_UNIT_SIZE)
-        yield deserializeFrame(frameData)
+  }
+}
+
+/**
+ * WAV file reader with streaming support
+ *
+ * Walks the RIFF chunks to find the real format and data sizes, then
+ * provides async iteration over frames for memory-efficient processing of
+ * large audio files. Automatically handles:
+ * - Multi-channel deinterleaving
+ * - Conversion to float32 from unsigned 8-bit, signed 16/24/32-bit integer
+ *   and 32/64-bit IEEE float samples, including WAVE_FORMAT_EXTENSIBLE files
+ * - Frame padding for the last partial frame
+ *
+ * Chunks other than `fmt ` and `data` are exposed in `chunks`. For files,
+ * chunks after the audio data are included once metadata is loaded; for
+ * streams, they are appended after iteration reaches them.
+ */
+export class WavReader {
+  /**
+   * Create a WAV file reader
+   * @param {string|AsyncIterable<Buffer>} source - Path to the WAV file, or a
+   *   readable stream such as process.stdin
+   */
+  constructor(source) {
+    this.filePath = typeof source === 'string' ? source : null
+    this.stream = typeof source === 'string' ? null : source
+    this.format = null
+    this.channels = -1
+    this.sampleRate = -1
+    this.bitDepth = -1
+    this.totalSamples = -1
+    this.duration = -1
+    this.dataOffset = -1
+    this.dataSize = null
+    this.chunks = []
+    this.samplesRead = 0
+
+    // Stream input keeps one source from the header to the last frame
+    this._streamSource = null
+    this._sampleToFloat = null
+  }
+
+  /**
+   * Load WAV file metadata without reading audio data
+   *
+   * Stream input whose data chunk does not record its size has an unknown
+   * length: `totalSamples`, `duration` and `dataSize` are null.
+   *
+   * @returns {Promise<void>} Resolves when metadata is loaded
+   * @throws {Error} If the input is not a supported WAV file
+   */
+  async loadMetadata() {
+    if (this.stream) {
+      if (this._streamSource) return
+      this._streamSource = await ByteSource.open(this.stream)
+      await this._readHeader(this._streamSource)
+      return
+    }
+
+    const source = await ByteSource.open(this.filePath)
+    try {
+      await this._readHeader(source)
+
+      // Trust the file over the header for placeholder or truncated sizes
+      const fileSize = await source.size()
+      const available = fileSize - this.dataOffset
+      if (this.dataSize === null || this.dataSize > available) {
+        this.dataSize = available
+      } else {
+        source.seek(this.dataOffset + this.dataSize)
+        this.chunks.push(...(await readTrailingChunks(source, this.dataSize)))
       }
+      this._setLength()
+    } finally {
+      await source.close()
     }
   }
+
+  /**
+   * Walk the header and validate the format
+   * @param {ByteSource} source - Source positioned at the start of the file
+   * @returns {Promise<void>}
+   * @throws {Error} If the sample format is not supported
+   * @private
+   */
+  async _readHeader(source) {
+    const { format, dataOffset, dataSize, chunks } = await readWavHeader(source)
+
+    if (format.channels === 0) {
+      throw new Error('WAV fmt chunk has no channels')
+    }
+    const sampleReader =
+      SAMPLE_READERS[`${format.sampleFormat}:${format.bitsPerSample}`]
+    if (!sampleReader) {
+      throw new Error(
+        `Unsupported WAV sample format (${describeSampleFormat(format)}); expected ${SUPPORTED_SAMPLE_FORMATS}`
+      )
+    }
+
+    this.format = format
+    this._sampleToFloat = sampleReader
+    this.channels = format.channels
+    this.sampleRate = format.sampleRate
+    this.bitDepth = format.bitsPerSample
+    this.dataOffset = dataOffset
+    this.dataSize = dataSize
+    this.chunks = chunks
+    this._setLength()
+  }
+
+  /**
+   * Derive the sample count and duration from the data size
+   * @private
+   */
+  _setLength() {
+    if (this.dataSize === null) {
+      this.totalSamples = null
+      this.duration = null
+      return
+    }
+    this.totalSamples = Math.floor(this.dataSize / this._frameBytes())
+    this.duration = this.totalSamples / this.sampleRate
+  }
+
+  /**
+   * Bytes per sample frame across all channels
+   * @returns {number} Block size in bytes
+   * @private
+   */
+  _frameBytes() {
+    return this.channels * (this.bitDepth / 8)
+  }
+
+  /**
+   * Async iterator for streaming WAV file frames
+   *
+   * `samplesRead` counts the samples per channel yielded so far, excluding
+   * the padding of the last frame.
+   *
+   * @param {number} [frameSize=SAMPLES_PER_FRAME] - Samples per frame
+   * @yields {Float32Array|Array<Float32Array>} Audio frame data
+   *   - Mono: Float32Array of samples
+   *   - Stereo and multichannel: one Float32Array per channel, in file order
+   */
+  async *[Symbol.asyncIterator](frameSize = SAMPLES_PER_FRAME) {
+    if (!this.format) await this.loadMetadata()
+
+    let source
+    if (this.stream) {
+      source = this._streamSource
+    } else {
+      source = await ByteSource.open(this.filePath)
+      source.seek(this.dataOffset)
+    }
+
+    const frameByteSize = frameSize * this._frameBytes()
+    // Whole sample frames only, so a trailing odd byte is not decoded
+    const dataBytes =
+      this.dataSize === null ? Infinity : this.totalSamples * this._frameBytes()
+
+    this.samplesRead = 0
+    try {
+      let remaining = dataBytes
+      while (remaining > 0) {
+        const buffer = await source.read(Math.min(frameByteSize, remaining))
+        const whole = buffer.length - (buffer.length % this._frameBytes())
+        if (whole === 0) break
+        remaining -= buffer.length
+        this.samplesRead += whole / this._frameBytes()
+
+        const frameBuffer =
+          whole === frameByteSize
+            ? buffer
+            : Buffer.concat([
+                buffer.subarray(0, whole),
+                Buffer.alloc(frameByteSize - whole),
+              ])
+        yield this._processFrameBuffer(frameBuffer, frameSize)
+        if (whole < frameByteSize) break
+      }
+
+      if (this.stream && this.dataSize !== null) {
+        await source.skip(this.dataSize - dataBytes)
+        this.chunks.push(...(await readTrailingChunks(source, this.dataSize)))
+      }
+    } finally {
+      await source.close()
+    }
+  }
+
+  /**
+   * Process raw PCM buffer into float32 frame data
+   *
+   * @private
+   * @param {Buffer} frameBuffer - Raw PCM data
+   * @param {number} frameSize - Number of samples per channel
+   * @returns {Float32Array|Array<Float32Array>} Processed frame data
+   */
+  _processFrameBuffer(frameBuffer, frameSize) {
+    const bytesPerSample = this.bitDepth / 8
+    const toFloat = this._sampleToFloat
+    const channels = Array.from(
+      { length: this.channels },
+      () => new Float32Array(frameSize)
+    )
+    for (let i = 0; i < frameSize; i++) {
+      const offset = i * this.channels * bytesPerSample
+      for (let channel = 0; channel < this.channels; channel++) {
+        channels[channel][i] = toFloat(
+          frameBuffer,
+          offset + channel * bytesPerSample
+        )
+      }
+    }
+    return this.channels === 1 ? channels[0] : channels
+  }
+}
+
+/**
+ * Read a complete WAV file or stream into planar channels
+ *
+ * @param {string|AsyncIterable<Buffer>|WavReader} input - File path, readable
+ *   stream, or a WavReader that has not been iterated yet
+ * @returns {Promise<Object>} `channels` as planar Float32Arrays in file
+ *   order, plus `sampleRate` and the parsed `format`
+ * @throws {Error} If the input is not a supported WAV file
+ */
+export async function readWavPcm(input) {
+  const reader = input instanceof WavReader ? input : new WavReader(input)
+  if (!reader.format) await reader.loadMetadata()
+
+  const channelCount = reader.channels
+  const frames = []
+  for await (const frame of reader) {
+    frames.push(channelCount === 1 ? [frame] : frame)
+  }
+
+  const length = reader.samplesRead
+  const channels = Array.from({ length: channelCount }, (_, channel) => {
+    const samples = new Float32Array(length)
+    frames.forEach((frame, index) => {
+      const offset = index * SAMPLES_PER_FRAME
+      const count = Math.min(SAMPLES_PER_FRAME, length - offset)
+      samples.set(frame[channel].subarray(0, count), offset)
+    })
+    return samples
+  })
+
+  return { channels, sampleRate: reader.sampleRate, format: reader.format }
 }
@@ -0,0 +1,201 @@
+/**
+ * Carta1 Audio Codec - RIFF/WAVE Chunk Parser
+ *
+ * Walks the chunks of a RIFF/WAVE file instead of assuming a canonical
+ * 44-byte header. The walker reads the real `fmt ` and `data` chunk sizes,
+ * honors the pad byte after odd-sized chunks, and keeps every other chunk
+ * (LIST, bext, JUNK, id3 and so on) so callers can inspect it.
+ *
+ * Parsing works on any byte source with sequential `read(length)` and
+ * `skip(length)` methods and a `position` property, so the same code handles
+ * seekable files and non-seekable streams.
+ */
+
+// RIFF header: "RIFF", size, "WAVE"
+const RIFF_HEADER_SIZE = 12
+
+// Chunk header: four-character id and little-endian size
+const CHUNK_HEADER_SIZE = 8
+
+// Minimum fmt chunk holding the common WAVEFORMAT fields
+const MIN_FORMAT_SIZE = 16
+
+// WAVEFORMATEXTENSIBLE: 18-byte WAVEFORMATEX plus 22 extension bytes
+const EXTENSIBLE_FORMAT_SIZE = 40
+
+// Format tags of the fmt chunk
+export const WAVE_FORMAT_PCM = 0x0001
+export const WAVE_FORMAT_IEEE_FLOAT = 0x0003
+export const WAVE_FORMAT_EXTENSIBLE = 0xfffe
+
+// Subformat GUIDs of the form xxxxxxxx-0000-0010-8000-00aa00389b71 carry a
+// plain format tag in their first bytes
+const SUBFORMAT_GUID_SUFFIX = '-0000-0010-8000-00aa00389b71'
+
+// Data sizes written by streaming encoders that did not know the length
+const UNKNOWN_DATA_SIZES = [0, 0xffffffff]
+
+/**
+ * Format a 16-byte GUID in its registry string form
+ * @param {Buffer} bytes - GUID bytes, mixed-endian as stored in RIFF
+ * @returns {string} GUID such as 00000003-0000-0010-8000-00aa00389b71
+ */
+function formatGuid(bytes) {
+  const hex = (start, end) => bytes.subarray(start, end).toString('hex')
+  return [
+    bytes.readUInt32LE(0).toString(16).padStart(8, '0'),
+    bytes.readUInt16LE(4).toString(16).padStart(4, '0'),
+    bytes.readUInt16LE(6).toString(16).padStart(4, '0'),
+    hex(8, 10),
+    hex(10, 16),
+  ].join('-')
+}
+
+/**
+ * Parse the fields of a WAVE fmt chunk
+ *
+ * `sampleFormat` is the format tag that describes the samples: the fmt tag
+ * itself, or for WAVE_FORMAT_EXTENSIBLE the tag carried by the subformat
+ * GUID (null when the GUID is not tag-based).
+ *
+ * @param {Buffer} bytes - fmt chunk body
+ * @returns {Object} Format with formatTag, sampleFormat, channels, sampleRate,
+ *   byteRate, blockAlign and bitsPerSample, plus validBitsPerSample,
+ *   channelMask and subFormat for extensible formats
+ * @throws {Error} If the chunk is too short
+ */
+export function parseWavFormat(bytes) {
+  if (bytes.length < MIN_FORMAT_SIZE) {
+    throw new Error(
+      `WAV fmt chunk is too short: ${bytes.length} bytes, expected at least ${MIN_FORMAT_SIZE}`
+    )
+  }
+
+  const format = {
+    formatTag: bytes.readUInt16LE(0),
+    sampleFormat: bytes.readUInt16LE(0),
+    channels: bytes.readUInt16LE(2),
+    sampleRate: bytes.readUInt32LE(4),
+    byteRate: bytes.readUInt32LE(8),
+    blockAlign: bytes.readUInt16LE(12),
+    bitsPerSample: bytes.readUInt16LE(14),
+  }
+
+  if (format.formatTag === WAVE_FORMAT_EXTENSIBLE) {
+    if (bytes.length < EXTENSIBLE_FORMAT_SIZE) {
+      throw new Error(
+        `WAV extensible fmt chunk is too short: ${bytes.length} bytes, expected ${EXTENSIBLE_FORMAT_SIZE}`
+      )
+    }
+    format.validBitsPerSample = bytes.readUInt16LE(18)
+    format.channelMask = bytes.readUInt32LE(20)
+    format.subFormat = formatGuid(bytes.subarray(24, 40))
+    format.sampleFormat = format.subFormat.endsWith(SUBFORMAT_GUID_SUFFIX)
+      ? bytes.readUInt32LE(24)
+      : null
+  }
+
+  return format
+}
+
+/**
+ * Read the next chunk header
+ * @param {Object} source - Byte source
+ * @returns {Promise<Object|null>} Chunk id, size and body offset, or null at
+ *   the end of the input
+ */
+async function readChunkHeader(source) {
+  const header = await source.read(CHUNK_HEADER_SIZE)
+  if (header.length < CHUNK_HEADER_SIZE) return null
+  return {
+    id: header.toString('latin1', 0, 4),
+    size: header.readUInt32LE(4),
+    offset: source.position,
+  }
+}
+
+/**
+ * Walk a RIFF/WAVE header up to the start of the audio data
+ *
+ * On return the source is positioned at the first byte of sample data.
+ *
+ * @param {Object} source - Byte source positioned at the start of the file
+ * @returns {Promise<Object>} Header with `format`, `dataOffset`, `dataSize`
+ *   (null when the file does not record it) and the `chunks` seen before the
+ *   data chunk as `{ id, offset, size, data }`
+ * @throws {Error} If the input is not RIFF/WAVE or a chunk is missing or
+ *   truncated
+ */
+export async function readWavHeader(source) {
+  const riff = await source.read(RIFF_HEADER_SIZE)
+  if (
+    riff.length < RIFF_HEADER_SIZE ||
+    riff.toString('latin1', 0, 4) !== 'RIFF' ||
+    riff.toString('latin1', 8, 12) !== 'WAVE'
+  ) {
+    throw new Error('Not a RIFF/WAVE file')
+  }
+
+  let format = null
+  const chunks = []
+
+  for (;;) {
+    const chunk = await readChunkHeader(source)
+    if (!chunk) {
+      throw new Error('WAV file has no data chunk')
+    }
+
+    if (chunk.id === 'data') {
+      if (!format) {
+        throw new Error('WAV data chunk appears before the fmt chunk')
+      }
+      return {
+        format,
+        dataOffset: chunk.offset,
+        dataSize: UNKNOWN_DATA_SIZES.includes(chunk.size) ? null : chunk.size,
+        chunks,
+      }
+    }
+
+    const data = await source.read(chunk.size)
+    if (data.length < chunk.size) {
+      throw new Error(
+        `WAV ${chunk.id.trim()} chunk is truncated: ${data.length} of ${chunk.size} bytes`
+      )
+    }
+    if (chunk.size % 2 === 1) await source.skip(1)
+
+    if (chunk.id === 'fmt ') {
+      format = parseWavFormat(data)
+    } else {
+      chunks.push({ ...chunk, data })
+    }
+  }
+}
+
+/**
+ * Read the chunks that follow the data chunk
+ *
+ * The source must be positioned just after the sample data. Walking stops at
+ * the end of the input or at a truncated chunk, such as a raw ID3 tag
+ * appended without a chunk header.
+ *
+ * @param {Object} source - Byte source
+ * @param {number} dataSize - Size of the data chunk, for its pad byte
+ * @returns {Promise<Array<Object>>} Chunks as `{ id, offset, size, data }`
+ */
+export async function readTrailingChunks(source, dataSize) {
+  if (dataSize % 2 === 1) await source.skip(1)
+
+  const chunks = []
+  for (;;) {
+    const chunk = await readChunkHeader(source)
+    if (!chunk) return chunks
+
+    const data = await source.read(chunk.size)
+    if (data.length < chunk.size) return chunks
+    if (chunk.size % 2 === 1) await source.skip(1)
+
+    chunks.push({ ...chunk, data })
+  }
+}
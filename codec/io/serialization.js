@@ -21,6 +21,9 @@ import {
   AEA_TITLE_SIZE,
   AEA_FRAME_COUNT_OFFSET,
   AEA_CHANNEL_COUNT_OFFSET,
+  AEA_TIMING_OFFSET,
+  AEA_TIMING_MAGIC,
+  CODEC_DELAY,
   WORD_LENGTH_BITS,
   FRAME_HEADER_BITS,
   FRAME_WORD_LENGTH_BITS,
@@ -98,37 +101,36 @@ export function serializeFrame(frameData) {
 }
 
 /**
- * Deserializes binary frame data back into structured format
+ * Unpack the header of a sound unit
  * @param {Uint8Array} buffer - Binary frame data buffer
- * @returns {Object} Deserialized frame data
- * @returns {number} returns.nBfu - Number of block floating units
- * @returns {number[]} returns.blockModes - Block modes for each band
- * @returns {Int32Array} returns.scaleFactorIndices - Scale factor indices for each BFU
- * @returns {Int32Array} returns.wordLengthIndices - Word length indices for each BFU
- * @returns {Int32Array[]} returns.quantizedCoefficients - Quantized spectral coefficients
+ * @param {number[]} blockModes - Receives the block mode of each band
+ * @returns {number} Number of block floating units
  * @throws {Error} If buffer size is invalid
  */
-export function deserializeFrame(buffer) {
+function unpackHeader(buffer, blockModes) {
   if (buffer.length !== SOUND_UNIT_SIZE) {
     throw new Error(`Frame must be ${SOUND_UNIT_SIZE} bytes`)
   }
 
-  const view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength)
-
-  // Unpack header
-  const header = view.getUint16(0, false)
-  const blockModes = [
-    2 - ((header >> 14) & 3),
-    2 - ((header >> 12) & 3),
-    3 - ((header >> 10) & 3),
-  ]
-  const bfuIndex = (header >> 5) & 7
-  const nBfu = BFU_AMOUNTS[bfuIndex]
+  const header = (buffer[0] << 8) | buffer[1]
+  blockModes[0] = 2 - ((header >> 14) & 3)
+  blockModes[1] = 2 - ((header >> 12) & 3)
+  blockModes[2] = 3 - ((header >> 10) & 3)
+  return BFU_AMOUNTS[(header >> 5) & 7]
+}
 
+/**
+ * Unpack the word lengths, scale factors and coefficients of a sound unit
+ * into arrays sized for its BFU count
+ * @param {Uint8Array} buffer - Binary frame data buffer
+ * @param {Object} frame - Frame whose `nBfu` is set and whose index and
+ *   coefficient arrays are overwritten
+ */
+function unpackBody(buffer, frame) {
+  const { nBfu, wordLengthIndices, scaleFactorIndices } = frame
   let bitPosition = FRAME_HEADER_BITS
 
   // Unpack word lengths
-  const wordLengthIndices = new Int32Array(nBfu)
   for (let i = 0; i < nBfu; i++) {
     wordLengthIndices[i] = unpackBits(
       buffer,
@@ -139,7 +141,6 @@ export function deserializeFrame(buffer) {
   }
 
   // Unpack scale factors
-  const scaleFactorIndices = new Int32Array(nBfu)
   for (let i = 0; i < nBfu; i++) {
     scaleFactorIndices[i] = unpackBits(
       buffer,
@@ -150,29 +151,97 @@ export function deserializeFrame(buffer) {
   }
 
   // Unpack coefficients
-  const quantizedCoefficients = []
   for (let i = 0; i < nBfu; i++) {
     const bitsPerSample = WORD_LENGTH_BITS[wordLengthIndices[i]]
-    const bfuSize = SPECS_PER_BFU[i]
-    const coefficients = new Int32Array(bfuSize)
+    const coefficients = frame.quantizedCoefficients[i]
 
     if (bitsPerSample > 0) {
-      for (let j = 0; j < bfuSize; j++) {
+      for (let j = 0; j < coefficients.length; j++) {
         coefficients[j] = unpackSignedBits(buffer, bitPosition, bitsPerSample)
         bitPosition += bitsPerSample
       }
+    } else {
+      coefficients.fill(0)
     }
-
-    quantizedCoefficients.push(coefficients)
   }
+}
 
-  return {
+/**
+ * Deserializes binary frame data back into structured format
+ * @param {Uint8Array} buffer - Binary frame data buffer
+ * @returns {Object} Deserialized frame data
+ * @returns {number} returns.nBfu - Number of block floating units
+ * @returns {number[]} returns.blockModes - Block modes for each band
+ * @returns {Int32Array} returns.scaleFactorIndices - Scale factor indices for each BFU
+ * @returns {Int32Array} returns.wordLengthIndices - Word length indices for each BFU
+ * @returns {Int32Array[]} returns.quantizedCoefficients - Quantized spectral coefficients
+ * @throws {Error} If buffer size is invalid
+ */
+export function deserializeFrame(buffer) {
+  const blockModes = [0, 0, 0]
+  const nBfu = unpackHeader(buffer, blockModes)
+  const frame = {
     nBfu,
-    scaleFactorIndices,
-    wordLengthIndices,
-    quantizedCoefficients,
+    scaleFactorIndices: new Int32Array(nBfu),
+    wordLengthIndices: new Int32Array(nBfu),
+    quantizedCoefficients: Array.from(
+      { length: nBfu },
+      (_, i) => new Int32Array(SPECS_PER_BFU[i])
+    ),
     blockModes,
   }
+  unpackBody(buffer, frame)
+  return frame
+}
+
+/**
+ * Create a deserializer that reuses one frame for every sound unit
+ *
+ * The returned function unpacks like deserializeFrame() without allocating:
+ * its arrays are views of buffers sized for the largest BFU count, so the
+ * frame is only valid until the next call. Copy what you keep.
+ *
+ * @returns {Function} Deserializer taking a sound unit and returning the
+ *   reused frame
+ * @throws {Error} From the deserializer, if a buffer size is invalid
+ */
+export function createFrameDeserializer() {
+  const maxBfu = BFU_AMOUNTS[BFU_AMOUNTS.length - 1]
+  const scaleFactorIndices = new Int32Array(maxBfu)
+  const wordLengthIndices = new Int32Array(maxBfu)
+  const coefficients = Array.from(
+    { length: maxBfu },
+    (_, i) => new Int32Array(SPECS_PER_BFU[i])
+  )
+
+  // Arrays of the right length for each BFU count, made once
+  const layouts = new Map(
+    Array.from(BFU_AMOUNTS, (nBfu) => [
+      nBfu,
+      {
+        scaleFactorIndices: scaleFactorIndices.subarray(0, nBfu),
+        wordLengthIndices: wordLengthIndices.subarray(0, nBfu),
+        quantizedCoefficients: coefficients.slice(0, nBfu),
+      },
+    ])
+  )
+  const frame = {
+    nBfu: 0,
+    scaleFactorIndices: null,
+    wordLengthIndices: null,
+    quantizedCoefficients: null,
+    blockModes: [0, 0, 0],
+  }
+
+  return (buffer) => {
+    frame.nBfu = unpackHeader(buffer, frame.blockModes)
+    const layout = layouts.get(frame.nBfu)
+    frame.scaleFactorIndices = layout.scaleFactorIndices
+    frame.wordLengthIndices = layout.wordLengthIndices
+    frame.quantizedCoefficients = layout.quantizedCoefficients
+    unpackBody(buffer, frame)
+    return frame
+  }
 }
 
 /**
@@ -182,12 +251,26 @@ export function deserializeFrame(buffer) {
 export class AeaFile {
   /**
    * Creates an AEA file header with the specified metadata
+   *
+   * When the source sample count is known it is stored with the codec delay
+   * in the header padding, so decoders can trim the output to the source
+   * length. Other AEA readers ignore these bytes.
+   *
    * @param {string} [title=''] - Audio file title (max 255 characters)
    * @param {number} [frameCount=0] - Number of audio frames in the file
    * @param {number} [channelCount=1] - Number of audio channels (1 or 2)
+   * @param {number|null} [sampleCount=null] - Source samples per channel
+   * @param {number} [delay=CODEC_DELAY] - Leading decoder output samples that
+   *   precede the first source sample
    * @returns {Uint8Array} AEA file header buffer
    */
-  static createHeader(title = '', frameCount = 0, channelCount = 1) {
+  static createHeader(
+    title = '',
+    frameCount = 0,
+    channelCount = 1,
+    sampleCount = null,
+    delay = CODEC_DELAY
+  ) {
     const header = new Uint8Array(AEA_HEADER_SIZE)
     const view = new DataView(header.buffer)
 
@@ -207,6 +290,13 @@ export class AeaFile {
     // Channel count
     header[AEA_CHANNEL_COUNT_OFFSET] = channelCount
 
+    // Timing extension
+    if (sampleCount !== null) {
+      header.set(AEA_TIMING_MAGIC, AEA_TIMING_OFFSET)
+      view.setUint32(AEA_TIMING_OFFSET + 4, sampleCount, true)
+      view.setUint32(AEA_TIMING_OFFSET + 8, delay, true)
+    }
+
     return header
   }
 
@@ -217,6 +307,10 @@ export class AeaFile {
    * @returns {string} returns.title - Audio file title
    * @returns {number} returns.frameCount - Number of audio frames
    * @returns {number} returns.channelCount - Number of audio channels
+   * @returns {number|null} returns.sampleCount - Source samples per channel,
+   *   or null when the header has no timing extension
+   * @returns {number|null} returns.delay - Codec delay in samples, or null
+   *   when the header has no timing extension
    * @throws {Error} If header size is invalid or magic number doesn't match
    */
   static parseHeader(header) {
@@ -249,6 +343,15 @@ export class AeaFile {
     const frameCount = view.getUint32(AEA_FRAME_COUNT_OFFSET, true)
     const channelCount = header[AEA_CHANNEL_COUNT_OFFSET]
 
-    return { title, frameCount, channelCount }
+    // Timing extension
+    const hasTiming = AEA_TIMING_MAGIC.every(
+      (byte, i) => header[AEA_TIMING_OFFSET + i] === byte
+    )
+    const sampleCount = hasTiming
+      ? view.getUint32(AEA_TIMING_OFFSET + 4, true)
+      : null
+    const delay = hasTiming ? view.getUint32(AEA_TIMING_OFFSET + 8, true) : null
+
+    return { title, frameCount, channelCount, sampleCount, delay }
   }
 }
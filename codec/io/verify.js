@@ -0,0 +1,261 @@
+/**
+ * Carta1 Audio Codec - AEA Verification and Repair
+ *
+ * Checks the structure of an AEA file without decoding it: the header, the
+ * agreement between the header counts and the sound units present, and the
+ * header bits of every sound unit. Each problem is reported with a `code`,
+ * a message and, for sound unit problems, its position.
+ *
+ * Repair rewrites the file with header counts that match its data, drops a
+ * trailing partial sound unit and completes a stereo file that ends after a
+ * left channel unit with a silent right channel unit. Damaged sound units
+ * are copied as they are.
+ */
+
+import { AeaReader } from './readers.js'
+import { AeaWriter } from './writers.js'
+import { serializeFrame } from './serialization.js'
+import {
+  BFU_AMOUNTS,
+  FRAME_BITS,
+  FRAME_HEADER_BITS,
+  FRAME_OVERHEAD_BITS,
+  BITS_PER_BFU_METADATA,
+  SPECS_PER_BFU,
+  WORD_LENGTH_BITS,
+  FRAME_WORD_LENGTH_BITS,
+  SAMPLES_PER_FRAME,
+} from '../core/constants.js'
+
+// Block mode field values allowed for the low, mid and high bands; the
+// fields store 2 - mode, 2 - mode and 3 - mode
+const VALID_BLOCK_MODE_FIELDS = [
+  [0, 2],
+  [0, 2],
+  [0, 3],
+]
+
+const BAND_NAMES = ['low', 'mid', 'high']
+
+// Sound unit header bits outside the block modes and BFU amount
+const RESERVED_HEADER_MASK = 0x031f
+
+// Bits before the trailer that a sound unit's data can use
+const SOUND_UNIT_DATA_BITS =
+  FRAME_BITS - FRAME_OVERHEAD_BITS + FRAME_HEADER_BITS
+
+/**
+ * Check the header bits and size of one sound unit
+ * @param {Uint8Array} unit - Sound unit
+ * @returns {Array<Object>} Problems with `code` and `message`
+ */
+function checkSoundUnit(unit) {
+  const problems = []
+  const header = (unit[0] << 8) | unit[1]
+
+  VALID_BLOCK_MODE_FIELDS.forEach((valid, band) => {
+    const field = (header >> (14 - 2 * band)) & 3
+    if (!valid.includes(field)) {
+      problems.push({
+        code: 'block-mode',
+        message: `invalid ${BAND_NAMES[band]} band block mode field ${field}`,
+      })
+    }
+  })
+
+  if (header & RESERVED_HEADER_MASK) {
+    problems.push({
+      code: 'reserved-bits',
+      message: `reserved header bits set (0x${(header & RESERVED_HEADER_MASK)
+        .toString(16)
+        .padStart(4, '0')})`,
+    })
+  }
+
+  // Word lengths follow the header, 4 bits each
+  const nBfu = BFU_AMOUNTS[(header >> 5) & 7]
+  let bits = FRAME_HEADER_BITS + nBfu * BITS_PER_BFU_METADATA
+  for (let i = 0; i < nBfu; i++) {
+    const position = FRAME_HEADER_BITS + i * FRAME_WORD_LENGTH_BITS
+    const byte = unit[position >> 3]
+    const wordLength = position & 7 ? byte & 0x0f : byte >> 4
+    bits += WORD_LENGTH_BITS[wordLength] * SPECS_PER_BFU[i]
+  }
+  if (bits > SOUND_UNIT_DATA_BITS) {
+    problems.push({
+      code: 'bit-budget',
+      message: `word lengths need ${bits} bits, more than the ${SOUND_UNIT_DATA_BITS} available`,
+    })
+  }
+
+  return problems
+}
+
+/**
+ * Silent sound unit used to complete a frame
+ * @returns {Uint8Array} Serialized sound unit without coefficients
+ */
+function silentSoundUnit() {
+  const nBfu = BFU_AMOUNTS[0]
+  return serializeFrame({
+    nBfu,
+    blockModes: [0, 0, 0],
+    scaleFactorIndices: new Int32Array(nBfu),
+    wordLengthIndices: new Int32Array(nBfu),
+    quantizedCoefficients: [],
+  })
+}
+
+/**
+ * List the structural problems of an AEA file
+ *
+ * @param {string|AsyncIterable<Buffer>} input - Path to the AEA file, or a
+ *   readable stream of it
+ * @returns {Promise<Object>} `valid`, `problems`, the parsed `metadata` (null
+ *   if the header is unreadable), `unitCount` and `trailingBytes`
+ */
+export async function verifyAea(input) {
+  const reader = new AeaReader(input)
+  const result = {
+    valid: false,
+    problems: [],
+    metadata: null,
+    unitCount: 0,
+    trailingBytes: 0,
+  }
+
+  try {
+    await reader.loadMetadata()
+  } catch (error) {
+    result.problems.push({ code: 'header', message: error.message })
+    return result
+  }
+
+  const { metadata } = reader
+  result.metadata = metadata
+  const { channelCount, frameCount, sampleCount, delay } = metadata
+  if (channelCount !== 1 && channelCount !== 2) {
+    result.problems.push({
+      code: 'channel-count',
+      message: `header channel count ${channelCount} is not 1 or 2`,
+    })
+    return result
+  }
+
+  // Per-unit problems, then file-level ones
+  const unitProblems = []
+  for await (const unit of reader.units({ start: 0 })) {
+    const index = result.unitCount++
+    for (const problem of checkSoundUnit(unit)) {
+      unitProblems.push({
+        ...problem,
+        unit: index,
+        frame: Math.floor(index / channelCount),
+        channel: index % channelCount,
+      })
+    }
+  }
+  result.trailingBytes = reader.trailingBytes
+  const { unitCount, trailingBytes } = result
+
+  if (frameCount !== unitCount) {
+    result.problems.push({
+      code: 'frame-count',
+      message: `header frame count ${frameCount} does not match the ${unitCount} sound units in the file`,
+    })
+  }
+  if (trailingBytes > 0) {
+    result.problems.push({
+      code: 'partial-unit',
+      message: `file ends with a partial sound unit of ${trailingBytes} bytes`,
+    })
+  }
+  if (unitCount % channelCount !== 0) {
+    result.problems.push({
+      code: 'missing-channel',
+      message: 'stereo file ends with a left channel sound unit and no right',
+    })
+  }
+
+  const frames = Math.ceil(unitCount / channelCount)
+  if (
+    sampleCount !== null &&
+    delay + sampleCount > frames * SAMPLES_PER_FRAME
+  ) {
+    result.problems.push({
+      code: 'sample-count',
+      message: `header sample count ${sampleCount} with delay ${delay} needs more than the ${frames} frames in the file`,
+    })
+  }
+
+  result.problems.push(...unitProblems)
+  result.valid = result.problems.length === 0
+  return result
+}
+
+/**
+ * Rewrite an AEA file with its structural problems fixed where possible
+ *
+ * Header frame and sample counts are set from the sound units present, a
+ * trailing partial unit is dropped and a stereo file missing its last right
+ * channel unit gets a silent one. Problems inside sound units are left for
+ * the decoder.
+ *
+ * @param {string} input - Path to the AEA file
+ * @param {Object} output - FileHandle, Node writable or WritableStream
+ * @returns {Promise<Object>} `frameCount` frames per channel written and
+ *   `fixed`, the problems of verifyAea() that the rewrite fixed
+ * @throws {Error} If the header is unreadable or its channel count invalid
+ */
+export async function repairAea(input, output) {
+  const report = await verifyAea(input)
+  const { metadata } = report
+  if (
+    !metadata ||
+    report.problems.some(({ code }) => code === 'channel-count')
+  ) {
+    throw new Error(
+      `Cannot repair ${input}: ${report.problems.map(({ message }) => message).join('; ')}`
+    )
+  }
+
+  const { channelCount, sampleCount, delay } = metadata
+  const frames = Math.ceil(report.unitCount / channelCount)
+  const audioEnd = frames * SAMPLES_PER_FRAME
+  const timing =
+    sampleCount === null
+      ? {}
+      : {
+          sampleCount: Math.max(0, Math.min(sampleCount, audioEnd - delay)),
+          delay: Math.min(delay, audioEnd),
+        }
+  const writer = new AeaWriter(output, {
+    title: metadata.title,
+    channelCount,
+    frameCount: frames * channelCount,
+    ...timing,
+  })
+
+  try {
+    const reader = new AeaReader(input)
+    for await (const unit of reader.units({ start: 0 })) {
+      await writer.writeUnit(unit)
+    }
+    if (report.unitCount % channelCount !== 0) {
+      await writer.writeUnit(silentSoundUnit())
+    }
+  } finally {
+    await writer.close()
+  }
+
+  const fixable = [
+    'frame-count',
+    'partial-unit',
+    'missing-channel',
+    'sample-count',
+  ]
+  return {
+    frameCount: frames,
+    fixed: report.problems.filter(({ code }) => fixable.includes(code)),
+  }
+}
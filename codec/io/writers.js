@@ -0,0 +1,477 @@
+/**
+ * Carta1 Audio Codec - Streaming Writers
+ *
+ * This module provides incremental writers that emit a file header and then
+ * stream each frame to the output as it is produced, so memory use does not
+ * grow with the length of the audio. Supported outputs are:
+ *
+ * - Node FileHandle (from fs.promises.open), which is seekable
+ * - Node writable streams, such as fs.WriteStream or process.stdout
+ * - WHATWG WritableStream, including the seekable FileSystemWritableFileStream
+ *
+ * Header fields that depend on the final length are patched when the writer
+ * is closed if the output is seekable; otherwise the header keeps the values
+ * known when it was written.
+ */
+
+import { AeaFile, serializeFrame } from './serialization.js'
+import { AudioProcessor } from './processor.js'
+import { PcmQuantizer } from './pcm.js'
+import {
+  AEA_FRAME_COUNT_OFFSET,
+  CODEC_DELAY,
+  SAMPLE_RATE,
+  SAMPLES_PER_FRAME,
+  WAV_HEADER_SIZE,
+  WAV_DATA_OFFSET,
+} from '../core/constants.js'
+
+// RIFF and data chunk sizes written when the length is unknown and the output
+// cannot be patched; common readers treat them as "read until end of stream"
+const WAV_UNKNOWN_SIZE = 0xffffffff
+
+// Byte offsets of the RIFF and data chunk sizes in the canonical WAV header
+const WAV_RIFF_SIZE_OFFSET = 4
+const WAV_DATA_SIZE_OFFSET = 40
+
+/**
+ * Wrap a Node FileHandle
+ * @param {Object} handle - FileHandle from fs.promises.open
+ * @returns {Object} Sink
+ */
+function createFileHandleSink(handle) {
+  let position = 0
+  return {
+    seekable: true,
+    async write(bytes) {
+      await handle.write(bytes, 0, bytes.length, position)
+      position += bytes.length
+    },
+    async patch(offset, bytes) {
+      await handle.write(bytes, 0, bytes.length, offset)
+    },
+    async close() {
+      await handle.close()
+    },
+  }
+}
+
+/**
+ * Wrap a Node writable stream, honoring backpressure
+ * @param {Object} stream - Node writable stream
+ * @returns {Object} Sink
+ */
+function createNodeStreamSink(stream) {
+  return {
+    seekable: false,
+    async write(bytes) {
+      if (!stream.write(bytes)) {
+        await new Promise((resolve, reject) => {
+          const onDrain = () => {
+            stream.off('error', onError)
+            resolve()
+          }
+          const onError = (err) => {
+            stream.off('drain', onDrain)
+            reject(err)
+          }
+          stream.once('drain', onDrain)
+          stream.once('error', onError)
+        })
+      }
+    },
+    async close() {
+      await new Promise((resolve, reject) => {
+        stream.once('error', reject)
+        stream.end(resolve)
+      })
+    },
+  }
+}
+
+/**
+ * Wrap a WHATWG WritableStream
+ *
+ * A FileSystemWritableFileStream accepts positioned writes, so its header can
+ * be patched; any other WritableStream is written sequentially.
+ *
+ * @param {WritableStream} stream - Destination stream
+ * @returns {Object} Sink
+ */
+function createWebStreamSink(stream) {
+  if (typeof stream.seek === 'function') {
+    let position = 0
+    return {
+      seekable: true,
+      async write(bytes) {
+        await stream.write({ type: 'write', position, data: bytes })
+        position += bytes.length
+      },
+      async patch(offset, bytes) {
+        await stream.write({ type: 'write', position: offset, data: bytes })
+      },
+      async close() {
+        await stream.close()
+      },
+    }
+  }
+
+  const writer = stream.getWriter()
+  return {
+    seekable: false,
+    async write(bytes) {
+      await writer.ready
+      await writer.write(bytes)
+    },
+    async close() {
+      await writer.close()
+    },
+  }
+}
+
+/**
+ * Encode a little-endian uint32 for a header patch
+ * @param {number} value - Value to encode
+ * @returns {Uint8Array} Four bytes
+ */
+function uint32Bytes(value) {
+  const bytes = new Uint8Array(4)
+  new DataView(bytes.buffer).setUint32(0, value, true)
+  return bytes
+}
+
+/**
+ * Adapt a supported output to a common sink interface
+ * @param {Object} target - FileHandle, Node writable or WritableStream
+ * @returns {Object} Sink with write(), close() and, when seekable, patch()
+ * @throws {TypeError} If the output type is not supported
+ */
+function createSink(target) {
+  if (
+    typeof WritableStream !== 'undefined' &&
+    target instanceof WritableStream
+  ) {
+    return createWebStreamSink(target)
+  }
+  // fs.WriteStream also has an fd, so streams are recognized by end()
+  if (typeof target?.write === 'function' && typeof target.end === 'function') {
+    return createNodeStreamSink(target)
+  }
+  if (typeof target?.fd === 'number' && typeof target.write === 'function') {
+    return createFileHandleSink(target)
+  }
+  throw new TypeError(
+    'Output must be a FileHandle, a Node writable stream or a WritableStream'
+  )
+}
+
+/**
+ * Incremental AEA file writer
+ *
+ * Writes the AEA header before the first frame and serializes each encoded
+ * frame as it arrives. The frame count in the header starts as the count
+ * expected from `sampleCount` (or 0 when unknown) and is patched on close
+ * for seekable outputs.
+ *
+ * @example
+ * const writer = new AeaWriter(await fs.promises.open('out.aea', 'w'), {
+ *   title: 'Live set',
+ *   channelCount: 2,
+ * })
+ * await writer.writeFrames(AudioProcessor.encodeStream(frames, options))
+ * await writer.close()
+ */
+export class AeaWriter {
+  /**
+   * Create a new AEA writer
+   * @param {Object} target - FileHandle, Node writable or WritableStream
+   * @param {Object} [options={}] - AEA file options
+   * @param {string} [options.title='encoded by carta1'] - File title
+   * @param {number} [options.channelCount=1] - Number of audio channels
+   * @param {number|null} [options.sampleCount=null] - Source samples per
+   *   channel, stored in the header for sample-accurate decoding
+   * @param {number} [options.delay=CODEC_DELAY] - Decoded samples before the
+   *   first source sample, stored with the sample count
+   * @param {number|null} [options.frameCount=null] - Sound units expected,
+   *   for the header of outputs that cannot be patched; derived from
+   *   `sampleCount` when null
+   */
+  constructor(target, options = {}) {
+    const {
+      title = 'encoded by carta1',
+      channelCount = 1,
+      sampleCount = null,
+      delay = CODEC_DELAY,
+      frameCount = null,
+    } = options
+
+    this.sink = createSink(target)
+    this.title = title
+    this.channelCount = channelCount
+    this.sampleCount = sampleCount
+    this.delay = delay
+    this.expectedFrameCount = frameCount
+    this.frameCount = 0
+    this.headerWritten = false
+    this.closed = false
+  }
+
+  /**
+   * Frame count written to the header before the real count is known
+   * @returns {number} Expected sound units, or 0 if the length is unknown
+   * @private
+   */
+  _expectedFrameCount() {
+    if (this.expectedFrameCount !== null) return this.expectedFrameCount
+    if (this.sampleCount === null || this.sampleCount === 0) return 0
+    const framesPerChannel = Math.ceil(
+      (this.sampleCount + this.delay) / SAMPLES_PER_FRAME
+    )
+    return framesPerChannel * this.channelCount
+  }
+
+  /**
+   * Write the header once
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _writeHeader() {
+    if (this.headerWritten) return
+    this.headerWritten = true
+    await this.sink.write(
+      AeaFile.createHeader(
+        this.title,
+        this._expectedFrameCount(),
+        this.channelCount,
+        this.sampleCount,
+        this.delay
+      )
+    )
+  }
+
+  /**
+   * Throw if the writer has been closed
+   * @throws {Error} If the writer is closed
+   * @private
+   */
+  _checkOpen() {
+    if (this.closed) {
+      throw new Error('AeaWriter: cannot write after close')
+    }
+  }
+
+  /**
+   * Serialize and write one encoded frame
+   * @param {Object} frame - Encoded frame data from the encoder
+   * @returns {Promise<void>}
+   * @throws {Error} If the writer is closed
+   */
+  async writeFrame(frame) {
+    this._checkOpen()
+    await this.writeUnit(serializeFrame(frame))
+  }
+
+  /**
+   * Write one already serialized sound unit
+   * @param {Uint8Array} unit - Sound unit of SOUND_UNIT_SIZE bytes
+   * @returns {Promise<void>}
+   * @throws {Error} If the writer is closed
+   */
+  async writeUnit(unit) {
+    this._checkOpen()
+    await this._writeHeader()
+    await this.sink.write(unit)
+    this.frameCount++
+  }
+
+  /**
+   * Write every frame of an encoded frame stream
+   * @param {AsyncIterable<Object>|Iterable<Object>} frames - Encoded frames
+   * @returns {Promise<void>}
+   */
+  async writeFrames(frames) {
+    for await (const frame of frames) {
+      await this.writeFrame(frame)
+    }
+  }
+
+  /**
+   * Write every sound unit of a serialized unit stream
+   * @param {AsyncIterable<Uint8Array>|Iterable<Uint8Array>} units - Sound units
+   * @returns {Promise<void>}
+   */
+  async writeUnits(units) {
+    for await (const unit of units) {
+      await this.writeUnit(unit)
+    }
+  }
+
+  /**
+   * Finish the file: patch the frame count if possible and close the output
+   * @returns {Promise<number>} Number of sound units written
+   */
+  async close() {
+    if (this.closed) return this.frameCount
+    await this._writeHeader()
+    this.closed = true
+
+    if (this.sink.seekable) {
+      await this.sink.patch(
+        AEA_FRAME_COUNT_OFFSET,
+        uint32Bytes(this.frameCount)
+      )
+    }
+
+    await this.sink.close()
+    return this.frameCount
+  }
+}
+
+/**
+ * Incremental PCM WAV writer
+ *
+ * Writes the WAV header before the first frame and converts each decoded
+ * frame to interleaved samples of the chosen bit depth as it arrives. The
+ * RIFF and data sizes come from `sampleCount` when it is known; otherwise
+ * they are a placeholder that is patched on close for seekable outputs.
+ *
+ * @example
+ * const writer = new WavWriter(process.stdout, { channelCount: 2 })
+ * await writer.writeFrames(AudioProcessor.decodeStream(frames, options))
+ * await writer.close()
+ */
+export class WavWriter {
+  /**
+   * Create a new WAV writer
+   * @param {Object} target - FileHandle, Node writable or WritableStream
+   * @param {Object} [options={}] - WAV file options
+   * @param {number} [options.channelCount=1] - Number of audio channels
+   * @param {number} [options.sampleRate=SAMPLE_RATE] - Audio sample rate
+   * @param {number|null} [options.sampleCount=null] - Samples per channel, if
+   *   known before writing
+   * @param {number|string} [options.bitDepth=16] - 16, 24, 32 or '32f'
+   * @param {boolean} [options.dither=false] - Add TPDF dither (16-bit only)
+   * @param {boolean} [options.noiseShaping=false] - Shape the requantization
+   *   noise (16-bit only)
+   * @throws {Error} If the channel count is not 1 or 2, or the sample format
+   *   options are invalid
+   */
+  constructor(target, options = {}) {
+    const {
+      channelCount = 1,
+      sampleRate = SAMPLE_RATE,
+      sampleCount = null,
+      ...formatOptions
+    } = options
+
+    if (channelCount !== 1 && channelCount !== 2) {
+      throw new Error(`Unsupported channel count: ${channelCount}`)
+    }
+
+    this.quantizer = new PcmQuantizer(channelCount, formatOptions)
+    this.sink = createSink(target)
+    this.channelCount = channelCount
+    this.sampleRate = sampleRate
+    this.sampleCount = sampleCount
+    this.samplesWritten = 0
+    this.headerWritten = false
+    this.closed = false
+  }
+
+  /**
+   * Write the header once
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _writeHeader() {
+    if (this.headerWritten) return
+    this.headerWritten = true
+
+    const header = new Uint8Array(WAV_HEADER_SIZE)
+    const view = new DataView(header.buffer)
+    AudioProcessor._writeWavHeader(
+      view,
+      this.sampleCount ?? 0,
+      this.channelCount,
+      this.sampleRate,
+      this.quantizer
+    )
+    if (this.sampleCount === null) {
+      view.setUint32(WAV_RIFF_SIZE_OFFSET, WAV_UNKNOWN_SIZE, true)
+      view.setUint32(WAV_DATA_SIZE_OFFSET, WAV_UNKNOWN_SIZE, true)
+    }
+    await this.sink.write(header)
+  }
+
+  /**
+   * Convert and write one decoded frame
+   * @param {Float32Array|[Float32Array, Float32Array]} frame - Mono frame, or
+   *   left and right frames for stereo
+   * @returns {Promise<void>}
+   * @throws {Error} If the writer is closed
+   */
+  async writeFrame(frame) {
+    if (this.closed) {
+      throw new Error('WavWriter: cannot write after close')
+    }
+    await this._writeHeader()
+
+    const channels = this.channelCount === 1 ? [frame] : frame
+    const bytes = this.quantizer.interleave(channels)
+    await this.sink.write(bytes)
+    this.samplesWritten += Math.max(
+      ...channels.map((channel) => channel.length)
+    )
+  }
+
+  /**
+   * Number of samples clipped so far
+   * @returns {number} Clipped samples across all channels
+   */
+  get clipCount() {
+    return this.quantizer.clipCount
+  }
+
+  /**
+   * Largest absolute sample value written so far
+   * @returns {number} Peak level, where 1 is full scale
+   */
+  get peak() {
+    return this.quantizer.peak
+  }
+
+  /**
+   * Write every frame of a decoded frame stream
+   * @param {AsyncIterable|Iterable} frames - Decoded PCM frames
+   * @returns {Promise<void>}
+   */
+  async writeFrames(frames) {
+    for await (const frame of frames) {
+      await this.writeFrame(frame)
+    }
+  }
+
+  /**
+   * Finish the file: patch the RIFF and data sizes if possible and close the
+   * output
+   * @returns {Promise<number>} Number of samples written per channel
+   */
+  async close() {
+    if (this.closed) return this.samplesWritten
+    await this._writeHeader()
+    this.closed = true
+
+    if (this.sink.seekable) {
+      const dataSize =
+        this.samplesWritten * this.channelCount * this.quantizer.bytesPerSample
+      await this.sink.patch(
+        WAV_RIFF_SIZE_OFFSET,
+        uint32Bytes(WAV_DATA_OFFSET + dataSize)
+      )
+      await this.sink.patch(WAV_DATA_SIZE_OFFSET, uint32Bytes(dataSize))
+    }
+
+    await this.sink.close()
+    return this.samplesWritten
+  }
+}
@@ -0,0 +1,44 @@
+/**
+ * Carta1 Audio Codec - Node.js entry point
+ *
+ * Everything exported by the platform-neutral entry point, plus the file and
+ * stream readers, the parallel encoder, the AEA editing and verification
+ * functions used by the command-line tool and the pipeline benchmark. Import
+ * it as `carta1/node`.
+ */
+
+import { AeaReader, WavReader, readWavPcm } from './io/readers.js'
+import { cutAea, concatAea, splitAea } from './io/edit.js'
+import { verifyAea, repairAea } from './io/verify.js'
+import { encodeStreamParallel } from './io/parallel.js'
+import { benchmarkPipeline } from './bench/pipeline.js'
+import { countAllocations } from './bench/allocations.js'
+import { BENCH_SIGNALS } from './bench/signals.js'
+import {
+  parseWavFormat,
+  readWavHeader,
+  WAVE_FORMAT_PCM,
+  WAVE_FORMAT_IEEE_FLOAT,
+  WAVE_FORMAT_EXTENSIBLE,
+} from './io/riff.js'
+
+export * from './index.js'
+export {
+  AeaReader,
+  WavReader,
+  readWavPcm,
+  cutAea,
+  concatAea,
+  splitAea,
+  verifyAea,
+  repairAea,
+  encodeStreamParallel,
+  benchmarkPipeline,
+  countAllocations,
+  BENCH_SIGNALS,
+  parseWavFormat,
+  readWavHeader,
+  WAVE_FORMAT_PCM,
+  WAVE_FORMAT_IEEE_FLOAT,
+  WAVE_FORMAT_EXTENSIBLE,
+}
@@ -11,13 +11,17 @@
  * Each stage is implemented as a functional pipeline component that can be composed
  * using the pipe utility. The pipeline maintains state through a shared context
  * containing buffer pools and decoding options.
+ *
+ * As in the encoder, stage outputs live in the buffer pool and are overwritten
+ * by the next frame, and only a pipeline that reuses its output allocates
+ * nothing per frame.
  */
 
 import {
   pipe,
+  observedPipe,
   throwError,
-  reverseSpectrum,
-  extractBandCoefficients,
+  calculateBandOffset,
 } from '../utils.js'
 import { qmfSynthesis } from '../transforms/qmf.js'
 import { imdct64, imdct256, imdct512, overlapAdd } from '../transforms/mdct.js'
@@ -29,6 +33,7 @@ import {
   BFU_START_SHORT,
   WORD_LENGTH_BITS,
   WINDOW_SHORT,
+  SAMPLES_PER_FRAME,
   MDCT_SIZE_LONG,
   MDCT_BAND_CONFIGS,
   MDCT_SHORT_BLOCK_SIZE,
@@ -46,10 +51,18 @@ import {
  * Uses the same BFU organization as the encoder but reconstructs the original
  * coefficient values from the quantized representation.
  *
+ * @param {Object} context - Pipeline context containing bufferPool
+ * @param {BufferPool} context.bufferPool - Shared buffer pool for efficient memory management
  * @returns {Function} Stage function that processes quantized frame data
  * @throws {Error} If bufferPool is not provided in context
  */
-export function dequantizationStage() {
+export function dequantizationStage(context) {
+  const bufferPool =
+    context?.bufferPool ??
+    throwError('dequantizationStage: bufferPool is required')
+  const coefficients = bufferPool.coefficients
+  const result = { coefficients, blockModes: null }
+
   /**
    * Reconstruct MDCT coefficients from quantized data
    * @param {Object} frameData - Quantized frame data
@@ -63,7 +76,7 @@ export function dequantizationStage() {
    * @returns {Array<number>} returns.blockModes - Block modes for each band
    */
   return (frameData) => {
-    const coefficients = new Float32Array(512)
+    coefficients.fill(0)
     const {
       nBfu,
       scaleFactorIndices,
@@ -83,17 +96,18 @@ export function dequantizationStage() {
       const position = isLongBlock ? BFU_START_LONG[bfu] : BFU_START_SHORT[bfu]
 
       if (bitsPerSample > 0) {
-        const quantized = quantizedCoefficients[bfu]
-        const dequantized = dequantize(
-          quantized,
+        dequantize(
+          quantizedCoefficients[bfu],
           scaleFactorIndices[bfu],
-          bitsPerSample
+          bitsPerSample,
+          coefficients,
+          position
         )
-        coefficients.set(dequantized, position)
       }
     }
 
-    return { coefficients, blockModes }
+    result.blockModes = blockModes
+    return result
   }
 }
 
@@ -117,22 +131,27 @@ export function imdctStage(context) {
   const bufferPool =
     context?.bufferPool ?? throwError('imdctStage: bufferPool is required')
   const overlapBuffers = bufferPool.imdctOverlap
+  const { previous, current, output } = bufferPool.overlapAddBuffers
+
+  // Each band's output is the head of its overlap buffer
+  const bands = MDCT_BAND_CONFIGS.map((config, bandIndex) =>
+    overlapBuffers[bandIndex].subarray(0, config.size)
+  )
 
   // Transform function mapping for each band
   const TRANSFORM_FUNCS = [imdct256, imdct256, imdct512]
 
   /**
    * Inverse transform a single frequency band.
-   * @param {Float32Array} coeffs
+   * @param {Float32Array} coefficients
    * @param {number} bandIndex
    * @param {number} blockMode
    * @param {Float32Array} overlapBuffer
    * @param {Object} bufferPool
    * @param {Object} config
-   * @returns {Float32Array}
    */
   function transformBand(
-    coeffs,
+    coefficients,
     bandIndex,
     blockMode,
     overlapBuffer,
@@ -143,8 +162,8 @@ export function imdctStage(context) {
     const transformFunc = TRANSFORM_FUNCS[bandIndex]
 
     if (isLongBlock) {
-      return inverseLongBlock(
-        coeffs,
+      inverseLongBlock(
+        coefficients,
         bandIndex,
         overlapBuffer,
         bufferPool,
@@ -152,8 +171,8 @@ export function imdctStage(context) {
         transformFunc
       )
     } else {
-      return inverseShortBlocks(
-        coeffs,
+      inverseShortBlocks(
+        coefficients,
         bandIndex,
         overlapBuffer,
         bufferPool,
@@ -162,32 +181,55 @@ export function imdctStage(context) {
     }
   }
 
+  /**
+   * Copy a block of band coefficients, unreversing the spectral reversal of
+   * the mid and high bands.
+   * @param {Float32Array} coefficients
+   * @param {number} bandIndex
+   * @param {number} start
+   * @param {number} size
+   * @returns {Float32Array}
+   */
+  function readSpectrum(coefficients, bandIndex, start, size) {
+    const spectrum = bufferPool.reversalBuffers[size]
+    const offset = calculateBandOffset(bandIndex) + start
+    if (bandIndex > 0) {
+      for (let i = 0; i < size; i++) {
+        spectrum[i] = coefficients[offset + size - 1 - i]
+      }
+    } else {
+      for (let i = 0; i < size; i++) {
+        spectrum[i] = coefficients[offset + i]
+      }
+    }
+    return spectrum
+  }
+
   /**
    * Inverse transform using long block.
-   * @param {Float32Array} coeffs
+   * @param {Float32Array} coefficients
    * @param {number} bandIndex
    * @param {Float32Array} overlapBuffer
    * @param {Object} bufferPool
    * @param {Object} config
    * @param {Object} transformFunc
-   * @returns {Float32Array}
    */
   function inverseLongBlock(
-    coeffs,
+    coefficients,
     bandIndex,
     overlapBuffer,
     bufferPool,
     config,
     transformFunc
   ) {
-    // Unreverse spectral reversal for mid/high bands
-    let blockSpecs = coeffs
-    if (bandIndex > 0) {
-      blockSpecs = reverseSpectrum(coeffs, bufferPool.reversalBuffers)
-    }
+    const blockSpecs = readSpectrum(coefficients, bandIndex, 0, config.size)
 
     // Apply inverse transform
-    const inv = transformFunc.transform(blockSpecs, bufferPool.mdctBuffers)
+    const inv = transformFunc.transform(
+      blockSpecs,
+      bufferPool.mdctBuffers,
+      bufferPool.imdctOutputs[transformFunc.size]
+    )
     const invStart = inv.length / 4
 
     // Prepare output buffer
@@ -200,22 +242,13 @@ export function imdctStage(context) {
     }
 
     // Handle overlap-add with previous frame
-    const prevBuf = overlapBuffer.slice(
-      config.size * 2 - MDCT_TAIL_WINDOW_SIZE,
-      config.size * 2
-    )
-    const dstPart = overlapAdd(
-      prevBuf.slice(0, MDCT_TAIL_WINDOW_SIZE),
-      invBuf.slice(0, MDCT_TAIL_WINDOW_SIZE),
-      WINDOW_SHORT
-    )
-
-    overlapBuffer.set(dstPart, 0)
-
-    // Save tail for next frame
+    const tailStart = config.size * 2 - MDCT_TAIL_WINDOW_SIZE
     for (let i = 0; i < MDCT_TAIL_WINDOW_SIZE; i++) {
-      prevBuf[i] = invBuf[MDCT_TAIL_WINDOW_SIZE + i]
+      previous[i] = overlapBuffer[tailStart + i]
+      current[i] = invBuf[i]
     }
+    overlapAdd(previous, current, WINDOW_SHORT, output)
+    overlapBuffer.set(output, 0)
 
     // Copy main samples
     const copyLen = bandIndex === 2 ? 240 : 112
@@ -223,26 +256,23 @@ export function imdctStage(context) {
       overlapBuffer[32 + i] = invBuf[MDCT_TAIL_WINDOW_SIZE + i]
     }
 
-    // Copy final samples
+    // Save final samples as the tail for the next frame
     for (let i = 0; i < MDCT_TAIL_WINDOW_SIZE; i++) {
-      overlapBuffer[config.size * 2 - MDCT_TAIL_WINDOW_SIZE + i] =
+      overlapBuffer[tailStart + i] =
         invBuf[config.size - MDCT_TAIL_WINDOW_SIZE + i]
     }
-
-    return overlapBuffer.slice(0, config.size)
   }
 
   /**
    * Inverse transform using short blocks.
-   * @param {Float32Array} coeffs
+   * @param {Float32Array} coefficients
    * @param {number} bandIndex
    * @param {Float32Array} overlapBuffer
    * @param {Object} bufferPool
    * @param {Object} config
-   * @returns {Float32Array}
    */
   function inverseShortBlocks(
-    coeffs,
+    coefficients,
     bandIndex,
     overlapBuffer,
     bufferPool,
@@ -252,25 +282,29 @@ export function imdctStage(context) {
     const invBuf = bufferPool.transformBuffers[MDCT_SIZE_LONG]
     invBuf.fill(0)
 
-    const prevBuf = overlapBuffer.slice(
-      config.size * 2 - MDCT_TAIL_WINDOW_SIZE,
-      config.size * 2
-    )
+    const tailStart = config.size * 2 - MDCT_TAIL_WINDOW_SIZE
+    for (let i = 0; i < MDCT_TAIL_WINDOW_SIZE; i++) {
+      previous[i] = overlapBuffer[tailStart + i]
+    }
 
     let start = 0
     let pos = 0
 
     for (let block = 0; block < numBlocks; block++) {
       // Extract block coefficients
-      let blockSpecs = coeffs.slice(pos, pos + MDCT_SHORT_BLOCK_SIZE)
-
-      // Unreverse spectral reversal for mid/high bands
-      if (bandIndex > 0) {
-        blockSpecs = reverseSpectrum(blockSpecs, bufferPool.reversalBuffers)
-      }
+      const blockSpecs = readSpectrum(
+        coefficients,
+        bandIndex,
+        pos,
+        MDCT_SHORT_BLOCK_SIZE
+      )
 
       // Apply inverse transform
-      const inv = imdct64.transform(blockSpecs, bufferPool.mdctBuffers)
+      const inv = imdct64.transform(
+        blockSpecs,
+        bufferPool.mdctBuffers,
+        bufferPool.imdctOutputs[imdct64.size]
+      )
       const invStart = inv.length / 4
 
       // Copy to intermediate buffer
@@ -279,17 +313,15 @@ export function imdctStage(context) {
       }
 
       // Overlap-add with previous block
-      const dstPart = overlapAdd(
-        prevBuf.slice(0, MDCT_TAIL_WINDOW_SIZE),
-        invBuf.slice(start, start + MDCT_TAIL_WINDOW_SIZE),
-        WINDOW_SHORT
-      )
-
-      overlapBuffer.set(dstPart, start)
+      for (let i = 0; i < MDCT_TAIL_WINDOW_SIZE; i++) {
+        current[i] = invBuf[start + i]
+      }
+      overlapAdd(previous, current, WINDOW_SHORT, output)
+      overlapBuffer.set(output, start)
 
       // Save tail for next block
       for (let i = 0; i < MDCT_TAIL_WINDOW_SIZE; i++) {
-        prevBuf[i] = invBuf[start + MDCT_TAIL_WINDOW_SIZE + i]
+        previous[i] = invBuf[start + MDCT_TAIL_WINDOW_SIZE + i]
       }
 
       start += MDCT_SHORT_BLOCK_SIZE
@@ -298,11 +330,9 @@ export function imdctStage(context) {
 
     // Copy final tail samples
     for (let i = 0; i < MDCT_TAIL_WINDOW_SIZE; i++) {
-      overlapBuffer[config.size * 2 - MDCT_TAIL_WINDOW_SIZE + i] =
+      overlapBuffer[tailStart + i] =
         invBuf[config.size - MDCT_TAIL_WINDOW_SIZE + i]
     }
-
-    return overlapBuffer.slice(0, config.size)
   }
 
   /**
@@ -315,17 +345,18 @@ export function imdctStage(context) {
   return (input) => {
     const { coefficients, blockModes } = input
 
-    return MDCT_BAND_CONFIGS.map((config, bandIndex) => {
-      const bandCoeffs = extractBandCoefficients(coefficients, bandIndex)
-      return transformBand(
-        bandCoeffs,
+    for (let bandIndex = 0; bandIndex < bands.length; bandIndex++) {
+      transformBand(
+        coefficients,
         bandIndex,
         blockModes[bandIndex],
         overlapBuffers[bandIndex],
         bufferPool,
-        config
+        MDCT_BAND_CONFIGS[bandIndex]
       )
-    })
+    }
+
+    return bands
   }
 }
 
@@ -351,6 +382,20 @@ export function qmfSynthesisStage(context) {
     context?.bufferPool ??
     throwError('qmfSynthesisStage: bufferPool is required')
   const delays = bufferPool.qmfDelays
+  const workBuffers = bufferPool.qmfWorkBuffers
+  const highBandLength = SAMPLES_PER_FRAME >> 1
+  const delayedHigh = workBuffers.highBandDelay[highBandLength]
+  const highBand = delayedHigh.subarray(0, highBandLength)
+
+  // Both stages update their delay lines in place
+  const stage2 = {
+    output: bufferPool.qmfOutputs[256],
+    newDelay: delays.midBand,
+  }
+  const stage1 = {
+    output: bufferPool.qmfOutputs[512],
+    newDelay: delays.lowBand,
+  }
 
   /**
    * Reconstruct full-spectrum PCM samples from frequency bands
@@ -359,35 +404,36 @@ export function qmfSynthesisStage(context) {
    */
   return (bands) => {
     // Apply high band delay compensation
-    const delayedHigh = bufferPool.qmfWorkBuffers.highBandDelay[bands[2].length]
-    delayedHigh.set(delays.highBand)
-    delayedHigh.set(bands[2], delays.highBand.length)
-
-    const highBand = delayedHigh.slice(0, bands[0].length * 2)
-    delays.highBand = delayedHigh.slice(bands[0].length * 2)
+    const highDelay = delays.highBand
+    delayedHigh.set(highDelay)
+    delayedHigh.set(bands[2], highDelay.length)
+    for (let i = 0; i < highDelay.length; i++) {
+      highDelay[i] = delayedHigh[highBandLength + i]
+    }
 
     // Second stage synthesis: combine low and mid bands
-    const stage2 = qmfSynthesis(
-      bands[0],
-      bands[1],
-      delays.midBand,
-      bufferPool.qmfWorkBuffers
-    )
-    delays.midBand = stage2.newDelay
+    qmfSynthesis(bands[0], bands[1], delays.midBand, workBuffers, stage2)
 
     // First stage synthesis: combine result with high band
-    const stage1 = qmfSynthesis(
-      stage2.output,
-      highBand,
-      delays.lowBand,
-      bufferPool.qmfWorkBuffers
-    )
-    delays.lowBand = stage1.newDelay
+    qmfSynthesis(stage2.output, highBand, delays.lowBand, workBuffers, stage1)
 
     return stage1.output
   }
 }
 
+/**
+ * List the stages of a decoding pipeline
+ *
+ * @returns {Array<Array>} `[name, stage]` pairs in pipeline order
+ */
+export function decoderStages() {
+  return [
+    ['dequantizationStage', dequantizationStage],
+    ['imdctStage', imdctStage],
+    ['qmfSynthesisStage', qmfSynthesisStage],
+  ]
+}
+
 /**
  * Create ATRAC1 decoding pipeline
  *
@@ -397,15 +443,30 @@ export function qmfSynthesisStage(context) {
  *
  * The returned function can be called repeatedly to decode audio frames,
  * maintaining state through the shared buffer pool for efficient processing.
+ * Each call returns new PCM samples. With `settings.reuseOutput` it instead
+ * returns the same PCM buffer, so a warm decoder allocates nothing; copy
+ * those samples before the next call if they are kept.
  *
  * @param {BufferPool} [bufferPool=new BufferPool()] - Shared buffer pool for state
+ * @param {Function} [observer=null] - Receives a record per frame with the
+ *   output of every stage (see observedPipe)
+ * @param {Object} [settings={}] - Pipeline settings
+ * @param {boolean} [settings.reuseOutput=false] - Return one reused PCM
+ *   buffer instead of new samples per call
  * @returns {Function} Decoding pipeline function that processes quantized frame data
  *
  * @example
  * const decoder = decode(new BufferPool())
  * const result = decoder(quantizedFrame) // Returns reconstructed PCM samples
  */
-export function decode(bufferPool = new BufferPool()) {
-  const context = { bufferPool }
-  return pipe(context, dequantizationStage, imdctStage, qmfSynthesisStage)
+export function decode(
+  bufferPool = new BufferPool(),
+  observer = null,
+  { reuseOutput = false } = {}
+) {
+  const context = { bufferPool, reuseOutput }
+  const stages = decoderStages()
+  return observer
+    ? observedPipe(context, observer, ...stages)
+    : pipe(context, ...stages.map(([, stage]) => stage))
 }
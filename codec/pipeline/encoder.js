@@ -5,6 +5,7 @@
  * through a series of processing stages:
  *
  * 1. QMF Analysis: Splits audio into frequency bands using quadrature mirror filters
+ *    (optionally followed by a one-frame look-ahead buffer)
  * 2. Block Selection: Detects transients to choose appropriate transform block sizes
  * 3. MDCT Transform: Applies Modified Discrete Cosine Transform to frequency bands
  * 4. Quantization: Performs psychoacoustic analysis, bit allocation, and quantization
@@ -12,10 +13,16 @@
  * Each stage is implemented as a functional pipeline component that can be composed
  * using the pipe utility. The pipeline maintains state through a shared context
  * containing buffer pools and encoding options.
+ *
+ * Stages write their outputs into the buffer pool and reuse their result
+ * objects. A stage output is only valid until the next frame, so composed
+ * pipelines return a copy of the last one unless the context opts into
+ * reusing it, which keeps a warm encoder free of allocations.
  */
 
 import {
   pipe,
+  observedPipe,
   throwError,
   reverseSpectrum,
   calculateBandOffset,
@@ -24,14 +31,20 @@ import { qmfAnalysis } from '../transforms/qmf.js'
 import { mdct64, mdct256, mdct512 } from '../transforms/mdct.js'
 import { groupIntoBFUs, quantize } from '../coding/quantization.js'
 import { allocateBits } from '../coding/bitallocation.js'
+import { computeMaskingThresholds } from '../analysis/psychoacoustic.js'
 import { BufferPool } from '../core/buffers.js'
 import { EncoderOptions } from '../core/options.js'
+import { createBlockModeOverrides } from '../core/overrides.js'
 import {
+  BFU_AMOUNTS,
   WORD_LENGTH_BITS,
   WINDOW_SHORT,
   FFT_SIZE_LOW,
   FFT_SIZE_MID,
   FFT_SIZE_HIGH,
+  TRANSIENT_SEGMENT_SIZE,
+  ATTACK_ENERGY_RATIO,
+  SAMPLES_PER_FRAME,
   MDCT_SIZE_SHORT,
   MDCT_SIZE_MID,
   MDCT_SIZE_LONG,
@@ -39,7 +52,12 @@ import {
   MDCT_SHORT_BLOCK_SIZE,
   MDCT_OVERLAP_SIZE,
 } from '../core/constants.js'
-import { performFFT, detectTransient } from '../analysis/transient.js'
+import {
+  performFFT,
+  computeTransientScore,
+  computeEnergyEnvelope,
+  localizeAttack,
+} from '../analysis/transient.js'
 
 /**
  * QMF Analysis Stage - Splits audio into frequency bands
@@ -59,6 +77,20 @@ export function qmfAnalysisStage(context) {
     context?.bufferPool ??
     throwError('qmfAnalysisStage: bufferPool is required')
   const delays = bufferPool.qmfDelays
+  const workBuffers = bufferPool.qmfWorkBuffers
+  const highBandLength = SAMPLES_PER_FRAME >> 1
+  const delayedHigh = workBuffers.highBandDelay[highBandLength]
+
+  // Both stages update their delay lines in place
+  const stage1 = { ...bufferPool.qmfBands[256], newDelay: delays.lowBand }
+  const stage2 = { ...bufferPool.qmfBands[128], newDelay: delays.midBand }
+  const result = {
+    bands: [
+      stage2.lowBand,
+      stage2.highBand,
+      delayedHigh.subarray(0, highBandLength),
+    ],
+  }
 
   /**
    * Process PCM samples through QMF analysis
@@ -67,31 +99,60 @@ export function qmfAnalysisStage(context) {
    * @returns {Array<Float32Array>} returns.bands - Three frequency bands [low, mid, high]
    */
   return (pcmSamples) => {
-    const stage1 = qmfAnalysis(
-      pcmSamples,
-      delays.lowBand,
-      bufferPool.qmfWorkBuffers
-    )
-    delays.lowBand = stage1.newDelay
+    qmfAnalysis(pcmSamples, delays.lowBand, workBuffers, stage1)
+    qmfAnalysis(stage1.lowBand, delays.midBand, workBuffers, stage2)
+
+    const highDelay = delays.highBand
+    delayedHigh.set(highDelay)
+    delayedHigh.set(stage1.highBand, highDelay.length)
+    for (let i = 0; i < highDelay.length; i++) {
+      highDelay[i] = delayedHigh[highBandLength + i]
+    }
 
-    const stage2 = qmfAnalysis(
-      stage1.lowBand,
-      delays.midBand,
-      bufferPool.qmfWorkBuffers
-    )
-    delays.midBand = stage2.newDelay
+    return result
+  }
+}
 
-    const delayedHigh =
-      bufferPool.qmfWorkBuffers.highBandDelay[stage1.highBand.length]
-    delayedHigh.set(delays.highBand)
-    delayedHigh.set(stage1.highBand, delays.highBand.length)
+/**
+ * Look-Ahead Stage - Delays QMF output by one frame
+ *
+ * Buffers the most recent QMF analysis result so block selection can inspect
+ * the following frame before committing to a block mode. The first call emits
+ * a silent frame, which adds SAMPLES_PER_FRAME samples of encoder latency.
+ * The incoming bands are copied, since the QMF stage overwrites them on the
+ * next frame.
+ *
+ * @param {Object} context - Pipeline context containing bufferPool
+ * @param {BufferPool} context.bufferPool - Shared buffer pool holding the buffered frame
+ * @returns {Function} Stage function that processes QMF analysis results
+ * @throws {Error} If bufferPool is not provided in context
+ */
+export function lookAheadStage(context) {
+  const bufferPool =
+    context?.bufferPool ?? throwError('lookAheadStage: bufferPool is required')
 
-    const highBand = delayedHigh.slice(0, stage1.highBand.length)
-    delays.highBand = delayedHigh.slice(stage1.highBand.length)
+  const result = { bands: null, nextBands: null }
 
-    return {
-      bands: [stage2.lowBand, stage2.highBand, highBand],
+  /**
+   * Buffer the incoming frame and release the previous one
+   * @param {Object} input - QMF analysis results
+   * @param {Array<Float32Array>} input.bands - Three frequency bands [low, mid, high]
+   * @returns {Object} Delayed analysis results
+   * @returns {Array<Float32Array>} returns.bands - Bands of the frame to encode
+   * @returns {Array<Float32Array>} returns.nextBands - Bands of the following frame
+   */
+  return (input) => {
+    const bands = bufferPool.lookAheadBands
+    const nextBands = bufferPool.lookAheadNextBands
+    for (let band = 0; band < nextBands.length; band++) {
+      nextBands[band].set(input.bands[band])
     }
+    bufferPool.lookAheadBands = nextBands
+    bufferPool.lookAheadNextBands = bands
+
+    result.bands = bands
+    result.nextBands = nextBands
+    return result
   }
 }
 
@@ -101,12 +162,15 @@ export function qmfAnalysisStage(context) {
  * Analyzes frequency bands using FFT and transient detection to determine
  * appropriate MDCT block sizes. Short blocks are used for transient signals
  * to prevent pre-echo artifacts, while long blocks provide better frequency
- * resolution for steady-state signals.
+ * resolution for steady-state signals. Each band is compared against its own
+ * threshold from the encoder options. Block mode overrides from the options
+ * replace the decision for the frames and bands they target.
  *
- * @param {Object} context - Pipeline context containing bufferPool
+ * @param {Object} context - Pipeline context containing bufferPool and options
  * @param {BufferPool} context.bufferPool - Shared buffer pool for efficient memory management
+ * @param {EncoderOptions} context.options - Encoder options with per-band thresholds
  * @returns {Function} Stage function that processes QMF analysis results
- * @throws {Error} If bufferPool is not provided in context
+ * @throws {Error} If bufferPool or options is not provided in context
  */
 export function blockSelectorStage(context) {
   const bufferPool =
@@ -115,39 +179,227 @@ export function blockSelectorStage(context) {
   const options =
     context?.options ?? throwError('blockSelectorStage: options is required')
 
+  const fftSizes = [FFT_SIZE_LOW, FFT_SIZE_MID, FFT_SIZE_HIGH]
+
+  // Options are read into these on every frame
+  const thresholds = [0, 0, 0]
+  const releaseThresholds = [0, 0, 0]
+  const holdFrames = [0, 0, 0]
+
+  const blockModes = [0, 0, 0]
+  const transientScores = [0, 0, 0]
+  const attackPositions = [0, 0, 0]
+  const result = { bands: null, blockModes, transientScores: null }
+
+  /**
+   * Score a band's transient against the previous frame's spectrum, which it
+   * then replaces
+   *
+   * Bands past the preset's analyzed bands score 0 without an FFT, so they
+   * stay in long blocks. Their previous spectrum is cleared, so a later
+   * switch to a deeper preset scores them as at the start of a stream.
+   *
+   * @param {Float32Array} bandSamples - Band samples of the frame
+   * @param {number} bandIndex - Band index (0=low, 1=mid, 2=high)
+   * @returns {number} Transient score
+   */
+  function scoreBand(bandSamples, bandIndex) {
+    if (bandIndex >= options.presetSettings.analyzedBands) {
+      bufferPool.transientDetection[bandIndex].fill(0)
+      return 0
+    }
+
+    const previous = bufferPool.transientDetection[bandIndex]
+    const spectrum = performFFT(
+      bandSamples,
+      fftSizes[bandIndex],
+      bufferPool.fftBuffers,
+      bufferPool.transientSpectra[bandIndex]
+    )
+    const score = computeTransientScore(spectrum, previous)
+    bufferPool.transientDetection[bandIndex] = spectrum
+    bufferPool.transientSpectra[bandIndex] = previous
+    return score
+  }
+
+  /**
+   * Apply hysteresis and hold time to a band's transient decision.
+   *
+   * A long band switches to short blocks when its score exceeds the transient
+   * (attack) threshold. A short band stays short while its score exceeds the
+   * release threshold, and for the configured number of hold frames after
+   * that. With the defaults both thresholds match and hold is zero, so every
+   * frame is decided independently.
+   *
+   * @param {number} bandIndex - Band index (0=low, 1=mid, 2=high)
+   * @param {number} score - Transient score of the frame
+   * @param {boolean} attack - Whether a look-ahead attack forces short blocks
+   * @param {Array<number>} thresholds - Per-band attack thresholds
+   * @param {Array<number>} releaseThresholds - Per-band release thresholds
+   * @param {Array<number>} holdFrames - Per-band hold times in frames
+   * @returns {number} Block mode for the band
+   */
+  function decideBlockMode(
+    bandIndex,
+    score,
+    attack,
+    thresholds,
+    releaseThresholds,
+    holdFrames
+  ) {
+    const threshold = bufferPool.shortBlockActive[bandIndex]
+      ? Math.min(releaseThresholds[bandIndex], thresholds[bandIndex])
+      : thresholds[bandIndex]
+
+    let isShort
+    if (attack || score > threshold) {
+      bufferPool.blockHoldRemaining[bandIndex] = holdFrames[bandIndex]
+      isShort = true
+    } else if (bufferPool.blockHoldRemaining[bandIndex] > 0) {
+      bufferPool.blockHoldRemaining[bandIndex]--
+      isShort = true
+    } else {
+      isShort = false
+    }
+
+    bufferPool.shortBlockActive[bandIndex] = isShort ? 1 : 0
+    return isShort ? Math.max(bandIndex + 1, 2) : 0
+  }
+
+  /**
+   * Decide block modes using the current and following frame.
+   *
+   * The score of the current frame was computed on the previous call when it
+   * was the look-ahead frame. A band also switches to short blocks when the
+   * following frame is transient but the attack starts inside the current
+   * frame, which a long block would smear into pre-echo.
+   *
+   * @param {Array<Float32Array>} nextBands - Bands of the following frame
+   */
+  function selectWithLookAhead(nextBands) {
+    for (let bandIndex = 0; bandIndex < nextBands.length; bandIndex++) {
+      const bandSamples = nextBands[bandIndex]
+      const nextScore = scoreBand(bandSamples, bandIndex)
+
+      const score = bufferPool.transientScores[bandIndex]
+      bufferPool.transientScores[bandIndex] = nextScore
+
+      // Envelope holds previous, current and next frame segments
+      const envelope = bufferPool.transientEnvelopes[bandIndex]
+      const segments = envelope.length / 3
+      envelope.copyWithin(0, segments)
+      computeEnergyEnvelope(
+        bandSamples,
+        TRANSIENT_SEGMENT_SIZE,
+        envelope,
+        segments * 2
+      )
+
+      const attack = localizeAttack(envelope, segments, segments * 3)
+      const attackInFrame =
+        attack.segment >= 0 &&
+        attack.segment < segments * 2 &&
+        attack.ratio > ATTACK_ENERGY_RATIO
+
+      const lateAttack = nextScore > thresholds[bandIndex] && attackInFrame
+
+      const samplesPerSegment =
+        (SAMPLES_PER_FRAME / bandSamples.length) * TRANSIENT_SEGMENT_SIZE
+      blockModes[bandIndex] = decideBlockMode(
+        bandIndex,
+        score,
+        lateAttack,
+        thresholds,
+        releaseThresholds,
+        holdFrames
+      )
+      transientScores[bandIndex] = score
+      attackPositions[bandIndex] = attackInFrame
+        ? (attack.segment - segments) * samplesPerSegment
+        : -1
+    }
+  }
+
   /**
    * Analyze frequency bands and determine block modes
    * @param {Object} input - QMF analysis results
    * @param {Array<Float32Array>} input.bands - Three frequency bands [low, mid, high]
+   * @param {Array<Float32Array>} [input.nextBands] - Following frame in look-ahead mode
    * @returns {Object} Block selection results
    * @returns {Array<Float32Array>} returns.bands - Original frequency bands
    * @returns {Array<number>} returns.blockModes - Block modes for each band
+   * @returns {Array<number>|null} returns.transientScores - Transient score for
+   *   each band, or null when fixed block modes skip detection
+   * @returns {Array<number>} [returns.attackPositions] - Look-ahead mode only:
+   *   attack offset in input samples within the frame, or -1 for none
    */
-  return (input) => {
-    const { bands } = input
+  function selectBlockModes(input) {
+    const { bands, nextBands } = input
+    result.bands = bands
 
     // Use fixed block modes if provided, otherwise do transient detection
-    let blockModes
     if (options.fixedBlockModes) {
-      blockModes = options.fixedBlockModes
+      for (let band = 0; band < blockModes.length; band++) {
+        blockModes[band] = options.fixedBlockModes[band]
+      }
+      result.transientScores = null
+      return result
+    }
+
+    thresholds[0] = options.transientThresholdLow
+    thresholds[1] = options.transientThresholdMid
+    thresholds[2] = options.transientThresholdHigh
+    releaseThresholds[0] = options.releaseThresholdLow
+    releaseThresholds[1] = options.releaseThresholdMid
+    releaseThresholds[2] = options.releaseThresholdHigh
+    holdFrames[0] = options.holdFramesLow
+    holdFrames[1] = options.holdFramesMid
+    holdFrames[2] = options.holdFramesHigh
+
+    if (nextBands) {
+      selectWithLookAhead(nextBands)
+      result.attackPositions = attackPositions
     } else {
-      const fftSizes = [FFT_SIZE_LOW, FFT_SIZE_MID, FFT_SIZE_HIGH]
-      blockModes = bands.map((bandSamples, bandIndex) => {
-        const coeffs = performFFT(bandSamples, fftSizes[bandIndex])
-        const transient = detectTransient(
-          coeffs,
-          bufferPool.transientDetection[bandIndex],
-          options.transientThresholdLow
+      for (let bandIndex = 0; bandIndex < bands.length; bandIndex++) {
+        transientScores[bandIndex] = scoreBand(bands[bandIndex], bandIndex)
+      }
+      for (let bandIndex = 0; bandIndex < bands.length; bandIndex++) {
+        blockModes[bandIndex] = decideBlockMode(
+          bandIndex,
+          transientScores[bandIndex],
+          false,
+          thresholds,
+          releaseThresholds,
+          holdFrames
         )
-        bufferPool.transientDetection[bandIndex] = coeffs
-        return transient * Math.max(bandIndex + 1, 2)
-      })
+      }
     }
 
-    return {
-      bands,
-      blockModes,
+    result.transientScores = transientScores
+    return result
+  }
+
+  if (!options.blockModeOverrides) {
+    return selectBlockModes
+  }
+
+  const getOverride = createBlockModeOverrides(options.blockModeOverrides)
+  let callCount = 0
+
+  return (input) => {
+    const result = selectBlockModes(input)
+
+    // In look-ahead mode the first call decides the silent frame that
+    // precedes the stream, so frame indices lag the call count by one
+    const frameIndex = callCount++ - (input.nextBands ? 1 : 0)
+    const override = getOverride(frameIndex)
+    if (override) {
+      for (let band = 0; band < blockModes.length; band++) {
+        if (override[band] !== null) blockModes[band] = override[band]
+      }
     }
+
+    return result
   }
 }
 
@@ -171,6 +423,13 @@ export function mdctStage(context) {
   const bufferPool =
     context?.bufferPool ?? throwError('mdctStage: bufferPool is required')
   const overlapBuffers = bufferPool.mdctOverlap
+  const coefficients = bufferPool.coefficients
+  const result = {
+    bands: null,
+    coefficients,
+    blockModes: null,
+    originalFrame: undefined,
+  }
 
   // Transform function mapping for each band
   const TRANSFORM_FUNCS = [mdct256, mdct256, mdct512]
@@ -182,7 +441,6 @@ export function mdctStage(context) {
    * @param {number} blockMode
    * @param {Float32Array} overlapBuffer
    * @param {Object} bufferPool
-   * @returns {Float32Array}
    */
   function transformBand(
     samples,
@@ -196,7 +454,7 @@ export function mdctStage(context) {
     const isLongBlock = blockMode === 0
 
     if (isLongBlock) {
-      return transformLongBlock(
+      transformLongBlock(
         samples,
         bandIndex,
         config,
@@ -205,7 +463,7 @@ export function mdctStage(context) {
         bufferPool
       )
     } else {
-      return transformShortBlocks(
+      transformShortBlocks(
         samples,
         bandIndex,
         config,
@@ -223,7 +481,6 @@ export function mdctStage(context) {
    * @param {Object} transformFunc
    * @param {Float32Array} overlapBuffer
    * @param {Object} bufferPool
-   * @returns {Float32Array}
    */
   function transformLongBlock(
     samples,
@@ -247,14 +504,13 @@ export function mdctStage(context) {
     mdctInput.set(samples, config.windowStart + MDCT_OVERLAP_SIZE)
 
     // Transform
-    let spectrum = transformFunc.transform(mdctInput, bufferPool.mdctBuffers)
-
-    // Apply spectral reversal for mid/high bands
-    if (bandIndex > 0) {
-      spectrum = reverseSpectrum(spectrum, bufferPool.reversalBuffers)
-    }
+    const spectrum = transformFunc.transform(
+      mdctInput,
+      bufferPool.mdctBuffers,
+      bufferPool.mdctSpectra[mdctSize >> 1]
+    )
 
-    return spectrum
+    writeSpectrum(spectrum, bandIndex, calculateBandOffset(bandIndex))
   }
 
   /**
@@ -264,7 +520,6 @@ export function mdctStage(context) {
    * @param {Object} config
    * @param {Float32Array} overlapBuffer
    * @param {Object} bufferPool
-   * @returns {Float32Array}
    */
   function transformShortBlocks(
     samples,
@@ -274,14 +529,10 @@ export function mdctStage(context) {
     bufferPool
   ) {
     const numBlocks = 1 << (config.size === 256 ? 3 : 2) // 8 for band 2, 4 for bands 0-1
-    const output = new Float32Array(config.size)
+    const offset = calculateBandOffset(bandIndex)
 
     for (let block = 0; block < numBlocks; block++) {
       const blockStart = block * MDCT_SHORT_BLOCK_SIZE
-      const blockSamples = samples.subarray(
-        blockStart,
-        blockStart + MDCT_SHORT_BLOCK_SIZE
-      )
 
       // Prepare MDCT input
       const mdctInput = bufferPool.transformBuffers[MDCT_SIZE_SHORT]
@@ -289,25 +540,45 @@ export function mdctStage(context) {
       mdctInput.set(overlapBuffer, 0)
 
       // Window and save tail
-      applyTailWindowing(blockSamples, overlapBuffer, MDCT_SHORT_BLOCK_SIZE)
-      mdctInput.set(blockSamples, MDCT_OVERLAP_SIZE)
+      applyTailWindowing(
+        samples,
+        overlapBuffer,
+        MDCT_SHORT_BLOCK_SIZE,
+        blockStart
+      )
+      for (let i = 0; i < MDCT_SHORT_BLOCK_SIZE; i++) {
+        mdctInput[MDCT_OVERLAP_SIZE + i] = samples[blockStart + i]
+      }
 
       // Transform
-      let spectrum = mdct64.transform(mdctInput, bufferPool.mdctBuffers)
-
-      // Apply spectral reversal for mid/high bands
-      if (bandIndex > 0) {
-        spectrum = reverseSpectrum(spectrum, bufferPool.reversalBuffers)
-      }
+      const spectrum = mdct64.transform(
+        mdctInput,
+        bufferPool.mdctBuffers,
+        bufferPool.mdctSpectra[MDCT_SIZE_SHORT >> 1]
+      )
 
-      output.set(spectrum, blockStart)
+      writeSpectrum(spectrum, bandIndex, offset + blockStart)
     }
+  }
 
-    return output
+  /**
+   * Store a block spectrum in the frame coefficients, with spectral
+   * reversal for mid/high bands
+   * @param {Float32Array} spectrum
+   * @param {number} bandIndex
+   * @param {number} offset
+   */
+  function writeSpectrum(spectrum, bandIndex, offset) {
+    coefficients.set(
+      bandIndex > 0
+        ? reverseSpectrum(spectrum, bufferPool.reversalBuffers)
+        : spectrum,
+      offset
+    )
   }
 
-  function applyTailWindowing(samples, overlapBuffer, blockSize) {
-    const tailStart = blockSize - MDCT_OVERLAP_SIZE
+  function applyTailWindowing(samples, overlapBuffer, blockSize, start = 0) {
+    const tailStart = start + blockSize - MDCT_OVERLAP_SIZE
     for (let i = 0; i < MDCT_OVERLAP_SIZE; i++) {
       const tailValue = samples[tailStart + i]
       overlapBuffer[i] = WINDOW_SHORT[i] * tailValue
@@ -329,22 +600,21 @@ export function mdctStage(context) {
    */
   return (input) => {
     const { bands, blockModes, originalFrame } = input
-    const coefficients = new Float32Array(512)
 
-    bands.forEach((bandSamples, bandIndex) => {
-      const transformed = transformBand(
-        bandSamples,
+    for (let bandIndex = 0; bandIndex < bands.length; bandIndex++) {
+      transformBand(
+        bands[bandIndex],
         bandIndex,
         blockModes[bandIndex],
         overlapBuffers[bandIndex],
         bufferPool
       )
+    }
 
-      const offset = calculateBandOffset(bandIndex)
-      coefficients.set(transformed, offset)
-    })
-
-    return { bands, coefficients, blockModes, originalFrame }
+    result.bands = bands
+    result.blockModes = blockModes
+    result.originalFrame = originalFrame
+    return result
   }
 }
 
@@ -357,15 +627,43 @@ export function mdctStage(context) {
  * 3. Quantizes coefficients using scale factors and word lengths
  *
  * Uses RDO to optimize the allocation of bits for maximum quality
- * within the available bit budget.
+ * within the available bit budget. With the psychoacoustic allocation model,
+ * masking thresholds are computed first so the RDO minimizes the
+ * noise-to-mask ratio.
  *
+ * @param {Object} context - Pipeline context containing bufferPool and options
+ * @param {BufferPool} context.bufferPool - Shared buffer pool for efficient memory management
+ * @param {EncoderOptions} context.options - Encoder options with the allocation model
  * @returns {Function} Stage function that processes MDCT results
- * @throws {Error} If bufferPool is not provided in context
+ * @throws {Error} If bufferPool or options is not provided in context
  */
 export function quantizationStage(context) {
+  const bufferPool =
+    context?.bufferPool ??
+    throwError('quantizationStage: bufferPool is required')
   const options =
     context?.options ?? throwError('quantizationStage: options is required')
 
+  // Frame arrays sized for each BFU count, sharing the pool's storage
+  const { quantized } = bufferPool
+  const frames = {}
+  for (const bfuCount of BFU_AMOUNTS) {
+    frames[bfuCount] = {
+      scaleFactorIndices: quantized.scaleFactorIndices.subarray(0, bfuCount),
+      wordLengthIndices: quantized.wordLengthIndices.subarray(0, bfuCount),
+      quantizedCoefficients: quantized.coefficients.slice(0, bfuCount),
+    }
+  }
+
+  const result = {
+    nBfu: 0,
+    scaleFactorIndices: null,
+    wordLengthIndices: null,
+    quantizedCoefficients: null,
+    blockModes: null,
+  }
+  const analysis = {}
+
   /**
    * Perform RDO bit allocation and quantization
    * @param {Object} input - MDCT transform results
@@ -377,46 +675,95 @@ export function quantizationStage(context) {
    * @returns {Int32Array} returns.wordLengthIndices - Word length indices for each BFU
    * @returns {Array<Int32Array>} returns.quantizedCoefficients - Quantized coefficient data
    * @returns {Array<number>} returns.blockModes - Block modes for each band
+   * @returns {Object} [returns.analysis] - Observed pipelines only: BFU data,
+   *   sizes and count, masking thresholds (or null), and the word length and
+   *   scale factor indices of every analyzed BFU
    */
   return (input) => {
     const { coefficients, blockModes } = input
 
     const { bfuData, bfuSizes, bfuCount } = groupIntoBFUs(
       coefficients,
-      blockModes
+      blockModes,
+      bufferPool.bfus
     )
 
+    const maskingThresholds =
+      options.allocationModel === 'psychoacoustic'
+        ? computeMaskingThresholds(
+            bfuData,
+            bfuSizes,
+            bfuCount,
+            bufferPool.masking
+          )
+        : null
+
     const {
       bfuCount: selectedBfuCount,
       allocation,
       scaleFactorIndices,
-    } = allocateBits(bfuData, bfuSizes, bfuCount, options.allocationBias)
-
-    const slicedWordLengthIndices = allocation.slice(0, selectedBfuCount)
-    const slicedScaleFactorIndices = scaleFactorIndices.slice(
-      0,
-      selectedBfuCount
+    } = allocateBits(
+      bfuData,
+      bfuSizes,
+      bfuCount,
+      options.allocationBias,
+      maskingThresholds,
+      bufferPool.bitAllocation,
+      options.presetSettings
     )
-    const quantizedCoefficients = []
 
+    const frame = frames[selectedBfuCount]
     for (let bfu = 0; bfu < selectedBfuCount; bfu++) {
-      const data = bfuData[bfu].subarray(0, bfuSizes[bfu])
-      const wordLength = slicedWordLengthIndices[bfu]
+      const wordLength = allocation[bfu]
       const bitsPerSample = WORD_LENGTH_BITS[wordLength]
-      const quantized = quantize(data, scaleFactorIndices[bfu], bitsPerSample)
-      quantizedCoefficients.push(quantized)
+      frame.wordLengthIndices[bfu] = wordLength
+      frame.scaleFactorIndices[bfu] = scaleFactorIndices[bfu]
+      quantize(
+        bfuData[bfu],
+        scaleFactorIndices[bfu],
+        bitsPerSample,
+        frame.quantizedCoefficients[bfu]
+      )
     }
 
-    return {
-      nBfu: selectedBfuCount,
-      scaleFactorIndices: slicedScaleFactorIndices,
-      wordLengthIndices: slicedWordLengthIndices,
-      quantizedCoefficients,
-      blockModes,
+    result.nBfu = selectedBfuCount
+    result.scaleFactorIndices = frame.scaleFactorIndices
+    result.wordLengthIndices = frame.wordLengthIndices
+    result.quantizedCoefficients = frame.quantizedCoefficients
+    result.blockModes = blockModes
+
+    // Observed pipelines also get the BFU grouping and allocation inputs
+    if (context.observer) {
+      analysis.bfuData = bfuData
+      analysis.bfuSizes = bfuSizes
+      analysis.bfuCount = bfuCount
+      analysis.maskingThresholds = maskingThresholds
+      analysis.allocation = allocation
+      analysis.scaleFactorIndices = scaleFactorIndices
+      result.analysis = analysis
     }
+
+    return result
   }
 }
 
+/**
+ * List the stages of an encoding pipeline
+ *
+ * @param {EncoderOptions} options - Encoding configuration
+ * @returns {Array<Array>} `[name, stage]` pairs in pipeline order, with the
+ *   look-ahead stage only when `options.lookAhead` is enabled
+ */
+export function encoderStages(options) {
+  return [
+    ['qmfAnalysisStage', qmfAnalysisStage],
+    ...(options.lookAhead ? [['lookAheadStage', lookAheadStage]] : []),
+    ['blockSelectorStage', blockSelectorStage],
+    ['mdctStage', mdctStage],
+    ['quantizationStage', quantizationStage],
+  ]
+}
+
 /**
  * Create ATRAC1 encoding pipeline
  *
@@ -426,25 +773,46 @@ export function quantizationStage(context) {
  *
  * The returned function can be called repeatedly to encode audio frames,
  * maintaining state through the shared buffer pool for efficient processing.
+ * Each call returns a new frame. With `settings.reuseOutput` it instead
+ * returns the same frame object with its arrays rewritten, so a warm encoder
+ * allocates nothing; serialize or copy such a frame before the next call.
+ *
+ * With `options.lookAhead` enabled, each output frame describes the input
+ * frame passed on the previous call. The delay in samples is exposed as the
+ * `latency` property of the returned function; callers drop that many leading
+ * samples of output and flush with silent frames at the end of the stream.
  *
  * @param {EncoderOptions} [options=new EncoderOptions()] - Encoding configuration
  * @param {BufferPool} [bufferPool=new BufferPool()] - Shared buffer pool for state
- * @returns {Function} Encoding pipeline function that processes PCM samples
+ * @param {Function} [observer=null] - Receives a record per frame with the
+ *   output of every stage (see observedPipe); the quantization stage output
+ *   then also carries its BFU grouping and allocation `analysis`
+ * @param {Object} [settings={}] - Pipeline settings
+ * @param {boolean} [settings.reuseOutput=false] - Return one reused frame
+ *   object instead of a new frame per call
+ * @returns {Function} Encoding pipeline function that processes PCM samples,
+ *   with a `latency` property in samples
  *
  * @example
  * const encoder = encode(new EncoderOptions(), new BufferPool())
  * const result = encoder(pcmSamples) // Returns quantized ATRAC1 frame data
+ *
+ * @example
+ * const encoder = encode(options, new BufferPool(), ({ frame, stages }) => {
+ *   console.log(frame, stages.blockSelectorStage.transientScores)
+ * })
  */
 export function encode(
   options = new EncoderOptions(),
-  bufferPool = new BufferPool()
+  bufferPool = new BufferPool(),
+  observer = null,
+  { reuseOutput = false } = {}
 ) {
-  const context = { options, bufferPool }
-  return pipe(
-    context,
-    qmfAnalysisStage,
-    blockSelectorStage,
-    mdctStage,
-    quantizationStage
-  )
+  const context = { options, bufferPool, observer, reuseOutput }
+  const stages = encoderStages(options)
+  const encoder = observer
+    ? observedPipe(context, observer, ...stages)
+    : pipe(context, ...stages.map(([, stage]) => stage))
+  encoder.latency = options.lookAhead ? SAMPLES_PER_FRAME : 0
+  return encoder
 }
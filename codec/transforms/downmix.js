@@ -0,0 +1,202 @@
+/**
+ * Carta1 Audio Codec - Channel Selection and Downmixing
+ *
+ * Reduces multichannel input to the one or two channels ATRAC1 can encode.
+ * Channels are first picked by index, then combined with a downmix matrix
+ * whose rows are output channels and whose columns are gains for the picked
+ * input channels.
+ *
+ * Mixing two channels to one cancels content that is out of phase between
+ * them, so a mono downmix of two channels also measures their correlation.
+ */
+
+// ITU-R BS.775 gain for the centre and surround channels (-3 dB)
+const ITU_SURROUND_GAIN = Math.SQRT1_2
+
+// Frame correlation below which two channels count as out of phase
+const PHASE_CORRELATION_LIMIT = -0.5
+
+// Mean square level below which a frame is too quiet to judge phase
+const PHASE_SILENCE_LEVEL = 1e-8
+
+/**
+ * Scale matrix rows so their absolute gains sum to 1 and the mix cannot clip
+ * @param {number[][]} matrix - Downmix matrix
+ * @returns {number[][]} Normalized matrix
+ */
+function normalizeRows(matrix) {
+  return matrix.map((row) => {
+    const total = row.reduce((sum, gain) => sum + Math.abs(gain), 0)
+    return row.map((gain) => gain / total)
+  })
+}
+
+/**
+ * Downmix presets
+ *
+ * Input channels follow WAVE channel order: 5.1 is L, R, C, LFE, Ls, Rs and
+ * quad is L, R, Ls, Rs. The ITU 5.1 downmix drops the LFE channel. Rows are
+ * normalized so full-scale input cannot clip.
+ */
+export const DOWNMIX_PRESETS = {
+  'stereo-mono': [[0.5, 0.5]],
+  '5.1-stereo': normalizeRows([
+    [1, 0, ITU_SURROUND_GAIN, 0, ITU_SURROUND_GAIN, 0],
+    [0, 1, ITU_SURROUND_GAIN, 0, 0, ITU_SURROUND_GAIN],
+  ]),
+  'quad-stereo': normalizeRows([
+    [1, 0, ITU_SURROUND_GAIN, 0],
+    [0, 1, 0, ITU_SURROUND_GAIN],
+  ]),
+}
+
+/**
+ * Resolve and validate a downmix matrix
+ * @param {string|number[][]} downmix - Preset name or matrix
+ * @param {number} inputChannels - Channels the matrix is applied to
+ * @returns {number[][]} Matrix with one row per output channel
+ * @throws {Error} If the preset is unknown or the matrix shape is wrong
+ */
+export function resolveDownmix(downmix, inputChannels) {
+  const matrix =
+    typeof downmix === 'string' ? DOWNMIX_PRESETS[downmix] : downmix
+  if (!matrix) {
+    throw new Error(
+      `Unknown downmix "${downmix}", expected ${Object.keys(DOWNMIX_PRESETS).join(', ')}`
+    )
+  }
+
+  if (
+    !Array.isArray(matrix) ||
+    matrix.length === 0 ||
+    matrix.some(
+      (row) => !Array.isArray(row) || row.some((gain) => !Number.isFinite(gain))
+    )
+  ) {
+    throw new Error('Downmix matrix must be an array of rows of finite gains')
+  }
+
+  const name = typeof downmix === 'string' ? `Downmix ${downmix}` : 'Downmix'
+  if (matrix.some((row) => row.length !== inputChannels)) {
+    throw new Error(
+      `${name} expects ${matrix[0].length} input channels, got ${inputChannels}`
+    )
+  }
+  return matrix
+}
+
+/**
+ * Picks and downmixes the channels of each frame
+ *
+ * @example
+ * const mixer = new ChannelMixer(6, { downmix: '5.1-stereo' })
+ * const [left, right] = mixer.mix(frameChannels)
+ */
+export class ChannelMixer {
+  /**
+   * Create a channel mixer
+   * @param {number} inputChannels - Channels in each input frame
+   * @param {Object} [options={}] - Mixing options
+   * @param {number[]|null} [options.channels=null] - Zero-based input channels
+   *   to keep, in output order; all channels when null
+   * @param {string|number[][]|null} [options.downmix=null] - Preset name or
+   *   matrix applied to the kept channels
+   * @throws {Error} If a channel index or the downmix is invalid
+   */
+  constructor(inputChannels, options = {}) {
+    const { channels = null, downmix = null } = options
+
+    this.channels =
+      channels ?? Array.from({ length: inputChannels }, (_, i) => i)
+    for (const channel of this.channels) {
+      if (
+        !Number.isInteger(channel) ||
+        channel < 0 ||
+        channel >= inputChannels
+      ) {
+        throw new Error(
+          `Channel index ${channel} is out of range for ${inputChannels}-channel input`
+        )
+      }
+    }
+
+    this.matrix =
+      downmix === null ? null : resolveDownmix(downmix, this.channels.length)
+    this.outputChannels = this.matrix?.length ?? this.channels.length
+
+    // Phase statistics for a two-to-one downmix
+    this.checksPhase = this.outputChannels === 1 && this.channels.length === 2
+    this.frameCount = 0
+    this.outOfPhaseFrames = 0
+    this.crossEnergy = 0
+    this.leftEnergy = 0
+    this.rightEnergy = 0
+  }
+
+  /**
+   * Mix one frame
+   * @param {Float32Array[]} frame - Planar input channels
+   * @returns {Float32Array[]} Planar output channels
+   */
+  mix(frame) {
+    const picked = this.channels.map((channel) => frame[channel])
+    if (this.checksPhase) this._measurePhase(picked[0], picked[1])
+    if (!this.matrix) return picked
+
+    const length = picked[0].length
+    return this.matrix.map((row) => {
+      const output = new Float32Array(length)
+      row.forEach((gain, column) => {
+        if (gain === 0) return
+        const input = picked[column]
+        for (let i = 0; i < length; i++) output[i] += gain * input[i]
+      })
+      return output
+    })
+  }
+
+  /**
+   * Phase report for a two-to-one downmix
+   * @returns {Object} `correlation` of the two channels over all frames (0
+   *   for silence), `outOfPhaseFrames` and `frameCount`
+   */
+  phaseReport() {
+    const energy = Math.sqrt(this.leftEnergy * this.rightEnergy)
+    return {
+      correlation: energy > 0 ? this.crossEnergy / energy : 0,
+      outOfPhaseFrames: this.outOfPhaseFrames,
+      frameCount: this.frameCount,
+    }
+  }
+
+  /**
+   * Accumulate the correlation of one frame of two channels
+   * @param {Float32Array} left - First channel
+   * @param {Float32Array} right - Second channel
+   * @private
+   */
+  _measurePhase(left, right) {
+    let cross = 0
+    let leftEnergy = 0
+    let rightEnergy = 0
+    for (let i = 0; i < left.length; i++) {
+      cross += left[i] * right[i]
+      leftEnergy += left[i] * left[i]
+      rightEnergy += right[i] * right[i]
+    }
+
+    const silence = PHASE_SILENCE_LEVEL * left.length
+    if (
+      leftEnergy > silence &&
+      rightEnergy > silence &&
+      cross / Math.sqrt(leftEnergy * rightEnergy) < PHASE_CORRELATION_LIMIT
+    ) {
+      this.outOfPhaseFrames++
+    }
+
+    this.frameCount++
+    this.crossEnergy += cross
+    this.leftEnergy += leftEnergy
+    this.rightEnergy += rightEnergy
+  }
+}
@@ -1,69 +1,231 @@
 /**
  * Carta1 Audio Codec - Fast Fourier Transform
  *
- * This module implements a radix-2 Cooley-Tukey FFT algorithm for frequency domain
- * analysis used in psychoacoustic modeling and transient detection.
+ * This module implements planned FFTs for frequency domain analysis used in
+ * psychoacoustic modeling, transient detection and the MDCT. A plan holds the
+ * bit-reversal permutation and twiddle factors of one size, computed once;
+ * its kernel runs radix-4 butterflies, preceded by a radix-2 stage when the
+ * size is an odd power of two. Real input takes a packed path that transforms
+ * it as a complex sequence of half the length.
  */
 
+import { throwError } from '../utils.js'
+
+// Plans by size, shared by every caller
+const plans = new Map()
+
 export class FFT {
   /**
-   * Perform in-place FFT on complex data
-   * @param {Float32Array} real - Real part of input/output data
-   * @param {Float32Array} imag - Imaginary part of input/output data
+   * Build the tables of an FFT plan
+   * @param {number} size - Transform size (must be a power of 2)
+   * @throws {Error} If size is not a positive power of 2
    */
-  static fft(real, imag) {
-    const size = real.length
-    if (size === 1) return
+  constructor(size) {
+    if (!Number.isInteger(size) || size < 1 || (size & (size - 1)) !== 0) {
+      throwError(`FFT: size must be a power of 2, got ${size}`)
+    }
 
-    const bits = Math.log2(size)
+    this.size = size
+    this.bits = Math.log2(size)
 
-    // Bit reversal
+    // Bit-reversed index of each position
+    this.bitReversal = new Uint32Array(size)
     for (let i = 0; i < size; i++) {
       let reversed = 0
       let temp = i
-      for (let b = 0; b < bits; b++) {
+      for (let b = 0; b < this.bits; b++) {
         reversed = (reversed << 1) | (temp & 1)
         temp >>= 1
       }
+      this.bitReversal[i] = reversed
+    }
+
+    // Twiddle factors W^j = e^(-2πij/size), each computed directly
+    this.twiddleReal = new Float64Array(size)
+    this.twiddleImag = new Float64Array(size)
+    for (let j = 0; j < size; j++) {
+      const angle = (-2 * Math.PI * j) / size
+      this.twiddleReal[j] = Math.cos(angle)
+      this.twiddleImag[j] = Math.sin(angle)
+    }
+
+    // Complex plan of half the size for real input, created on first use
+    this.half = null
+  }
+
+  /**
+   * Get the shared plan of a size
+   * @param {number} size - Transform size (must be a power of 2)
+   * @returns {FFT} Cached plan
+   */
+  static plan(size) {
+    let plan = plans.get(size)
+    if (!plan) {
+      plan = new FFT(size)
+      plans.set(size, plan)
+    }
+    return plan
+  }
+
+  /**
+   * Perform in-place FFT on complex data
+   * @param {Float32Array} real - Real part of input/output data
+   * @param {Float32Array} imag - Imaginary part of input/output data
+   */
+  static fft(real, imag) {
+    FFT.plan(real.length).transform(real, imag)
+  }
+
+  /**
+   * Perform in-place FFT on the first `size` entries of complex data
+   * @param {Float32Array} real - Real part of input/output data
+   * @param {Float32Array} imag - Imaginary part of input/output data
+   */
+  transform(real, imag) {
+    const size = this.size
+    if (size === 1) return
+
+    const bitReversal = this.bitReversal
+    for (let i = 0; i < size; i++) {
+      const reversed = bitReversal[i]
       if (reversed > i) {
-        ;[real[i], real[reversed]] = [real[reversed], real[i]]
-        ;[imag[i], imag[reversed]] = [imag[reversed], imag[i]]
+        const tempReal = real[i]
+        real[i] = real[reversed]
+        real[reversed] = tempReal
+        const tempImag = imag[i]
+        imag[i] = imag[reversed]
+        imag[reversed] = tempImag
+      }
+    }
+
+    // Radix-2 stage, so the radix-4 stages cover an even number of bits
+    let quarter = 1
+    if (this.bits & 1) {
+      for (let i = 0; i < size; i += 2) {
+        const r0 = real[i]
+        const i0 = imag[i]
+        const r1 = real[i + 1]
+        const i1 = imag[i + 1]
+        real[i] = r0 + r1
+        imag[i] = i0 + i1
+        real[i + 1] = r0 - r1
+        imag[i + 1] = i0 - i1
       }
+      quarter = 2
     }
 
-    // Cooley-Tukey decimation-in-time
-    for (let stride = 2; stride <= size; stride <<= 1) {
-      const halfStride = stride >> 1
-      const angle = (-2 * Math.PI) / stride
-      const wReal = Math.cos(angle)
-      const wImag = Math.sin(angle)
-
-      for (let start = 0; start < size; start += stride) {
-        let twiddleReal = 1
-        let twiddleImag = 0
-
-        for (let k = 0; k < halfStride; k++) {
-          const evenIndex = start + k
-          const oddIndex = evenIndex + halfStride
-
-          const evenReal = real[evenIndex]
-          const evenImag = imag[evenIndex]
-          const oddReal = real[oddIndex]
-          const oddImag = imag[oddIndex]
-
-          const tReal = oddReal * twiddleReal - oddImag * twiddleImag
-          const tImag = oddReal * twiddleImag + oddImag * twiddleReal
-
-          real[evenIndex] = evenReal + tReal
-          imag[evenIndex] = evenImag + tImag
-          real[oddIndex] = evenReal - tReal
-          imag[oddIndex] = evenImag - tImag
-
-          const nextReal = twiddleReal * wReal - twiddleImag * wImag
-          twiddleImag = twiddleReal * wImag + twiddleImag * wReal
-          twiddleReal = nextReal
+    // Radix-4 decimation-in-time. After bit reversal the four quarters of
+    // each block hold the transforms of samples 4n, 4n+2, 4n+1 and 4n+3.
+    const twiddleReal = this.twiddleReal
+    const twiddleImag = this.twiddleImag
+    for (; quarter < size; quarter <<= 2) {
+      const stride = quarter << 2
+      const step = size / stride
+
+      for (let k = 0; k < quarter; k++) {
+        const t1 = k * step
+        const t2 = t1 << 1
+        const t3 = t1 + t2
+        const w1Real = twiddleReal[t1]
+        const w1Imag = twiddleImag[t1]
+        const w2Real = twiddleReal[t2]
+        const w2Imag = twiddleImag[t2]
+        const w3Real = twiddleReal[t3]
+        const w3Imag = twiddleImag[t3]
+
+        for (let start = k; start < size; start += stride) {
+          const a = start
+          const b = a + quarter
+          const c = b + quarter
+          const d = c + quarter
+
+          // W^2k of the 4n+2 quarter, W^k of 4n+1 and W^3k of 4n+3
+          const bReal = real[b] * w2Real - imag[b] * w2Imag
+          const bImag = real[b] * w2Imag + imag[b] * w2Real
+          const cReal = real[c] * w1Real - imag[c] * w1Imag
+          const cImag = real[c] * w1Imag + imag[c] * w1Real
+          const dReal = real[d] * w3Real - imag[d] * w3Imag
+          const dImag = real[d] * w3Imag + imag[d] * w3Real
+
+          const sumReal = real[a] + bReal
+          const sumImag = imag[a] + bImag
+          const diffReal = real[a] - bReal
+          const diffImag = imag[a] - bImag
+          const oddSumReal = cReal + dReal
+          const oddSumImag = cImag + dImag
+          const oddDiffReal = cReal - dReal
+          const oddDiffImag = cImag - dImag
+
+          real[a] = sumReal + oddSumReal
+          imag[a] = sumImag + oddSumImag
+          real[c] = sumReal - oddSumReal
+          imag[c] = sumImag - oddSumImag
+          real[b] = diffReal + oddDiffImag
+          imag[b] = diffImag - oddDiffReal
+          real[d] = diffReal - oddDiffImag
+          imag[d] = diffImag + oddDiffReal
         }
       }
     }
   }
+
+  /**
+   * Perform FFT on real data
+   *
+   * The input is packed as `size / 2` complex samples, transformed with the
+   * half-size plan and split into the spectrum of the real sequence. Input
+   * shorter than `size` is zero-padded. Bins 0 to `size / 2` are written; the
+   * others are the conjugates of these.
+   *
+   * @param {Float32Array} input - Real time-domain samples
+   * @param {Float32Array} real - Real part of the spectrum, at least
+   *   `size / 2 + 1` long
+   * @param {Float32Array} imag - Imaginary part of the spectrum, at least
+   *   `size / 2 + 1` long
+   * @throws {Error} If the plan size is 1
+   */
+  realTransform(input, real, imag) {
+    const size = this.size
+    if (size < 2) {
+      throwError('FFT.realTransform: size must be at least 2')
+    }
+
+    const half = size >> 1
+    const length = Math.min(input.length, size)
+    for (let n = 0; n < half; n++) {
+      const even = n << 1
+      real[n] = even < length ? input[even] : 0
+      imag[n] = even + 1 < length ? input[even + 1] : 0
+    }
+
+    this.half ??= FFT.plan(half)
+    this.half.transform(real, imag)
+
+    // Split Z[k] and conj(Z[half - k]) into the even and odd sample spectra
+    // E and O, then X[k] = E + W^k O and X[half - k] = conj(E - W^k O)
+    const twiddleReal = this.twiddleReal
+    const twiddleImag = this.twiddleImag
+    for (let k = 0; k <= half >> 1; k++) {
+      const mirror = k === 0 ? 0 : half - k
+      const aReal = real[k]
+      const aImag = imag[k]
+      const bReal = real[mirror]
+      const bImag = imag[mirror]
+
+      const evenReal = 0.5 * (aReal + bReal)
+      const evenImag = 0.5 * (aImag - bImag)
+      const oddReal = 0.5 * (aImag + bImag)
+      const oddImag = 0.5 * (bReal - aReal)
+
+      const wReal = twiddleReal[k]
+      const wImag = twiddleImag[k]
+      const tReal = oddReal * wReal - oddImag * wImag
+      const tImag = oddReal * wImag + oddImag * wReal
+
+      real[k] = evenReal + tReal
+      imag[k] = evenImag + tImag
+      real[half - k] = evenReal - tReal
+      imag[half - k] = tImag - evenImag
+    }
+  }
 }
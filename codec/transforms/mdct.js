@@ -23,6 +23,7 @@ class MDCTBase {
     this.halfSize = size >> 1
     this.quarterSize = size >> 2
     this.fftSize = this.halfSize >> 1
+    this.fft = FFT.plan(this.fftSize)
 
     const alpha = (2.0 * Math.PI) / (8.0 * size)
     const omega = (2.0 * Math.PI) / size
@@ -49,9 +50,14 @@ export class MDCT extends MDCTBase {
    * Perform forward MDCT transform
    * @param {Float32Array} input - Time-domain input samples
    * @param {Object} mdctBuffers - Optional work buffers for FFT
+   * @param {Float32Array} [output] - Destination coefficients
    * @returns {Float32Array} Frequency-domain MDCT coefficients
    */
-  transform(input, mdctBuffers = null) {
+  transform(
+    input,
+    mdctBuffers = null,
+    output = new Float32Array(this.halfSize)
+  ) {
     const buffers =
       mdctBuffers?.[this.fftSize] ??
       throwError(`MDCT.transform: mdctBuffers[${this.fftSize}] is required`)
@@ -104,10 +110,9 @@ export class MDCT extends MDCTBase {
       imag[idx] = im * c - r * s
     }
 
-    FFT.fft(real, imag)
+    this.fft.transform(real, imag)
 
     // Post-FFT processing
-    const output = new Float32Array(this.halfSize)
     for (let i = 0; i < this.fftSize; i++) {
       const c = this.sinCosTable[i * 2]
       const s = this.sinCosTable[i * 2 + 1]
@@ -134,9 +139,10 @@ export class IMDCT extends MDCTBase {
    * Perform inverse MDCT transform
    * @param {Float32Array} input - Frequency-domain MDCT coefficients
    * @param {Object} mdctBuffers - Optional work buffers for FFT
+   * @param {Float32Array} [output] - Destination samples
    * @returns {Float32Array} Time-domain output samples
    */
-  transform(input, mdctBuffers = null) {
+  transform(input, mdctBuffers = null, output = new Float32Array(this.size)) {
     const buffers =
       mdctBuffers?.[this.fftSize] ??
       throwError(`IMDCT.transform: mdctBuffers[${this.fftSize}] is required`)
@@ -169,11 +175,9 @@ export class IMDCT extends MDCTBase {
       imag[i] = im * c - r * s
     }
 
-    FFT.fft(real, imag)
+    this.fft.transform(real, imag)
 
     // Post-FFT butterfly
-    const output = new Float32Array(this.size)
-
     for (let i = 0; i < this.fftSize / 2; i++) {
       const i2 = i * 2
       const c = this.sinCosTable[i2]
@@ -225,11 +229,16 @@ export const imdct512 = new IMDCT(MDCT_SIZE_LONG, MDCT_SIZE_LONG * 4)
  * @param {Float32Array} prev - Previous block samples
  * @param {Float32Array} curr - Current block samples
  * @param {Float32Array} window - Window function coefficients
+ * @param {Float32Array} [output] - Destination samples
  * @returns {Float32Array} Overlap-added output samples
  */
-export function overlapAdd(prev, curr, window) {
+export function overlapAdd(
+  prev,
+  curr,
+  window,
+  output = new Float32Array(prev.length * 2)
+) {
   const size = prev.length
-  const output = new Float32Array(size * 2)
 
   for (let i = 0; i < size; i++) {
     const w1 = window[i]
@@ -14,9 +14,20 @@ import { throwError } from '../utils.js'
  * @param {Float32Array} input - Input audio samples
  * @param {Float32Array} delayLine - QMF delay line state
  * @param {Object} qmfWorkBuffers - Optional work buffers for processing
+ * @param {Object} [output] - Destination lowBand, highBand and newDelay;
+ *   newDelay may be the delay line itself
  * @returns {Object} Object containing lowBand, highBand, and newDelay
  */
-export function qmfAnalysis(input, delayLine, qmfWorkBuffers = null) {
+export function qmfAnalysis(
+  input,
+  delayLine,
+  qmfWorkBuffers = null,
+  output = {
+    lowBand: new Float32Array(input.length >> 1),
+    highBand: new Float32Array(input.length >> 1),
+    newDelay: new Float32Array(QMF_DELAY),
+  }
+) {
   const inputLength = input.length
   const outputLength = inputLength >> 1
 
@@ -26,8 +37,7 @@ export function qmfAnalysis(input, delayLine, qmfWorkBuffers = null) {
   workBuffer.set(delayLine)
   workBuffer.set(input, delayLine.length)
 
-  const lowBand = new Float32Array(outputLength)
-  const highBand = new Float32Array(outputLength)
+  const { lowBand, highBand, newDelay } = output
 
   for (let i = 0; i < outputLength; i++) {
     let evenSum = 0
@@ -45,8 +55,10 @@ export function qmfAnalysis(input, delayLine, qmfWorkBuffers = null) {
   }
 
   // Update delay line
-  const newDelay = workBuffer.slice(-QMF_DELAY)
-  return { lowBand, highBand, newDelay }
+  for (let i = 0; i < QMF_DELAY; i++) {
+    newDelay[i] = workBuffer[inputLength + i]
+  }
+  return output
 }
 
 /**
@@ -55,13 +67,19 @@ export function qmfAnalysis(input, delayLine, qmfWorkBuffers = null) {
  * @param {Float32Array} highBand - High frequency band samples
  * @param {Float32Array} delayLine - QMF delay line state
  * @param {Object} qmfWorkBuffers - Optional work buffers for processing
+ * @param {Object} [result] - Destination output and newDelay; newDelay may be
+ *   the delay line itself
  * @returns {Object} Object containing output and newDelay
  */
 export function qmfSynthesis(
   lowBand,
   highBand,
   delayLine,
-  qmfWorkBuffers = null
+  qmfWorkBuffers = null,
+  result = {
+    output: new Float32Array(lowBand.length * 2),
+    newDelay: new Float32Array(QMF_DELAY),
+  }
 ) {
   const subbandLength = lowBand.length
   const outputLength = subbandLength * 2
@@ -82,7 +100,7 @@ export function qmfSynthesis(
     workBuffer[offset + 1] = 0.5 * (low - high)
   }
 
-  const output = new Float32Array(outputLength)
+  const { output, newDelay } = result
 
   // Convolution
   for (let i = 0; i < subbandLength; i++) {
@@ -100,6 +118,8 @@ export function qmfSynthesis(
     output[i * 2 + 1] = sample0
   }
 
-  const newDelay = workBuffer.slice(-QMF_DELAY)
-  return { output, newDelay }
+  for (let i = 0; i < QMF_DELAY; i++) {
+    newDelay[i] = workBuffer[outputLength + i]
+  }
+  return result
 }
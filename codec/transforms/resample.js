@@ -0,0 +1,294 @@
+/**
+ * Carta1 Audio Codec - Sample Rate Conversion
+ *
+ * Polyphase windowed-sinc resampler for converting input audio to the codec
+ * rate. The conversion ratio is reduced to up/down integers; each output
+ * sample lands on one of `up` fractional positions between input samples and
+ * is filtered with the matching phase of a Kaiser-windowed sinc low-pass.
+ * The cutoff sits just below the lower of the two Nyquist frequencies, so
+ * downsampling is anti-aliased and upsampling removes imaging.
+ *
+ * Ratios with more phases than MAX_PHASES (such as 44099 Hz input) use a
+ * table of MAX_PHASES phases and interpolate linearly between neighbours.
+ */
+
+import { SAMPLE_RATE } from '../core/constants.js'
+
+// Phase table size limit for ratios with large reduced numerators
+const MAX_PHASES = 1024
+
+/**
+ * Resampler quality presets
+ *
+ * `zeroCrossings` sets the sinc length on each side of the output sample,
+ * `rolloff` places the cutoff as a fraction of the lower Nyquist frequency,
+ * and `beta` sets the Kaiser window's stopband attenuation.
+ */
+export const RESAMPLER_PRESETS = {
+  fast: { zeroCrossings: 12, rolloff: 0.85, beta: 6 },
+  medium: { zeroCrossings: 32, rolloff: 0.92, beta: 8 },
+  high: { zeroCrossings: 64, rolloff: 0.95, beta: 10 },
+}
+
+/**
+ * Greatest common divisor of two positive integers
+ * @param {number} a - First integer
+ * @param {number} b - Second integer
+ * @returns {number} Greatest common divisor
+ */
+function gcd(a, b) {
+  while (b !== 0) [a, b] = [b, a % b]
+  return a
+}
+
+/**
+ * Zeroth-order modified Bessel function of the first kind
+ * @param {number} x - Argument
+ * @returns {number} I0(x)
+ */
+function besselI0(x) {
+  let sum = 1
+  let term = 1
+  for (let k = 1; k < 64; k++) {
+    const factor = x / (2 * k)
+    term *= factor * factor
+    sum += term
+    if (term < sum * 1e-12) break
+  }
+  return sum
+}
+
+/**
+ * Validate a sample rate
+ * @param {number} rate - Sample rate in Hz
+ * @param {string} name - Parameter name for the error message
+ * @throws {Error} If the rate is not a positive integer
+ */
+function validateRate(rate, name) {
+  if (!Number.isInteger(rate) || rate <= 0) {
+    throw new Error(`${name} must be a positive integer, got ${rate}`)
+  }
+}
+
+/**
+ * Number of output samples produced for an input length
+ * @param {number} length - Input samples
+ * @param {number} inputRate - Input sample rate in Hz
+ * @param {number} [outputRate=SAMPLE_RATE] - Output sample rate in Hz
+ * @returns {number} Output samples
+ */
+export function resampledLength(length, inputRate, outputRate = SAMPLE_RATE) {
+  const divisor = gcd(inputRate, outputRate)
+  return Math.ceil((length * (outputRate / divisor)) / (inputRate / divisor))
+}
+
+/**
+ * Streaming polyphase resampler for one channel
+ *
+ * Output sample n is the band-limited input at time n * inputRate /
+ * outputRate, so output stays aligned with input and has no added delay.
+ *
+ * @example
+ * const resampler = new Resampler(48000)
+ * for (const block of blocks) send(resampler.process(block))
+ * send(resampler.flush())
+ */
+export class Resampler {
+  /**
+   * Create a resampler
+   * @param {number} inputRate - Input sample rate in Hz
+   * @param {number} [outputRate=SAMPLE_RATE] - Output sample rate in Hz
+   * @param {string} [quality='high'] - Preset name from RESAMPLER_PRESETS
+   * @throws {Error} If a rate or the quality preset is invalid
+   */
+  constructor(inputRate, outputRate = SAMPLE_RATE, quality = 'high') {
+    validateRate(inputRate, 'Input sample rate')
+    validateRate(outputRate, 'Output sample rate')
+    const preset = RESAMPLER_PRESETS[quality]
+    if (!preset) {
+      throw new Error(
+        `Unknown resampler quality "${quality}", expected ${Object.keys(RESAMPLER_PRESETS).join(', ')}`
+      )
+    }
+
+    const divisor = gcd(inputRate, outputRate)
+    this.up = outputRate / divisor
+    this.down = inputRate / divisor
+
+    // Cutoff in cycles per input sample and filter radius in input samples
+    const cutoff = 0.5 * preset.rolloff * Math.min(1, outputRate / inputRate)
+    const radius = preset.zeroCrossings / (2 * cutoff)
+    this.halfWidth = Math.ceil(radius)
+    this.taps = 2 * this.halfWidth
+    this.phaseCount = Math.min(this.up, MAX_PHASES)
+    this.coefficients = Resampler._createPhaseTable(
+      this.phaseCount,
+      this.halfWidth,
+      cutoff,
+      radius,
+      preset.beta
+    )
+
+    // Input history starts with implicit silence before the first sample
+    this.buffer = new Float32Array(this.halfWidth - 1)
+    this.bufferStart = 1 - this.halfWidth
+    this.position = 0
+    this.phase = 0
+    this.inputCount = 0
+    this.outputCount = 0
+    this.finished = false
+  }
+
+  /**
+   * Build the polyphase filter table
+   *
+   * Row p holds the taps for an output at fraction p / phaseCount past an
+   * input sample; an extra row at fraction 1 allows interpolation. Each row
+   * is normalized to unity gain at DC.
+   *
+   * @param {number} phaseCount - Number of fractional positions
+   * @param {number} halfWidth - Taps on each side of the output position
+   * @param {number} cutoff - Cutoff in cycles per input sample
+   * @param {number} radius - Window radius in input samples
+   * @param {number} beta - Kaiser window parameter
+   * @returns {Float32Array} (phaseCount + 1) rows of 2 * halfWidth taps
+   * @private
+   */
+  static _createPhaseTable(phaseCount, halfWidth, cutoff, radius, beta) {
+    const taps = 2 * halfWidth
+    const table = new Float32Array((phaseCount + 1) * taps)
+    const windowNorm = besselI0(beta)
+
+    for (let p = 0; p <= phaseCount; p++) {
+      const fraction = p / phaseCount
+      const row = p * taps
+      let sum = 0
+      for (let k = 0; k < taps; k++) {
+        // Tap k multiplies input sample (position + k - halfWidth + 1)
+        const x = fraction - (k - halfWidth + 1)
+        const ratio = x / radius
+        if (Math.abs(ratio) >= 1) continue
+
+        const arg = 2 * cutoff * x
+        const sinc = arg === 0 ? 1 : Math.sin(Math.PI * arg) / (Math.PI * arg)
+        const window =
+          besselI0(beta * Math.sqrt(1 - ratio * ratio)) / windowNorm
+        table[row + k] = 2 * cutoff * sinc * window
+        sum += table[row + k]
+      }
+      for (let k = 0; k < taps; k++) table[row + k] /= sum
+    }
+
+    return table
+  }
+
+  /**
+   * Resample the next block of input
+   * @param {Float32Array} input - Input samples
+   * @returns {Float32Array} Output samples available so far
+   * @throws {Error} If called after flush()
+   */
+  process(input) {
+    if (this.finished) {
+      throw new Error('Resampler: cannot process after flush')
+    }
+    this.inputCount += input.length
+    return this._run(input, Infinity)
+  }
+
+  /**
+   * Emit the output that depends on the end of the input
+   * @returns {Float32Array} Remaining output samples
+   */
+  flush() {
+    if (this.finished) return new Float32Array(0)
+    this.finished = true
+    const expected = resampledLength(this.inputCount, this.down, this.up)
+    return this._run(
+      new Float32Array(this.halfWidth),
+      expected - this.outputCount
+    )
+  }
+
+  /**
+   * Append input and compute every output whose taps are available
+   * @param {Float32Array} input - New input samples
+   * @param {number} limit - Maximum number of outputs
+   * @returns {Float32Array} Output samples
+   * @private
+   */
+  _run(input, limit) {
+    const keep = this.buffer
+    const buffer = new Float32Array(keep.length + input.length)
+    buffer.set(keep)
+    buffer.set(input, keep.length)
+    const bufferEnd = this.bufferStart + buffer.length
+
+    const { up, down, halfWidth, taps, phaseCount, coefficients } = this
+    const capacity = Math.min(
+      limit,
+      Math.ceil(((bufferEnd - this.position) * up) / down) + 1
+    )
+    const output = new Float32Array(Math.max(0, capacity))
+
+    let count = 0
+    while (count < capacity && this.position + halfWidth < bufferEnd) {
+      const start = this.position - halfWidth + 1 - this.bufferStart
+      let sum = 0
+
+      if (phaseCount === up) {
+        const row = this.phase * taps
+        for (let k = 0; k < taps; k++) {
+          sum += buffer[start + k] * coefficients[row + k]
+        }
+      } else {
+        const exact = (this.phase * phaseCount) / up
+        const p = Math.floor(exact)
+        const t = exact - p
+        const row = p * taps
+        for (let k = 0; k < taps; k++) {
+          const c0 = coefficients[row + k]
+          const c1 = coefficients[row + taps + k]
+          sum += buffer[start + k] * (c0 + (c1 - c0) * t)
+        }
+      }
+
+      output[count++] = sum
+      this.phase += down
+      while (this.phase >= up) {
+        this.phase -= up
+        this.position++
+      }
+    }
+
+    // Keep the taps needed by the next output
+    const first = this.position - halfWidth + 1 - this.bufferStart
+    this.buffer = buffer.slice(first)
+    this.bufferStart += first
+    this.outputCount += count
+    return output.subarray(0, count)
+  }
+}
+
+/**
+ * Resample a complete channel
+ * @param {Float32Array} samples - Input samples
+ * @param {number} inputRate - Input sample rate in Hz
+ * @param {number} [outputRate=SAMPLE_RATE] - Output sample rate in Hz
+ * @param {string} [quality='high'] - Preset name from RESAMPLER_PRESETS
+ * @returns {Float32Array} Resampled channel
+ */
+export function resample(
+  samples,
+  inputRate,
+  outputRate = SAMPLE_RATE,
+  quality = 'high'
+) {
+  const resampler = new Resampler(inputRate, outputRate, quality)
+  const head = resampler.process(samples)
+  const tail = resampler.flush()
+  const output = new Float32Array(head.length + tail.length)
+  output.set(head)
+  output.set(tail, head.length)
+  return output
+}
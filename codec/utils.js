@@ -15,17 +15,79 @@ export function throwError(msg) {
   throw new Error(msg)
 }
 
+/**
+ * Copy a stage output so later stages and calls cannot change it
+ * @param {*} value - Stage output of plain objects, arrays and typed arrays
+ * @returns {*} Deep copy of the value
+ */
+export function snapshot(value) {
+  if (value === null || typeof value !== 'object') return value
+  if (ArrayBuffer.isView(value)) return value.slice()
+  if (Array.isArray(value)) return value.map(snapshot)
+
+  const copy = {}
+  for (const key of Object.keys(value)) {
+    copy[key] = snapshot(value[key])
+  }
+  return copy
+}
+
 /**
  * Creates a pipeline by composing multiple processing stages
+ *
+ * Stages reuse their output buffers from call to call, so the pipeline
+ * returns a copy of the last stage's output. Set `context.reuseOutput` to
+ * return that output itself, which the next call overwrites.
+ *
  * @param {Object} context - Shared context passed to all stages
+ * @param {boolean} [context.reuseOutput=false] - Return the last stage's
+ *   reused output instead of a copy
  * @param {...Function} stages - Stage functions to compose
  * @returns {Function} Composed pipeline function
  */
 export function pipe(context, ...stages) {
   const functions = stages.map((stage) => stage(context))
+  const reuseOutput = context.reuseOutput ?? false
+
+  // A plain loop keeps per-call closures out of the hot path
+  return (input) => {
+    let value = input
+    for (let i = 0; i < functions.length; i++) {
+      value = functions[i](value)
+    }
+    return reuseOutput ? value : snapshot(value)
+  }
+}
+
+/**
+ * Creates a pipeline like pipe() that also reports every stage's output
+ *
+ * After each call the observer receives one record for the frame with the
+ * pipeline input and the output of every stage keyed by stage name. Stages
+ * reuse their buffers and some work in place on earlier outputs, so each
+ * output is copied into the record as its stage returns and shows exactly
+ * what that stage produced. Like pipe(), the pipeline returns a copy of the
+ * last output unless `context.reuseOutput` is set.
+ *
+ * @param {Object} context - Shared context passed to all stages
+ * @param {Function} observer - Receives `{ frame, input, stages }` per call
+ * @param {...Array} stages - `[name, stage]` pairs to compose
+ * @returns {Function} Composed pipeline function
+ */
+export function observedPipe(context, observer, ...stages) {
+  const functions = stages.map(([name, stage]) => [name, stage(context)])
+  const reuseOutput = context.reuseOutput ?? false
+  let frame = 0
 
   return (input) => {
-    return functions.reduce((value, fn) => fn(value), input)
+    const record = { frame: frame++, input, stages: {} }
+    const output = functions.reduce((value, [name, fn]) => {
+      const result = fn(value)
+      record.stages[name] = snapshot(result)
+      return result
+    }, input)
+    observer(record)
+    return reuseOutput ? output : snapshot(output)
   }
 }
 
@@ -0,0 +1,177 @@
+import { describe, it, expect } from 'vitest'
+import { countAllocations } from '../codec/bench/allocations'
+import { benchmarkPipeline } from '../codec/bench/pipeline'
+import { encode } from '../codec/pipeline/encoder'
+import { decode } from '../codec/pipeline/decoder'
+import { EncoderOptions } from '../codec/core/options'
+import { TEST_SIGNALS } from './testSignals'
+import { AudioProcessor } from '../codec/io/processor'
+import { serializeFrame } from '../codec/io/serialization'
+import { SAMPLES_PER_FRAME, CODEC_DELAY } from '../codec/core/constants'
+
+describe('countAllocations', () => {
+  it('should count constructed typed arrays and views', () => {
+    const { result, count } = countAllocations(() => {
+      const samples = new Float32Array(8)
+      samples.subarray(2)
+      return samples.slice(4).length
+    })
+    expect(result).toBe(4)
+    expect(count).toBe(3)
+  })
+
+  it('should restore the constructors after a throw', () => {
+    const original = Float32Array
+    expect(() =>
+      countAllocations(() => {
+        throw new Error('boom')
+      })
+    ).toThrow('boom')
+    expect(globalThis.Float32Array).toBe(original)
+    expect(new Float32Array(2)).toBeInstanceOf(original)
+  })
+})
+
+describe('Steady-state allocations', () => {
+  // Quiet noise with a loud burst every fourth frame to switch block modes
+  const frames = Array.from({ length: 16 }, (_, i) =>
+    TEST_SIGNALS.whiteNoise(i + 1, SAMPLES_PER_FRAME).map(
+      (v) => (v - 0.5) * (i % 4 === 3 ? 0.9 : 0.1)
+    )
+  )
+
+  const settings = [
+    {},
+    { lookAhead: true },
+    { allocationModel: 'psychoacoustic' },
+    { preset: 'fast', lookAhead: true },
+    { preset: 'best' },
+    { blockModeOverrides: [{ frame: 12, modes: [2, 2, 3] }] },
+  ]
+
+  it.each(settings)('should not allocate once warm with %o', (setting) => {
+    const encoder = encode(new EncoderOptions(setting), undefined, null, {
+      reuseOutput: true,
+    })
+    const decoder = decode(undefined, null, { reuseOutput: true })
+    const run = (from, to) => {
+      for (let i = from; i < to; i++) decoder(encoder(frames[i]))
+    }
+
+    run(0, 8)
+    expect(countAllocations(() => run(8, 16)).count).toBe(0)
+  })
+
+  // Allocations of the second half of a stream's frames, once it is warm
+  const countStream = async (stream, frameCount) => {
+    const half = frameCount / 2
+    for (let i = 0; i < half; i++) await stream.next()
+    const { count } = await countAllocations(async () => {
+      for (let i = 0; i < half; i++) await stream.next()
+    })
+    await stream.return()
+    return count
+  }
+
+  const input = async function* (channelCount) {
+    for (const frame of frames) {
+      yield channelCount === 1 ? frame : [frame, frame]
+    }
+  }
+
+  it.each([1, 2])(
+    'should not allocate in a warm %i-channel encodeStream',
+    async (channelCount) => {
+      const stream = AudioProcessor.encodeStream(input(channelCount), {
+        channelCount,
+      })
+      expect(await countStream(stream, frames.length * channelCount)).toBe(0)
+    }
+  )
+
+  it.each([1, 2])(
+    'should not allocate in a warm %i-channel decodeStream',
+    async (channelCount) => {
+      const units = []
+      for await (const frame of AudioProcessor.encodeStream(
+        input(channelCount),
+        { channelCount }
+      )) {
+        units.push(serializeFrame(frame))
+      }
+
+      const stream = AudioProcessor.decodeStream(
+        AudioProcessor.deserializedFrameStream(units),
+        {
+          channelCount,
+          sampleCount: frames.length * SAMPLES_PER_FRAME - CODEC_DELAY,
+          delay: CODEC_DELAY,
+        }
+      )
+      expect(await countStream(stream, frames.length - 2)).toBe(0)
+    }
+  )
+})
+
+describe('benchmarkPipeline', () => {
+  const chirp = TEST_SIGNALS.chirp(100, 16000, SAMPLES_PER_FRAME * 40)
+
+  it('should split time and allocations by stage', () => {
+    const result = benchmarkPipeline([chirp])
+
+    expect(Object.keys(result.encode.stages)).toEqual([
+      'qmfAnalysisStage',
+      'blockSelectorStage',
+      'mdctStage',
+      'quantizationStage',
+      'serializeFrame',
+    ])
+    expect(Object.keys(result.decode.stages)).toEqual([
+      'deserializeFrame',
+      'dequantizationStage',
+      'imdctStage',
+      'qmfSynthesisStage',
+    ])
+
+    for (const direction of [result.encode, result.decode]) {
+      expect(direction.frames).toBe(40)
+      expect(direction.realtime).toBeGreaterThan(0)
+      const shares = Object.values(direction.stages).map(({ share }) => share)
+      expect(shares.reduce((sum, share) => sum + share, 0)).toBeCloseTo(1, 6)
+    }
+
+    // Only the serialized sound unit is allocated per encoded frame
+    const { stages } = result.encode
+    expect(stages.serializeFrame.allocationsPerFrame).toBe(1)
+    expect(result.encode.allocationsPerFrame).toBe(1)
+    for (const name of ['qmfAnalysisStage', 'mdctStage', 'quantizationStage']) {
+      expect(stages[name].allocationsPerFrame).toBe(0)
+    }
+    expect(result.decode.stages.imdctStage.allocationsPerFrame).toBe(0)
+  })
+
+  it('should measure realtime on the length of one channel', () => {
+    const mono = benchmarkPipeline([chirp]).encode
+    const stereo = benchmarkPipeline([chirp, chirp]).encode
+
+    expect(stereo.frames).toBe(2 * mono.frames)
+    expect(stereo.realtime).toBeCloseTo(
+      (stereo.framesPerSecond * SAMPLES_PER_FRAME) / 2 / 44100,
+      6
+    )
+  })
+
+  it('should include the look-ahead stage when enabled', () => {
+    const result = benchmarkPipeline(
+      [chirp],
+      new EncoderOptions({ lookAhead: true })
+    )
+    expect(result.encode.stages.lookAheadStage).toBeDefined()
+  })
+
+  it('should reject signals shorter than a frame', () => {
+    expect(() => benchmarkPipeline([new Float32Array(100)])).toThrow(
+      'at least one frame'
+    )
+  })
+})
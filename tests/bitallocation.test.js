@@ -1,11 +1,16 @@
 import { describe, it, expect } from 'vitest'
 import { allocateBits, findScaleFactor } from '../codec/coding/bitallocation'
+import { ENCODER_PRESETS } from '../codec/core/options'
+import { TEST_SIGNALS } from './testSignals'
 import {
   FRAME_BITS,
   FRAME_OVERHEAD_BITS,
   BITS_PER_BFU_METADATA,
   WORD_LENGTH_BITS,
   SCALE_FACTORS,
+  SPECS_PER_BFU,
+  BFU_BAND_BOUNDARIES,
+  DISTORTION_LEVEL_FACTORS,
 } from '../codec/core/constants'
 
 describe('RDO Bit Allocation', () => {
@@ -69,6 +74,42 @@ describe('RDO Bit Allocation', () => {
     expect(avgHighEnergy).toBeGreaterThan(avgLowEnergy)
   })
 
+  it('should respect the bit budget with masking thresholds', () => {
+    const bfuSizes = new Array(52).fill(10)
+    const bfuData = createMockBfuData(bfuSizes)
+    const thresholds = new Float64Array(52).fill(1e-6)
+
+    const { bfuCount, allocation } = allocateBits(
+      bfuData,
+      bfuSizes,
+      52,
+      1.0,
+      thresholds
+    )
+
+    const overhead = FRAME_OVERHEAD_BITS + bfuCount * BITS_PER_BFU_METADATA
+    let usedBits = 0
+    for (let i = 0; i < bfuCount; i++) {
+      usedBits += WORD_LENGTH_BITS[allocation[i]] * bfuSizes[i]
+    }
+
+    expect(usedBits + overhead).toBeLessThanOrEqual(FRAME_BITS)
+  })
+
+  it('should favor BFUs with a lower masking threshold', () => {
+    const bfuSizes = new Array(52).fill(10)
+    const bfuData = createMockBfuData(bfuSizes, 0.5)
+    const thresholds = new Float64Array(52).fill(1e-2)
+    thresholds.fill(1e-8, 0, 5)
+
+    const { allocation } = allocateBits(bfuData, bfuSizes, 52, 1.0, thresholds)
+
+    const avgUnmasked = allocation.slice(0, 5).reduce((a, b) => a + b, 0) / 5
+    const avgMasked = allocation.slice(5, 10).reduce((a, b) => a + b, 0) / 5
+
+    expect(avgUnmasked).toBeGreaterThan(avgMasked)
+  })
+
   it('should return scale factor indices when using RDO', () => {
     const bfuSizes = new Array(52).fill(10)
     const bfuData = createMockBfuData(bfuSizes)
@@ -78,6 +119,101 @@ describe('RDO Bit Allocation', () => {
   })
 })
 
+describe('Bit allocation presets', () => {
+  // Noise with a level falling across the spectrum, like music
+  const frames = Array.from({ length: 12 }, (_, frame) => {
+    const bfuSizes = Array.from(SPECS_PER_BFU)
+    const bfuData = bfuSizes.map((size, bfu) =>
+      TEST_SIGNALS.whiteNoise(frame * 52 + bfu + 1, size).map(
+        (v) => (v - 0.5) * 2 ** (-bfu / (4 + frame))
+      )
+    )
+    return { bfuData, bfuSizes }
+  })
+
+  const usedBits = ({ bfuCount, allocation }, bfuSizes) => {
+    let bits = FRAME_OVERHEAD_BITS + bfuCount * BITS_PER_BFU_METADATA
+    for (let i = 0; i < bfuCount; i++) {
+      bits += WORD_LENGTH_BITS[allocation[i]] * bfuSizes[i]
+    }
+    return bits
+  }
+
+  // Distortion measured by the scale factor model with a bias of 1
+  const distortion = ({ bfuCount, allocation, scaleFactorIndices }, sizes) => {
+    let total = 0
+    for (let i = 0; i < sizes.length; i++) {
+      const scaleFactor = SCALE_FACTORS[scaleFactorIndices[i]]
+      const wl = i < bfuCount ? allocation[i] : 0
+      total +=
+        wl === 0
+          ? scaleFactor * 2 * sizes[i]
+          : scaleFactor * DISTORTION_LEVEL_FACTORS[wl] * sizes[i]
+    }
+    return total
+  }
+
+  it('should match no preset with the default preset', () => {
+    for (const { bfuData, bfuSizes } of frames) {
+      const plain = allocateBits(bfuData, bfuSizes, 52, 1.0)
+      const preset = allocateBits(
+        bfuData,
+        bfuSizes,
+        52,
+        1.0,
+        null,
+        null,
+        ENCODER_PRESETS.default
+      )
+      expect(preset.bfuCount).toBe(plain.bfuCount)
+      expect(Array.from(preset.allocation)).toEqual(
+        Array.from(plain.allocation)
+      )
+    }
+  })
+
+  it('should only compare band boundary BFU counts with the fast preset', () => {
+    const counts = frames.map(
+      ({ bfuData, bfuSizes }) =>
+        allocateBits(
+          bfuData,
+          bfuSizes,
+          52,
+          1.0,
+          null,
+          null,
+          ENCODER_PRESETS.fast
+        ).bfuCount
+    )
+    expect(counts.every((count) => BFU_BAND_BOUNDARIES.includes(count))).toBe(
+      true
+    )
+  })
+
+  it('should lower distortion within the bit budget with the best preset', () => {
+    let improved = 0
+    for (const { bfuData, bfuSizes } of frames) {
+      const greedy = allocateBits(bfuData, bfuSizes, 52, 1.0)
+      const greedyDistortion = distortion(greedy, bfuSizes)
+      const refined = allocateBits(
+        bfuData,
+        bfuSizes,
+        52,
+        1.0,
+        null,
+        null,
+        ENCODER_PRESETS.best
+      )
+      const refinedDistortion = distortion(refined, bfuSizes)
+
+      expect(usedBits(refined, bfuSizes)).toBeLessThanOrEqual(FRAME_BITS)
+      expect(refinedDistortion).toBeLessThanOrEqual(greedyDistortion)
+      if (refinedDistortion < greedyDistortion) improved++
+    }
+    expect(improved).toBeGreaterThan(0)
+  })
+})
+
 describe('findScaleFactor', () => {
   it('should select the optimal scale factor', () => {
     // Test with coefficients that fit within the scale factor range
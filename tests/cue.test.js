@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest'
+import { parseCueSheet } from '../codec/io/cue.js'
+
+describe('parseCueSheet', () => {
+  it('should read titles, performers and INDEX 01 starts', () => {
+    const sheet = parseCueSheet(
+      [
+        '\uFEFFREM GENRE Pop',
+        'PERFORMER "The Band"',
+        'TITLE "Side A"',
+        'FILE "side-a.aea" WAVE',
+        '  TRACK 01 AUDIO',
+        '    TITLE "Opening"',
+        '    INDEX 01 00:00:00',
+        '  TRACK 02 AUDIO',
+        '    TITLE "Second Song"',
+        '    PERFORMER "Guest"',
+        '    INDEX 00 03:20:00',
+        '    INDEX 01 03:25:30',
+      ].join('\r\n')
+    )
+
+    expect(sheet.title).toBe('Side A')
+    expect(sheet.performer).toBe('The Band')
+    expect(sheet.tracks).toEqual([
+      {
+        number: 1,
+        title: 'Opening',
+        performer: null,
+        start: { seconds: 0 },
+      },
+      {
+        number: 2,
+        title: 'Second Song',
+        performer: 'Guest',
+        start: { seconds: 205.4 },
+      },
+    ])
+  })
+
+  it('should reject malformed sheets', () => {
+    expect(() => parseCueSheet('TITLE "Empty"')).toThrow(
+      'Cue sheet has no tracks'
+    )
+    expect(() => parseCueSheet('TRACK 01 AUDIO\nINDEX 01 00:61:00')).toThrow(
+      'Cue sheet line 2: expected a time as mm:ss:ff, got "00:61:00"'
+    )
+    expect(() => parseCueSheet('TRACK 01 AUDIO\nINDEX 00 00:00:00')).toThrow(
+      'Cue sheet track 1 has no INDEX 01'
+    )
+    expect(() =>
+      parseCueSheet(
+        'TRACK 01 AUDIO\nINDEX 01 01:00:00\nTRACK 02 AUDIO\nINDEX 01 00:30:00'
+      )
+    ).toThrow('Cue sheet track 2 does not start after track 1')
+  })
+})
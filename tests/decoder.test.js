@@ -3,6 +3,7 @@ import { encode } from '../codec/pipeline/encoder'
 import { decode } from '../codec/pipeline/decoder'
 import { TEST_SIGNALS } from './testSignals'
 import { SAMPLES_PER_FRAME } from '../codec/core/constants'
+import { BufferPool } from '../codec/core/buffers'
 
 describe('Decoder Pipeline', () => {
   it('should perform a full pipeline execution without errors', () => {
@@ -96,4 +97,21 @@ describe('Decoder Pipeline', () => {
     const decoded = decoder(encoded)
     expect(decoded.every((v) => v === 0)).toBe(true)
   })
+
+  it('should report every decoding stage to an observer', () => {
+    const records = []
+    const encoder = encode()
+    const decoder = decode(new BufferPool(), (record) => records.push(record))
+    const encoded = encoder(TEST_SIGNALS.sine(440, 44100, SAMPLES_PER_FRAME))
+    const decoded = decoder(encoded)
+
+    expect(records).toHaveLength(1)
+    expect(records[0].input).toBe(encoded)
+    expect(Object.keys(records[0].stages)).toEqual([
+      'dequantizationStage',
+      'imdctStage',
+      'qmfSynthesisStage',
+    ])
+    expect(records[0].stages.qmfSynthesisStage).toEqual(decoded)
+  })
 })
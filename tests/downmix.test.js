@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest'
+import {
+  ChannelMixer,
+  DOWNMIX_PRESETS,
+  resolveDownmix,
+} from '../codec/transforms/downmix'
+
+describe('ChannelMixer', () => {
+  const constantChannels = (...values) =>
+    values.map((value) => new Float32Array(4).fill(value))
+
+  it('applies the ITU 5.1 downmix and drops the LFE channel', () => {
+    const mixer = new ChannelMixer(6, { downmix: '5.1-stereo' })
+    const [left, right] = mixer.mix(constantChannels(1, 0, 0, 1, 0, 0))
+    const [centreLeft, centreRight] = mixer.mix(
+      constantChannels(0, 0, 1, 0, 0, 0)
+    )
+
+    expect(mixer.outputChannels).toBe(2)
+    expect(left[0]).toBeCloseTo(1 / (1 + Math.SQRT2), 6)
+    expect(right[0]).toBe(0)
+    expect(centreLeft[0]).toBeCloseTo(Math.SQRT1_2 / (1 + Math.SQRT2), 6)
+    expect(centreRight[0]).toBeCloseTo(centreLeft[0], 6)
+  })
+
+  it('keeps every preset row within full scale', () => {
+    for (const matrix of Object.values(DOWNMIX_PRESETS)) {
+      for (const row of matrix) {
+        const total = row.reduce((sum, gain) => sum + Math.abs(gain), 0)
+        expect(total).toBeCloseTo(1, 10)
+      }
+    }
+  })
+
+  it('picks channels in the requested order', () => {
+    const mixer = new ChannelMixer(4, { channels: [3, 2] })
+    const output = mixer.mix(constantChannels(1, 2, 3, 4))
+
+    expect(mixer.outputChannels).toBe(2)
+    expect(output.map((channel) => channel[0])).toEqual([4, 3])
+  })
+
+  it('downmixes picked channels with a custom matrix', () => {
+    const mixer = new ChannelMixer(4, {
+      channels: [2, 3],
+      downmix: [[0.25, 0.75]],
+    })
+    const [mono] = mixer.mix(constantChannels(1, 1, 4, 8))
+    expect(mono[0]).toBe(7)
+  })
+
+  it('counts out-of-phase frames in a stereo to mono downmix', () => {
+    const mixer = new ChannelMixer(2, { downmix: 'stereo-mono' })
+    mixer.mix([Float32Array.of(1, -1, 1, -1), Float32Array.of(-1, 1, -1, 1)])
+    mixer.mix([Float32Array.of(1, -1, 1, -1), Float32Array.of(1, -1, 1, -1)])
+    mixer.mix(constantChannels(0, 0))
+
+    expect(mixer.phaseReport()).toEqual({
+      correlation: 0,
+      outOfPhaseFrames: 1,
+      frameCount: 3,
+    })
+  })
+
+  it('rejects invalid selections and matrices', () => {
+    expect(() => new ChannelMixer(4, { channels: [4] })).toThrow(
+      'Channel index 4 is out of range for 4-channel input'
+    )
+    expect(() => new ChannelMixer(4, { downmix: '5.1-stereo' })).toThrow(
+      'Downmix 5.1-stereo expects 6 input channels, got 4'
+    )
+    expect(() => resolveDownmix('7.1-stereo', 8)).toThrow(
+      'Unknown downmix "7.1-stereo"'
+    )
+    expect(() => resolveDownmix([[1, NaN]], 2)).toThrow('finite gains')
+  })
+})
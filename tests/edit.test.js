@@ -0,0 +1,272 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import fs from 'fs'
+import path from 'path'
+import { cutAea, concatAea, splitAea } from '../codec/io/edit.js'
+import { parseCueSheet } from '../codec/io/cue.js'
+import { AeaReader } from '../codec/io/readers.js'
+import { AeaFile } from '../codec/io/serialization.js'
+import { encodeAeaPcm, decodeAeaPcm } from '../codec/io/processor.js'
+import { TEST_SIGNALS } from './testSignals'
+import {
+  AEA_HEADER_SIZE,
+  SOUND_UNIT_SIZE,
+  SAMPLES_PER_FRAME,
+} from '../codec/core/constants.js'
+
+describe('AEA editing', () => {
+  const stereoPath = path.join(__dirname, 'edit-stereo.aea')
+  const monoPath = path.join(__dirname, 'edit-mono.aea')
+  const outputPath = path.join(__dirname, 'edit-output.aea')
+  const sampleCount = 44100
+
+  const readOutput = () => {
+    const file = fs.readFileSync(outputPath)
+    return {
+      file,
+      header: AeaFile.parseHeader(file.subarray(0, AEA_HEADER_SIZE)),
+    }
+  }
+
+  beforeEach(async () => {
+    fs.writeFileSync(
+      stereoPath,
+      await encodeAeaPcm(
+        [
+          TEST_SIGNALS.sine(440, 44100, sampleCount),
+          TEST_SIGNALS.chirp(100, 8000, sampleCount),
+        ],
+        { title: 'Stereo' }
+      )
+    )
+    fs.writeFileSync(
+      monoPath,
+      await encodeAeaPcm([TEST_SIGNALS.sine(1000, 44100, sampleCount)])
+    )
+  })
+
+  afterEach(() => {
+    for (const file of [stereoPath, monoPath, outputPath]) {
+      if (fs.existsSync(file)) fs.unlinkSync(file)
+    }
+  })
+
+  it('should copy a frame range with a warm-up frame and rewrite the header', async () => {
+    const result = await cutAea(
+      stereoPath,
+      await fs.promises.open(outputPath, 'w'),
+      { start: 20, end: 50 }
+    )
+
+    const { file, header } = readOutput()
+    const source = fs.readFileSync(stereoPath)
+    const frameBytes = 2 * SOUND_UNIT_SIZE
+    expect(result.frameCount).toBe(31)
+    expect(header).toMatchObject({
+      title: 'Stereo',
+      frameCount: 62,
+      channelCount: 2,
+      sampleCount: 30 * SAMPLES_PER_FRAME,
+      delay: SAMPLES_PER_FRAME,
+    })
+    expect(file.subarray(AEA_HEADER_SIZE)).toEqual(
+      source.subarray(
+        AEA_HEADER_SIZE + 19 * frameBytes,
+        AEA_HEADER_SIZE + 50 * frameBytes
+      )
+    )
+    expect(result.splicePoints).toEqual([])
+  })
+
+  it('should decode a timed cut exactly like the source', async () => {
+    await cutAea(stereoPath, () => fs.promises.open(outputPath, 'w'), {
+      start: { seconds: 0.25 },
+      end: { seconds: 0.75 },
+      title: 'Cut',
+    })
+
+    const { file, header } = readOutput()
+    expect(header.title).toBe('Cut')
+    const full = await decodeAeaPcm(fs.readFileSync(stereoPath))
+    const cut = await decodeAeaPcm(file)
+    expect(cut[0]).toEqual(full[0].subarray(11025, 33075))
+    expect(cut[1]).toEqual(full[1].subarray(11025, 33075))
+  })
+
+  it('should report a cut start without warm-up after audio', async () => {
+    const result = await cutAea(
+      stereoPath,
+      await fs.promises.open(outputPath, 'w'),
+      { start: 20, warmUpFrames: 0 }
+    )
+    expect(result.splicePoints).toEqual([
+      { frame: 0, seconds: 0, input: stereoPath },
+    ])
+  })
+
+  it('should reject empty ranges before opening the output', async () => {
+    let opened = false
+    const open = () => {
+      opened = true
+      return fs.promises.open(outputPath, 'w')
+    }
+    await expect(
+      cutAea(stereoPath, open, { start: 50, end: 20 })
+    ).rejects.toThrow(RangeError)
+    await expect(
+      cutAea(stereoPath, open, { start: { seconds: 5 } })
+    ).rejects.toThrow('outside the file')
+    expect(opened).toBe(false)
+  })
+
+  it('should concatenate files and report splices after audio', async () => {
+    const result = await concatAea(
+      [stereoPath, stereoPath],
+      await fs.promises.open(outputPath, 'w')
+    )
+
+    const { file, header } = readOutput()
+    const source = fs.readFileSync(stereoPath)
+    const reader = new AeaReader(stereoPath)
+    await reader.loadMetadata()
+    const { framesPerChannel } = reader
+
+    expect(result.frameCount).toBe(2 * framesPerChannel)
+    expect(header.frameCount).toBe(4 * framesPerChannel)
+    expect(header.delay).toBe(reader.metadata.delay)
+    expect(header.sampleCount).toBe(
+      framesPerChannel * SAMPLES_PER_FRAME + sampleCount
+    )
+    expect(file.subarray(AEA_HEADER_SIZE)).toEqual(
+      Buffer.concat([
+        source.subarray(AEA_HEADER_SIZE),
+        source.subarray(AEA_HEADER_SIZE),
+      ])
+    )
+    // The final frame still holds the end of the source
+    expect(result.splicePoints.map(({ frame }) => frame)).toEqual([
+      framesPerChannel,
+    ])
+  })
+
+  it('should warn at a splice after a cut that ends in audio', async () => {
+    const cutPath = path.join(__dirname, 'edit-cut.aea')
+    try {
+      await cutAea(stereoPath, await fs.promises.open(cutPath, 'w'), {
+        start: 0,
+        end: 40,
+      })
+      const result = await concatAea(
+        [cutPath, stereoPath],
+        await fs.promises.open(outputPath, 'w')
+      )
+      expect(result.splicePoints).toHaveLength(1)
+      expect(result.splicePoints[0]).toMatchObject({
+        frame: 40,
+        input: stereoPath,
+      })
+      expect(result.splicePoints[0].seconds).toBeCloseTo(
+        (40 * SAMPLES_PER_FRAME - result.delay) / 44100
+      )
+    } finally {
+      fs.unlinkSync(cutPath)
+    }
+  })
+
+  it('should reject files with different channel counts', async () => {
+    await expect(
+      concatAea([stereoPath, monoPath], () => fs.promises.open(outputPath, 'w'))
+    ).rejects.toThrow(
+      `Cannot concatenate 1-channel ${monoPath} with 2-channel ${stereoPath}`
+    )
+    expect(fs.existsSync(outputPath)).toBe(false)
+  })
+})
+
+describe('AEA splitting', () => {
+  const inputPath = path.join(__dirname, 'split-input.aea')
+  const trackPath = (i) => path.join(__dirname, `split-track-${i}.aea`)
+  const sampleCount = 44100
+
+  beforeEach(async () => {
+    fs.writeFileSync(
+      inputPath,
+      await encodeAeaPcm([TEST_SIGNALS.sine(440, 44100, sampleCount)])
+    )
+  })
+
+  afterEach(() => {
+    fs.unlinkSync(inputPath)
+    for (let i = 0; i < 3; i++) {
+      if (fs.existsSync(trackPath(i))) fs.unlinkSync(trackPath(i))
+    }
+  })
+
+  it('should split on the nearest frames into tracks that rejoin losslessly', async () => {
+    const tracks = [
+      { start: { seconds: 0 }, title: 'Intro' },
+      { start: { seconds: 0.3 }, title: 'Middle' },
+      { start: 60 },
+    ]
+    const results = await splitAea(inputPath, tracks, (track, i) =>
+      fs.promises.open(trackPath(i), 'w')
+    )
+
+    // 0.3 s is decoded sample 13230 + 266, nearest to the start of frame 26
+    expect(results.map(({ startFrame }) => startFrame)).toEqual([0, 26, 60])
+    expect(results.map(({ title }) => title)).toEqual([
+      'Intro',
+      'Middle',
+      'Track 3',
+    ])
+
+    const files = [0, 1, 2].map((i) => fs.readFileSync(trackPath(i)))
+    const headers = files.map((file) =>
+      AeaFile.parseHeader(file.subarray(0, AEA_HEADER_SIZE))
+    )
+    expect(headers.map(({ title }) => title)).toEqual([
+      'Intro',
+      'Middle',
+      'Track 3',
+    ])
+    expect(headers.map(({ delay }) => delay)).toEqual([266, 0, 0])
+    expect(headers.reduce((sum, { sampleCount }) => sum + sampleCount, 0)).toBe(
+      sampleCount
+    )
+    expect(
+      Buffer.concat(files.map((file) => file.subarray(AEA_HEADER_SIZE)))
+    ).toEqual(fs.readFileSync(inputPath).subarray(AEA_HEADER_SIZE))
+
+    expect(results[1].splicePoints).toEqual([
+      {
+        frame: 26,
+        seconds: (26 * SAMPLES_PER_FRAME - 266) / 44100,
+        input: inputPath,
+      },
+    ])
+  })
+
+  it('should split the tracks of a cue sheet', async () => {
+    const { tracks } = parseCueSheet(
+      'TRACK 01 AUDIO\n  TITLE "One"\n  INDEX 01 00:00:00\n' +
+        'TRACK 02 AUDIO\n  TITLE "Two"\n  INDEX 01 00:00:50\n'
+    )
+    const results = await splitAea(inputPath, tracks, (track) =>
+      fs.promises.open(trackPath(track.number - 1), 'w')
+    )
+    expect(results.map(({ title }) => title)).toEqual(['One', 'Two'])
+    expect(results[1].startFrame).toBe(Math.round((29400 + 266) / 512))
+  })
+
+  it('should reject tracks out of order or outside the file', async () => {
+    const open = (track, i) => fs.promises.open(trackPath(i), 'w')
+    await expect(
+      splitAea(inputPath, [{ start: 10 }, { start: { seconds: 0.1 } }], open)
+    ).rejects.toThrow(
+      'Track 2 starts at frame 9, not after track 1 at frame 10'
+    )
+    await expect(
+      splitAea(inputPath, [{ start: 0 }, { start: { seconds: 30 } }], open)
+    ).rejects.toThrow(RangeError)
+    expect(fs.existsSync(trackPath(0))).toBe(false)
+  })
+})
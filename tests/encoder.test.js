@@ -1,6 +1,13 @@
 import { describe, it, expect } from 'vitest'
-import { encode } from '../codec/pipeline/encoder'
+import {
+  encode,
+  qmfAnalysisStage,
+  lookAheadStage,
+  blockSelectorStage,
+} from '../codec/pipeline/encoder'
 import { EncoderOptions } from '../codec/core/options'
+import { BufferPool } from '../codec/core/buffers'
+import { pipe } from '../codec/utils'
 import { TEST_SIGNALS } from './testSignals'
 import {
   SAMPLES_PER_FRAME,
@@ -118,4 +125,398 @@ describe('Encoder Pipeline', () => {
     }, 0)
     expect(totalBits).toBe(0)
   })
+
+  it('should return a new frame per call unless reuseOutput is set', () => {
+    const loud = TEST_SIGNALS.sine(440, 44100, SAMPLES_PER_FRAME)
+    const silent = TEST_SIGNALS.silence(SAMPLES_PER_FRAME)
+
+    const encoder = encode()
+    const first = encoder(loud)
+    const scaleFactors = first.scaleFactorIndices.slice()
+    const second = encoder(silent)
+    expect(second).not.toBe(first)
+    expect(first.scaleFactorIndices).toEqual(scaleFactors)
+
+    const reusing = encode(undefined, undefined, null, { reuseOutput: true })
+    expect(reusing(loud)).toBe(reusing(silent))
+  })
+})
+
+describe('Block Selector Stage', () => {
+  // Quiet noise followed by a louder burst scores between 1.5 and 2 in the
+  // low and mid bands and between 2 and 3 in the high band
+  const frames = [
+    TEST_SIGNALS.whiteNoise(1, SAMPLES_PER_FRAME).map((v) => (v - 0.5) * 0.1),
+    TEST_SIGNALS.whiteNoise(2, SAMPLES_PER_FRAME).map((v) => (v - 0.5) * 0.1),
+    TEST_SIGNALS.whiteNoise(3, SAMPLES_PER_FRAME).map((v) => (v - 0.5) * 0.8),
+  ]
+
+  const selectBlockModes = (thresholds) => {
+    const context = {
+      bufferPool: new BufferPool(),
+      options: new EncoderOptions(thresholds),
+    }
+    const selector = pipe(context, qmfAnalysisStage, blockSelectorStage)
+    return frames.map((frame) => selector(frame)).at(-1)
+  }
+
+  const strict = {
+    transientThresholdLow: 2,
+    transientThresholdMid: 3,
+    transientThresholdHigh: 4,
+  }
+
+  it('should expose per-band transient scores', () => {
+    const { transientScores } = selectBlockModes(strict)
+    expect(transientScores).toHaveLength(3)
+    expect(transientScores.every((score) => score > 0)).toBe(true)
+  })
+
+  it('should keep long blocks when every band is below its threshold', () => {
+    expect(selectBlockModes(strict).blockModes).toEqual([0, 0, 0])
+  })
+
+  it('should only switch the low band with the low threshold', () => {
+    const { blockModes } = selectBlockModes({
+      ...strict,
+      transientThresholdLow: 0.5,
+    })
+    expect(blockModes).toEqual([2, 0, 0])
+  })
+
+  it('should only switch the mid band with the mid threshold', () => {
+    const { blockModes } = selectBlockModes({
+      ...strict,
+      transientThresholdMid: 0.5,
+    })
+    expect(blockModes).toEqual([0, 2, 0])
+  })
+
+  it('should only switch the high band with the high threshold', () => {
+    const { blockModes } = selectBlockModes({
+      ...strict,
+      transientThresholdHigh: 0.5,
+    })
+    expect(blockModes).toEqual([0, 0, 3])
+  })
+
+  it('should keep the high band long with the fast preset', () => {
+    // This threshold switches the high band without the preset
+    const sensitive = { ...strict, transientThresholdHigh: 0.5 }
+    const { blockModes, transientScores } = selectBlockModes({
+      ...sensitive,
+      preset: 'fast',
+    })
+    const full = selectBlockModes(sensitive)
+
+    expect(full.blockModes).toEqual([0, 0, 3])
+    expect(blockModes).toEqual([0, 0, 0])
+    expect(transientScores.slice(0, 2)).toEqual(
+      full.transientScores.slice(0, 2)
+    )
+    expect(transientScores[2]).toBe(0)
+  })
+
+  it('should skip detection with fixed block modes', () => {
+    const { blockModes, transientScores } = selectBlockModes({
+      fixedBlockModes: [2, 0, 3],
+    })
+    expect(blockModes).toEqual([2, 0, 3])
+    expect(transientScores).toBeNull()
+  })
+})
+
+describe('Block Mode Hysteresis', () => {
+  // Low band scores: 2.46, 0.66, 1.80, 0.56, 0.57, 0.38, 0.23, 0.59
+  const amplitudes = [0.1, 0.1, 0.8, 0.7, 0.9, 0.1, 0.1, 0.1]
+  const frames = amplitudes.map((amplitude, i) =>
+    TEST_SIGNALS.whiteNoise(i + 1, SAMPLES_PER_FRAME).map(
+      (v) => (v - 0.5) * amplitude
+    )
+  )
+
+  const selectLowModes = (settings) => {
+    const context = {
+      bufferPool: new BufferPool(),
+      options: new EncoderOptions({
+        transientThresholdLow: 1.5,
+        transientThresholdMid: 3,
+        transientThresholdHigh: 4,
+        ...settings,
+      }),
+    }
+    const selector = pipe(context, qmfAnalysisStage, blockSelectorStage)
+    return frames.map((frame) => selector(frame).blockModes[0])
+  }
+
+  it('should decide each frame independently by default', () => {
+    expect(selectLowModes({})).toEqual([2, 0, 2, 0, 0, 0, 0, 0])
+  })
+
+  it('should hold short blocks for the configured number of frames', () => {
+    expect(selectLowModes({ holdFramesLow: 2 })).toEqual([
+      2, 2, 2, 2, 2, 0, 0, 0,
+    ])
+  })
+
+  it('should stay short until the score drops below the release threshold', () => {
+    expect(selectLowModes({ releaseThresholdLow: 0.5 })).toEqual([
+      2, 2, 2, 2, 2, 0, 0, 0,
+    ])
+  })
+
+  it('should ignore release thresholds above the transient threshold', () => {
+    expect(selectLowModes({ releaseThresholdLow: 2 })).toEqual(
+      selectLowModes({})
+    )
+  })
+
+  it('should not affect other bands', () => {
+    const context = {
+      bufferPool: new BufferPool(),
+      options: new EncoderOptions({
+        transientThresholdLow: 1.5,
+        transientThresholdMid: 3,
+        transientThresholdHigh: 4,
+        holdFramesLow: 8,
+      }),
+    }
+    const selector = pipe(context, qmfAnalysisStage, blockSelectorStage)
+    const modes = frames.map((frame) => selector(frame).blockModes)
+    expect(modes.every(([, mid, high]) => mid === 0 && high === 0)).toBe(true)
+  })
+})
+
+describe('Block Mode Overrides', () => {
+  const frames = [0.1, 0.1, 0.8, 0.1].map((amplitude, i) =>
+    TEST_SIGNALS.whiteNoise(i + 1, SAMPLES_PER_FRAME).map(
+      (v) => (v - 0.5) * amplitude
+    )
+  )
+
+  const strict = {
+    transientThresholdLow: 2,
+    transientThresholdMid: 3,
+    transientThresholdHigh: 4,
+  }
+
+  const selectModes = (settings, stages = [qmfAnalysisStage]) => {
+    const context = {
+      bufferPool: new BufferPool(),
+      options: new EncoderOptions({ ...strict, ...settings }),
+    }
+    const selector = pipe(context, ...stages, blockSelectorStage)
+    return frames.map((frame) => selector(frame).blockModes)
+  }
+
+  it('should force modes only on targeted frames and bands', () => {
+    const detected = selectModes({})
+    const modes = selectModes({
+      blockModeOverrides: [{ frame: 1, modes: [2, null, 3] }],
+    })
+    expect(modes[1]).toEqual([2, detected[1][1], 3])
+    expect([modes[0], ...modes.slice(2)]).toEqual([
+      detected[0],
+      ...detected.slice(2),
+    ])
+  })
+
+  it('should force long blocks over detected transients', () => {
+    const detected = selectModes({ transientThresholdLow: 1.5 })
+    const forced = selectModes({
+      transientThresholdLow: 1.5,
+      blockModeOverrides: [{ frames: [0, 3], modes: [0, null, null] }],
+    })
+    expect(detected.some(([low]) => low === 2)).toBe(true)
+    expect(forced.every(([low]) => low === 0)).toBe(true)
+  })
+
+  it('should take precedence over fixed block modes', () => {
+    const modes = selectModes({
+      fixedBlockModes: [2, 2, 3],
+      blockModeOverrides: [{ frame: 2, modes: [0, 0, 0] }],
+    })
+    expect(modes[1]).toEqual([2, 2, 3])
+    expect(modes[2]).toEqual([0, 0, 0])
+  })
+
+  it('should index frames of the encoded stream in look-ahead mode', () => {
+    const modes = selectModes(
+      {
+        lookAhead: true,
+        blockModeOverrides: [{ frame: 1, modes: [2, 2, 3] }],
+      },
+      [qmfAnalysisStage, lookAheadStage]
+    )
+    // The first call decides the silent frame before the stream
+    expect(modes[2]).toEqual([2, 2, 3])
+    expect(modes[1]).not.toEqual([2, 2, 3])
+  })
+
+  it('should reject malformed overrides when the encoder is created', () => {
+    expect(() =>
+      encode(new EncoderOptions({ blockModeOverrides: [{ frame: 1 }] }))
+    ).toThrow('modes must be [low, mid, high]')
+  })
+})
+
+describe('Look-ahead Block Selection', () => {
+  const noise = (seed, length, amplitude) =>
+    TEST_SIGNALS.whiteNoise(seed, length).map((v) => (v - 0.5) * amplitude)
+
+  // QMF band frames; the third one turns loud for its last 4% of samples
+  const bandFrame = (seed, amplitude, burstStart = null) =>
+    [128, 128, 256].map((length, band) => {
+      const samples = noise(seed + band, length, amplitude)
+      if (burstStart !== null) {
+        const burst = noise(seed + 10 + band, length, 0.8)
+        samples.set(
+          burst.subarray(Math.floor(length * burstStart)),
+          Math.floor(length * burstStart)
+        )
+      }
+      return samples
+    })
+
+  const frames = [
+    bandFrame(1, 0.05),
+    bandFrame(4, 0.05),
+    bandFrame(7, 0.05, 0.96),
+    bandFrame(13, 0.8),
+  ]
+
+  const options = new EncoderOptions({
+    transientThresholdLow: 1.5,
+    transientThresholdMid: 3,
+    transientThresholdHigh: 4,
+  })
+
+  it('should report one frame of latency only in look-ahead mode', () => {
+    expect(encode().latency).toBe(0)
+    expect(encode(new EncoderOptions({ lookAhead: true })).latency).toBe(
+      SAMPLES_PER_FRAME
+    )
+  })
+
+  it('should delay bands by one frame', () => {
+    const stage = lookAheadStage({ bufferPool: new BufferPool() })
+    // Outputs are reused, so each one is checked before the next call
+    const first = stage({ bands: frames[0] })
+    expect(first.bands.every((band) => band.every((v) => v === 0))).toBe(true)
+    expect(first.nextBands).toEqual(frames[0])
+
+    const second = stage({ bands: frames[1] })
+    expect(second.bands).toEqual(frames[0])
+    expect(second.nextBands).toEqual(frames[1])
+  })
+
+  it('should catch a late attack one frame earlier than without look-ahead', () => {
+    const context = { bufferPool: new BufferPool(), options }
+    const selector = pipe(context, blockSelectorStage)
+    const modes = frames.map((bands) => selector({ bands }).blockModes[0])
+
+    const lookAheadContext = { bufferPool: new BufferPool(), options }
+    const lookAheadSelector = pipe(
+      lookAheadContext,
+      lookAheadStage,
+      blockSelectorStage
+    )
+    const results = [...frames, bandFrame(16, 0.8)]
+      .map((bands) => lookAheadSelector({ bands }))
+      .slice(1)
+
+    expect(modes.slice(2)).toEqual([0, 2])
+    expect(results[2].blockModes[0]).toBe(2)
+    expect(results[2].attackPositions[0]).toBeGreaterThanOrEqual(384)
+  })
+})
+
+describe('Encoder Observer', () => {
+  const frames = [0.1, 0.8].map((amplitude, i) =>
+    TEST_SIGNALS.whiteNoise(i + 1, SAMPLES_PER_FRAME).map(
+      (v) => (v - 0.5) * amplitude
+    )
+  )
+
+  it('should report every stage per frame without changing the output', () => {
+    const records = []
+    const observed = encode(new EncoderOptions(), new BufferPool(), (record) =>
+      records.push(record)
+    )
+    const plain = encode()
+
+    frames.forEach((frame) => {
+      expect(observed(frame)).toMatchObject(plain(frame))
+    })
+
+    expect(records.map((record) => record.frame)).toEqual([0, 1])
+    const { stages } = records[1]
+    expect(Object.keys(stages)).toEqual([
+      'qmfAnalysisStage',
+      'blockSelectorStage',
+      'mdctStage',
+      'quantizationStage',
+    ])
+    expect(stages.qmfAnalysisStage.bands.map((band) => band.length)).toEqual([
+      128, 128, 256,
+    ])
+    expect(stages.blockSelectorStage.transientScores).toHaveLength(3)
+    expect(stages.mdctStage.coefficients).toHaveLength(SAMPLES_PER_FRAME)
+  })
+
+  it('should report the QMF bands before later stages window them', () => {
+    const records = []
+    const encoder = encode(new EncoderOptions(), new BufferPool(), (record) =>
+      records.push(record)
+    )
+    const qmf = pipe(
+      { bufferPool: new BufferPool(), options: new EncoderOptions() },
+      qmfAnalysisStage
+    )
+
+    frames.forEach((frame, i) => {
+      encoder(frame)
+      const expected = qmf(frame).bands.map((band) => Array.from(band))
+      const { stages } = records[i]
+      for (const { bands } of [
+        stages.qmfAnalysisStage,
+        stages.blockSelectorStage,
+      ]) {
+        expect(bands.map((band) => Array.from(band))).toEqual(expected)
+      }
+    })
+  })
+
+  it('should expose BFU grouping and allocation decisions', () => {
+    let analysis
+    const encoder = encode(
+      new EncoderOptions({ allocationModel: 'psychoacoustic' }),
+      new BufferPool(),
+      ({ stages }) => (analysis = stages.quantizationStage.analysis)
+    )
+    const result = encoder(frames[1])
+
+    expect(analysis.bfuData).toHaveLength(analysis.bfuCount)
+    expect(analysis.bfuSizes).toHaveLength(analysis.bfuCount)
+    expect(analysis.maskingThresholds).toHaveLength(analysis.bfuCount)
+    expect(Array.from(analysis.allocation.slice(0, result.nBfu))).toEqual(
+      Array.from(result.wordLengthIndices)
+    )
+  })
+
+  it('should include the look-ahead stage when enabled', () => {
+    let stages
+    const encoder = encode(
+      new EncoderOptions({ lookAhead: true }),
+      new BufferPool(),
+      (record) => (stages = record.stages)
+    )
+    encoder(frames[0])
+    expect(Object.keys(stages)).toContain('lookAheadStage')
+  })
+
+  it('should leave unobserved output unchanged', () => {
+    const result = encode()(frames[0])
+    expect(result.analysis).toBeUndefined()
+  })
 })
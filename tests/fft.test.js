@@ -92,3 +92,94 @@ describe('FFT', () => {
     }
   })
 })
+
+describe('FFT plans', () => {
+  // Odd and even powers of two exercise the radix-2 stage and radix-4 only
+  const planSizes = [2, 4, 8, 32, 128, 256, 512, 1024]
+
+  // Direct DFT in double precision
+  const dft = (inputReal, inputImag) => {
+    const size = inputReal.length
+    const real = new Float64Array(size)
+    const imag = new Float64Array(size)
+    for (let k = 0; k < size; k++) {
+      for (let n = 0; n < size; n++) {
+        const angle = (-2 * Math.PI * ((k * n) % size)) / size
+        const c = Math.cos(angle)
+        const s = Math.sin(angle)
+        real[k] += inputReal[n] * c - inputImag[n] * s
+        imag[k] += inputReal[n] * s + inputImag[n] * c
+      }
+    }
+    return { real, imag }
+  }
+
+  const maxError = (expected, real, imag, bins) => {
+    let error = 0
+    for (let k = 0; k < bins; k++) {
+      error = Math.max(
+        error,
+        Math.hypot(expected.real[k] - real[k], expected.imag[k] - imag[k])
+      )
+    }
+    return error
+  }
+
+  it.each(planSizes)('should match a direct DFT for size %i', (size) => {
+    const inputReal = Float64Array.from(TEST_SIGNALS.whiteNoise(1, size))
+    const inputImag = Float64Array.from(TEST_SIGNALS.whiteNoise(2, size))
+    const expected = dft(inputReal, inputImag)
+
+    const real = new Float64Array(inputReal)
+    const imag = new Float64Array(inputImag)
+    FFT.plan(size).transform(real, imag)
+
+    expect(maxError(expected, real, imag, size)).toBeLessThan(1e-9)
+  })
+
+  it.each(planSizes)(
+    'should match a direct DFT of real input for size %i',
+    (size) => {
+      const input = Float64Array.from(TEST_SIGNALS.whiteNoise(3, size))
+      const expected = dft(input, new Float64Array(size))
+
+      const real = new Float64Array(size)
+      const imag = new Float64Array(size)
+      FFT.plan(size).realTransform(input, real, imag)
+
+      expect(maxError(expected, real, imag, size / 2 + 1)).toBeLessThan(1e-9)
+    }
+  )
+
+  it('should zero-pad short real input', () => {
+    const input = TEST_SIGNALS.whiteNoise(4, 100)
+    const padded = new Float32Array(128)
+    padded.set(input)
+    const expected = dft(padded, new Float32Array(128))
+
+    const real = new Float64Array(128)
+    const imag = new Float64Array(128)
+    FFT.plan(128).realTransform(input, real, imag)
+
+    expect(maxError(expected, real, imag, 65)).toBeLessThan(1e-9)
+  })
+
+  it('should only transform the first size entries', () => {
+    const real = new Float32Array([1, 1, 1, 1, 7, 7])
+    const imag = new Float32Array(6)
+    FFT.plan(4).transform(real, imag)
+
+    expect(Array.from(real)).toEqual([4, 0, 0, 0, 7, 7])
+  })
+
+  it('should cache one plan per size', () => {
+    expect(FFT.plan(64)).toBe(FFT.plan(64))
+    expect(FFT.plan(64)).not.toBe(FFT.plan(128))
+  })
+
+  it('should reject sizes that are not powers of two', () => {
+    expect(() => new FFT(0)).toThrow('power of 2')
+    expect(() => new FFT(96)).toThrow('power of 2')
+    expect(() => FFT.plan(1).realTransform([1], [0], [0])).toThrow('at least 2')
+  })
+})
@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest'
-import { EncoderOptions } from '../codec/core/options'
+import { EncoderOptions, ENCODER_PRESETS } from '../codec/core/options'
 
 describe('EncoderOptions', () => {
   it('should have correct default values', () => {
@@ -15,6 +15,47 @@ describe('EncoderOptions', () => {
     expect(() => options.setValue('transientThresholdLow', 0.0)).toThrow()
   })
 
+  it('should validate enum options against their allowed values', () => {
+    const options = new EncoderOptions()
+    expect(options.allocationModel).toBe('scaleFactor')
+    options.setValue('allocationModel', 'psychoacoustic')
+    expect(options.allocationModel).toBe('psychoacoustic')
+    expect(() => options.setValue('allocationModel', 'loudest')).toThrow(
+      'must be one of'
+    )
+  })
+
+  it('should select preset settings by name', () => {
+    const options = new EncoderOptions()
+    expect(options.preset).toBe('default')
+    expect(options.presetSettings).toBe(ENCODER_PRESETS.default)
+    options.setValue('preset', 'fast')
+    expect(options.presetSettings).toBe(ENCODER_PRESETS.fast)
+    expect(options.getMetadata('preset').values).toEqual([
+      'fast',
+      'default',
+      'best',
+    ])
+    expect(() => options.setValue('preset', 'slow')).toThrow('must be one of')
+  })
+
+  it('should require booleans for boolean options', () => {
+    const options = new EncoderOptions({ lookAhead: true })
+    expect(options.lookAhead).toBe(true)
+    expect(() => options.setValue('lookAhead', 1)).toThrow('must be a boolean')
+  })
+
+  it('should require whole numbers of hold frames', () => {
+    const options = new EncoderOptions({ holdFramesMid: 3 })
+    expect(options.holdFramesMid).toBe(3)
+    expect(() => options.setValue('holdFramesMid', 1.5)).toThrow(
+      'must be an integer'
+    )
+    expect(() => options.setValue('holdFramesMid', 17)).toThrow(
+      'must be between 0 and 16'
+    )
+  })
+
   it('should reject unknown options', () => {
     const options = new EncoderOptions()
     expect(() => options.setValue('unknownOption', 123)).toThrow()
@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest'
+import { createBlockModeOverrides } from '../codec/core/overrides'
+
+describe('Block Mode Overrides', () => {
+  it('should target a single frame', () => {
+    const getOverride = createBlockModeOverrides([
+      { frame: 3, modes: [2, 2, 3] },
+    ])
+    expect(getOverride(2)).toBeNull()
+    expect(getOverride(3)).toEqual([2, 2, 3])
+    expect(getOverride(4)).toBeNull()
+  })
+
+  it('should target an inclusive frame range', () => {
+    const getOverride = createBlockModeOverrides([
+      { frames: [5, 7], modes: [2, null, null] },
+    ])
+    expect(getOverride(4)).toBeNull()
+    expect(getOverride(5)).toEqual([2, null, null])
+    expect(getOverride(7)).toEqual([2, null, null])
+    expect(getOverride(8)).toBeNull()
+  })
+
+  it('should cover every frame overlapping a time range', () => {
+    // 0.02 s is sample 882 in frame 1, 0.03 s is sample 1323 in frame 2
+    const getOverride = createBlockModeOverrides([
+      { start: 0.02, end: 0.03, modes: [null, null, 3] },
+    ])
+    expect(getOverride(0)).toBeNull()
+    expect(getOverride(1)).toEqual([null, null, 3])
+    expect(getOverride(2)).toEqual([null, null, 3])
+    expect(getOverride(3)).toBeNull()
+  })
+
+  it('should let later entries win per band', () => {
+    const getOverride = createBlockModeOverrides([
+      { frames: [0, 4], modes: [2, 2, null] },
+      { frame: 2, modes: [0, null, 3] },
+    ])
+    expect(getOverride(1)).toEqual([2, 2, null])
+    expect(getOverride(2)).toEqual([0, 2, 3])
+  })
+
+  it('should reject malformed entries', () => {
+    expect(() => createBlockModeOverrides({})).toThrow('must be an array')
+    expect(() => createBlockModeOverrides([{ modes: [0, 0, 0] }])).toThrow(
+      'expected frame, frames or start and end'
+    )
+    expect(() =>
+      createBlockModeOverrides([{ frame: -1, modes: [0, 0, 0] }])
+    ).toThrow('non-negative integer')
+    expect(() =>
+      createBlockModeOverrides([{ frames: [4, 2], modes: [0, 0, 0] }])
+    ).toThrow('first <= last')
+    expect(() =>
+      createBlockModeOverrides([{ start: 1, end: 1, modes: [0, 0, 0] }])
+    ).toThrow('start < end')
+    expect(() =>
+      createBlockModeOverrides([{ frame: 0, modes: [2, 2] }])
+    ).toThrow('modes must be [low, mid, high]')
+    expect(() =>
+      createBlockModeOverrides([{ frame: 0, modes: [0, 0, 2] }])
+    ).toThrow('mode for band 2 must be 0 or 3 or null, got 2')
+  })
+})
@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest'
+import { encodeStreamParallel, SEGMENT_FRAMES } from '../codec/io/parallel.js'
+import { AudioProcessor } from '../codec/io/processor.js'
+import { serializeFrame } from '../codec/io/serialization.js'
+import { EncoderOptions } from '../codec/core/options.js'
+import { TEST_SIGNALS } from './testSignals'
+import { SAMPLES_PER_FRAME } from '../codec/core/constants.js'
+
+describe('Parallel encoding', () => {
+  // Two and a half segments, with clicks to trigger short blocks
+  const sampleCount = Math.round(2.5 * SEGMENT_FRAMES * SAMPLES_PER_FRAME)
+  const left = TEST_SIGNALS.sine(440, 44100, sampleCount)
+  const right = TEST_SIGNALS.chirp(100, 8000, sampleCount)
+  for (let i = 3000; i < sampleCount; i += 40000) {
+    left.fill(0.9, i, i + 64)
+  }
+
+  const encodeSerial = async (channels, encoderOptions) => {
+    const units = []
+    const frames = AudioProcessor.encodeStream(
+      AudioProcessor.frameBufferToFrames(channels),
+      { channelCount: channels.length, sampleCount, encoderOptions }
+    )
+    for await (const frame of frames) {
+      units.push(Buffer.from(serializeFrame(frame)))
+    }
+    return Buffer.concat(units)
+  }
+
+  const encodeParallel = async (channels, encoderOptions, jobs) => {
+    const units = []
+    const stream = encodeStreamParallel(
+      AudioProcessor.frameBufferToFrames(channels),
+      { channelCount: channels.length, sampleCount, encoderOptions, jobs }
+    )
+    for await (const unit of stream) {
+      units.push(Buffer.from(unit))
+    }
+    return Buffer.concat(units)
+  }
+
+  it('should match the single-threaded encoder for any job count', async () => {
+    const serial = await encodeSerial([left, right])
+    expect(await encodeParallel([left, right], undefined, 1)).toEqual(serial)
+    expect(await encodeParallel([left, right], undefined, 2)).toEqual(serial)
+  }, 30000)
+
+  it('should carry block mode hysteresis across segments', async () => {
+    const hysteresis = {
+      releaseThresholdLow: 0.05,
+      releaseThresholdMid: 0.05,
+      releaseThresholdHigh: 0.05,
+      holdFramesLow: 3,
+      holdFramesMid: 6,
+      holdFramesHigh: 16,
+    }
+    for (const lookAhead of [false, true]) {
+      const encoderOptions = new EncoderOptions({ ...hysteresis, lookAhead })
+      const serial = await encodeSerial([left, right], encoderOptions)
+      for (const jobs of [1, 2]) {
+        expect(
+          await encodeParallel([left, right], encoderOptions, jobs)
+        ).toEqual(serial)
+      }
+    }
+  }, 60000)
+
+  it('should shift block mode overrides into each segment', async () => {
+    const encoderOptions = new EncoderOptions({
+      lookAhead: true,
+      blockModeOverrides: [
+        { frames: [SEGMENT_FRAMES - 2, SEGMENT_FRAMES + 2], modes: [2, 2, 3] },
+      ],
+    })
+    const serial = await encodeSerial([left], encoderOptions)
+    expect(await encodeParallel([left], encoderOptions, 2)).toEqual(serial)
+  })
+
+  it('should reject job counts that are not positive integers', async () => {
+    const stream = encodeStreamParallel(
+      AudioProcessor.frameBufferToFrames([left]),
+      { jobs: 0 }
+    )
+    await expect(stream.next()).rejects.toThrow('positive integer')
+  })
+})
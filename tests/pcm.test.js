@@ -0,0 +1,117 @@
+import { describe, it, expect } from 'vitest'
+import { PcmQuantizer } from '../codec/io/pcm'
+import { TEST_SIGNALS } from './testSignals'
+
+/**
+ * Power of a signal at one frequency, in dB
+ */
+function powerAt(signal, freq, sampleRate = 44100) {
+  let re = 0
+  let im = 0
+  for (let i = 0; i < signal.length; i++) {
+    const phase = (2 * Math.PI * freq * i) / sampleRate
+    re += signal[i] * Math.cos(phase)
+    im += signal[i] * Math.sin(phase)
+  }
+  return 10 * Math.log10((re * re + im * im) / signal.length)
+}
+
+/**
+ * Average power over a frequency range, in dB
+ */
+function bandPower(signal, low, high) {
+  let total = 0
+  let count = 0
+  for (let freq = low; freq < high; freq += 500) {
+    total += 10 ** (powerAt(signal, freq) / 10)
+    count++
+  }
+  return 10 * Math.log10(total / count)
+}
+
+describe('PcmQuantizer', () => {
+  it('rounds to the nearest step instead of truncating', () => {
+    const quantizer = new PcmQuantizer(1)
+    expect(quantizer.quantize(0.9 / 32768)).toBe(1)
+    expect(quantizer.quantize(-0.9 / 32768)).toBe(-1)
+    expect(quantizer.quantize(-1)).toBe(-32768)
+  })
+
+  it('counts clipped samples and tracks the peak', () => {
+    const quantizer = new PcmQuantizer(1, { bitDepth: 24 })
+    expect(quantizer.quantize(1.5)).toBe(0x7fffff)
+    expect(quantizer.quantize(-1.25)).toBe(-0x800000)
+    expect(quantizer.quantize(0.5)).toBe(0x400000)
+    expect(quantizer.clipCount).toBe(2)
+    expect(quantizer.peak).toBe(1.5)
+  })
+
+  it('keeps float samples beyond full scale', () => {
+    const quantizer = new PcmQuantizer(1, { bitDepth: '32f' })
+    expect(quantizer.quantize(1.5)).toBe(1.5)
+    expect(quantizer.clipCount).toBe(0)
+  })
+
+  it.each([
+    [16, 2, (view) => view.getInt16(2, true), -16384],
+    [
+      24,
+      3,
+      (view) => view.getInt16(4, true) * 256 + view.getUint8(3),
+      -4194304,
+    ],
+    [32, 4, (view) => view.getInt32(4, true), -1073741824],
+    ['32f', 4, (view) => view.getFloat32(4, true), -0.5],
+  ])(
+    'interleaves %s-bit samples',
+    (bitDepth, bytesPerSample, readSecond, expected) => {
+      const quantizer = new PcmQuantizer(2, { bitDepth })
+      const bytes = quantizer.interleave([
+        Float32Array.of(0.25),
+        Float32Array.of(-0.5),
+      ])
+      expect(bytes).toHaveLength(2 * bytesPerSample)
+      expect(readSecond(new DataView(bytes.buffer))).toBe(expected)
+    }
+  )
+
+  it('decorrelates requantization error with TPDF dither', () => {
+    const signal = TEST_SIGNALS.sine(1000, 44100, 8192).map((s) => s * 0.0001)
+    const error = (options) => {
+      const quantizer = new PcmQuantizer(1, options)
+      return signal.map((sample) => quantizer.quantize(sample) / 32768 - sample)
+    }
+
+    // Undithered error of a quiet tone holds its harmonics
+    expect(powerAt(error({}), 3000)).toBeGreaterThan(
+      powerAt(error({ dither: true }), 3000) + 10
+    )
+    expect(error({ dither: true })).toEqual(error({ dither: true }))
+  })
+
+  it('moves dither noise to high frequencies with noise shaping', () => {
+    const signal = new Float32Array(8192).fill(0.1)
+    const error = (options) => {
+      const quantizer = new PcmQuantizer(1, options)
+      return signal.map((sample) => quantizer.quantize(sample) / 32768 - sample)
+    }
+    const flat = error({ dither: true })
+    const shaped = error({ dither: true, noiseShaping: true })
+
+    expect(bandPower(shaped, 1000, 5000)).toBeLessThan(
+      bandPower(flat, 1000, 5000) - 6
+    )
+    expect(bandPower(shaped, 16000, 20000)).toBeGreaterThan(
+      bandPower(flat, 16000, 20000)
+    )
+  })
+
+  it('rejects unsupported bit depths and dither above 16 bits', () => {
+    expect(() => new PcmQuantizer(1, { bitDepth: 8 })).toThrow(
+      'Unsupported bit depth 8'
+    )
+    expect(() => new PcmQuantizer(1, { bitDepth: 24, dither: true })).toThrow(
+      'only available for 16-bit output'
+    )
+  })
+})
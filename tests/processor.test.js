@@ -1,7 +1,14 @@
 import { describe, it, expect } from 'vitest'
 import { AudioProcessor } from '../codec/io/processor'
+import { EncoderOptions } from '../codec/core/options'
 import { TEST_SIGNALS } from './testSignals'
-import { SAMPLES_PER_FRAME, WAV_HEADER_SIZE } from '../codec/core/constants'
+import {
+  AEA_HEADER_SIZE,
+  AEA_TIMING_OFFSET,
+  SAMPLES_PER_FRAME,
+  SOUND_UNIT_SIZE,
+  WAV_HEADER_SIZE,
+} from '../codec/core/constants'
 import { decodeAeaPcm, encodeAeaPcm } from '../codec/index'
 
 describe('AudioProcessor', () => {
@@ -46,6 +53,190 @@ describe('AudioProcessor', () => {
     })
   })
 
+  describe('resampleStream', () => {
+    it('should yield full 44.1 kHz frames from 48 kHz input', async () => {
+      async function* frames() {
+        for (let i = 0; i < 5; i++) yield new Float32Array(1000).fill(0.5)
+      }
+      const output = await AudioProcessor.collectFrames(
+        AudioProcessor.resampleStream(frames(), { sampleRate: 48000 })
+      )
+
+      // 5000 samples at 48 kHz become 4594 samples, padded to 9 frames
+      expect(output).toHaveLength(9)
+      expect(output.every((f) => f.length === SAMPLES_PER_FRAME)).toBe(true)
+      expect(output[4][100]).toBeCloseTo(0.5, 3)
+      expect(output[8][4594 - 8 * SAMPLES_PER_FRAME]).toBe(0)
+    })
+
+    it('should resample stereo frames per channel', async () => {
+      async function* frames() {
+        yield [new Float32Array(2205).fill(0.25), new Float32Array(2205)]
+      }
+      const [first] = await AudioProcessor.collectFrames(
+        AudioProcessor.resampleStream(frames(), {
+          channelCount: 2,
+          sampleRate: 22050,
+          quality: 'fast',
+        })
+      )
+
+      expect(first[0][256]).toBeCloseTo(0.25, 3)
+      expect(first[1][256]).toBe(0)
+    })
+  })
+
+  describe('channel mixing', () => {
+    async function* createSurroundStream(frameCount) {
+      for (let i = 0; i < frameCount; i++) {
+        yield Array.from({ length: 6 }, (_, channel) =>
+          TEST_SIGNALS.sine(220 * (channel + 1), 44100, SAMPLES_PER_FRAME)
+        )
+      }
+    }
+
+    it('should downmix 5.1 input to stereo', async () => {
+      const frames = await AudioProcessor.collectFrames(
+        AudioProcessor.encodeStream(createSurroundStream(3), {
+          channelCount: 6,
+          downmix: '5.1-stereo',
+        })
+      )
+      expect(frames).toHaveLength(6)
+    })
+
+    it('should encode selected channels', async () => {
+      const frames = await AudioProcessor.collectFrames(
+        AudioProcessor.encodeStream(createSurroundStream(3), {
+          channelCount: 6,
+          channels: [2],
+        })
+      )
+      expect(frames).toHaveLength(3)
+    })
+
+    it('should reject more than two channels without a selection', async () => {
+      await expect(
+        AudioProcessor.collectFrames(
+          AudioProcessor.encodeStream(createSurroundStream(1), {
+            channelCount: 6,
+          })
+        )
+      ).rejects.toThrow('Unsupported channel count: 6')
+    })
+
+    it('should warn when a mono downmix cancels out-of-phase channels', async () => {
+      async function* invertedStream() {
+        for (let i = 0; i < 3; i++) {
+          const left = TEST_SIGNALS.sine(440, 44100, SAMPLES_PER_FRAME)
+          yield [left, left.map((sample) => -sample)]
+        }
+      }
+      const warnings = []
+      await AudioProcessor.collectFrames(
+        AudioProcessor.encodeStream(invertedStream(), {
+          channelCount: 2,
+          downmix: 'stereo-mono',
+          onPhaseWarning: (report) => warnings.push(report),
+        })
+      )
+
+      expect(warnings).toHaveLength(1)
+      expect(warnings[0].outOfPhaseFrames).toBe(3)
+      expect(warnings[0].correlation).toBeCloseTo(-1, 5)
+    })
+  })
+
+  describe('sample-accurate trimming', () => {
+    const collect = async (sampleCount, delay) => {
+      const encoded = AudioProcessor.encodeStream(createStereoStream(3), {
+        channelCount: 2,
+        sampleCount,
+      })
+      return AudioProcessor.collectFrames(
+        AudioProcessor.decodeStream(encoded, {
+          channelCount: 2,
+          sampleCount,
+          delay,
+        })
+      )
+    }
+
+    it('should append frames for the samples behind the codec delay', async () => {
+      const encoded = await AudioProcessor.collectFrames(
+        AudioProcessor.encodeStream(createMonoStream(3), {
+          sampleCount: SAMPLES_PER_FRAME * 3,
+        })
+      )
+      expect(encoded).toHaveLength(4)
+    })
+
+    it('should skip the delay and stop at the sample count', async () => {
+      const frames = await collect(1300, 266)
+      expect(frames.map(([left]) => left.length)).toEqual([512, 512, 276])
+      expect(
+        frames.every(([left, right]) => left.length === right.length)
+      ).toBe(true)
+    })
+
+    it('should match the untrimmed stream shifted by the delay', async () => {
+      const trimmed = await collect(1300, 266)
+      const raw = await AudioProcessor.collectFrames(
+        AudioProcessor.decodeStream(
+          AudioProcessor.encodeStream(createStereoStream(3), {
+            channelCount: 2,
+            sampleCount: 1300,
+          }),
+          { channelCount: 2 }
+        )
+      )
+      const join = (frames, channel) =>
+        Float32Array.from(frames.flatMap((frame) => Array.from(frame[channel])))
+
+      expect(join(trimmed, 1)).toEqual(join(raw, 1).subarray(266, 266 + 1300))
+    })
+  })
+
+  describe('look-ahead latency compensation', () => {
+    const encodeAll = async (channelCount, lookAhead) => {
+      const stream =
+        channelCount === 1 ? createMonoStream(3) : createStereoStream(3)
+      return AudioProcessor.collectFrames(
+        AudioProcessor.encodeStream(stream, {
+          channelCount,
+          encoderOptions: new EncoderOptions({
+            lookAhead,
+            transientThresholdLow: 2,
+            transientThresholdMid: 3,
+            transientThresholdHigh: 4,
+          }),
+        })
+      )
+    }
+
+    it.each([1, 2])(
+      'should keep %i-channel output aligned with the input',
+      async (channelCount) => {
+        const reference = await encodeAll(channelCount, false)
+        const delayed = await encodeAll(channelCount, true)
+
+        expect(delayed).toHaveLength(reference.length)
+        expect(delayed).toEqual(reference)
+      }
+    )
+
+    it('should report progress for every input frame', async () => {
+      const progress = []
+      const encodedStream = AudioProcessor.encodeStream(createMonoStream(3), {
+        channelCount: 1,
+        onProgress: (index) => progress.push(index),
+        encoderOptions: new EncoderOptions({ lookAhead: true }),
+      })
+      await AudioProcessor.collectFrames(encodedStream)
+      expect(progress).toEqual([0, 1, 2])
+    })
+  })
+
   describe('decodeStream', () => {
     it('should apply delay compensation', async () => {
       const stream = createMonoStream(2)
@@ -103,8 +294,112 @@ describe('AudioProcessor', () => {
 
       expect(aea).toBeInstanceOf(Uint8Array)
       expect(decoded).toHaveLength(2)
-      expect(decoded[0]).toHaveLength(SAMPLES_PER_FRAME * 2)
-      expect(decoded[1]).toHaveLength(SAMPLES_PER_FRAME * 2)
+      expect(decoded[0]).toHaveLength(700)
+      expect(decoded[1]).toHaveLength(700)
+    })
+
+    it('aligns decoded samples with the source', async () => {
+      const source = TEST_SIGNALS.sine(440, 44100, SAMPLES_PER_FRAME * 4)
+      const timings = []
+      const [decoded] = await decodeAeaPcm(await encodeAeaPcm([source]), {
+        onTiming: (timing) => timings.push(timing),
+      })
+
+      expect(decoded).toHaveLength(source.length)
+      expect(timings).toEqual([{ trimmed: true, delay: 0 }])
+      let error = 0
+      for (let i = 0; i < source.length; i++) {
+        error += Math.abs(decoded[i] - source[i])
+      }
+      expect(error / source.length).toBeLessThan(0.05)
+    })
+
+    it('keeps delay and padding for AEA files without a sample count', async () => {
+      const aea = await encodeAeaPcm([TEST_SIGNALS.sine(440, 44100, 1000)])
+      aea.fill(0, AEA_TIMING_OFFSET, AEA_TIMING_OFFSET + 12)
+      const [decoded] = await decodeAeaPcm(aea)
+
+      // Two input frames plus one carrying the samples behind the codec delay
+      expect(decoded).toHaveLength(SAMPLES_PER_FRAME * 3)
+    })
+
+    it('should apply block mode overrides', async () => {
+      const aea = await encodeAeaPcm(
+        [new Float32Array(SAMPLES_PER_FRAME * 3)],
+        {
+          blockModeOverrides: [{ start: 0.012, end: 0.02, modes: [2, 2, 3] }],
+        }
+      )
+      const frames = await AudioProcessor.collectFrames(
+        AudioProcessor.deserializedFrameStream(
+          Array.from({ length: 3 }, (_, i) =>
+            aea.subarray(
+              AEA_HEADER_SIZE + i * SOUND_UNIT_SIZE,
+              AEA_HEADER_SIZE + (i + 1) * SOUND_UNIT_SIZE
+            )
+          )
+        )
+      )
+      expect(frames.map((frame) => frame.blockModes)).toEqual([
+        [0, 0, 0],
+        [2, 2, 3],
+        [0, 0, 0],
+      ])
+    })
+
+    it('resamples input at other sample rates', async () => {
+      const source = TEST_SIGNALS.sine(1000, 48000, 4800)
+      const [decoded] = await decodeAeaPcm(
+        await encodeAeaPcm([source], { sampleRate: 48000 })
+      )
+      const [unresampled] = await decodeAeaPcm(
+        await encodeAeaPcm([source], { sampleRate: 48000, resample: false })
+      )
+
+      expect(decoded).toHaveLength(4410)
+      expect(unresampled).toHaveLength(4800)
+
+      // A 1 kHz tone keeps its pitch: 44.1 samples per cycle at 44.1 kHz
+      const expected = TEST_SIGNALS.sine(1000, 44100, 4410)
+      let error = 0
+      for (let i = 1000; i < 3000; i++) {
+        error += Math.abs(decoded[i] - expected[i])
+      }
+      expect(error / 2000).toBeLessThan(0.05)
+    })
+
+    it('decodes to integer samples of the requested bit depth', async () => {
+      const source = new Float32Array(SAMPLES_PER_FRAME * 2)
+      source.fill(0.25, 0, 700)
+      source.fill(-0.25, 700)
+      const aea = await encodeAeaPcm([source])
+
+      const [float] = await decodeAeaPcm(aea)
+      const [int16] = await decodeAeaPcm(aea, { bitDepth: 16 })
+      const [int24] = await decodeAeaPcm(aea, { bitDepth: 24 })
+
+      expect(int16).toBeInstanceOf(Int16Array)
+      expect(int24).toBeInstanceOf(Int32Array)
+      expect(int16[300]).toBe(Math.round(float[300] * 32768))
+      expect(int24[300]).toBe(Math.round(float[300] * 8388608))
+    })
+
+    it('reports clipped samples', async () => {
+      const source = TEST_SIGNALS.sine(1000, 44100, SAMPLES_PER_FRAME * 4)
+      const aea = await encodeAeaPcm([source.map((sample) => sample * 1.2)])
+      const reports = []
+      await decodeAeaPcm(aea, {
+        bitDepth: 16,
+        onClipping: (report) => reports.push(report),
+      })
+      await decodeAeaPcm(aea, {
+        bitDepth: '32f',
+        onClipping: (report) => reports.push(report),
+      })
+
+      expect(reports).toHaveLength(1)
+      expect(reports[0].clipCount).toBeGreaterThan(0)
+      expect(reports[0].peak).toBeGreaterThan(1)
     })
 
     it('rejects unsupported PCM input', async () => {
@@ -118,6 +413,19 @@ describe('AudioProcessor', () => {
   })
 
   describe('createWavBlob', () => {
+    it('should write 32-bit float WAV data', async () => {
+      const frames = [Float32Array.of(0.5, -1.5)]
+      const blob = AudioProcessor.createWavBlob(frames, 1, 44100, {
+        bitDepth: '32f',
+      })
+      const view = new DataView(await blob.arrayBuffer())
+
+      expect(view.getUint16(20, true)).toBe(3) // IEEE float
+      expect(view.getUint16(34, true)).toBe(32)
+      expect(view.getUint32(40, true)).toBe(8)
+      expect(view.getFloat32(WAV_HEADER_SIZE + 4, true)).toBe(-1.5)
+    })
+
     it('should create a valid WAV header', async () => {
       const frames = [new Float32Array(SAMPLES_PER_FRAME)]
       const blob = AudioProcessor.createWavBlob(frames)
@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest'
+import {
+  frequencyToBark,
+  absoluteThresholdDb,
+  spreadingFunctionDb,
+  estimateTonality,
+  computeMaskingThresholds,
+} from '../codec/analysis/psychoacoustic'
+import { SPECS_PER_BFU, NUM_BFUS } from '../codec/core/constants'
+import { TEST_SIGNALS } from './testSignals'
+
+describe('Psychoacoustic Model', () => {
+  const createBfus = (fill) =>
+    Array.from(SPECS_PER_BFU, (size, i) => {
+      const bfu = new Float32Array(size)
+      for (let j = 0; j < size; j++) bfu[j] = fill(i, j)
+      return bfu
+    })
+
+  it('should map frequencies monotonically onto the Bark scale', () => {
+    expect(frequencyToBark(0)).toBe(0)
+    expect(frequencyToBark(1000)).toBeCloseTo(8.5, 0)
+    expect(frequencyToBark(16000)).toBeGreaterThan(frequencyToBark(8000))
+    expect(frequencyToBark(22050)).toBeLessThan(26)
+  })
+
+  it('should place the most sensitive hearing region around 3-4 kHz', () => {
+    const sensitive = absoluteThresholdDb(3300)
+    expect(sensitive).toBeLessThan(absoluteThresholdDb(100))
+    expect(sensitive).toBeLessThan(absoluteThresholdDb(16000))
+    expect(sensitive).toBeLessThan(0)
+  })
+
+  it('should spread masking more towards higher frequencies', () => {
+    expect(spreadingFunctionDb(0)).toBeCloseTo(0, 0)
+    expect(spreadingFunctionDb(2)).toBeGreaterThan(spreadingFunctionDb(-2))
+  })
+
+  it('should rate pure tones as tonal and noise as noise-like', () => {
+    const tone = new Float32Array(20)
+    tone[3] = 1
+    const noise = TEST_SIGNALS.whiteNoise(3, 20).map((v) => v - 0.5)
+
+    expect(estimateTonality(tone, tone.length)).toBeGreaterThan(0.9)
+    expect(estimateTonality(noise, noise.length)).toBeLessThan(0.2)
+    expect(estimateTonality(tone, 0)).toBe(0)
+  })
+
+  it('should fall back to the absolute threshold for silence', () => {
+    const bfuData = createBfus(() => 0)
+    const thresholds = computeMaskingThresholds(
+      bfuData,
+      SPECS_PER_BFU,
+      NUM_BFUS
+    )
+
+    expect(thresholds).toHaveLength(NUM_BFUS)
+    expect(thresholds.every((t) => t > 0)).toBe(true)
+  })
+
+  it('should raise thresholds next to a loud masker', () => {
+    const quiet = computeMaskingThresholds(
+      createBfus(() => 0),
+      SPECS_PER_BFU,
+      NUM_BFUS
+    )
+    const masked = computeMaskingThresholds(
+      createBfus((i) => (i === 10 ? 0.5 : 0)),
+      SPECS_PER_BFU,
+      NUM_BFUS
+    )
+
+    expect(masked[11]).toBeGreaterThan(quiet[11] * 100)
+    expect(masked[11]).toBeGreaterThan(masked[40])
+  })
+})
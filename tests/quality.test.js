@@ -0,0 +1,116 @@
+import { describe, it, expect } from 'vitest'
+import {
+  computeSnr,
+  computeSegmentalSnr,
+  compareAudio,
+} from '../codec/analysis/quality'
+import { AudioProcessor, decodeAeaPcm, encodeAeaPcm } from '../codec/index'
+import { TEST_SIGNALS } from './testSignals'
+import { CODEC_DELAY, SAMPLES_PER_FRAME } from '../codec/core/constants'
+
+describe('Quality Metrics', () => {
+  const sine = TEST_SIGNALS.sine(1000, 44100, SAMPLES_PER_FRAME * 8)
+
+  describe('computeSnr', () => {
+    it('should be infinite for identical signals', () => {
+      expect(computeSnr(sine, sine)).toBe(Infinity)
+    })
+
+    it('should measure the ratio of signal to error energy', () => {
+      const scaled = sine.map((v) => v * 1.1)
+      // Error is 0.1 of the signal, so SNR is 20 dB
+      expect(computeSnr(sine, scaled)).toBeCloseTo(20, 5)
+    })
+  })
+
+  describe('computeSegmentalSnr', () => {
+    it('should clamp segments and skip silence', () => {
+      const source = new Float32Array(SAMPLES_PER_FRAME * 2)
+      source.set(sine.subarray(0, SAMPLES_PER_FRAME))
+      expect(computeSegmentalSnr(source, source)).toBe(35)
+    })
+
+    it('should return null when every segment is silent', () => {
+      const silence = new Float32Array(SAMPLES_PER_FRAME)
+      expect(computeSegmentalSnr(silence, silence)).toBeNull()
+    })
+  })
+
+  describe('compareAudio', () => {
+    it('should compensate for the codec delay', () => {
+      const decoded = new Float32Array(sine.length + CODEC_DELAY)
+      decoded.set(sine, CODEC_DELAY)
+      const report = compareAudio([sine], [decoded])
+
+      expect(report.delay).toBe(CODEC_DELAY)
+      expect(report.sampleCount).toBe(sine.length)
+      expect(report.snr).toBe(Infinity)
+      expect(report.channels[0].bands.low.errorEnergy).toBe(0)
+    })
+
+    it('should report band errors where the noise is', () => {
+      const noisy = new Float32Array(sine.length)
+      for (let i = 0; i < sine.length; i++) {
+        // An alternating error sits at Nyquist, in the high band
+        noisy[i] = sine[i] + (i % 2 ? 0.01 : -0.01)
+      }
+      const { bands } = compareAudio([sine], [noisy], { delay: 0 }).channels[0]
+
+      expect(bands.high.errorEnergy).toBeGreaterThan(
+        100 * (bands.low.errorEnergy + bands.mid.errorEnergy)
+      )
+    })
+
+    it('should skip no samples of channels aligned with the source', () => {
+      const report = compareAudio([sine], [sine.slice(0, sine.length - 10)])
+
+      expect(report.delay).toBe(0)
+      expect(report.snr).toBe(Infinity)
+    })
+
+    it('should report metrics for an encoded round trip', async () => {
+      const channels = [
+        sine,
+        TEST_SIGNALS.sine(3000, 44100, sine.length).map((v) => v * 0.3),
+      ]
+      const decoded = await decodeAeaPcm(await encodeAeaPcm(channels))
+      const report = compareAudio(channels, decoded, { worstFrameCount: 3 })
+
+      expect(report.channels).toHaveLength(2)
+      expect(report.snr).toBeGreaterThan(20)
+      expect(report.segmentalSnr).toBeGreaterThan(20)
+      expect(report.nmr.max).toBeGreaterThanOrEqual(report.nmr.mean)
+      expect(report.worstFrames).toHaveLength(3)
+      expect(report.worstFrames[0].nmr).toBeGreaterThanOrEqual(
+        report.worstFrames[2].nmr
+      )
+      expect(report.worstFrames[0]).toHaveProperty('channel')
+      expect(report.worstFrames[0]).toHaveProperty('time')
+    })
+
+    it('should skip the delay decodeAeaPcm reports for untrimmed files', async () => {
+      // Without a sample count the file decodes to as many samples as the
+      // source, with the codec delay still in front
+      const frames = AudioProcessor.encodeStream(
+        AudioProcessor.frameBufferToFrames([sine])
+      )
+      const blob = await AudioProcessor.createAeaBlob(frames)
+      const timings = []
+      const decoded = await decodeAeaPcm(blob, {
+        onTiming: (timing) => timings.push(timing),
+      })
+      expect(decoded[0].length).toBe(sine.length)
+      expect(timings).toEqual([{ trimmed: false, delay: CODEC_DELAY }])
+
+      const report = compareAudio([sine], decoded, timings[0])
+      expect(report.delay).toBe(CODEC_DELAY)
+      expect(report.snr).toBeGreaterThan(20)
+    })
+
+    it('should reject mismatched channel counts', () => {
+      expect(() => compareAudio([sine], [sine, sine])).toThrow(
+        'Channel count mismatch'
+      )
+    })
+  })
+})
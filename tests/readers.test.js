@@ -1,8 +1,12 @@
 import { describe, it, expect, beforeEach, afterEach } from 'vitest'
-import { AeaReader } from '../codec/io/readers'
+import { AeaReader, WavReader, readWavPcm } from '../codec/io/readers'
 import fs from 'fs'
+import { Readable } from 'stream'
 import path from 'path'
 import { AeaFile, serializeFrame } from '../codec/io/serialization.js'
+import { encodeAeaPcm } from '../codec/io/processor.js'
+import { TEST_SIGNALS } from './testSignals'
+import { SAMPLES_PER_FRAME } from '../codec/core/constants.js'
 
 describe('AeaReader', () => {
   const testFilePath = path.join(__dirname, 'test.aea')
@@ -60,4 +64,387 @@ describe('AeaReader', () => {
     }
     expect(frames.length).toBe(1)
   })
+
+  // Split data into small uneven chunks, as a pipe would deliver it
+  const chunkedStream = (data, size = 333) => {
+    const chunks = []
+    for (let i = 0; i < data.length; i += size) {
+      chunks.push(data.subarray(i, i + size))
+    }
+    return Readable.from(chunks)
+  }
+
+  it('should read metadata and frames from a non-seekable stream', async () => {
+    const reader = new AeaReader(chunkedStream(fs.readFileSync(testFilePath)))
+    await reader.loadMetadata()
+    expect(reader.metadata.title).toBe('Test AEA')
+    expect(reader.header.length).toBe(2048)
+
+    const frames = []
+    for await (const frame of reader) {
+      frames.push(frame)
+    }
+    expect(frames.length).toBe(2)
+    expect(frames[1].scaleFactorIndices[0]).toBe(10)
+  })
+
+  it('should read the header on demand when iterating a stream', async () => {
+    const reader = new AeaReader(chunkedStream(fs.readFileSync(testFilePath)))
+    const units = []
+    for await (const unit of reader.units()) {
+      units.push(unit)
+    }
+    expect(reader.metadata.frameCount).toBe(2)
+    expect(units.map((unit) => unit.length)).toEqual([212, 212])
+  })
+
+  it('should report trailing bytes of a truncated stream', async () => {
+    const data = fs.readFileSync(testFilePath).subarray(0, 2048 + 212 + 100)
+    const reader = new AeaReader(chunkedStream(data))
+    const frames = []
+    for await (const frame of reader) {
+      frames.push(frame)
+    }
+    expect(frames.length).toBe(1)
+    expect(reader.trailingBytes).toBe(100)
+  })
+
+  it('should reject a stream that ends inside the header', async () => {
+    const reader = new AeaReader(chunkedStream(Buffer.alloc(1000)))
+    await expect(reader.loadMetadata()).rejects.toThrow(
+      'AEA input ended after 1000 bytes'
+    )
+  })
+})
+
+describe('AeaReader seeking', () => {
+  const testFilePath = path.join(__dirname, 'seek-test.aea')
+  const sampleCount = 44100
+
+  const collect = async (frames) => {
+    const channels = [[], []]
+    for await (const [left, right] of frames) {
+      channels[0].push(...left)
+      channels[1].push(...right)
+    }
+    return channels.map((channel) => Float32Array.from(channel))
+  }
+
+  beforeEach(async () => {
+    const aea = await encodeAeaPcm([
+      TEST_SIGNALS.sine(440, 44100, sampleCount),
+      TEST_SIGNALS.chirp(100, 8000, sampleCount),
+    ])
+    fs.writeFileSync(testFilePath, aea)
+  })
+
+  afterEach(() => {
+    fs.unlinkSync(testFilePath)
+  })
+
+  it('should iterate a frame range of interleaved stereo units', async () => {
+    const reader = new AeaReader(testFilePath)
+    const units = []
+    for await (const unit of reader.units({ start: 3, end: 5 })) {
+      units.push(unit)
+    }
+
+    const file = fs.readFileSync(testFilePath)
+    expect(units).toHaveLength(4)
+    expect(units[0]).toEqual(file.subarray(2048 + 6 * 212, 2048 + 7 * 212))
+    expect(units[3]).toEqual(file.subarray(2048 + 9 * 212, 2048 + 10 * 212))
+  })
+
+  it('should start iteration at the seek frame', async () => {
+    const reader = new AeaReader(testFilePath)
+    expect(await reader.seek(80)).toBe(80)
+
+    const frames = []
+    for await (const frame of reader) frames.push(frame)
+    expect(frames).toHaveLength((reader.framesPerChannel - 80) * 2)
+  })
+
+  it('should decode from a frame exactly as a full decode does', async () => {
+    const reader = new AeaReader(testFilePath)
+    const full = await collect(reader.decode())
+    await reader.seek({ frame: 40 })
+    const partial = await collect(reader.decode())
+
+    const start = 40 * SAMPLES_PER_FRAME - reader.metadata.delay
+    expect(partial[0]).toEqual(full[0].subarray(start))
+    expect(partial[1]).toEqual(full[1].subarray(start))
+  })
+
+  it('should decode from a timestamp to the sample', async () => {
+    const reader = new AeaReader(testFilePath)
+    const full = await collect(reader.decode())
+    await reader.seek({ seconds: 0.5 })
+    const partial = await collect(reader.decode())
+
+    expect(partial[1]).toHaveLength(sampleCount - 22050)
+    expect(partial[1]).toEqual(full[1].subarray(22050))
+  })
+
+  it('should reject positions outside the file and stream seeks', async () => {
+    const reader = new AeaReader(testFilePath)
+    await expect(reader.seek(1000)).rejects.toThrow(RangeError)
+    await expect(reader.seek({ seconds: -1 })).rejects.toThrow(
+      'Seek time -1s is outside the file'
+    )
+
+    const streamReader = new AeaReader(
+      Readable.from([fs.readFileSync(testFilePath)])
+    )
+    await expect(streamReader.seek(1)).rejects.toThrow(
+      'Cannot seek a stream input'
+    )
+  })
+})
+
+describe('WavReader', () => {
+  const testFilePath = path.join(__dirname, 'test.wav')
+
+  // Build a 16-bit stereo WAV file around optional extra chunks
+  const createWav = (
+    samples,
+    { before = [], after = [], dataSize, fmt: formatBody, pcm: pcmBody } = {}
+  ) => {
+    const chunk = (id, body, size = body.length) => {
+      const header = Buffer.alloc(8)
+      header.write(id, 0, 'latin1')
+      header.writeUInt32LE(size, 4)
+      return Buffer.concat([header, body, Buffer.alloc(body.length % 2)])
+    }
+    const fmt = Buffer.alloc(16)
+    fmt.writeUInt16LE(1, 0)
+    fmt.writeUInt16LE(2, 2)
+    fmt.writeUInt32LE(44100, 4)
+    fmt.writeUInt32LE(44100 * 4, 8)
+    fmt.writeUInt16LE(4, 12)
+    fmt.writeUInt16LE(16, 14)
+
+    const pcm = Buffer.alloc(samples * 4)
+    for (let i = 0; i < samples; i++) {
+      pcm.writeInt16LE(8192, i * 4)
+      pcm.writeInt16LE(-8192, i * 4 + 2)
+    }
+
+    const body = Buffer.concat([
+      Buffer.from('WAVE'),
+      ...before.map(([id, data]) => chunk(id, data)),
+      chunk('fmt ', formatBody ?? fmt),
+      chunk('data', pcmBody ?? pcm, dataSize),
+      ...after.map(([id, data]) => chunk(id, data)),
+    ])
+    const header = Buffer.alloc(8)
+    header.write('RIFF', 0, 'latin1')
+    header.writeUInt32LE(body.length, 4)
+    return Buffer.concat([header, body])
+  }
+
+  const readAll = async (reader) => {
+    const frames = []
+    for await (const frame of reader) frames.push(frame)
+    return frames
+  }
+
+  afterEach(() => {
+    if (fs.existsSync(testFilePath)) fs.unlinkSync(testFilePath)
+  })
+
+  it('should use the real data size with extra chunks around it', async () => {
+    fs.writeFileSync(
+      testFilePath,
+      createWav(600, {
+        before: [
+          ['LIST', Buffer.from('INFOISFT\x05\x00\x00\x00sox\x00\x00')],
+          ['bext', Buffer.alloc(31)],
+        ],
+        after: [['id3 ', Buffer.alloc(4000, 0x7f)]],
+      })
+    )
+
+    const reader = new WavReader(testFilePath)
+    await reader.loadMetadata()
+    expect(reader.totalSamples).toBe(600)
+    expect(reader.duration).toBeCloseTo(600 / 44100)
+    expect(reader.chunks.map((chunk) => chunk.id)).toEqual([
+      'LIST',
+      'bext',
+      'id3 ',
+    ])
+
+    // The id3 chunk is not decoded as audio; the rest of frame 2 is padding
+    const frames = await readAll(reader)
+    expect(frames.length).toBe(2)
+    const [left, right] = frames[1]
+    expect(left[87]).toBe(0.25)
+    expect(right[87]).toBe(-0.25)
+    expect(left[88]).toBe(0)
+  })
+
+  it('should take the length of placeholder-sized data from the file', async () => {
+    fs.writeFileSync(testFilePath, createWav(700, { dataSize: 0xffffffff }))
+
+    const reader = new WavReader(testFilePath)
+    await reader.loadMetadata()
+    expect(reader.totalSamples).toBe(700)
+  })
+
+  it('should read a stream and collect trailing chunks', async () => {
+    const reader = new WavReader(
+      Readable.from([
+        createWav(1100, { after: [['id3 ', Buffer.from('TAG')]] }),
+      ])
+    )
+    await reader.loadMetadata()
+    expect(reader.totalSamples).toBe(1100)
+
+    const frames = await readAll(reader)
+    expect(frames.length).toBe(3)
+    expect(reader.chunks.map((chunk) => chunk.id)).toEqual(['id3 '])
+  })
+
+  it('should read a stream of unknown length to its end', async () => {
+    const reader = new WavReader(
+      Readable.from([createWav(1100, { dataSize: 0 })])
+    )
+    await reader.loadMetadata()
+    expect(reader.totalSamples).toBeNull()
+    expect(reader.duration).toBeNull()
+    expect((await readAll(reader)).length).toBe(3)
+  })
+
+  // Mono fmt chunk, optionally WAVE_FORMAT_EXTENSIBLE with a tag-based GUID
+  const createFormat = (formatTag, bitsPerSample, extensible = false) => {
+    const fmt = Buffer.alloc(extensible ? 40 : 16)
+    const blockAlign = bitsPerSample / 8
+    fmt.writeUInt16LE(extensible ? 0xfffe : formatTag, 0)
+    fmt.writeUInt16LE(1, 2)
+    fmt.writeUInt32LE(44100, 4)
+    fmt.writeUInt32LE(44100 * blockAlign, 8)
+    fmt.writeUInt16LE(blockAlign, 12)
+    fmt.writeUInt16LE(bitsPerSample, 14)
+    if (extensible) {
+      fmt.writeUInt16LE(22, 16)
+      fmt.writeUInt16LE(bitsPerSample, 18)
+      fmt.writeUInt32LE(0x4, 20)
+      fmt.write('0000000000001000800000aa00389b71', 24, 'hex')
+      fmt.writeUInt16LE(formatTag, 24)
+    }
+    return fmt
+  }
+
+  const readMono = async (fmt, pcm) => {
+    fs.writeFileSync(testFilePath, createWav(0, { fmt, pcm }))
+    const reader = new WavReader(testFilePath)
+    const [frame] = await readAll(reader)
+    return Array.from(frame.subarray(0, 3))
+  }
+
+  it('should read unsigned 8-bit PCM', async () => {
+    const samples = await readMono(
+      createFormat(1, 8),
+      Buffer.from([0, 128, 192])
+    )
+    expect(samples).toEqual([-1, 0, 0.5])
+  })
+
+  it('should read 24-bit PCM', async () => {
+    const pcm = Buffer.alloc(9)
+    pcm.writeIntLE(-8388608, 0, 3)
+    pcm.writeIntLE(4194304, 3, 3)
+    pcm.writeIntLE(-1, 6, 3)
+    expect(await readMono(createFormat(1, 24), pcm)).toEqual([
+      -1,
+      0.5,
+      -1 / 8388608,
+    ])
+  })
+
+  it('should read 32-bit and 64-bit IEEE float', async () => {
+    const float32 = Buffer.from(new Float32Array([0.25, -0.5, 1]).buffer)
+    expect(await readMono(createFormat(3, 32), float32)).toEqual([
+      0.25, -0.5, 1,
+    ])
+
+    const float64 = Buffer.from(new Float64Array([0.125, -1, 0.75]).buffer)
+    expect(await readMono(createFormat(3, 64), float64)).toEqual([
+      0.125, -1, 0.75,
+    ])
+  })
+
+  it('should read WAVE_FORMAT_EXTENSIBLE files by subformat', async () => {
+    const float32 = Buffer.from(new Float32Array([0.25, -0.5, 1]).buffer)
+    expect(await readMono(createFormat(3, 32, true), float32)).toEqual([
+      0.25, -0.5, 1,
+    ])
+
+    const pcm = Buffer.alloc(6)
+    pcm.writeInt16LE(16384, 0)
+    pcm.writeInt16LE(-32768, 2)
+    expect(await readMono(createFormat(1, 16, true), pcm)).toEqual([0.5, -1, 0])
+  })
+
+  it('should reject unsupported sample formats', async () => {
+    const load = (fmt) => {
+      fs.writeFileSync(testFilePath, createWav(10, { fmt }))
+      return new WavReader(testFilePath).loadMetadata()
+    }
+
+    await expect(load(createFormat(0x55, 16))).rejects.toThrow(
+      'Unsupported WAV sample format (format tag 0x0055, 16-bit)'
+    )
+    await expect(load(createFormat(3, 16))).rejects.toThrow(
+      'Unsupported WAV sample format (format tag 0x0003, 16-bit)'
+    )
+    await expect(load(createFormat(1, 48, true))).rejects.toThrow(
+      'Unsupported WAV sample format (extensible 0x0001, 48-bit)'
+    )
+
+    const unknownGuid = createFormat(1, 16, true)
+    unknownGuid[39] = 0
+    await expect(load(unknownGuid)).rejects.toThrow(
+      'extensible subformat 00000001-0000-0010-8000-00aa00389b00'
+    )
+  })
+
+  it('should read a whole stream into planar channels', async () => {
+    const { channels, sampleRate } = await readWavPcm(
+      Readable.from([createWav(1100, { dataSize: 0 })])
+    )
+    expect(sampleRate).toBe(44100)
+    expect(channels.map((channel) => channel.length)).toEqual([1100, 1100])
+    expect(channels[0][1099]).toBe(0.25)
+    expect(channels[1][1099]).toBe(-0.25)
+  })
+
+  it('should yield every channel of multichannel files', async () => {
+    const fmt = Buffer.alloc(16)
+    fmt.writeUInt16LE(1, 0)
+    fmt.writeUInt16LE(3, 2)
+    fmt.writeUInt32LE(44100, 4)
+    fmt.writeUInt32LE(44100 * 6, 8)
+    fmt.writeUInt16LE(6, 12)
+    fmt.writeUInt16LE(16, 14)
+    const pcm = Buffer.alloc(600 * 6)
+    for (let i = 0; i < 600 * 3; i++) {
+      pcm.writeInt16LE(((i % 3) + 1) * 4096, i * 2)
+    }
+
+    const { channels } = await readWavPcm(
+      Readable.from([createWav(0, { fmt, pcm })])
+    )
+    expect(channels).toHaveLength(3)
+    expect(channels.map((channel) => channel[599])).toEqual([
+      0.125, 0.25, 0.375,
+    ])
+  })
+
+  it('should be exported by the Node entry point', async () => {
+    const node = await import('../codec/node.js')
+    expect(node.WavReader).toBe(WavReader)
+    expect(node.readWavPcm).toBe(readWavPcm)
+    expect(typeof node.encodeAeaPcm).toBe('function')
+  })
 })
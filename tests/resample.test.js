@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest'
+import {
+  Resampler,
+  resample,
+  resampledLength,
+} from '../codec/transforms/resample'
+import { TEST_SIGNALS } from './testSignals'
+
+/**
+ * Amplitude of a frequency component, measured by correlation
+ */
+function toneAmplitude(signal, freq, sampleRate, start, end) {
+  let re = 0
+  let im = 0
+  for (let i = start; i < end; i++) {
+    const phase = (2 * Math.PI * freq * i) / sampleRate
+    re += signal[i] * Math.cos(phase)
+    im += signal[i] * Math.sin(phase)
+  }
+  return (2 * Math.hypot(re, im)) / (end - start)
+}
+
+describe('Resampler', () => {
+  it('computes the output length from the reduced ratio', () => {
+    expect(resampledLength(48000, 48000)).toBe(44100)
+    expect(resampledLength(1, 48000)).toBe(1)
+    expect(resampledLength(22050, 22050)).toBe(44100)
+    expect(resampledLength(1000, 44100)).toBe(1000)
+  })
+
+  it.each([
+    [48000, 'high'],
+    [96000, 'medium'],
+    [32000, 'high'],
+    [22050, 'fast'],
+  ])('reproduces a 1 kHz sine from %i Hz (%s)', (rate, quality) => {
+    const input = TEST_SIGNALS.sine(1000, rate, rate / 10)
+    const output = resample(input, rate, 44100, quality)
+    const expected = TEST_SIGNALS.sine(1000, 44100, output.length)
+
+    expect(output).toHaveLength(4410)
+    let signal = 0
+    let noise = 0
+    for (let i = 500; i < 3900; i++) {
+      signal += expected[i] * expected[i]
+      noise += (output[i] - expected[i]) ** 2
+    }
+    const snr = 10 * Math.log10(signal / noise)
+    expect(snr).toBeGreaterThan(quality === 'fast' ? 50 : 80)
+  })
+
+  it('streams blocks of any size identically to whole-buffer conversion', () => {
+    const input = TEST_SIGNALS.whiteNoise(3, 6000)
+    const whole = resample(input, 48000)
+
+    const resampler = new Resampler(48000)
+    const blocks = []
+    for (let offset = 0, size = 1; offset < input.length; size += 37) {
+      blocks.push(resampler.process(input.subarray(offset, offset + size)))
+      offset += size
+    }
+    blocks.push(resampler.flush())
+
+    const streamed = Float32Array.from(blocks.flatMap((b) => Array.from(b)))
+    expect(streamed).toEqual(whole)
+  })
+
+  it('rejects content above the output Nyquist frequency', () => {
+    const input = TEST_SIGNALS.sine(23000, 48000, 9600)
+    const output = resample(input, 48000)
+
+    // 23 kHz would alias to 21.1 kHz at 44.1 kHz
+    expect(toneAmplitude(output, 21100, 44100, 500, 8300)).toBeLessThan(1e-3)
+  })
+
+  it('handles ratios with more phases than the table holds', () => {
+    const input = TEST_SIGNALS.sine(1000, 44099, 4410)
+    const output = resample(input, 44099)
+
+    expect(output).toHaveLength(resampledLength(4410, 44099))
+    expect(toneAmplitude(output, 1000, 44100, 500, 3900)).toBeCloseTo(1, 3)
+  })
+
+  it('rejects invalid rates and presets', () => {
+    expect(() => new Resampler(0)).toThrow('Input sample rate')
+    expect(() => new Resampler(48000.5)).toThrow('Input sample rate')
+    expect(() => new Resampler(48000, 44100, 'ultra')).toThrow(
+      'Unknown resampler quality "ultra"'
+    )
+  })
+
+  it('refuses input after flush', () => {
+    const resampler = new Resampler(48000)
+    resampler.flush()
+    expect(() => resampler.process(new Float32Array(10))).toThrow(
+      'cannot process after flush'
+    )
+  })
+})
@@ -0,0 +1,159 @@
+import { describe, it, expect } from 'vitest'
+import {
+  parseWavFormat,
+  readWavHeader,
+  readTrailingChunks,
+} from '../codec/io/riff'
+
+// Sequential byte source over an in-memory buffer
+const bufferSource = (buffer) => ({
+  position: 0,
+  async read(length) {
+    const bytes = buffer.subarray(this.position, this.position + length)
+    this.position += bytes.length
+    return bytes
+  },
+  async skip(length) {
+    this.position = Math.min(this.position + length, buffer.length)
+  },
+})
+
+const chunk = (id, body) => {
+  const header = Buffer.alloc(8)
+  header.write(id, 0, 'latin1')
+  header.writeUInt32LE(body.length, 4)
+  const pad = Buffer.alloc(body.length % 2)
+  return Buffer.concat([header, body, pad])
+}
+
+const formatChunk = (formatTag = 1, channels = 2, bitsPerSample = 16) => {
+  const body = Buffer.alloc(16)
+  const blockAlign = (channels * bitsPerSample) / 8
+  body.writeUInt16LE(formatTag, 0)
+  body.writeUInt16LE(channels, 2)
+  body.writeUInt32LE(44100, 4)
+  body.writeUInt32LE(44100 * blockAlign, 8)
+  body.writeUInt16LE(blockAlign, 12)
+  body.writeUInt16LE(bitsPerSample, 14)
+  return chunk('fmt ', body)
+}
+
+const riff = (...chunks) => {
+  const body = Buffer.concat([Buffer.from('WAVE'), ...chunks])
+  const header = Buffer.alloc(8)
+  header.write('RIFF', 0, 'latin1')
+  header.writeUInt32LE(body.length, 4)
+  return Buffer.concat([header, body])
+}
+
+describe('RIFF/WAVE parser', () => {
+  it('should parse fmt fields', () => {
+    const format = parseWavFormat(formatChunk(1, 2, 24).subarray(8))
+    expect(format).toEqual({
+      formatTag: 1,
+      sampleFormat: 1,
+      channels: 2,
+      sampleRate: 44100,
+      byteRate: 264600,
+      blockAlign: 6,
+      bitsPerSample: 24,
+    })
+    expect(() => parseWavFormat(Buffer.alloc(14))).toThrow('too short')
+  })
+
+  it('should resolve WAVE_FORMAT_EXTENSIBLE subformats', () => {
+    const body = Buffer.alloc(40)
+    body.writeUInt16LE(0xfffe, 0)
+    body.writeUInt16LE(2, 2)
+    body.writeUInt16LE(32, 14)
+    body.writeUInt16LE(22, 16)
+    body.writeUInt16LE(32, 18)
+    body.writeUInt32LE(0x3, 20)
+    // KSDATAFORMAT_SUBTYPE_IEEE_FLOAT
+    body.write('0300000000001000800000aa00389b71', 24, 'hex')
+
+    const format = parseWavFormat(body)
+    expect(format.formatTag).toBe(0xfffe)
+    expect(format.sampleFormat).toBe(3)
+    expect(format.channelMask).toBe(3)
+    expect(format.validBitsPerSample).toBe(32)
+    expect(format.subFormat).toBe('00000003-0000-0010-8000-00aa00389b71')
+
+    // A GUID outside the format-tag family has no plain tag
+    body.write('ff', 24, 'hex')
+    body.write('ff', 39, 'hex')
+    expect(parseWavFormat(body).sampleFormat).toBeNull()
+    expect(() => parseWavFormat(body.subarray(0, 24))).toThrow(
+      'extensible fmt chunk is too short'
+    )
+  })
+
+  it('should find the data chunk after extra and odd-sized chunks', async () => {
+    const file = riff(
+      chunk('JUNK', Buffer.alloc(27)),
+      formatChunk(),
+      chunk('LIST', Buffer.from('INFOINAM')),
+      chunk('data', Buffer.alloc(40))
+    )
+    const source = bufferSource(file)
+    const header = await readWavHeader(source)
+
+    expect(header.format.channels).toBe(2)
+    expect(header.dataSize).toBe(40)
+    expect(header.dataOffset).toBe(file.length - 40)
+    expect(source.position).toBe(header.dataOffset)
+    expect(
+      header.chunks.map(({ id, offset, size }) => [id, offset, size])
+    ).toEqual([
+      ['JUNK', 20, 27],
+      ['LIST', 80, 8],
+    ])
+    expect(header.chunks[1].data.toString()).toBe('INFOINAM')
+  })
+
+  it('should treat placeholder data sizes as unknown', async () => {
+    for (const size of [0, 0xffffffff]) {
+      const data = Buffer.alloc(8)
+      data.write('data', 0, 'latin1')
+      data.writeUInt32LE(size, 4)
+      const header = await readWavHeader(
+        bufferSource(riff(formatChunk(), data))
+      )
+      expect(header.dataSize).toBeNull()
+    }
+  })
+
+  it('should read chunks after odd-sized data', async () => {
+    const file = riff(
+      formatChunk(1, 1, 8),
+      chunk('data', Buffer.alloc(5)),
+      chunk('id3 ', Buffer.from('TAG')),
+      Buffer.from('ID3')
+    )
+    const source = bufferSource(file)
+    const { dataSize } = await readWavHeader(source)
+    await source.skip(dataSize)
+
+    const chunks = await readTrailingChunks(source, dataSize)
+    expect(chunks.map(({ id, size }) => [id, size])).toEqual([['id3 ', 3]])
+  })
+
+  it('should reject malformed files', async () => {
+    await expect(
+      readWavHeader(bufferSource(Buffer.from('RIFX....WAVE')))
+    ).rejects.toThrow('Not a RIFF/WAVE file')
+    await expect(
+      readWavHeader(bufferSource(riff(chunk('data', Buffer.alloc(4)))))
+    ).rejects.toThrow('data chunk appears before the fmt chunk')
+    await expect(
+      readWavHeader(bufferSource(riff(formatChunk())))
+    ).rejects.toThrow('no data chunk')
+    await expect(
+      readWavHeader(
+        bufferSource(
+          riff(formatChunk(), chunk('LIST', Buffer.alloc(20))).subarray(0, 50)
+        )
+      )
+    ).rejects.toThrow('LIST chunk is truncated')
+  })
+})
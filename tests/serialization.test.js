@@ -2,12 +2,15 @@ import { describe, it, expect } from 'vitest'
 import {
   serializeFrame,
   deserializeFrame,
+  createFrameDeserializer,
   AeaFile,
 } from '../codec/io/serialization'
 import {
   SOUND_UNIT_SIZE,
   AEA_MAGIC,
   AEA_HEADER_SIZE,
+  AEA_CHANNEL_COUNT_OFFSET,
+  CODEC_DELAY,
 } from '../codec/core/constants'
 
 describe('Serialization', () => {
@@ -55,6 +58,31 @@ describe('Serialization', () => {
     })
   })
 
+  describe('createFrameDeserializer', () => {
+    it('should match deserializeFrame while reusing one frame', () => {
+      const long = serializeFrame(createMockFrameData())
+      const short = serializeFrame({
+        nBfu: 20,
+        blockModes: [2, 2, 3],
+        scaleFactorIndices: new Int32Array(20).fill(5),
+        wordLengthIndices: new Int32Array(20),
+        quantizedCoefficients: [],
+      })
+      const deserialize = createFrameDeserializer()
+
+      const first = deserialize(long)
+      expect(first).toEqual(deserializeFrame(long))
+      const second = deserialize(short)
+      expect(second).toBe(first)
+      expect(second).toEqual(deserializeFrame(short))
+      expect(deserialize(long)).toEqual(deserializeFrame(long))
+    })
+
+    it('should reject a frame with an invalid size', () => {
+      expect(() => createFrameDeserializer()(new Uint8Array(100))).toThrow()
+    })
+  })
+
   describe('AeaFile', () => {
     it('should create a header with the correct magic number and layout', () => {
       const header = AeaFile.createHeader('Test Title', 123, 2)
@@ -75,6 +103,25 @@ describe('Serialization', () => {
       expect(parsed.channelCount).toBe(1)
     })
 
+    it('should store the sample count and codec delay when known', () => {
+      const header = AeaFile.createHeader('Timed', 10, 2, 4321)
+      const parsed = AeaFile.parseHeader(header)
+      expect(parsed.sampleCount).toBe(4321)
+      expect(parsed.delay).toBe(CODEC_DELAY)
+      expect(parsed.frameCount).toBe(10)
+    })
+
+    it('should leave the header padding zero without a sample count', () => {
+      const header = AeaFile.createHeader('Untimed', 10, 1)
+      expect(
+        header.subarray(AEA_CHANNEL_COUNT_OFFSET + 1).every((b) => b === 0)
+      ).toBe(true)
+
+      const parsed = AeaFile.parseHeader(header)
+      expect(parsed.sampleCount).toBeNull()
+      expect(parsed.delay).toBeNull()
+    })
+
     it('should validate the magic number when parsing', () => {
       const header = AeaFile.createHeader('Test', 100, 1)
       header[0] = 0xff // Invalidate magic number (should be 0x00)
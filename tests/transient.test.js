@@ -1,5 +1,11 @@
 import { describe, it, expect } from 'vitest'
-import { performFFT, detectTransient } from '../codec/analysis/transient'
+import {
+  performFFT,
+  detectTransient,
+  computeTransientScore,
+  computeEnergyEnvelope,
+  localizeAttack,
+} from '../codec/analysis/transient'
 import { TEST_SIGNALS } from './testSignals'
 import { SAMPLES_PER_FRAME } from '../codec/core/constants'
 
@@ -72,6 +78,51 @@ describe('Transient Detection', () => {
     })
   })
 
+  describe('computeTransientScore', () => {
+    it('should return 0 without a previous frame', () => {
+      const coeffs = performFFT(TEST_SIGNALS.step(0, 256), 256)
+      expect(computeTransientScore(coeffs, null)).toBe(0)
+    })
+
+    it('should agree with detectTransient', () => {
+      const size = 512
+      const prevCoeffs = performFFT(TEST_SIGNALS.silence(size), size)
+      const currentCoeffs = performFFT(TEST_SIGNALS.step(0, size), size)
+      const score = computeTransientScore(currentCoeffs, prevCoeffs)
+
+      expect(detectTransient(currentCoeffs, prevCoeffs, score - 0.01)).toBe(
+        true
+      )
+      expect(detectTransient(currentCoeffs, prevCoeffs, score)).toBe(false)
+    })
+  })
+
+  describe('attack localization', () => {
+    it('should compute segment energies', () => {
+      const envelope = computeEnergyEnvelope(TEST_SIGNALS.step(32, 64), 16)
+      expect(Array.from(envelope)).toEqual([0, 0, 16, 16])
+    })
+
+    it('should write into an existing envelope at an offset', () => {
+      const envelope = new Float32Array(6)
+      computeEnergyEnvelope(TEST_SIGNALS.dc(0.5, 32), 16, envelope, 4)
+      expect(Array.from(envelope)).toEqual([0, 0, 0, 0, 4, 4])
+    })
+
+    it('should locate the segment where energy rises', () => {
+      const envelope = new Float32Array([1, 1, 1, 1, 1, 50, 50, 50])
+      const attack = localizeAttack(envelope)
+      expect(attack.segment).toBe(5)
+      expect(attack.ratio).toBeCloseTo(50)
+    })
+
+    it('should restrict the search to the candidate range', () => {
+      const envelope = new Float32Array([1, 1, 1, 1, 20, 1, 60, 60])
+      expect(localizeAttack(envelope, 5).segment).toBe(6)
+      expect(localizeAttack(envelope, 0, 6).segment).toBe(4)
+    })
+  })
+
   describe('comprehensive transient detection', () => {
     // Helper to create gentle pink noise
     const createGentleNoise = () => {
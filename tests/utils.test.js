@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest'
-import { throwError, pipe } from '../codec/utils'
+import { throwError, pipe, observedPipe } from '../codec/utils'
 
 describe('Utilities', () => {
   describe('throwError', () => {
@@ -31,4 +31,38 @@ describe('Utilities', () => {
       expect(pipeline(5)).toBe(150)
     })
   })
+
+  describe('observedPipe', () => {
+    it('should compose stages like pipe', () => {
+      const add = () => (x) => x + 1
+      const multiply = () => (x) => x * 2
+      const pipeline = observedPipe(
+        {},
+        () => {},
+        ['add', add],
+        ['mul', multiply]
+      )
+      expect(pipeline(5)).toBe(12)
+    })
+
+    it('should report every stage output per call', () => {
+      const records = []
+      const add = (ctx) => (x) => x + ctx.value
+      const multiply = () => (x) => x * 2
+      const pipeline = observedPipe(
+        { value: 3 },
+        (record) => records.push(record),
+        ['add', add],
+        ['multiply', multiply]
+      )
+
+      pipeline(1)
+      pipeline(2)
+
+      expect(records).toEqual([
+        { frame: 0, input: 1, stages: { add: 4, multiply: 8 } },
+        { frame: 1, input: 2, stages: { add: 5, multiply: 10 } },
+      ])
+    })
+  })
 })
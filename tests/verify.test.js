@@ -0,0 +1,154 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import fs from 'fs'
+import path from 'path'
+import { verifyAea, repairAea } from '../codec/io/verify.js'
+import { AeaFile, deserializeFrame } from '../codec/io/serialization.js'
+import { encodeAeaPcm } from '../codec/io/processor.js'
+import { TEST_SIGNALS } from './testSignals'
+import {
+  AEA_HEADER_SIZE,
+  SOUND_UNIT_SIZE,
+  SAMPLES_PER_FRAME,
+} from '../codec/core/constants.js'
+
+describe('AEA verification', () => {
+  const inputPath = path.join(__dirname, 'verify-input.aea')
+  const outputPath = path.join(__dirname, 'verify-output.aea')
+  const sampleCount = 44100
+  let original
+
+  // Keep the header and the first `units` sound units plus `extra` bytes
+  const writeTruncated = (units, extra = 0) => {
+    const file = Buffer.from(
+      original.subarray(0, AEA_HEADER_SIZE + units * SOUND_UNIT_SIZE + extra)
+    )
+    fs.writeFileSync(inputPath, file)
+    return file
+  }
+
+  beforeEach(async () => {
+    original = Buffer.from(
+      await encodeAeaPcm([
+        TEST_SIGNALS.sine(440, 44100, sampleCount),
+        TEST_SIGNALS.chirp(100, 8000, sampleCount),
+      ])
+    )
+    fs.writeFileSync(inputPath, original)
+  })
+
+  afterEach(() => {
+    for (const file of [inputPath, outputPath]) {
+      if (fs.existsSync(file)) fs.unlinkSync(file)
+    }
+  })
+
+  it('should accept files written by the encoder', async () => {
+    const report = await verifyAea(inputPath)
+    expect(report.valid).toBe(true)
+    expect(report.problems).toEqual([])
+    expect(report.unitCount).toBe(2 * Math.ceil((sampleCount + 266) / 512))
+  })
+
+  it('should list count mismatches, partial units and a missing channel', async () => {
+    writeTruncated(41, 100)
+    const report = await verifyAea(inputPath)
+    expect(report.valid).toBe(false)
+    expect(report.unitCount).toBe(41)
+    expect(report.trailingBytes).toBe(100)
+    expect(report.problems.map(({ code }) => code)).toEqual([
+      'frame-count',
+      'partial-unit',
+      'missing-channel',
+      'sample-count',
+    ])
+  })
+
+  it('should locate illegal sound unit header bits', async () => {
+    const file = Buffer.from(original)
+    file[AEA_HEADER_SIZE + 3 * SOUND_UNIT_SIZE] = 0x94 // Fields 2, 1 and 1
+    file[AEA_HEADER_SIZE + 4 * SOUND_UNIT_SIZE + 1] |= 0x03
+    fs.writeFileSync(inputPath, file)
+
+    const { problems } = await verifyAea(inputPath)
+    expect(problems).toEqual([
+      {
+        code: 'block-mode',
+        message: 'invalid mid band block mode field 1',
+        unit: 3,
+        frame: 1,
+        channel: 1,
+      },
+      {
+        code: 'block-mode',
+        message: 'invalid high band block mode field 1',
+        unit: 3,
+        frame: 1,
+        channel: 1,
+      },
+      {
+        code: 'reserved-bits',
+        message: 'reserved header bits set (0x0003)',
+        unit: 4,
+        frame: 2,
+        channel: 0,
+      },
+    ])
+  })
+
+  it('should report word lengths beyond the sound unit', async () => {
+    const file = Buffer.from(original)
+    const unit = AEA_HEADER_SIZE + 2 * SOUND_UNIT_SIZE
+    file[unit] = 0xe0 // 52 BFUs in bits 5-7 of the header
+    file[unit + 1] = 0xe0
+    file.fill(0xff, unit + 2, unit + 28) // 16-bit word lengths
+    fs.writeFileSync(inputPath, file)
+
+    const { problems } = await verifyAea(inputPath)
+    expect(problems.map(({ code, unit }) => [code, unit])).toContainEqual([
+      'bit-budget',
+      2,
+    ])
+  })
+
+  it('should report unreadable headers and channel counts', async () => {
+    fs.writeFileSync(inputPath, Buffer.alloc(100))
+    expect((await verifyAea(inputPath)).problems[0].code).toBe('header')
+
+    const file = Buffer.from(original)
+    file[264] = 3
+    fs.writeFileSync(inputPath, file)
+    const report = await verifyAea(inputPath)
+    expect(report.problems).toEqual([
+      {
+        code: 'channel-count',
+        message: 'header channel count 3 is not 1 or 2',
+      },
+    ])
+    await expect(repairAea(inputPath, outputPath)).rejects.toThrow(
+      'Cannot repair'
+    )
+  })
+
+  it('should repair counts, partial units and a missing right channel', async () => {
+    writeTruncated(41, 100)
+    const { frameCount, fixed } = await repairAea(
+      inputPath,
+      await fs.promises.open(outputPath, 'w')
+    )
+    expect(frameCount).toBe(21)
+    expect(fixed).toHaveLength(4)
+
+    const repaired = fs.readFileSync(outputPath)
+    const header = AeaFile.parseHeader(repaired.subarray(0, AEA_HEADER_SIZE))
+    expect(header.frameCount).toBe(42)
+    expect(header.sampleCount).toBe(21 * SAMPLES_PER_FRAME - 266)
+    expect(repaired.length).toBe(AEA_HEADER_SIZE + 42 * SOUND_UNIT_SIZE)
+    expect(repaired.subarray(AEA_HEADER_SIZE, -SOUND_UNIT_SIZE)).toEqual(
+      original.subarray(AEA_HEADER_SIZE, AEA_HEADER_SIZE + 41 * SOUND_UNIT_SIZE)
+    )
+
+    const padding = deserializeFrame(repaired.subarray(-SOUND_UNIT_SIZE))
+    expect(padding.wordLengthIndices.every((wl) => wl === 0)).toBe(true)
+    expect((await verifyAea(outputPath)).valid).toBe(true)
+  })
+})
@@ -0,0 +1,251 @@
+import { describe, it, expect, afterEach } from 'vitest'
+import fs from 'fs'
+import path from 'path'
+import { PassThrough } from 'stream'
+import { AeaWriter, WavWriter } from '../codec/io/writers'
+import { AudioProcessor } from '../codec/io/processor'
+import { AeaFile } from '../codec/io/serialization'
+import { TEST_SIGNALS } from './testSignals'
+import {
+  AEA_HEADER_SIZE,
+  SAMPLES_PER_FRAME,
+  SOUND_UNIT_SIZE,
+  WAV_HEADER_SIZE,
+} from '../codec/core/constants'
+
+describe('AeaWriter', () => {
+  const testFilePath = path.join(__dirname, 'writer-test.aea')
+  const sampleCount = SAMPLES_PER_FRAME * 3
+
+  async function* createStereoStream() {
+    for (let i = 0; i < 3; i++) {
+      yield [
+        TEST_SIGNALS.sine(440, 44100, SAMPLES_PER_FRAME),
+        TEST_SIGNALS.sine(880, 44100, SAMPLES_PER_FRAME),
+      ]
+    }
+  }
+
+  const encodeStereo = () =>
+    AudioProcessor.encodeStream(createStereoStream(), {
+      channelCount: 2,
+      sampleCount,
+    })
+
+  const createBlob = () =>
+    AudioProcessor.createAeaBlob(encodeStereo(), {
+      title: 'streamed',
+      channelCount: 2,
+      sampleCount,
+    })
+
+  afterEach(() => {
+    if (fs.existsSync(testFilePath)) fs.unlinkSync(testFilePath)
+  })
+
+  it('should write the same bytes as createAeaBlob to a FileHandle', async () => {
+    const writer = new AeaWriter(await fs.promises.open(testFilePath, 'w'), {
+      title: 'streamed',
+      channelCount: 2,
+      sampleCount,
+    })
+    await writer.writeFrames(encodeStereo())
+    const frameCount = await writer.close()
+
+    const expected = new Uint8Array(await (await createBlob()).arrayBuffer())
+    const written = new Uint8Array(fs.readFileSync(testFilePath))
+    expect(frameCount).toBe(8)
+    expect(written).toEqual(expected)
+  })
+
+  it('should patch the frame count of seekable outputs', async () => {
+    const writer = new AeaWriter(await fs.promises.open(testFilePath, 'w'), {
+      channelCount: 2,
+    })
+    await writer.writeFrames(encodeStereo())
+    await writer.close()
+
+    const header = fs.readFileSync(testFilePath).subarray(0, AEA_HEADER_SIZE)
+    expect(AeaFile.parseHeader(header).frameCount).toBe(8)
+  })
+
+  it('should stream to a Node writable', async () => {
+    const stream = new PassThrough()
+    const chunks = []
+    stream.on('data', (chunk) => chunks.push(chunk))
+
+    const writer = new AeaWriter(stream, { channelCount: 2, sampleCount })
+    await writer.writeFrames(encodeStereo())
+    await writer.close()
+
+    const written = Buffer.concat(chunks)
+    expect(written.length).toBe(AEA_HEADER_SIZE + 8 * SOUND_UNIT_SIZE)
+    // The expected count matches the frames encodeStream emits
+    const header = AeaFile.parseHeader(written.subarray(0, AEA_HEADER_SIZE))
+    expect(header.frameCount).toBe(8)
+    expect(header.sampleCount).toBe(sampleCount)
+  })
+
+  it('should stream to a WHATWG WritableStream', async () => {
+    const chunks = []
+    const stream = new WritableStream({
+      write(chunk) {
+        chunks.push(chunk)
+      },
+    })
+
+    const writer = new AeaWriter(stream, {
+      title: 'streamed',
+      channelCount: 2,
+      sampleCount,
+    })
+    await writer.writeFrames(encodeStereo())
+    await writer.close()
+
+    const written = new Uint8Array(await new Blob(chunks).arrayBuffer())
+    const expected = new Uint8Array(await (await createBlob()).arrayBuffer())
+    expect(written).toEqual(expected)
+  })
+
+  it('should use positioned writes on seekable web streams', async () => {
+    const file = new Uint8Array(AEA_HEADER_SIZE + 8 * SOUND_UNIT_SIZE)
+    const stream = new WritableStream({
+      write({ position, data }) {
+        file.set(data, position)
+      },
+    })
+    stream.seek = () => {}
+    stream.write = async (command) => {
+      const writer = stream.getWriter()
+      await writer.write(command)
+      writer.releaseLock()
+    }
+    stream.close = async () => {}
+
+    const writer = new AeaWriter(stream, { channelCount: 2 })
+    await writer.writeFrames(encodeStereo())
+    await writer.close()
+
+    const header = AeaFile.parseHeader(file.subarray(0, AEA_HEADER_SIZE))
+    expect(header.frameCount).toBe(8)
+  })
+
+  it('should reject unsupported outputs and writes after close', async () => {
+    expect(() => new AeaWriter({})).toThrow('Output must be')
+
+    const writer = new AeaWriter(new PassThrough().resume())
+    await writer.close()
+    await expect(writer.writeFrame({})).rejects.toThrow('after close')
+  })
+})
+
+describe('WavWriter', () => {
+  const testFilePath = path.join(__dirname, 'writer-test.wav')
+
+  const createStereoFrames = () => [
+    [
+      TEST_SIGNALS.sine(440, 44100, SAMPLES_PER_FRAME),
+      TEST_SIGNALS.sine(880, 44100, SAMPLES_PER_FRAME),
+    ],
+    [new Float32Array(100).fill(2), new Float32Array(100).fill(-2)],
+  ]
+
+  const blobBytes = async (frames, channelCount) =>
+    new Uint8Array(
+      await AudioProcessor.createWavBlob(frames, channelCount).arrayBuffer()
+    )
+
+  const collectNodeStream = () => {
+    const stream = new PassThrough()
+    const chunks = []
+    stream.on('data', (chunk) => chunks.push(chunk))
+    return { stream, bytes: () => new Uint8Array(Buffer.concat(chunks)) }
+  }
+
+  afterEach(() => {
+    if (fs.existsSync(testFilePath)) fs.unlinkSync(testFilePath)
+  })
+
+  it('should write the same bytes as createWavBlob to a FileHandle', async () => {
+    const writer = new WavWriter(await fs.promises.open(testFilePath, 'w'), {
+      channelCount: 2,
+    })
+    await writer.writeFrames(createStereoFrames())
+    const samples = await writer.close()
+
+    expect(samples).toBe(SAMPLES_PER_FRAME + 100)
+    expect(new Uint8Array(fs.readFileSync(testFilePath))).toEqual(
+      await blobBytes(createStereoFrames(), 2)
+    )
+  })
+
+  it('should write placeholder sizes to non-seekable outputs', async () => {
+    const { stream, bytes } = collectNodeStream()
+    const writer = new WavWriter(stream)
+    await writer.writeFrames([new Float32Array(SAMPLES_PER_FRAME)])
+    await writer.close()
+
+    const written = bytes()
+    const view = new DataView(written.buffer, written.byteOffset)
+    expect(written.length).toBe(WAV_HEADER_SIZE + SAMPLES_PER_FRAME * 2)
+    expect(view.getUint32(4, true)).toBe(0xffffffff)
+    expect(view.getUint32(40, true)).toBe(0xffffffff)
+  })
+
+  it('should write exact sizes when the sample count is known', async () => {
+    const { stream, bytes } = collectNodeStream()
+    const frames = [new Float32Array(SAMPLES_PER_FRAME).fill(0.25)]
+    const writer = new WavWriter(stream, { sampleCount: SAMPLES_PER_FRAME })
+    await writer.writeFrames(frames)
+    await writer.close()
+
+    expect(bytes()).toEqual(await blobBytes(frames, 1))
+  })
+
+  it('should stream to a WHATWG WritableStream', async () => {
+    const chunks = []
+    const stream = new WritableStream({
+      write(chunk) {
+        chunks.push(chunk)
+      },
+    })
+
+    const writer = new WavWriter(stream, {
+      channelCount: 2,
+      sampleCount: SAMPLES_PER_FRAME + 100,
+    })
+    await writer.writeFrames(createStereoFrames())
+    await writer.close()
+
+    expect(new Uint8Array(await new Blob(chunks).arrayBuffer())).toEqual(
+      await blobBytes(createStereoFrames(), 2)
+    )
+  })
+
+  it('should write 24-bit samples and count clipping', async () => {
+    const { stream, bytes } = collectNodeStream()
+    const writer = new WavWriter(stream, { channelCount: 2, bitDepth: 24 })
+    await writer.writeFrames(createStereoFrames())
+    await writer.close()
+
+    const written = bytes()
+    const view = new DataView(written.buffer, written.byteOffset)
+    expect(written.length).toBe(WAV_HEADER_SIZE + (SAMPLES_PER_FRAME + 100) * 6)
+    expect(view.getUint16(34, true)).toBe(24)
+    expect(view.getUint16(32, true)).toBe(6)
+    expect(writer.clipCount).toBe(200)
+    expect(writer.peak).toBe(2)
+  })
+
+  it('should reject unsupported channel counts and writes after close', async () => {
+    expect(() => new WavWriter(new PassThrough(), { channelCount: 3 })).toThrow(
+      'Unsupported channel count: 3'
+    )
+
+    const writer = new WavWriter(new PassThrough().resume())
+    await writer.close()
+    await expect(
+      writer.writeFrame(new Float32Array(SAMPLES_PER_FRAME))
+    ).rejects.toThrow('after close')
+  })
+})